@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('reminder_logs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      level: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        comment: '1-5 for reminders, 0 for responses and confirmations, 99 for escalations'
+      },
+      message_type: {
+        type: Sequelize.ENUM('reminder', 'auto_response', 'payment_confirmation', 'escalation', 'manual'),
+        defaultValue: 'reminder'
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('sent', 'failed'),
+        defaultValue: 'sent'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      whatsapp_message_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      sent_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      sent_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('reminder_logs', ['debt_id']);
+    await queryInterface.addIndex('reminder_logs', ['debtor_id']);
+    await queryInterface.addIndex('reminder_logs', ['message_type']);
+    await queryInterface.addIndex('reminder_logs', ['status']);
+    await queryInterface.addIndex('reminder_logs', ['sent_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('reminder_logs');
+  }
+};
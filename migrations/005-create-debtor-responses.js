@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('debtor_responses', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      phone_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      analysis: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      intent: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      sentiment: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      whatsapp_message_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      received_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('debtor_responses', ['debt_id']);
+    await queryInterface.addIndex('debtor_responses', ['debtor_id']);
+    await queryInterface.addIndex('debtor_responses', ['intent']);
+    await queryInterface.addIndex('debtor_responses', ['received_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('debtor_responses');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('debts', 'status_history', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: []
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('debts', 'status_history');
+  }
+};
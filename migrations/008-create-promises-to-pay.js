@@ -0,0 +1,87 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('promises_to_pay', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_response_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'debtor_responses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      promised_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false
+      },
+      promised_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'kept', 'broken', 'superseded'),
+        defaultValue: 'pending'
+      },
+      amount_paid: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      follow_up_sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('promises_to_pay', ['debt_id']);
+    await queryInterface.addIndex('promises_to_pay', ['debtor_id']);
+    await queryInterface.addIndex('promises_to_pay', ['status', 'promised_date']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('promises_to_pay');
+  }
+};
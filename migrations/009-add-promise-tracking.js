@@ -0,0 +1,26 @@
+'use strict';
+
+const BASE_MESSAGE_TYPES = ['reminder', 'auto_response', 'payment_confirmation', 'escalation', 'manual'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('debts', 'reminders_paused_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.changeColumn('reminder_logs', 'message_type', {
+      type: Sequelize.ENUM(...BASE_MESSAGE_TYPES, 'promise_follow_up'),
+      defaultValue: 'reminder'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('reminder_logs', 'message_type', {
+      type: Sequelize.ENUM(...BASE_MESSAGE_TYPES),
+      defaultValue: 'reminder'
+    });
+
+    await queryInterface.removeColumn('debts', 'reminders_paused_until');
+  }
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('payment_plans', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_response_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'debtor_responses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('proposed', 'active', 'completed', 'cancelled'),
+        defaultValue: 'proposed'
+      },
+      total_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false
+      },
+      down_payment: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      installment_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      interval_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      proposed_by: {
+        type: Sequelize.ENUM('ai', 'collector'),
+        allowNull: false
+      },
+      created_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('payment_plan_installments', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      payment_plan_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'payment_plans',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sequence: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      due_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false
+      },
+      amount_paid: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'partially_paid', 'paid', 'overdue'),
+        defaultValue: 'pending'
+      },
+      paid_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('payment_plans', ['debt_id', 'status']);
+    await queryInterface.addIndex('payment_plans', ['debtor_id']);
+    await queryInterface.addIndex('payment_plan_installments', ['payment_plan_id', 'sequence'], { unique: true });
+    await queryInterface.addIndex('payment_plan_installments', ['status', 'due_date']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('payment_plan_installments');
+    await queryInterface.dropTable('payment_plans');
+  }
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('disputes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_response_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'debtor_responses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      source: {
+        type: Sequelize.ENUM('whatsapp', 'collector'),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'under_review', 'resolved_valid', 'resolved_invalid'),
+        defaultValue: 'open'
+      },
+      evidence: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      opened_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      resolution: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      resolution_action: {
+        type: Sequelize.ENUM('cancel', 'adjust', 'none'),
+        allowNull: true
+      },
+      original_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      adjusted_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      resolved_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addColumn('debts', 'is_disputed', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('disputes', ['debt_id', 'status']);
+    await queryInterface.addIndex('disputes', ['debtor_id']);
+    await queryInterface.addIndex('disputes', ['reviewer_id']);
+    await queryInterface.addIndex('disputes', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('debts', 'is_disputed');
+    await queryInterface.dropTable('disputes');
+  }
+};
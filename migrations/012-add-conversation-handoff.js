@@ -0,0 +1,121 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('debtors', 'conversation_mode', {
+      type: Sequelize.ENUM('ai', 'human', 'ai_draft'),
+      defaultValue: 'ai'
+    });
+    await queryInterface.addColumn('debtors', 'conversation_claimed_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('debtors', 'conversation_claimed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtors', 'handoff_reason', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtors', 'handoff_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('reply_drafts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_response_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'debtor_responses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      suggested_message: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      final_message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'discarded'),
+        defaultValue: 'pending'
+      },
+      reviewed_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('debtors', ['conversation_mode']);
+    await queryInterface.addIndex('reply_drafts', ['debtor_id']);
+    await queryInterface.addIndex('reply_drafts', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('reply_drafts');
+    await queryInterface.removeColumn('debtors', 'handoff_at');
+    await queryInterface.removeColumn('debtors', 'handoff_reason');
+    await queryInterface.removeColumn('debtors', 'conversation_claimed_at');
+    await queryInterface.removeColumn('debtors', 'conversation_claimed_by');
+    await queryInterface.removeColumn('debtors', 'conversation_mode');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('debtor_responses', 'read_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtor_responses', 'read_by_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('debtor_responses', ['debtor_id', 'read_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('debtor_responses', ['debtor_id', 'read_at']);
+    await queryInterface.removeColumn('debtor_responses', 'read_by_id');
+    await queryInterface.removeColumn('debtor_responses', 'read_at');
+  }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('message_templates', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      message_type: {
+        type: Sequelize.ENUM('reminder', 'payment_confirmation', 'escalation'),
+        allowNull: false
+      },
+      level: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      language: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        defaultValue: 'id'
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      created_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      updated_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addColumn('reminder_logs', 'content_source', {
+      type: Sequelize.ENUM('ai', 'template', 'manual'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('reminder_logs', 'fallback_reason', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+    await queryInterface.addColumn('reminder_logs', 'message_template_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'message_templates',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('message_templates', ['message_type', 'language']);
+    await queryInterface.addIndex('message_templates', ['is_active']);
+    await queryInterface.addIndex('reminder_logs', ['content_source']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('reminder_logs', ['content_source']);
+    await queryInterface.removeColumn('reminder_logs', 'message_template_id');
+    await queryInterface.removeColumn('reminder_logs', 'fallback_reason');
+    await queryInterface.removeColumn('reminder_logs', 'content_source');
+    await queryInterface.dropTable('message_templates');
+  }
+};
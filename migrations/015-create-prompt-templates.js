@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('prompt_templates', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      key: {
+        type: Sequelize.ENUM('debt_reminder', 'payment_confirmation', 'escalation', 'response_analysis'),
+        allowNull: false
+      },
+      language: {
+        type: Sequelize.STRING(5),
+        allowNull: false,
+        defaultValue: 'id'
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'published', 'archived'),
+        defaultValue: 'draft'
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      notes: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      published_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      published_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addColumn('reminder_logs', 'prompt_template_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prompt_templates',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('reminder_logs', 'prompt_version', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('prompt_templates', ['key', 'language', 'version'], { unique: true });
+    await queryInterface.addIndex('prompt_templates', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('reminder_logs', 'prompt_version');
+    await queryInterface.removeColumn('reminder_logs', 'prompt_template_id');
+    await queryInterface.dropTable('prompt_templates');
+  }
+};
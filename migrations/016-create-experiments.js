@@ -0,0 +1,129 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('experiments', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'running', 'stopped'),
+        defaultValue: 'draft'
+      },
+      attribution_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 7
+      },
+      paid_within_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 7
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      stopped_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('experiment_variants', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      experiment_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'experiments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      weight: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      config: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addColumn('reminder_logs', 'experiment_variant_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'experiment_variants',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('experiments', ['status']);
+    await queryInterface.addIndex('experiment_variants', ['experiment_id']);
+    await queryInterface.addIndex('reminder_logs', ['experiment_variant_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('reminder_logs', ['experiment_variant_id']);
+    await queryInterface.removeColumn('reminder_logs', 'experiment_variant_id');
+    await queryInterface.dropTable('experiment_variants');
+    await queryInterface.dropTable('experiments');
+  }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('compliance_violations', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      message_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      violations: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      attempt: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      outcome: {
+        type: Sequelize.ENUM('regenerated', 'template'),
+        allowNull: false
+      },
+      review_status: {
+        type: Sequelize.ENUM('pending', 'reviewed'),
+        defaultValue: 'pending'
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reviewed_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Holding replies replace auto responses that fail the compliance check
+    await queryInterface.changeColumn('message_templates', 'message_type', {
+      type: Sequelize.ENUM('reminder', 'payment_confirmation', 'escalation', 'holding_reply'),
+      allowNull: false
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('compliance_violations', ['debt_id']);
+    await queryInterface.addIndex('compliance_violations', ['review_status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('message_templates', { message_type: 'holding_reply' });
+    await queryInterface.changeColumn('message_templates', 'message_type', {
+      type: Sequelize.ENUM('reminder', 'payment_confirmation', 'escalation'),
+      allowNull: false
+    });
+    await queryInterface.dropTable('compliance_violations');
+  }
+};
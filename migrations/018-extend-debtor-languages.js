@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Supported languages live in src/config/languages.js, so the column is no longer an ENUM
+    await queryInterface.changeColumn('debtors', 'language', {
+      type: Sequelize.STRING(5),
+      defaultValue: 'id'
+    });
+    await queryInterface.addColumn('debtors', 'language_detected_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Replies that used to be hard-coded Indonesian become managed templates
+    await queryInterface.changeColumn('message_templates', 'message_type', {
+      type: Sequelize.ENUM(
+        'reminder', 'payment_confirmation', 'escalation', 'holding_reply',
+        'promise_date_request', 'promise_recorded', 'acknowledgment', 'plan_proposal', 'plan_accepted'
+      ),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('message_templates', {
+      message_type: ['promise_date_request', 'promise_recorded', 'acknowledgment', 'plan_proposal', 'plan_accepted']
+    });
+    await queryInterface.changeColumn('message_templates', 'message_type', {
+      type: Sequelize.ENUM('reminder', 'payment_confirmation', 'escalation', 'holding_reply'),
+      allowNull: false
+    });
+
+    await queryInterface.removeColumn('debtors', 'language_detected_at');
+    await queryInterface.sequelize.query("UPDATE debtors SET language = 'id' WHERE language NOT IN ('id', 'en')");
+    await queryInterface.changeColumn('debtors', 'language', {
+      type: Sequelize.ENUM('id', 'en'),
+      defaultValue: 'id'
+    });
+  }
+};
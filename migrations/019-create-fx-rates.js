@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('fx_rates', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      from_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      to_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(20, 10),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('manual', 'csv'),
+        defaultValue: 'manual'
+      },
+      created_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('fx_rates', ['date', 'from_currency', 'to_currency'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('fx_rates');
+  }
+};
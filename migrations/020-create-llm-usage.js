@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('llm_usage', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      provider: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      model: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      purpose: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('success', 'error', 'timeout', 'budget_exceeded'),
+        allowNull: false
+      },
+      input_tokens: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      output_tokens: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      tokens_estimated: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      cost: {
+        type: Sequelize.DECIMAL(12, 6),
+        defaultValue: 0
+      },
+      latency_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('llm_usage', ['created_at']);
+    await queryInterface.addIndex('llm_usage', ['purpose']);
+    await queryInterface.addIndex('llm_usage', ['debt_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('llm_usage');
+  }
+};
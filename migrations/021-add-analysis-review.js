@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('debtor_responses', 'analysis_status', {
+      type: Sequelize.ENUM('valid', 'repaired', 'invalid', 'failed', 'rules'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtor_responses', 'analysis_attempts', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtor_responses', 'review_status', {
+      type: Sequelize.ENUM('pending', 'reviewed'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtor_responses', 'review_reason', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtor_responses', 'review_notes', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('debtor_responses', 'reviewed_by_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('debtor_responses', 'reviewed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('debtor_responses', ['review_status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('debtor_responses', ['review_status']);
+    await queryInterface.removeColumn('debtor_responses', 'reviewed_at');
+    await queryInterface.removeColumn('debtor_responses', 'reviewed_by_id');
+    await queryInterface.removeColumn('debtor_responses', 'review_notes');
+    await queryInterface.removeColumn('debtor_responses', 'review_reason');
+    await queryInterface.removeColumn('debtor_responses', 'review_status');
+    await queryInterface.removeColumn('debtor_responses', 'analysis_attempts');
+    await queryInterface.removeColumn('debtor_responses', 'analysis_status');
+  }
+};
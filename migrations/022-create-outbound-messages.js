@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('outbound_messages', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      phone_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      },
+      status: {
+        type: Sequelize.ENUM('queued', 'sending', 'sent', 'dead_letter'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      whatsapp_message_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reminder_log_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'reminder_logs',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('outbound_messages', ['status', 'priority', 'next_attempt_at']);
+    await queryInterface.addIndex('outbound_messages', ['phone_number', 'sent_at']);
+    await queryInterface.addIndex('outbound_messages', ['sent_at']);
+    await queryInterface.addIndex('outbound_messages', ['debt_id']);
+
+    // Messages are logged as queued until the queue delivers them
+    await queryInterface.changeColumn('reminder_logs', 'status', {
+      type: Sequelize.ENUM('queued', 'sent', 'failed'),
+      defaultValue: 'sent'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query("UPDATE reminder_logs SET status = 'failed' WHERE status = 'queued'");
+    await queryInterface.changeColumn('reminder_logs', 'status', {
+      type: Sequelize.ENUM('sent', 'failed'),
+      defaultValue: 'sent'
+    });
+
+    await queryInterface.dropTable('outbound_messages');
+  }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('reminder_logs', 'channel', {
+      type: Sequelize.ENUM('whatsapp', 'sms', 'email'),
+      allowNull: false,
+      defaultValue: 'whatsapp'
+    });
+    await queryInterface.addColumn('reminder_logs', 'delivery_status', {
+      type: Sequelize.ENUM('sent', 'delivered', 'read', 'failed'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('reminder_logs', 'delivered_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('reminder_logs', 'read_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('reminder_logs', 'rerouted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('reminder_logs', ['whatsapp_message_id']);
+    await queryInterface.addIndex('reminder_logs', ['delivery_status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('reminder_logs', ['delivery_status']);
+    await queryInterface.removeIndex('reminder_logs', ['whatsapp_message_id']);
+    await queryInterface.removeColumn('reminder_logs', 'rerouted_at');
+    await queryInterface.removeColumn('reminder_logs', 'read_at');
+    await queryInterface.removeColumn('reminder_logs', 'delivered_at');
+    await queryInterface.removeColumn('reminder_logs', 'delivery_status');
+    await queryInterface.removeColumn('reminder_logs', 'channel');
+  }
+};
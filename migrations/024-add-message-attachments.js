@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('outbound_messages', 'media', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('reminder_logs', 'attachments', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('reminder_logs', 'attachments');
+    await queryInterface.removeColumn('outbound_messages', 'media');
+  }
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('payment_proofs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      debt_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      debtor_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'debtors',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      linked_debt_ids: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      phone_number: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      whatsapp_message_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      media_type: {
+        type: Sequelize.ENUM('image', 'document'),
+        allowNull: false
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_path: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      caption: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      payment: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reviewed_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('payment_proofs', ['debt_id']);
+    await queryInterface.addIndex('payment_proofs', ['debtor_id']);
+    await queryInterface.addIndex('payment_proofs', ['status', 'received_at']);
+
+    // Automatic acknowledgement sent when a proof arrives
+    await queryInterface.changeColumn('message_templates', 'message_type', {
+      type: Sequelize.ENUM(
+        'reminder', 'payment_confirmation', 'escalation', 'holding_reply',
+        'promise_date_request', 'promise_recorded', 'acknowledgment', 'plan_proposal', 'plan_accepted',
+        'payment_proof_received'
+      ),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkDelete('message_templates', { message_type: 'payment_proof_received' });
+    await queryInterface.changeColumn('message_templates', 'message_type', {
+      type: Sequelize.ENUM(
+        'reminder', 'payment_confirmation', 'escalation', 'holding_reply',
+        'promise_date_request', 'promise_recorded', 'acknowledgment', 'plan_proposal', 'plan_accepted'
+      ),
+      allowNull: false
+    });
+
+    await queryInterface.dropTable('payment_proofs');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('payment_proofs', 'extraction_status', {
+      type: Sequelize.ENUM('extracted', 'failed'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('payment_proofs', 'extraction', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('payment_proofs', 'suggested_payment', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    await queryInterface.addColumn('payment_proofs', 'flags', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('payment_proofs', 'flags');
+    await queryInterface.removeColumn('payment_proofs', 'suggested_payment');
+    await queryInterface.removeColumn('payment_proofs', 'extraction');
+    await queryInterface.removeColumn('payment_proofs', 'extraction_status');
+  }
+};
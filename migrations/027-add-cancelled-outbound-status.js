@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Queued reminders that were rerouted to another channel before WhatsApp sent them
+    await queryInterface.changeColumn('outbound_messages', 'status', {
+      type: Sequelize.ENUM('queued', 'sending', 'sent', 'dead_letter', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'queued'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkUpdate('outbound_messages', { status: 'dead_letter' }, { status: 'cancelled' });
+    await queryInterface.changeColumn('outbound_messages', 'status', {
+      type: Sequelize.ENUM('queued', 'sending', 'sent', 'dead_letter'),
+      allowNull: false,
+      defaultValue: 'queued'
+    });
+  }
+};
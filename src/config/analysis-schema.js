@@ -0,0 +1,154 @@
+// The shape analyzeDebtorResponse() returns. Model output is checked against it; output
+// that does not fit is sent back with a repair prompt, and unsure or failed analyses are
+// queued for a collector to review.
+
+const moment = require('moment');
+const { SUPPORTED_LANGUAGES } = require('./languages');
+const { readNumber } = require('../utils/env');
+
+const INTENTS = [
+  'payment_promise', 'dispute', 'financial_hardship', 'payment_plan_request',
+  'payment_plan_acceptance', 'question', 'acknowledgment', 'ignore', 'unknown'
+];
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+const URGENCIES = ['high', 'medium', 'low'];
+const PAYMENT_COMMITMENTS = ['yes', 'no', 'maybe'];
+const SUGGESTED_ACTIONS = ['follow_up', 'escalate', 'negotiate', 'close_case', 'wait'];
+
+const ENUM_FIELDS = {
+  intent: INTENTS,
+  sentiment: SENTIMENTS,
+  urgency: URGENCIES,
+  payment_commitment: PAYMENT_COMMITMENTS,
+  suggested_action: SUGGESTED_ACTIONS
+};
+
+// Fields a collector may correct when reviewing an analysis
+const REVIEWABLE_FIELDS = [...Object.keys(ENUM_FIELDS), 'promised_amount', 'promised_date'];
+
+// Used when no usable analysis came back; it always goes to the review queue
+const FALLBACK_ANALYSIS = {
+  intent: 'unknown',
+  sentiment: 'neutral',
+  urgency: 'medium',
+  payment_commitment: 'maybe',
+  suggested_action: 'follow_up',
+  promised_amount: null,
+  promised_date: null,
+  language: null,
+  confidence: 0.1,
+  summary: 'Analysis failed, manual review required'
+};
+
+const DEFAULT_MAX_REPAIRS = 1;
+const DEFAULT_REVIEW_CONFIDENCE = 0.6;
+
+function getAnalysisPolicy() {
+  return {
+    maxRepairs: Math.max(0, Math.floor(readNumber('ANALYSIS_MAX_REPAIRS', DEFAULT_MAX_REPAIRS))),
+    reviewConfidence: readNumber('ANALYSIS_REVIEW_CONFIDENCE', DEFAULT_REVIEW_CONFIDENCE)
+  };
+}
+
+// Field list for the repair prompt, so the model sees exactly what is allowed
+function describeAnalysisSchema() {
+  return [
+    ...Object.entries(ENUM_FIELDS).map(([field, values]) => `- ${field}: one of ${values.join(', ')}`),
+    '- promised_amount: a plain number, or null',
+    '- promised_date: a date as YYYY-MM-DD, or null',
+    `- language: one of ${SUPPORTED_LANGUAGES.join(', ')}, or null`,
+    '- confidence: a number from 0 to 1',
+    '- summary: a short text'
+  ].join('\n');
+}
+
+// Returns { analysis, errors }. The analysis holds only the schema fields, with enum
+// values trimmed and lower-cased; it is null when there are errors.
+function validateAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { analysis: null, errors: ['Output must be a JSON object'] };
+  }
+
+  const errors = [];
+  const analysis = {};
+
+  for (const [field, values] of Object.entries(ENUM_FIELDS)) {
+    const normalized = typeof value[field] === 'string' ? value[field].trim().toLowerCase() : value[field];
+    if (!values.includes(normalized)) {
+      errors.push(`${field} must be one of: ${values.join(', ')}`);
+    }
+    analysis[field] = normalized;
+  }
+
+  const amount = value.promised_amount;
+  if (amount === null || amount === undefined || amount === '') {
+    analysis.promised_amount = null;
+  } else if (Number.isFinite(Number(amount)) && Number(amount) > 0) {
+    analysis.promised_amount = Number(amount);
+  } else {
+    errors.push('promised_amount must be a positive number or null');
+  }
+
+  const date = value.promised_date;
+  if (date === null || date === undefined || date === '') {
+    analysis.promised_date = null;
+  } else if (typeof date === 'string' && moment(date, 'YYYY-MM-DD', true).isValid()) {
+    analysis.promised_date = date;
+  } else {
+    errors.push('promised_date must be a date as YYYY-MM-DD or null');
+  }
+
+  const language = typeof value.language === 'string' ? value.language.trim().toLowerCase() : value.language;
+  if (language === null || language === undefined || language === '') {
+    analysis.language = null;
+  } else if (SUPPORTED_LANGUAGES.includes(language)) {
+    analysis.language = language;
+  } else {
+    errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')} or null`);
+  }
+
+  const confidence = Number(value.confidence);
+  if (value.confidence === null || value.confidence === '' || !(confidence >= 0 && confidence <= 1)) {
+    errors.push('confidence must be a number from 0 to 1');
+  }
+  analysis.confidence = confidence;
+
+  if (typeof value.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+  analysis.summary = value.summary;
+
+  return errors.length > 0 ? { analysis: null, errors } : { analysis, errors };
+}
+
+// Parses raw model output. JSON mode returns bare JSON; other models may wrap it in a
+// code fence or a sentence, so the outermost object is taken from the text.
+function parseAnalysis(text) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    return { analysis: null, errors: ['Output does not contain a JSON object'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(match[0]);
+  } catch (error) {
+    return { analysis: null, errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  return validateAnalysis(value);
+}
+
+module.exports = {
+  INTENTS,
+  SENTIMENTS,
+  URGENCIES,
+  PAYMENT_COMMITMENTS,
+  SUGGESTED_ACTIONS,
+  REVIEWABLE_FIELDS,
+  FALLBACK_ANALYSIS,
+  getAnalysisPolicy,
+  describeAnalysisSchema,
+  validateAnalysis,
+  parseAnalysis
+};
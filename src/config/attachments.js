@@ -0,0 +1,69 @@
+// Files sent with reminders: the invoice stored on the debt and a generated payment
+// instruction PDF with the bank account and virtual account number
+
+const path = require('path');
+const { getLanguageChain } = require('./languages');
+const { readList } = require('../utils/env');
+
+const ATTACHMENT_KINDS = ['invoice', 'payment_instructions'];
+
+const DEFAULT_REMINDER_ATTACHMENTS = 'invoice,payment_instructions';
+
+// Labels for the instruction PDF and attachment captions. The PDF uses a Latin-1 font,
+// so other languages go through their fallback chain.
+const ATTACHMENT_LABELS = {
+  id: {
+    title: 'Instruksi Pembayaran',
+    invoice: 'Nomor invoice',
+    amount: 'Jumlah yang harus dibayar',
+    dueDate: 'Jatuh tempo',
+    bankName: 'Bank',
+    accountNumber: 'Nomor rekening',
+    accountName: 'Atas nama',
+    virtualAccount: 'Nomor virtual account',
+    note: 'Cantumkan nomor invoice sebagai berita transfer.',
+    invoiceCaption: 'Invoice {{invoiceNumber}}',
+    instructionsCaption: 'Instruksi pembayaran invoice {{invoiceNumber}}'
+  },
+  en: {
+    title: 'Payment Instructions',
+    invoice: 'Invoice number',
+    amount: 'Amount due',
+    dueDate: 'Due date',
+    bankName: 'Bank',
+    accountNumber: 'Account number',
+    accountName: 'Account name',
+    virtualAccount: 'Virtual account number',
+    note: 'Please quote the invoice number as the transfer reference.',
+    invoiceCaption: 'Invoice {{invoiceNumber}}',
+    instructionsCaption: 'Payment instructions for invoice {{invoiceNumber}}'
+  }
+};
+
+function getAttachmentLabels(language) {
+  const match = getLanguageChain(language).find(code => ATTACHMENT_LABELS[code]);
+  return ATTACHMENT_LABELS[match];
+}
+
+// Stored invoice paths are relative to the storage directory; generated files go there too.
+// Debt.bankDetails overrides the company account configured here.
+function getAttachmentPolicy() {
+  const kinds = readList('REMINDER_ATTACHMENTS', DEFAULT_REMINDER_ATTACHMENTS)
+    .filter(kind => ATTACHMENT_KINDS.includes(kind));
+
+  return {
+    reminderAttachments: [...new Set(kinds)],
+    storageDir: path.resolve(process.env.ATTACHMENT_STORAGE_DIR || 'storage'),
+    defaultBankDetails: {
+      bankName: process.env.PAYMENT_BANK_NAME || null,
+      accountNumber: process.env.PAYMENT_ACCOUNT_NUMBER || null,
+      accountName: process.env.PAYMENT_ACCOUNT_NAME || null
+    }
+  };
+}
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  getAttachmentLabels,
+  getAttachmentPolicy
+};
@@ -0,0 +1,117 @@
+// What an AI-written message may not say before it is sent to a debtor. Checked after
+// generation; a failing message is regenerated or replaced by a template.
+
+const { getGenerationLimits } = require('./llm');
+const { readNumber, readList } = require('../utils/env');
+
+const DEFAULT_MIN_MESSAGE_LENGTH = 0;
+const DEFAULT_MAX_REGENERATIONS = 1;
+
+// Invoice numbers as the debts table stores them (INV-2024-001, INV/24/17 ...)
+const DEFAULT_INVOICE_PATTERN = '\\bINV[-/.]?[A-Z0-9][A-Z0-9\\-/.]*';
+
+// Money written with a currency marker before or after the number
+const AMOUNT_PATTERN = /(?:\b(?:Rp|IDR|USD|EUR)\.?|US\$|\$|€)\s?(\d[\d.,]*)|(\d[\d.,]*)\s?(?:rupiah|IDR|USD|EUR)\b/gi;
+
+// Phrases per category, matched case-insensitively as whole words
+const DEFAULT_FORBIDDEN_PHRASES = {
+  threat: [
+    'kami akan datang ke rumah', 'datangi rumah', 'menyita', 'disita', 'kekerasan', 'awas kalau',
+    'kami tahu di mana anda', 'we will come to your house', 'seize', 'violence', 'you will regret'
+  ],
+  insult: [
+    'bodoh', 'tolol', 'goblok', 'penipu', 'maling', 'brengsek', 'tidak tahu malu',
+    'idiot', 'stupid', 'liar', 'thief', 'scammer', 'shameless'
+  ],
+  legal_claim: [
+    'penjara', 'dipenjara', 'pidana', 'kriminal', 'lapor polisi', 'dilaporkan ke polisi', 'ditangkap',
+    'jail', 'prison', 'arrest', 'criminal charges', 'police report'
+  ],
+  third_party: [
+    'keluarga anda', 'atasan anda', 'kantor anda', 'tetangga anda', 'rekan kerja anda',
+    'your family', 'your employer', 'your neighbours', 'your neighbors', 'your colleagues'
+  ]
+};
+
+function getCompliancePolicy() {
+  const forbiddenPhrases = Object.entries(DEFAULT_FORBIDDEN_PHRASES)
+    .flatMap(([category, phrases]) => phrases.map(phrase => ({ phrase, category })));
+  readList('COMPLIANCE_FORBIDDEN_PHRASES').forEach(phrase => forbiddenPhrases.push({ phrase, category: 'custom' }));
+
+  return {
+    forbiddenPhrases,
+    minLength: readNumber('COMPLIANCE_MIN_MESSAGE_LENGTH', DEFAULT_MIN_MESSAGE_LENGTH),
+    maxLength: getGenerationLimits().maxMessageLength,
+    maxRegenerations: readNumber('COMPLIANCE_MAX_REGENERATIONS', DEFAULT_MAX_REGENERATIONS),
+    invoicePattern: process.env.COMPLIANCE_INVOICE_PATTERN || DEFAULT_INVOICE_PATTERN
+  };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "1.500.000", "1,500,000.00" and "1.500.000,00" all read as 1500000
+function parseAmount(text) {
+  const trimmed = text.replace(/[.,]+$/, '');
+  const decimal = trimmed.match(/[.,](\d{1,2})$/);
+  const whole = decimal ? trimmed.slice(0, -decimal[0].length) : trimmed;
+  const value = parseInt(whole.replace(/[.,]/g, ''), 10);
+
+  return decimal ? value + parseInt(decimal[1], 10) / Math.pow(10, decimal[1].length) : value;
+}
+
+function findAmounts(message) {
+  return [...message.matchAll(AMOUNT_PATTERN)].map(match => ({
+    text: match[0].trim(),
+    value: parseAmount(match[1] || match[2])
+  }));
+}
+
+function findInvoiceNumbers(message, policy = getCompliancePolicy()) {
+  const pattern = new RegExp(policy.invoicePattern, 'gi');
+  return [...message.matchAll(pattern)].map(match => match[0].replace(/[.\-/]+$/, ''));
+}
+
+// Returns every rule the message breaks; empty when it may be sent. `facts` are the
+// amounts and invoice numbers the message is allowed to mention.
+function findViolations(message, { amounts = [], invoiceNumbers = [] } = {}, policy = getCompliancePolicy()) {
+  const violations = [];
+  const text = message || '';
+
+  if (policy.maxLength && text.length > policy.maxLength) {
+    violations.push({ rule: 'max_length', detail: `${text.length} characters, limit ${policy.maxLength}` });
+  }
+  if (policy.minLength && text.trim().length < policy.minLength) {
+    violations.push({ rule: 'min_length', detail: `${text.trim().length} characters, minimum ${policy.minLength}` });
+  }
+
+  for (const { phrase, category } of policy.forbiddenPhrases) {
+    if (new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}($|[^\\p{L}\\p{N}])`, 'iu').test(text)) {
+      violations.push({ rule: 'forbidden_phrase', detail: `${category}: "${phrase}"` });
+    }
+  }
+
+  const knownAmounts = amounts.map(Number).filter(amount => !Number.isNaN(amount));
+  for (const amount of findAmounts(text)) {
+    if (!knownAmounts.some(known => Math.abs(known - amount.value) < 1)) {
+      violations.push({ rule: 'amount_mismatch', detail: `${amount.text} does not match the debt` });
+    }
+  }
+
+  const knownInvoices = invoiceNumbers.filter(Boolean).map(invoice => invoice.toUpperCase());
+  for (const invoice of findInvoiceNumbers(text, policy)) {
+    if (!knownInvoices.includes(invoice.toUpperCase())) {
+      violations.push({ rule: 'invoice_mismatch', detail: `${invoice} is not an invoice of this debtor` });
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  DEFAULT_FORBIDDEN_PHRASES,
+  getCompliancePolicy,
+  parseAmount,
+  findAmounts,
+  findInvoiceNumbers,
+  findViolations
+};
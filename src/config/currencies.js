@@ -0,0 +1,28 @@
+// Currencies a debt can be billed in, and the one reports are converted to
+
+const SUPPORTED_CURRENCIES = ['IDR', 'USD', 'EUR'];
+
+// Debts without a currency are Rupiah
+const DEFAULT_CURRENCY = 'IDR';
+
+// A requested reporting currency is optional; REPORTING_CURRENCY applies without one
+function isReportingCurrency(requested) {
+  return !requested || SUPPORTED_CURRENCIES.includes(String(requested).toUpperCase());
+}
+
+// REPORTING_CURRENCY, unless a request asks for another supported currency
+function getReportingCurrency(requested = null) {
+  const currency = (requested || process.env.REPORTING_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new Error(`Reporting currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+  return currency;
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isReportingCurrency,
+  getReportingCurrency
+};
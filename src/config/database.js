@@ -3,36 +3,42 @@ const logger = require('../utils/logger');
 
 class Database {
   constructor() {
-    this.sequelize = null;
+    // Models bind to this instance at require time; connecting happens in initialize()
+    this.sequelize = new Sequelize(this.buildConfig());
     this.isConnected = false;
   }
 
+  buildConfig() {
+    const dialect = process.env.DB_DIALECT || 'mysql';
+
+    return {
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 3306,
+      database: process.env.DB_NAME || 'gemini_debt_agent',
+      username: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || '',
+      dialect,
+      logging: (msg) => logger.debug(msg),
+      pool: {
+        max: 10,
+        min: 0,
+        acquire: 30000,
+        idle: 10000
+      },
+      define: {
+        timestamps: true,
+        underscored: true,
+        freezeTableName: true
+      },
+      // SQLite (used by the test suite) always stores UTC and rejects a custom timezone
+      ...(dialect === 'sqlite'
+        ? { storage: process.env.DB_STORAGE || ':memory:' }
+        : { timezone: '+07:00' }) // Jakarta timezone
+    };
+  }
+
   async initialize() {
     try {
-      const config = {
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 3306,
-        database: process.env.DB_NAME || 'gemini_debt_agent',
-        username: process.env.DB_USER || 'root',
-        password: process.env.DB_PASSWORD || '',
-        dialect: process.env.DB_DIALECT || 'mysql',
-        logging: (msg) => logger.debug(msg),
-        pool: {
-          max: 10,
-          min: 0,
-          acquire: 30000,
-          idle: 10000
-        },
-        define: {
-          timestamps: true,
-          underscored: true,
-          freezeTableName: true
-        },
-        timezone: '+07:00' // Jakarta timezone
-      };
-
-      this.sequelize = new Sequelize(config);
-
       // Test connection
       await this.sequelize.authenticate();
       this.isConnected = true;
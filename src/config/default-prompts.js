@@ -0,0 +1,169 @@
+// Built-in prompts, used when no version is published in prompt_templates for the
+// prompt key and the debtor's language. Same {{name}} placeholders as message templates.
+
+const PROMPT_KEYS = ['debt_reminder', 'payment_confirmation', 'escalation', 'response_analysis'];
+
+// Variables GeminiService fills for each prompt
+const PROMPT_VARIABLES = {
+  debt_reminder: [
+    'name', 'phone', 'company', 'languageName', 'tone', 'amount', 'dueDate', 'daysOverdue',
+    'invoiceNumber', 'description', 'installmentSection', 'reminderLevel', 'previousReminders',
+    'maxWords', 'paymentLinkSection'
+  ],
+  payment_confirmation: [
+    'name', 'company', 'languageName', 'amount', 'date', 'method', 'reference', 'remainingBalance'
+  ],
+  escalation: [
+    'name', 'company', 'languageName', 'amount', 'daysOverdue', 'previousReminders', 'escalationType'
+  ],
+  response_analysis: ['debtorMessage', 'today', 'supportedLanguages']
+};
+
+// A prompt without these cannot produce a message about the right debt
+const REQUIRED_PROMPT_VARIABLES = {
+  debt_reminder: ['name', 'amount'],
+  payment_confirmation: ['name', 'amount'],
+  escalation: ['name', 'amount'],
+  response_analysis: ['debtorMessage']
+};
+
+const DEFAULT_PROMPTS = {
+  debt_reminder: `
+You are a professional debt collection AI assistant. Generate a {{tone}} WhatsApp message in {{languageName}} language for debt collection.
+
+Debtor Information:
+- Name: {{name}}
+- Phone: {{phone}}
+- Company: {{company}}
+
+Debt Details:
+- Amount: {{amount}}
+- Due Date: {{dueDate}}
+- Days Overdue: {{daysOverdue}}
+- Invoice Number: {{invoiceNumber}}
+- Description: {{description}}
+
+{{installmentSection}}
+{{paymentLinkSection}}
+Reminder Level: {{reminderLevel}}/5
+Previous Reminders: {{previousReminders}}
+
+Guidelines:
+1. Use respectful {{languageName}} language
+2. Be clear about the debt amount and due date
+3. Include payment instructions if available
+4. Adjust tone based on reminder level (1=gentle, 5=final warning)
+5. Keep message under {{maxWords}} words
+6. Include company contact information
+7. Be professional but human-like
+8. For higher reminder levels, mention potential consequences
+9. Always provide a way for the debtor to respond or contact
+
+Generate only the message content, no additional formatting or explanations.
+`,
+
+  payment_confirmation: `
+Generate a professional payment confirmation message in {{languageName}} for WhatsApp.
+
+Debtor Information:
+- Name: {{name}}
+- Company: {{company}}
+
+Payment Details:
+- Amount Paid: {{amount}}
+- Payment Date: {{date}}
+- Payment Method: {{method}}
+- Reference Number: {{reference}}
+- Remaining Balance: {{remainingBalance}}
+
+Guidelines:
+1. Thank the debtor for the payment
+2. Confirm the payment details
+3. Mention remaining balance if any
+4. Be warm and professional
+5. Keep message concise
+6. Include contact information for questions
+
+Generate only the message content.
+`,
+
+  escalation: `
+Generate a professional escalation message in {{languageName}} for debt collection.
+
+Debtor Information:
+- Name: {{name}}
+- Company: {{company}}
+
+Debt Details:
+- Amount: {{amount}}
+- Days Overdue: {{daysOverdue}}
+- Previous Reminders: {{previousReminders}}
+
+Escalation Type: {{escalationType}}
+
+Guidelines:
+1. Maintain professional tone
+2. Clearly state the escalation consequences
+3. Provide final opportunity to resolve
+4. Include specific timeline for response
+5. Mention legal implications if applicable
+6. Keep message formal but not threatening
+7. Include contact information for immediate resolution
+
+Generate only the message content.
+`,
+
+  response_analysis: `
+Analyze this debtor's WhatsApp message and categorize their intent. Respond with a JSON object.
+
+Debtor Message: "{{debtorMessage}}"
+Today's Date: {{today}}
+
+Analyze for:
+1. Intent (payment_promise, dispute, financial_hardship, payment_plan_request, payment_plan_acceptance, question, acknowledgment, ignore). Use payment_plan_acceptance only when the debtor agrees to an installment plan we offered earlier
+2. Sentiment (positive, negative, neutral)
+3. Urgency (high, medium, low)
+4. Payment commitment (yes, no, maybe)
+5. Suggested action (follow_up, escalate, negotiate, close_case, wait)
+6. For payment promises: the promised amount as a plain number (null if not stated) and the promised payment date as YYYY-MM-DD, resolving relative dates such as "besok" or "Jumat depan" against today's date (null if not stated)
+7. Language the message is written in, as one of these codes: {{supportedLanguages}} (null if it is too short to tell or in another language)
+
+Respond only with a JSON object in this format:
+{
+  "intent": "category",
+  "sentiment": "sentiment",
+  "urgency": "level",
+  "payment_commitment": "yes/no/maybe",
+  "suggested_action": "action",
+  "promised_amount": null,
+  "promised_date": null,
+  "language": "id",
+  "confidence": 0.95,
+  "summary": "Brief summary of the message"
+}
+`
+};
+
+// Sent when a response_analysis answer does not match the analysis schema
+// (src/config/analysis-schema.js). Not editable through the prompt API.
+const ANALYSIS_REPAIR_PROMPT = `
+Your previous answer to the task below could not be used:
+{{errors}}
+
+Previous answer:
+{{output}}
+
+Task:
+{{prompt}}
+
+Respond again with only a JSON object with exactly these fields:
+{{schema}}
+`;
+
+module.exports = {
+  PROMPT_KEYS,
+  PROMPT_VARIABLES,
+  REQUIRED_PROMPT_VARIABLES,
+  DEFAULT_PROMPTS,
+  ANALYSIS_REPAIR_PROMPT
+};
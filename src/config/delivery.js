@@ -0,0 +1,36 @@
+// Delivery tracking for WhatsApp reminders and the channels used when WhatsApp does not
+// deliver them in time
+
+const { readNumber, readList } = require('../utils/env');
+
+// Channels a reminder can be rerouted to, with the Debtor attribute holding the address
+const FALLBACK_CHANNELS = {
+  sms: 'phone',
+  email: 'email'
+};
+
+const DEFAULT_UNDELIVERED_MINUTES = 1440;
+const DEFAULT_FALLBACK_CHANNELS = 'sms,email';
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+
+// A channel is only used when its gateway webhook is configured; 0 minutes disables rerouting
+function getDeliveryPolicy() {
+  const channels = readList('REMINDER_FALLBACK_CHANNELS', DEFAULT_FALLBACK_CHANNELS)
+    .map(channel => channel.toLowerCase())
+    .filter(channel => FALLBACK_CHANNELS[channel]);
+
+  return {
+    undeliveredMinutes: readNumber('REMINDER_UNDELIVERED_MINUTES', DEFAULT_UNDELIVERED_MINUTES),
+    fallbackChannels: [...new Set(channels)],
+    webhooks: {
+      sms: process.env.SMS_WEBHOOK_URL || null,
+      email: process.env.EMAIL_WEBHOOK_URL || null
+    },
+    webhookTimeoutMs: readNumber('CHANNEL_WEBHOOK_TIMEOUT_MS', DEFAULT_WEBHOOK_TIMEOUT_MS)
+  };
+}
+
+module.exports = {
+  FALLBACK_CHANNELS,
+  getDeliveryPolicy
+};
@@ -0,0 +1,234 @@
+// Built-in fallback messages, used when the LLM cannot produce a usable message and
+// no active template for the same type/level/language exists in message_templates.
+// Placeholders use the {{name}} syntax of renderTemplate() (src/utils/template.js).
+
+// holding_reply stands in for an automatic reply that failed the compliance check.
+// The promise, acknowledgment and plan types are the fixed replies to those intents;
+// they have no AI version, so these templates are what the debtor always receives.
+// payment_proof_received acknowledges a receipt photo or transfer slip.
+const TEMPLATE_MESSAGE_TYPES = [
+  'reminder', 'payment_confirmation', 'escalation', 'holding_reply',
+  'promise_date_request', 'promise_recorded', 'acknowledgment', 'plan_proposal', 'plan_accepted',
+  'payment_proof_received'
+];
+
+// Variables each message type is rendered with
+const TEMPLATE_VARIABLES = {
+  reminder: ['name', 'company', 'amount', 'dueDate', 'daysOverdue', 'invoiceNumber', 'level'],
+  payment_confirmation: ['name', 'company', 'amount', 'date', 'reference', 'remainingBalance'],
+  escalation: ['name', 'company', 'amount', 'daysOverdue', 'previousReminders', 'escalationType', 'invoiceNumber'],
+  holding_reply: ['name', 'company'],
+  promise_date_request: ['name', 'company', 'amount'],
+  promise_recorded: ['name', 'company', 'amount', 'promisedAmount', 'promisedDate'],
+  acknowledgment: ['name', 'company', 'amount'],
+  plan_proposal: ['name', 'company', 'invoiceNumber', 'amount', 'schedule'],
+  plan_accepted: ['name', 'company', 'nextPayment'],
+  payment_proof_received: ['name', 'company', 'invoiceNumber']
+};
+
+// Pieces of the installment schedule rendered into {{schedule}} and {{nextPayment}},
+// looked up along the same language fallback chain as the templates
+const SCHEDULE_LABELS = {
+  id: {
+    downPayment: 'Uang muka',
+    installment: 'Cicilan {{sequence}}',
+    line: '{{label}}: {{amount}}, paling lambat {{dueDate}}',
+    nextPayment: 'Pembayaran berikutnya:'
+  },
+  en: {
+    downPayment: 'Down payment',
+    installment: 'Installment {{sequence}}',
+    line: '{{label}}: {{amount}}, due by {{dueDate}}',
+    nextPayment: 'Next payment:'
+  }
+};
+
+// Stand-in for the debtor's first turn when the AI chat history opens with our reminder,
+// looked up along the same language fallback chain as the templates
+const CONVERSATION_LABELS = {
+  id: {
+    opening: '(Percakapan dimulai dengan pesan pengingat dari kami.)'
+  },
+  en: {
+    opening: '(The conversation starts with our reminder message.)'
+  }
+};
+
+const DEFAULT_TEMPLATES = [
+  {
+    messageType: 'reminder',
+    level: 1,
+    language: 'id',
+    body: 'Yth. {{name}},\n\nKami ingin mengingatkan dengan hormat bahwa tagihan {{invoiceNumber}} sebesar {{amount}} telah jatuh tempo pada {{dueDate}} ({{daysOverdue}} hari).\n\nMohon abaikan pesan ini jika pembayaran sudah dilakukan. Terima kasih.'
+  },
+  {
+    messageType: 'reminder',
+    level: 2,
+    language: 'id',
+    body: 'Yth. {{name}},\n\nKami informasikan kembali bahwa tagihan {{invoiceNumber}} sebesar {{amount}} belum kami terima, sudah terlambat {{daysOverdue}} hari sejak {{dueDate}}.\n\nMohon segera lakukan pembayaran atau balas pesan ini untuk konfirmasi. Terima kasih.'
+  },
+  {
+    messageType: 'reminder',
+    level: 3,
+    language: 'id',
+    body: 'Yth. {{name}},\n\nKami meminta perhatian serius Anda atas tagihan {{invoiceNumber}} sebesar {{amount}} yang terlambat {{daysOverdue}} hari.\n\nMohon lakukan pembayaran dalam 3 hari atau hubungi kami untuk solusi pembayaran.'
+  },
+  {
+    messageType: 'reminder',
+    level: 4,
+    language: 'id',
+    body: 'Yth. {{name}},\n\nDengan ini kami tegaskan bahwa tagihan {{invoiceNumber}} sebesar {{amount}} telah terlambat {{daysOverdue}} hari.\n\nJika tidak ada pembayaran atau tanggapan, kami akan mengambil langkah penagihan lanjutan.'
+  },
+  {
+    messageType: 'reminder',
+    level: 5,
+    language: 'id',
+    body: 'Yth. {{name}},\n\nIni adalah peringatan terakhir kami untuk tagihan {{invoiceNumber}} sebesar {{amount}} yang terlambat {{daysOverdue}} hari.\n\nTanpa pembayaran atau tanggapan dalam 2 hari, tagihan ini akan kami eskalasi sesuai ketentuan yang berlaku.'
+  },
+  {
+    messageType: 'reminder',
+    level: 1,
+    language: 'en',
+    body: 'Dear {{name}},\n\nThis is a friendly reminder that invoice {{invoiceNumber}} for {{amount}} was due on {{dueDate}} ({{daysOverdue}} days ago).\n\nPlease disregard this message if you have already paid. Thank you.'
+  },
+  {
+    messageType: 'reminder',
+    level: 2,
+    language: 'en',
+    body: 'Dear {{name}},\n\nWe have not yet received payment for invoice {{invoiceNumber}} of {{amount}}, now {{daysOverdue}} days overdue since {{dueDate}}.\n\nPlease make the payment or reply to this message to confirm. Thank you.'
+  },
+  {
+    messageType: 'reminder',
+    level: 3,
+    language: 'en',
+    body: 'Dear {{name}},\n\nInvoice {{invoiceNumber}} for {{amount}} is {{daysOverdue}} days overdue and requires your urgent attention.\n\nPlease pay within 3 days or contact us to discuss a payment arrangement.'
+  },
+  {
+    messageType: 'reminder',
+    level: 4,
+    language: 'en',
+    body: 'Dear {{name}},\n\nInvoice {{invoiceNumber}} for {{amount}} is now {{daysOverdue}} days overdue.\n\nWithout payment or a response, we will proceed with further collection steps.'
+  },
+  {
+    messageType: 'reminder',
+    level: 5,
+    language: 'en',
+    body: 'Dear {{name}},\n\nThis is our final notice for invoice {{invoiceNumber}} of {{amount}}, {{daysOverdue}} days overdue.\n\nWithout payment or a response within 2 days, this invoice will be escalated in accordance with the applicable terms.'
+  },
+  {
+    messageType: 'payment_confirmation',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}}, pembayaran sebesar {{amount}} pada {{date}} sudah kami terima.\n\nSisa tagihan Anda saat ini: {{remainingBalance}}.'
+  },
+  {
+    messageType: 'payment_confirmation',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}}, we have received your payment of {{amount}} on {{date}}.\n\nYour remaining balance is {{remainingBalance}}.'
+  },
+  {
+    messageType: 'escalation',
+    level: null,
+    language: 'id',
+    body: 'Yth. {{name}},\n\nTagihan {{invoiceNumber}} sebesar {{amount}} telah terlambat {{daysOverdue}} hari dan belum ada penyelesaian setelah {{previousReminders}} pengingat.\n\nKasus ini kami teruskan ke tahap {{escalationType}}. Hubungi kami dalam 3 hari untuk menyelesaikan sebelum proses berjalan.'
+  },
+  {
+    messageType: 'escalation',
+    level: null,
+    language: 'en',
+    body: 'Dear {{name}},\n\nInvoice {{invoiceNumber}} for {{amount}} is {{daysOverdue}} days overdue and remains unresolved after {{previousReminders}} reminders.\n\nThis case is being referred for {{escalationType}} action. Please contact us within 3 days to settle it before the process begins.'
+  },
+  {
+    messageType: 'holding_reply',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}}, pesan Anda sudah kami terima. Petugas kami akan segera menindaklanjutinya.'
+  },
+  {
+    messageType: 'holding_reply',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}}, we have received your message. One of our staff will follow up shortly.'
+  },
+  {
+    messageType: 'promise_date_request',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}} atas kesediaan Anda untuk membayar. Mohon informasikan tanggal pembayaran yang dapat Anda pastikan agar kami dapat mencatat komitmen Anda.\n\nTotal yang harus dibayar: {{amount}}\n\nTerima kasih atas kerjasamanya.'
+  },
+  {
+    messageType: 'promise_date_request',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}} for your willingness to pay. Please let us know the date you can commit to so we can record your payment promise.\n\nTotal amount due: {{amount}}\n\nThank you for your cooperation.'
+  },
+  {
+    messageType: 'promise_recorded',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}} atas konfirmasi pembayaran Anda. Kami telah mencatat komitmen Anda untuk membayar {{promisedAmount}} paling lambat tanggal {{promisedDate}}. Jika ada kendala, silakan hubungi kami segera.\n\nTotal yang harus dibayar: {{amount}}\n\nTerima kasih atas kerjasamanya.'
+  },
+  {
+    messageType: 'promise_recorded',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}} for confirming your payment. We have recorded your promise to pay {{promisedAmount}} no later than {{promisedDate}}. If anything comes up, please contact us right away.\n\nTotal amount due: {{amount}}\n\nThank you for your cooperation.'
+  },
+  {
+    messageType: 'acknowledgment',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}} atas tanggapan Anda. Kami menunggu pembayaran segera untuk menyelesaikan kewajiban sebesar {{amount}}.\n\nJika memerlukan bantuan atau informasi lebih lanjut, silakan hubungi kami.'
+  },
+  {
+    messageType: 'acknowledgment',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}} for your reply. We look forward to your payment to settle the outstanding amount of {{amount}}.\n\nIf you need help or more information, please contact us.'
+  },
+  {
+    messageType: 'plan_proposal',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}} telah menyampaikan kondisi Anda. Kami dapat menawarkan pembayaran bertahap untuk tagihan {{invoiceNumber}} sebesar {{amount}} dengan jadwal berikut:\n\n{{schedule}}\n\nBalas "SETUJU" jika Anda menyetujui jadwal ini, atau sampaikan kepada kami jika memerlukan penyesuaian.'
+  },
+  {
+    messageType: 'plan_proposal',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}} for letting us know about your situation. We can offer an installment plan for invoice {{invoiceNumber}} of {{amount}} with the following schedule:\n\n{{schedule}}\n\nReply "AGREE" if you accept this schedule, or let us know if you need any changes.'
+  },
+  {
+    messageType: 'plan_accepted',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}}, rencana pembayaran bertahap Anda telah kami aktifkan.{{nextPayment}}\n\nKami akan mengirimkan pengingat pada setiap jatuh tempo cicilan. Jika ada kendala, silakan hubungi kami.'
+  },
+  {
+    messageType: 'plan_accepted',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}}, your installment plan is now active.{{nextPayment}}\n\nWe will send a reminder before each installment is due. If anything comes up, please contact us.'
+  },
+  {
+    messageType: 'payment_proof_received',
+    level: null,
+    language: 'id',
+    body: 'Terima kasih {{name}}, bukti pembayaran untuk tagihan {{invoiceNumber}} sudah kami terima. Petugas kami akan memverifikasinya dan mengirimkan konfirmasi setelah pembayaran tercatat.'
+  },
+  {
+    messageType: 'payment_proof_received',
+    level: null,
+    language: 'en',
+    body: 'Thank you {{name}}, we have received your proof of payment for invoice {{invoiceNumber}}. Our staff will verify it and send a confirmation once the payment is recorded.'
+  }
+];
+
+module.exports = {
+  TEMPLATE_MESSAGE_TYPES,
+  TEMPLATE_VARIABLES,
+  SCHEDULE_LABELS,
+  CONVERSATION_LABELS,
+  DEFAULT_TEMPLATES
+};
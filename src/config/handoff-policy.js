@@ -0,0 +1,46 @@
+// When an inbound reply takes the AI out of a conversation and hands it to a collector
+
+const { readNumber, readList } = require('../utils/env');
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+const DEFAULT_SENTIMENTS = 'negative';
+const DEFAULT_INTENTS = '';
+const DEFAULT_MODE = 'human';
+
+const HANDOFF_MODES = ['human', 'ai_draft'];
+
+// An explicitly empty sentiment or intent list disables that trigger
+function getHandoffPolicy() {
+  const mode = process.env.HANDOFF_MODE;
+
+  return {
+    minConfidence: readNumber('HANDOFF_MIN_CONFIDENCE', DEFAULT_MIN_CONFIDENCE),
+    sentiments: readList('HANDOFF_SENTIMENTS', DEFAULT_SENTIMENTS),
+    intents: readList('HANDOFF_INTENTS', DEFAULT_INTENTS),
+    mode: HANDOFF_MODES.includes(mode) ? mode : DEFAULT_MODE
+  };
+}
+
+// Returns why the reply needs a collector, or null when the AI may answer it
+function getHandoffReason(analysis, policy = getHandoffPolicy()) {
+  const confidence = parseFloat(analysis.confidence);
+  if (!(confidence >= policy.minConfidence)) {
+    return 'low_confidence';
+  }
+
+  if (policy.sentiments.includes(analysis.sentiment)) {
+    return `sentiment:${analysis.sentiment}`;
+  }
+
+  if (policy.intents.includes(analysis.intent)) {
+    return `intent:${analysis.intent}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  HANDOFF_MODES,
+  getHandoffPolicy,
+  getHandoffReason
+};
@@ -0,0 +1,60 @@
+// Languages debtors can be contacted in. Adding one here (and its name for the
+// prompts) is enough: debtors.language is a plain string validated against this list.
+
+const SUPPORTED_LANGUAGES = ['id', 'en', 'jv', 'su', 'zh'];
+
+const DEFAULT_LANGUAGE = 'id';
+
+// How prompts ask the LLM for each language
+const LANGUAGE_NAMES = {
+  id: 'Indonesian',
+  en: 'English',
+  jv: 'Javanese',
+  su: 'Sundanese',
+  zh: 'Mandarin Chinese (Simplified)'
+};
+
+// Number and currency formatting for messages in each language
+const LANGUAGE_LOCALES = {
+  id: 'id-ID',
+  en: 'en-US',
+  jv: 'id-ID',
+  su: 'id-ID',
+  zh: 'zh-CN'
+};
+
+// Where a template lookup goes when nothing exists in the debtor's language;
+// the default language always comes last
+const LANGUAGE_FALLBACKS = {
+  jv: ['id'],
+  su: ['id'],
+  zh: ['en']
+};
+
+function getLanguageName(language) {
+  return LANGUAGE_NAMES[language] || LANGUAGE_NAMES[DEFAULT_LANGUAGE];
+}
+
+function getLocale(language) {
+  return LANGUAGE_LOCALES[language] || LANGUAGE_LOCALES[DEFAULT_LANGUAGE];
+}
+
+// The language itself, its fallbacks, then the default language
+function getLanguageChain(language = DEFAULT_LANGUAGE) {
+  return [...new Set([language, ...(LANGUAGE_FALLBACKS[language] || []), DEFAULT_LANGUAGE])];
+}
+
+// Inbound replies switch the debtor's language unless LANGUAGE_AUTO_DETECT=false
+function isLanguageAutoDetectEnabled() {
+  return process.env.LANGUAGE_AUTO_DETECT !== 'false';
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_NAMES,
+  getLanguageName,
+  getLocale,
+  getLanguageChain,
+  isLanguageAutoDetectEnabled
+};
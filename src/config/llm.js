@@ -0,0 +1,58 @@
+// Which LLM backend generates messages. Set per environment through .env;
+// the test environment defaults to the offline provider.
+
+const { readNumber } = require('../utils/env');
+
+const PROVIDERS = ['gemini', 'local'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-pro',
+  local: 'local-rules'
+};
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_MESSAGE_LENGTH = 1600;
+
+function getLlmConfig() {
+  const defaultProvider = process.env.NODE_ENV === 'test' ? 'local' : 'gemini';
+  const provider = (process.env.LLM_PROVIDER || defaultProvider).toLowerCase();
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}"; expected one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+    apiKey: process.env.GEMINI_API_KEY
+  };
+}
+
+// Beyond these limits an outgoing message falls back to a template
+function getGenerationLimits() {
+  return {
+    timeoutMs: readNumber('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+    maxMessageLength: readNumber('LLM_MAX_MESSAGE_LENGTH', DEFAULT_MAX_MESSAGE_LENGTH)
+  };
+}
+
+// Spend limits per calendar day and month (server time); 0 means no limit. Costs are
+// estimated from the per-1K-token prices, in the currency the model is billed in.
+// Once a limit is reached, calls are skipped and the callers use their template fallbacks.
+function getUsageBudget() {
+  return {
+    dailyTokens: readNumber('LLM_DAILY_TOKEN_BUDGET', 0),
+    monthlyTokens: readNumber('LLM_MONTHLY_TOKEN_BUDGET', 0),
+    dailyCost: readNumber('LLM_DAILY_COST_BUDGET', 0),
+    monthlyCost: readNumber('LLM_MONTHLY_COST_BUDGET', 0),
+    inputCostPer1k: readNumber('LLM_INPUT_COST_PER_1K_TOKENS', 0),
+    outputCostPer1k: readNumber('LLM_OUTPUT_COST_PER_1K_TOKENS', 0)
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  getLlmConfig,
+  getGenerationLimits,
+  getUsageBudget
+};
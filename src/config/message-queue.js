@@ -0,0 +1,58 @@
+// Pacing and retry policy for the outbound WhatsApp queue (MessageQueueService)
+
+const { readNumber } = require('../utils/env');
+
+// Lower numbers go out first
+const MESSAGE_PRIORITIES = {
+  high: 1,
+  normal: 5,
+  bulk: 9
+};
+
+// Priority by reminder_logs.message_type: answers to the debtor and payment confirmations
+// before scheduled reminders. Bulk and scheduler runs pass 'bulk' explicitly.
+const MESSAGE_TYPE_PRIORITIES = {
+  payment_confirmation: 'high',
+  auto_response: 'high',
+  manual: 'high',
+  reminder: 'normal',
+  escalation: 'normal',
+  promise_follow_up: 'normal'
+};
+
+const DEFAULT_GLOBAL_PER_MINUTE = 30;
+const DEFAULT_PER_NUMBER_PER_MINUTE = 5;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 30000;
+const DEFAULT_RETRY_MAX_MS = 3600000;
+const DEFAULT_POLL_MS = 5000;
+
+// Rate limits count messages sent in the last minute; 0 disables a limit
+function getQueuePolicy() {
+  return {
+    globalPerMinute: readNumber('MESSAGE_QUEUE_GLOBAL_PER_MINUTE', DEFAULT_GLOBAL_PER_MINUTE),
+    perNumberPerMinute: readNumber('MESSAGE_QUEUE_PER_NUMBER_PER_MINUTE', DEFAULT_PER_NUMBER_PER_MINUTE),
+    maxAttempts: Math.max(1, readNumber('MESSAGE_QUEUE_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS)),
+    retryBaseMs: readNumber('MESSAGE_QUEUE_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS),
+    retryMaxMs: readNumber('MESSAGE_QUEUE_RETRY_MAX_MS', DEFAULT_RETRY_MAX_MS),
+    pollMs: readNumber('MESSAGE_QUEUE_POLL_MS', DEFAULT_POLL_MS)
+  };
+}
+
+// Accepts a priority name or a message type; unknown values get normal priority
+function getMessagePriority(priorityOrType) {
+  const name = MESSAGE_PRIORITIES[priorityOrType] ? priorityOrType : MESSAGE_TYPE_PRIORITIES[priorityOrType];
+  return MESSAGE_PRIORITIES[name || 'normal'];
+}
+
+// Exponential backoff after the given number of failed attempts
+function getRetryDelay(attempts, policy = getQueuePolicy()) {
+  return Math.min(policy.retryBaseMs * 2 ** (attempts - 1), policy.retryMaxMs);
+}
+
+module.exports = {
+  MESSAGE_PRIORITIES,
+  getQueuePolicy,
+  getMessagePriority,
+  getRetryDelay
+};
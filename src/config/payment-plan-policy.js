@@ -0,0 +1,67 @@
+// Limits every installment plan must stay within, whether proposed by the AI or a collector
+
+const { readNumber } = require('../utils/env');
+
+const DEFAULT_MAX_INSTALLMENTS = 6;
+const DEFAULT_MIN_DOWN_PAYMENT_PERCENT = 20;
+const DEFAULT_INSTALLMENT_INTERVAL_DAYS = 30;
+const DEFAULT_DOWN_PAYMENT_DUE_DAYS = 3;
+
+function getPaymentPlanPolicy() {
+  return {
+    maxInstallments: readNumber('PAYMENT_PLAN_MAX_INSTALLMENTS', DEFAULT_MAX_INSTALLMENTS),
+    minDownPaymentPercent: readNumber('PAYMENT_PLAN_MIN_DOWN_PAYMENT_PERCENT', DEFAULT_MIN_DOWN_PAYMENT_PERCENT),
+    installmentIntervalDays: readNumber('PAYMENT_PLAN_INTERVAL_DAYS', DEFAULT_INSTALLMENT_INTERVAL_DAYS),
+    downPaymentDueDays: readNumber('PAYMENT_PLAN_DOWN_PAYMENT_DUE_DAYS', DEFAULT_DOWN_PAYMENT_DUE_DAYS)
+  };
+}
+
+function getMinDownPayment(totalAmount, policy = getPaymentPlanPolicy()) {
+  return Math.ceil(totalAmount * policy.minDownPaymentPercent / 100);
+}
+
+// Returns a list of violations; empty when the terms are acceptable
+function validatePlanTerms({ installmentCount, downPayment }, totalAmount, policy = getPaymentPlanPolicy()) {
+  const errors = [];
+  const minDownPayment = getMinDownPayment(totalAmount, policy);
+
+  if (!Number.isInteger(installmentCount) || installmentCount < 1) {
+    errors.push('installmentCount must be a positive integer');
+  } else if (installmentCount > policy.maxInstallments) {
+    errors.push(`installmentCount may not exceed ${policy.maxInstallments}`);
+  }
+
+  if (typeof downPayment !== 'number' || Number.isNaN(downPayment)) {
+    errors.push('downPayment must be a number');
+  } else if (downPayment < minDownPayment) {
+    errors.push(`downPayment must be at least ${minDownPayment} (${policy.minDownPaymentPercent}% of ${totalAmount})`);
+  } else if (downPayment >= totalAmount) {
+    errors.push('downPayment must be less than the amount covered by the plan');
+  }
+
+  return errors;
+}
+
+// Pulls suggested terms (e.g. from the AI) inside the policy limits
+function clampPlanTerms({ installmentCount, downPayment } = {}, totalAmount, policy = getPaymentPlanPolicy()) {
+  const minDownPayment = getMinDownPayment(totalAmount, policy);
+
+  const suggestedCount = Math.round(Number(installmentCount));
+  const count = Number.isFinite(suggestedCount) && suggestedCount >= 1
+    ? Math.min(suggestedCount, policy.maxInstallments)
+    : policy.maxInstallments;
+
+  let down = Math.round(Number(downPayment));
+  if (!Number.isFinite(down) || down < minDownPayment || down >= totalAmount) {
+    down = minDownPayment;
+  }
+
+  return { installmentCount: count, downPayment: down };
+}
+
+module.exports = {
+  getPaymentPlanPolicy,
+  getMinDownPayment,
+  validatePlanTerms,
+  clampPlanTerms
+};
@@ -0,0 +1,103 @@
+// Files debtors send over WhatsApp as proof of payment, kept for a collector to verify,
+// and the details read off receipt images to pre-fill the payment
+
+const moment = require('moment');
+const { getAttachmentPolicy } = require('./attachments');
+const { readNumber } = require('../utils/env');
+
+// Receipt photos and PDF transfer slips; other files are ignored
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+// Why a proof's pre-filled payment needs a closer look before it is approved
+const PROOF_FLAGS = {
+  extraction_failed: 'The receipt could not be read',
+  debts_missing: 'None of the debts linked to the proof exist anymore',
+  low_confidence: 'The model was unsure about what it read',
+  amount_missing: 'No transfer amount was found',
+  amount_below_balance: 'The amount is less than the remaining balance',
+  amount_above_balance: 'The amount is more than the remaining balance',
+  currency_mismatch: 'The receipt is in a different currency from the debt',
+  invoice_mismatch: 'The invoice number on the receipt matches none of the open debts',
+  sender_mismatch: 'The sender name does not look like the debtor or their company',
+  date_in_future: 'The transfer date is in the future',
+  date_before_issue: 'The transfer date is before the invoice was issued',
+  duplicate_reference: 'Another proof carries the same transfer reference'
+};
+
+const DEFAULT_MAX_MB = 10;
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+const DEFAULT_AMOUNT_TOLERANCE_PERCENT = 1;
+
+// Proofs are stored under payment-proofs/ in the attachment storage directory. Amounts
+// within the tolerance of a debt's remaining balance count as paying it off when a
+// receipt is matched to a debt.
+function getPaymentProofPolicy() {
+  return {
+    acceptedMimeTypes: ACCEPTED_MIME_TYPES,
+    maxBytes: readNumber('PAYMENT_PROOF_MAX_MB', DEFAULT_MAX_MB) * 1024 * 1024,
+    storageDir: getAttachmentPolicy().storageDir,
+    extractionEnabled: process.env.RECEIPT_EXTRACTION !== 'false',
+    minConfidence: readNumber('RECEIPT_MIN_CONFIDENCE', DEFAULT_MIN_CONFIDENCE),
+    amountTolerancePercent: readNumber('RECEIPT_AMOUNT_TOLERANCE_PERCENT', DEFAULT_AMOUNT_TOLERANCE_PERCENT)
+  };
+}
+
+// "1.500.000", "1,500,000.00", "Rp 1.500.000,00" or a number
+function parseReceiptAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const digits = value
+    .replace(/[^\d.,]/g, '')
+    .replace(/[.,](?=\d{3}(?:[.,]|$))/g, '')
+    .replace(',', '.');
+  const amount = parseFloat(digits);
+  return amount > 0 ? amount : null;
+}
+
+function readText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Parses the model's receipt JSON into { amount, currency, date, senderName, bank,
+// reference, invoiceNumber, confidence }; anything unreadable becomes null. Returns
+// null when the output holds no JSON object.
+function parseReceiptDetails(text) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    return null;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+
+  const date = moment(value.date, 'YYYY-MM-DD', true);
+  const confidence = parseFloat(value.confidence);
+
+  return {
+    amount: parseReceiptAmount(value.amount),
+    currency: readText(value.currency) ? value.currency.trim().toUpperCase() : null,
+    date: date.isValid() ? date.format('YYYY-MM-DD') : null,
+    senderName: readText(value.sender_name),
+    bank: readText(value.bank),
+    reference: readText(value.reference),
+    invoiceNumber: readText(value.invoice_number),
+    confidence: Number.isNaN(confidence) ? 0 : Math.min(Math.max(confidence, 0), 1)
+  };
+}
+
+module.exports = {
+  ACCEPTED_MIME_TYPES,
+  PROOF_FLAGS,
+  getPaymentProofPolicy,
+  parseReceiptAmount,
+  parseReceiptDetails
+};
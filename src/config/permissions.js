@@ -0,0 +1,72 @@
+// Permission matrix for the roles defined in migrations/001-create-users.js
+const ALL_ROLES = ['admin', 'collector', 'viewer'];
+const STAFF_ROLES = ['admin', 'collector'];
+
+const PERMISSIONS = {
+  'debts:read': ALL_ROLES,
+  'debts:create': STAFF_ROLES,
+  'debts:update': STAFF_ROLES,
+  'debts:delete': ['admin'],
+  'debts:assign': ['admin'],
+  'debts:escalate': STAFF_ROLES,
+  'payments:create': STAFF_ROLES,
+  'payments:verify': STAFF_ROLES,
+
+  'debtors:read': ALL_ROLES,
+  'debtors:create': STAFF_ROLES,
+  'debtors:update': STAFF_ROLES,
+  'debtors:delete': ['admin'],
+  'debtors:blacklist': ['admin'],
+
+  'whatsapp:read': ALL_ROLES,
+  'whatsapp:send': STAFF_ROLES,
+  'whatsapp:bulk': ['admin'],
+  'whatsapp:manage': ['admin'],
+
+  'conversations:read': ALL_ROLES,
+  'conversations:reply': STAFF_ROLES,
+  'conversations:assign': ['admin'],
+  'analysis:review': STAFF_ROLES,
+
+  'templates:read': STAFF_ROLES,
+  'templates:manage': ['admin'],
+  'prompts:manage': ['admin'],
+  'experiments:manage': ['admin'],
+  'compliance:review': ['admin'],
+  'fx_rates:manage': ['admin'],
+  'ai_usage:read': ['admin'],
+
+  'dashboard:read': ALL_ROLES
+};
+
+// Roles that only see debts assigned to them
+const ASSIGNMENT_SCOPED_ROLES = ['collector'];
+
+function hasPermission(role, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+}
+
+function isAssignmentScoped(user) {
+  return ASSIGNMENT_SCOPED_ROLES.includes(user.role);
+}
+
+// Where-clause fragment restricting a Debt query to what the user may see
+function getDebtScope(user) {
+  return isAssignmentScoped(user) ? { assignedToId: user.id } : {};
+}
+
+function canAccessDebt(user, debt) {
+  return !isAssignmentScoped(user) || debt.assignedToId === user.id;
+}
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  isAssignmentScoped,
+  getDebtScope,
+  canAccessDebt
+};
@@ -112,6 +112,14 @@ class GeminiDebtAgent {
     // Initialize debt collection service
     this.debtCollectionService = new DebtCollectionService(this.whatsappService);
     
+    // Deliver queued outbound messages, including any left over from the last run
+    await this.debtCollectionService.messageQueue.start();
+    
+    // Expose services to route handlers
+    this.app.locals.whatsappService = this.whatsappService;
+    this.app.locals.debtCollectionService = this.debtCollectionService;
+    this.app.locals.messageQueue = this.debtCollectionService.messageQueue;
+    
     logger.info('All services initialized successfully');
   }
 
@@ -129,6 +137,10 @@ class GeminiDebtAgent {
   async shutdown() {
     logger.info('Shutting down GeminiDebtAgent...');
     
+    if (this.debtCollectionService) {
+      this.debtCollectionService.messageQueue.stop();
+    }
+    
     if (this.whatsappService) {
       await this.whatsappService.disconnect();
     }
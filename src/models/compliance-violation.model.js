@@ -0,0 +1,102 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+// An AI-written message that failed the compliance check, kept for review
+class ComplianceViolation extends Model {
+  // Static methods
+  static async findPending(options = {}) {
+    return await this.findAll({
+      where: { reviewStatus: 'pending' },
+      order: [['createdAt', 'ASC']],
+      ...options
+    });
+  }
+}
+
+// Define model attributes
+const complianceViolationAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  // reminder_logs.message_type the message was generated for
+  messageType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // The rejected text; it was never sent
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // [{ rule, detail }]
+  violations: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  // 1 for the first generation, 2 for the first regeneration, ...
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // What happened instead of sending it
+  outcome: {
+    type: DataTypes.ENUM('regenerated', 'template'),
+    allowNull: false
+  },
+  reviewStatus: {
+    type: DataTypes.ENUM('pending', 'reviewed'),
+    defaultValue: 'pending'
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const complianceViolationOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'ComplianceViolation',
+  tableName: 'compliance_violations',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id'] },
+    { fields: ['review_status'] }
+  ]
+};
+
+// Initialize the model
+ComplianceViolation.init(complianceViolationAttributes, complianceViolationOptions);
+
+module.exports = ComplianceViolation;
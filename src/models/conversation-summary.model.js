@@ -0,0 +1,58 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+class ConversationSummary extends Model {
+  // Static methods
+  static async findByDebtor(debtorId, options = {}) {
+    return await this.findOne({
+      where: { debtorId },
+      ...options
+    });
+  }
+}
+
+// Define model attributes
+const conversationSummaryAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Turns at or before this timestamp are covered by the summary
+  summarizedUntil: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  summarizedTurns: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+};
+
+const conversationSummaryOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'ConversationSummary',
+  tableName: 'conversation_summaries',
+  timestamps: true,
+  indexes: [
+    { fields: ['debtor_id'], unique: true }
+  ]
+};
+
+// Initialize the model
+ConversationSummary.init(conversationSummaryAttributes, conversationSummaryOptions);
+
+module.exports = ConversationSummary;
@@ -1,10 +1,20 @@
 const { DataTypes, Model, Op } = require('sequelize');
 const moment = require('moment');
-const sequelize = require('../config/database');
+const database = require('../config/database');
+const MoneyService = require('../services/money.service');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../config/currencies');
+
+const sequelize = database.getSequelize();
+const money = new MoneyService();
 
 class Debt extends Model {
   // Instance methods
   updateStatus() {
+    // Closed by a decision, not by payments
+    if (this.status === 'cancelled' || this.status === 'written_off') {
+      return;
+    }
+
     const totalPaid = this.totalPaid;
     const isOverdue = moment().isAfter(moment(this.dueDate));
     
@@ -32,10 +42,18 @@ class Debt extends Model {
     }
     
     const baseDate = this.lastReminderDate || this.dueDate;
-    this.nextReminderDate = moment(baseDate).add(intervalHours, 'hours').toDate();
+    let nextReminderDate = moment(baseDate).add(intervalHours, 'hours');
+
+    // A payment promise holds regular reminders until it can be reviewed
+    if (this.remindersPausedUntil && nextReminderDate.isBefore(this.remindersPausedUntil)) {
+      nextReminderDate = moment(this.remindersPausedUntil);
+    }
+
+    this.nextReminderDate = nextReminderDate.toDate();
   }
 
-  async addPayment(paymentData, verifiedBy = null) {
+  // `options` carries the caller's transaction to every write
+  async addPayment(paymentData, verifiedBy = null, options = {}) {
     const payment = {
       ...paymentData,
       verifiedBy,
@@ -47,14 +65,19 @@ class Debt extends Model {
     
     // Update debtor's payment history
     const Debtor = require('./debtor.model');
-    const debtor = await Debtor.findByPk(this.debtorId);
+    const debtor = await Debtor.findByPk(this.debtorId, options);
     if (debtor) {
       const paymentDays = moment(payment.paymentDate).diff(moment(this.dueDate), 'days');
       const paymentStatus = paymentDays <= 0 ? 'on_time' : 'late';
-      await debtor.updatePaymentHistory(paymentStatus, Math.max(0, paymentDays));
+      await debtor.updatePaymentHistory(paymentStatus, Math.max(0, paymentDays), options);
     }
     
-    await this.save();
+    await this.save(options);
+
+    // Allocate the payment to the installments of an active payment plan
+    const PaymentPlan = require('./payment-plan.model');
+    await PaymentPlan.applyPaymentsForDebt(this, options);
+
     return payment;
   }
 
@@ -62,6 +85,10 @@ class Debt extends Model {
     if (this.status === 'paid' || this.status === 'cancelled' || this.status === 'written_off') {
       return false;
     }
+
+    if (this.isDisputed) {
+      return false;
+    }
     
     const maxAttempts = parseInt(process.env.MAX_REMINDER_ATTEMPTS) || 5;
     if (this.reminderCount >= maxAttempts) {
@@ -82,7 +109,7 @@ class Debt extends Model {
     return (
       this.daysOverdue >= escalationThreshold ||
       this.reminderCount >= maxReminders
-    ) && this.status !== 'escalated';
+    ) && this.status !== 'escalated' && !this.isDisputed;
   }
 
   getReminderLevel() {
@@ -104,7 +131,7 @@ class Debt extends Model {
   }
 
   get totalPaid() {
-    return (this.payments || []).reduce((sum, payment) => sum + payment.amount, 0);
+    return (this.payments || []).reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0);
   }
 
   get remainingBalance() {
@@ -116,18 +143,13 @@ class Debt extends Model {
     return Math.min(100, (this.totalPaid / this.amount) * 100);
   }
 
+  // Formatted for the debtor's language when the Debtor is loaded
   get formattedAmount() {
-    return new Intl.NumberFormat('id-ID', {
-      style: 'currency',
-      currency: this.currency
-    }).format(this.amount);
+    return money.format(this.amount, this.currency, this.Debtor?.language);
   }
 
   get formattedRemainingBalance() {
-    return new Intl.NumberFormat('id-ID', {
-      style: 'currency',
-      currency: this.currency
-    }).format(this.remainingBalance);
+    return money.format(this.remainingBalance, this.currency, this.Debtor?.language);
   }
 
   get ageInDays() {
@@ -135,19 +157,25 @@ class Debt extends Model {
   }
 
   // Static methods
-  static findOverdue() {
+  // Each finder accepts an optional where-clause scope, e.g. a collector's assigned debts
+  static findOverdue(scope = {}) {
     return this.findAll({
       where: {
         dueDate: { [Op.lt]: new Date() },
         status: { [Op.in]: ['pending', 'overdue', 'partially_paid'] },
-        isActive: true
+        isActive: true,
+        ...scope
       }
     });
   }
 
-  static findDueForReminder() {
+  static findDueForReminder(scope = {}) {
     return this.findAll({
       where: {
+        // Debts with an open payment promise get a follow-up instead once it is reviewed
+        id: {
+          [Op.notIn]: sequelize.literal("(SELECT debt_id FROM promises_to_pay WHERE status = 'pending')")
+        },
         [Op.or]: [
           { nextReminderDate: { [Op.lte]: new Date() } },
           { 
@@ -157,13 +185,15 @@ class Debt extends Model {
           }
         ],
         status: { [Op.in]: ['pending', 'overdue', 'partially_paid'] },
-        isActive: true
+        isDisputed: false,
+        isActive: true,
+        ...scope
       },
       include: ['Debtor']
     });
   }
 
-  static findDueForEscalation() {
+  static findDueForEscalation(scope = {}) {
     const escalationThreshold = parseInt(process.env.ESCALATION_THRESHOLD_DAYS) || 7;
     const maxReminders = parseInt(process.env.MAX_REMINDER_ATTEMPTS) || 5;
     
@@ -180,67 +210,17 @@ class Debt extends Model {
           }
         ],
         status: { [Op.ne]: 'escalated' },
-        isActive: true
+        isDisputed: false,
+        // Debts on an active payment plan are followed up per installment instead
+        id: {
+          [Op.notIn]: sequelize.literal("(SELECT debt_id FROM payment_plans WHERE status = 'active')")
+        },
+        isActive: true,
+        ...scope
       },
       include: ['Debtor']
     });
   }
-
-  static async getDebtStatistics() {
-    const stats = await this.findAll({
-      attributes: [
-        'status',
-        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-        [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-        [sequelize.fn('AVG', sequelize.col('amount')), 'avgAmount']
-      ],
-      group: ['status']
-    });
-    
-    const overdueStats = await this.findAll({
-      where: {
-        dueDate: { [Op.lt]: new Date() },
-        status: { [Op.in]: ['pending', 'overdue', 'partially_paid'] }
-      },
-      attributes: [
-        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
-        [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-        [sequelize.fn('AVG', sequelize.literal('DATEDIFF(NOW(), dueDate)')), 'avgDaysOverdue']
-      ]
-    });
-    
-    return {
-      byStatus: stats,
-      overdue: overdueStats[0] || { count: 0, totalAmount: 0, avgDaysOverdue: 0 },
-      generatedAt: new Date()
-    };
-  }
-
-  static async getCollectionEfficiency(startDate, endDate) {
-    const results = await this.findAll({
-      where: {
-        createdAt: { [Op.between]: [startDate, endDate] }
-      },
-      attributes: [
-        [sequelize.fn('COUNT', sequelize.col('id')), 'totalDebts'],
-        [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
-        [sequelize.fn('SUM', sequelize.literal('CASE WHEN status = "paid" THEN 1 ELSE 0 END')), 'paidDebts'],
-        [sequelize.fn('SUM', sequelize.literal('CASE WHEN status = "paid" THEN amount ELSE 0 END')), 'paidAmount']
-      ]
-    });
-    
-    const result = results[0] || {
-      totalDebts: 0,
-      totalAmount: 0,
-      paidDebts: 0,
-      paidAmount: 0
-    };
-    
-    result.collectionRate = result.totalDebts > 0 ? (result.paidDebts / result.totalDebts) * 100 : 0;
-    result.amountCollectionRate = result.totalAmount > 0 ? (result.paidAmount / result.totalAmount) * 100 : 0;
-    
-    return result;
-  }
 }
 
 const debtAttributes = {
@@ -270,8 +250,8 @@ const debtAttributes = {
     }
   },
   currency: {
-    type: DataTypes.ENUM('IDR', 'USD', 'EUR'),
-    defaultValue: 'IDR'
+    type: DataTypes.ENUM(...SUPPORTED_CURRENCIES),
+    defaultValue: DEFAULT_CURRENCY
   },
   description: {
     type: DataTypes.STRING(500),
@@ -306,6 +286,8 @@ const debtAttributes = {
     type: DataTypes.ENUM('bank_transfer', 'cash', 'check', 'credit_card', 'digital_wallet', 'other'),
     defaultValue: 'bank_transfer'
   },
+  // { bankName, accountNumber, accountName, virtualAccount } for the payment instructions
+  // sent with reminders; missing fields fall back to the company account
   bankDetails: {
     type: DataTypes.JSON,
     allowNull: true
@@ -315,6 +297,11 @@ const debtAttributes = {
     allowNull: true,
     defaultValue: []
   },
+  statusHistory: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
   reminderCount: {
     type: DataTypes.INTEGER,
     defaultValue: 0
@@ -331,6 +318,16 @@ const debtAttributes = {
     type: DataTypes.DATE,
     allowNull: true
   },
+  remindersPausedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Kept in sync with unresolved disputes by DisputeService
+  isDisputed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   escalationDate: {
     type: DataTypes.DATE,
     allowNull: true
@@ -356,6 +353,8 @@ const debtAttributes = {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // [{ type, fileName, mimeType, path or url }]; the 'invoice' entry (or first PDF) is
+  // attached to reminders, with `path` relative to ATTACHMENT_STORAGE_DIR
   attachments: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -389,18 +388,18 @@ const debtOptions = {
   tableName: 'debts',
   timestamps: true,
   indexes: [
-    { fields: ['debtorId'] },
-    { fields: ['invoiceNumber'], unique: true },
+    { fields: ['debtor_id'] },
+    { fields: ['invoice_number'], unique: true },
     { fields: ['status'] },
-    { fields: ['dueDate'] },
+    { fields: ['due_date'] },
     { fields: ['amount'] },
     { fields: ['priority'] },
-    { fields: ['assignedToId'] },
-    { fields: ['createdAt'] },
-    { fields: ['nextReminderDate'] },
-    { fields: ['status', 'dueDate'] },
-    { fields: ['debtorId', 'status'] },
-    { fields: ['assignedToId', 'status'] }
+    { fields: ['assigned_to_id'] },
+    { fields: ['created_at'] },
+    { fields: ['next_reminder_date'] },
+    { fields: ['status', 'due_date'] },
+    { fields: ['debtor_id', 'status'] },
+    { fields: ['assigned_to_id', 'status'] }
   ]
 };
 
@@ -414,6 +413,16 @@ Debt.addHook('beforeSave', (debt) => {
   
   // Calculate next reminder date
   debt.calculateNextReminderDate();
+
+  // Record status transitions for the communication timeline
+  if (!debt.isNewRecord && debt.changed('status')) {
+    debt.statusHistory = [...(debt.statusHistory || []), {
+      from: debt.previous('status'),
+      to: debt.status,
+      changedById: debt.updatedById || null,
+      changedAt: new Date()
+    }];
+  }
 });
 
 module.exports = Debt;
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const database = require('../config/database');
+
+class DebtorResponse extends Model {
+  // Static methods
+  static async findByDebt(debtId, options = {}) {
+    return await this.findAll({
+      where: { debtId },
+      order: [['receivedAt', 'ASC']],
+      ...options
+    });
+  }
+
+  static async findByDebtor(debtorId, options = {}) {
+    return await this.findAll({
+      where: { debtorId },
+      order: [['receivedAt', 'ASC']],
+      ...options
+    });
+  }
+
+  // Read state is shared by the whole team, not tracked per collector
+  static async markReadForDebtor(debtorId, readById = null) {
+    const [updated] = await this.update(
+      { readAt: new Date(), readById },
+      { where: { debtorId, readAt: { [Op.is]: null } } }
+    );
+    return updated;
+  }
+}
+
+// Define model attributes
+const debtorResponseAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  phoneNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  analysis: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // How the analysis was obtained: schema-valid on the first try, after a repair prompt,
+  // invalid or failed (default analysis used), or from keyword rules over budget
+  analysisStatus: {
+    type: DataTypes.ENUM('valid', 'repaired', 'invalid', 'failed', 'rules'),
+    allowNull: true
+  },
+  // Raw model output per attempt with its schema errors: [{ output, errors }]
+  analysisAttempts: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  intent: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  sentiment: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  whatsappMessageId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Set when a collector opens or answers the conversation in the inbox
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  readById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Set when the analysis needs a collector to confirm or correct it; null otherwise
+  reviewStatus: {
+    type: DataTypes.ENUM('pending', 'reviewed'),
+    allowNull: true
+  },
+  // low_confidence, invalid_output or analysis_failed
+  reviewReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const debtorResponseOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'DebtorResponse',
+  tableName: 'debtor_responses',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id'] },
+    { fields: ['debtor_id'] },
+    { fields: ['intent'] },
+    { fields: ['received_at'] },
+    { fields: ['debtor_id', 'read_at'] },
+    { fields: ['review_status'] }
+  ]
+};
+
+// Initialize the model
+DebtorResponse.init(debtorResponseAttributes, debtorResponseOptions);
+
+// Hooks
+DebtorResponse.addHook('beforeSave', (response) => {
+  // Keep intent and sentiment queryable without parsing the analysis JSON
+  if (response.changed('analysis') && response.analysis) {
+    response.intent = response.analysis.intent || null;
+    response.sentiment = response.analysis.sentiment || null;
+  }
+});
+
+module.exports = DebtorResponse;
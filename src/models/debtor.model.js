@@ -1,9 +1,10 @@
-const { Model, DataTypes } = require('sequelize');
+const { Model, DataTypes, Op } = require('sequelize');
 const database = require('../config/database');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
 
 class Debtor extends Model {
   // Instance methods
-  async updatePaymentHistory(paymentStatus, paymentDays = 0) {
+  async updatePaymentHistory(paymentStatus, paymentDays = 0, options = {}) {
     this.payment_history.total_debts += 1;
     
     switch (paymentStatus) {
@@ -26,7 +27,7 @@ class Debtor extends Model {
     }
     
     this.last_payment_date = new Date();
-    await this.save();
+    await this.save(options);
   }
 
   updateCreditRating() {
@@ -65,44 +66,57 @@ class Debtor extends Model {
     return currentHour >= startHour && currentHour <= endHour;
   }
 
+  isAiReplying() {
+    return this.conversation_mode === 'ai';
+  }
+
   get displayName() {
     return this.company ? `${this.name} (${this.company})` : this.name;
   }
 
   get formattedPhone() {
-    let phone = this.phone.replace(/\D/g, '');
-    if (phone.startsWith('0')) {
-      phone = '62' + phone.substring(1);
-    } else if (!phone.startsWith('62')) {
-      phone = '62' + phone;
-    }
-    return phone;
+    return Debtor.normalizePhone(this.phone);
   }
 
   // Static methods
-  static async findByPhone(phone) {
-    const cleanPhone = phone.replace(/\D/g, '');
-    return await this.findOne({ 
-      where: { 
-        phone: { 
-          [database.getSequelize().Op.like]: `%${cleanPhone}%` 
-        } 
-      } 
+  static normalizePhone(phone) {
+    // Accepts raw input or a WhatsApp JID and returns the 62-prefixed digits
+    let cleaned = String(phone).split('@')[0].split(':')[0].replace(/\D/g, '');
+    if (cleaned.startsWith('0')) {
+      cleaned = '62' + cleaned.substring(1);
+    } else if (!cleaned.startsWith('62')) {
+      cleaned = '62' + cleaned;
+    }
+    return cleaned;
+  }
+
+  static async findByPhone(phone, options = {}) {
+    const normalized = this.normalizePhone(phone);
+    const local = normalized.substring(2);
+
+    // Stored numbers are digits only but may be kept as 62..., 0... or without prefix
+    return await this.findOne({
+      where: {
+        phone: { [Op.in]: [normalized, '0' + local, local] }
+      },
+      ...options
     });
   }
 
-  static async getActiveDebtors() {
+  static async getActiveDebtors(where = {}) {
     return await this.findAll({ 
       where: { 
+        ...where,
         is_active: true, 
         is_blacklisted: false 
       } 
     });
   }
 
-  static async getDebtorStats() {
+  static async getDebtorStats(where = {}) {
     const sequelize = database.getSequelize();
     const stats = await this.findAll({
+      where,
       attributes: [
         [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
         [sequelize.fn('SUM', sequelize.literal('CASE WHEN is_active = 1 THEN 1 ELSE 0 END')), 'active'],
@@ -209,9 +223,17 @@ const debtorAttributes = {
       timezone: 'Asia/Jakarta'
     }
   },
+  // A code from config/languages.js; replies in another supported language switch it
   language: {
-    type: DataTypes.ENUM('id', 'en'),
-    defaultValue: 'id'
+    type: DataTypes.STRING(5),
+    defaultValue: DEFAULT_LANGUAGE,
+    validate: {
+      isIn: [SUPPORTED_LANGUAGES]
+    }
+  },
+  language_detected_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   },
   notes: {
     type: DataTypes.TEXT,
@@ -242,6 +264,31 @@ const debtorAttributes = {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // 'ai' replies automatically, 'ai_draft' queues AI replies for approval, 'human' leaves replies to a collector
+  conversation_mode: {
+    type: DataTypes.ENUM('ai', 'human', 'ai_draft'),
+    defaultValue: 'ai'
+  },
+  conversation_claimed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  conversation_claimed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  handoff_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  handoff_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   created_by: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -273,6 +320,7 @@ const debtorOptions = {
     { fields: ['company'] },
     { fields: ['is_active'] },
     { fields: ['is_blacklisted'] },
+    { fields: ['conversation_mode'] },
     { fields: ['created_at'] }
   ]
 };
@@ -0,0 +1,164 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+// Disputes in these states hold reminders and escalation for the debt
+const UNRESOLVED_STATUSES = ['open', 'under_review'];
+
+class Dispute extends Model {
+  // Instance methods
+  isUnresolved() {
+    return UNRESOLVED_STATUSES.includes(this.status);
+  }
+
+  addEvidence({ type = 'note', description, url = null, debtorResponseId = null }, addedById = null) {
+    this.evidence = [...(this.evidence || []), {
+      type,
+      description,
+      url,
+      debtorResponseId,
+      addedById,
+      addedAt: new Date()
+    }];
+  }
+
+  // Static methods
+  static async findByDebt(debtId, options = {}) {
+    return await this.findAll({
+      where: { debtId },
+      order: [['createdAt', 'DESC']],
+      ...options
+    });
+  }
+
+  static async findUnresolvedForDebt(debtId, options = {}) {
+    return await this.findOne({
+      where: { debtId, status: UNRESOLVED_STATUSES },
+      order: [['createdAt', 'DESC']],
+      ...options
+    });
+  }
+
+  static async countUnresolvedForDebt(debtId, options = {}) {
+    return await this.count({
+      where: { debtId, status: UNRESOLVED_STATUSES },
+      ...options
+    });
+  }
+}
+
+Dispute.UNRESOLVED_STATUSES = UNRESOLVED_STATUSES;
+
+// Define model attributes
+const disputeAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  // Reply the dispute was raised in, null when opened by a collector
+  debtorResponseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'debtor_responses',
+      key: 'id'
+    }
+  },
+  source: {
+    type: DataTypes.ENUM('whatsapp', 'collector'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'under_review', 'resolved_valid', 'resolved_invalid'),
+    defaultValue: 'open'
+  },
+  // [{ type, description, url, debtorResponseId, addedById, addedAt }]
+  evidence: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  openedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewerId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolution: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // What a valid dispute did to the debt
+  resolutionAction: {
+    type: DataTypes.ENUM('cancel', 'adjust', 'none'),
+    allowNull: true
+  },
+  originalAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  adjustedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  resolvedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const disputeOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'Dispute',
+  tableName: 'disputes',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id', 'status'] },
+    { fields: ['debtor_id'] },
+    { fields: ['reviewer_id'] },
+    { fields: ['status'] }
+  ]
+};
+
+// Initialize the model
+Dispute.init(disputeAttributes, disputeOptions);
+
+module.exports = Dispute;
@@ -0,0 +1,59 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+// One arm of an experiment. `config` changes how the reminder prompt is built:
+// { toneMap: { 1: '...', ... }, maxWords, paymentLink, promptTemplateId }
+class ExperimentVariant extends Model {}
+
+// Define model attributes
+const experimentVariantAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  experimentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'experiments',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Relative share of debtors assigned to this variant
+  weight: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  config: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  }
+};
+
+const experimentVariantOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'ExperimentVariant',
+  tableName: 'experiment_variants',
+  timestamps: true,
+  indexes: [
+    { fields: ['experiment_id'] }
+  ]
+};
+
+// Initialize the model
+ExperimentVariant.init(experimentVariantAttributes, experimentVariantOptions);
+
+module.exports = ExperimentVariant;
@@ -0,0 +1,92 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+// A/B test of reminder prompts; debtors are split across its variants while it runs
+class Experiment extends Model {
+  // Instance methods
+  isRunning() {
+    return this.status === 'running';
+  }
+
+  // Static methods
+  static async findRunning(options = {}) {
+    return await this.findOne({
+      where: { status: 'running' },
+      order: [['startedAt', 'ASC']],
+      ...options
+    });
+  }
+}
+
+// Define model attributes
+const experimentAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'running', 'stopped'),
+    defaultValue: 'draft'
+  },
+  // Days after a debtor's first exposure in which replies, promises and opt-outs count
+  attributionDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    validate: {
+      min: 1
+    }
+  },
+  // The N in "paid within N days"
+  paidWithinDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    validate: {
+      min: 1
+    }
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  stoppedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+};
+
+const experimentOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'Experiment',
+  tableName: 'experiments',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] }
+  ]
+};
+
+// Initialize the model
+Experiment.init(experimentAttributes, experimentOptions);
+
+module.exports = Experiment;
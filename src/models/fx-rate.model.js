@@ -0,0 +1,81 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const database = require('../config/database');
+const { SUPPORTED_CURRENCIES, getReportingCurrency } = require('../config/currencies');
+const CurrencyConverter = require('../utils/currency-converter');
+
+// Daily exchange rate: one unit of fromCurrency is worth `rate` units of toCurrency
+class FxRate extends Model {
+  // Static methods
+  // Only three currencies are supported, so every rate up to the date is small enough to load
+  static async findUntil(date = null) {
+    const where = date ? { date: { [Op.lte]: date } } : {};
+    return await this.findAll({ where, order: [['date', 'ASC']], raw: true });
+  }
+
+  // Converter into the reporting currency (REPORTING_CURRENCY unless one is requested)
+  static async createConverter(requestedCurrency = null) {
+    const currency = getReportingCurrency(requestedCurrency);
+    return new CurrencyConverter(currency, await this.findUntil());
+  }
+}
+
+// Define model attributes
+const fxRateAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  fromCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    }
+  },
+  toCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(20, 10),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  source: {
+    type: DataTypes.ENUM('manual', 'csv'),
+    defaultValue: 'manual'
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+};
+
+const fxRateOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'FxRate',
+  tableName: 'fx_rates',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['date', 'from_currency', 'to_currency'] }
+  ]
+};
+
+// Initialize the model
+FxRate.init(fxRateAttributes, fxRateOptions);
+
+module.exports = FxRate;
@@ -0,0 +1,125 @@
+const User = require('./user.model');
+const Debtor = require('./debtor.model');
+const Debt = require('./debt.model');
+const ReminderLog = require('./reminder-log.model');
+const DebtorResponse = require('./debtor-response.model');
+const ConversationSummary = require('./conversation-summary.model');
+const PromiseToPay = require('./promise-to-pay.model');
+const PaymentPlan = require('./payment-plan.model');
+const PaymentPlanInstallment = require('./payment-plan-installment.model');
+const Dispute = require('./dispute.model');
+const ReplyDraft = require('./reply-draft.model');
+const MessageTemplate = require('./message-template.model');
+const PromptTemplate = require('./prompt-template.model');
+const Experiment = require('./experiment.model');
+const ExperimentVariant = require('./experiment-variant.model');
+const ComplianceViolation = require('./compliance-violation.model');
+const FxRate = require('./fx-rate.model');
+const LlmUsage = require('./llm-usage.model');
+const OutboundMessage = require('./outbound-message.model');
+const PaymentProof = require('./payment-proof.model');
+
+// Associations
+Debt.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+Debt.belongsTo(User, { foreignKey: 'updatedById', as: 'updatedBy' });
+Debt.belongsTo(User, { foreignKey: 'assignedToId', as: 'assignedTo' });
+User.hasMany(Debt, { foreignKey: 'assignedToId', as: 'assignedDebts' });
+
+Debt.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+Debtor.hasMany(Debt, { foreignKey: 'debtorId', as: 'debts' });
+
+Debt.hasMany(ReminderLog, { foreignKey: 'debtId', as: 'reminderLogs' });
+ReminderLog.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+Debtor.hasMany(ReminderLog, { foreignKey: 'debtorId', as: 'reminderLogs' });
+ReminderLog.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+
+Debt.hasMany(DebtorResponse, { foreignKey: 'debtId', as: 'responses' });
+DebtorResponse.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+Debtor.hasMany(DebtorResponse, { foreignKey: 'debtorId', as: 'responses' });
+DebtorResponse.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+
+Debt.hasMany(PromiseToPay, { foreignKey: 'debtId', as: 'promises' });
+PromiseToPay.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+Debtor.hasMany(PromiseToPay, { foreignKey: 'debtorId', as: 'promises' });
+PromiseToPay.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+DebtorResponse.hasOne(PromiseToPay, { foreignKey: 'debtorResponseId', as: 'promise' });
+PromiseToPay.belongsTo(DebtorResponse, { foreignKey: 'debtorResponseId', as: 'DebtorResponse' });
+
+Debt.hasMany(PaymentPlan, { foreignKey: 'debtId', as: 'paymentPlans' });
+PaymentPlan.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+PaymentPlan.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+PaymentPlan.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+PaymentPlan.hasMany(PaymentPlanInstallment, { foreignKey: 'paymentPlanId', as: 'installments' });
+PaymentPlanInstallment.belongsTo(PaymentPlan, { foreignKey: 'paymentPlanId', as: 'PaymentPlan' });
+
+Debt.hasMany(Dispute, { foreignKey: 'debtId', as: 'disputes' });
+Dispute.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+Dispute.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+Dispute.belongsTo(User, { foreignKey: 'reviewerId', as: 'reviewer' });
+Dispute.belongsTo(User, { foreignKey: 'openedById', as: 'openedBy' });
+Dispute.belongsTo(User, { foreignKey: 'resolvedById', as: 'resolvedBy' });
+
+Debtor.belongsTo(User, { foreignKey: 'conversation_claimed_by', as: 'conversationClaimedBy' });
+Debtor.hasMany(ReplyDraft, { foreignKey: 'debtorId', as: 'replyDrafts' });
+ReplyDraft.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+ReplyDraft.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+ReplyDraft.belongsTo(DebtorResponse, { foreignKey: 'debtorResponseId', as: 'DebtorResponse' });
+ReplyDraft.belongsTo(User, { foreignKey: 'reviewedById', as: 'reviewedBy' });
+
+MessageTemplate.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+MessageTemplate.belongsTo(User, { foreignKey: 'updatedById', as: 'updatedBy' });
+ReminderLog.belongsTo(MessageTemplate, { foreignKey: 'messageTemplateId', as: 'MessageTemplate' });
+
+PromptTemplate.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+PromptTemplate.belongsTo(User, { foreignKey: 'publishedById', as: 'publishedBy' });
+ReminderLog.belongsTo(PromptTemplate, { foreignKey: 'promptTemplateId', as: 'PromptTemplate' });
+
+Experiment.hasMany(ExperimentVariant, { foreignKey: 'experimentId', as: 'variants' });
+ExperimentVariant.belongsTo(Experiment, { foreignKey: 'experimentId', as: 'Experiment' });
+Experiment.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+ReminderLog.belongsTo(ExperimentVariant, { foreignKey: 'experimentVariantId', as: 'ExperimentVariant' });
+
+Debt.hasMany(ComplianceViolation, { foreignKey: 'debtId', as: 'complianceViolations' });
+ComplianceViolation.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+ComplianceViolation.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+ComplianceViolation.belongsTo(User, { foreignKey: 'reviewedById', as: 'reviewedBy' });
+
+FxRate.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+Debt.hasMany(LlmUsage, { foreignKey: 'debtId', as: 'llmUsage' });
+LlmUsage.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+
+Debt.hasMany(OutboundMessage, { foreignKey: 'debtId', as: 'outboundMessages' });
+OutboundMessage.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+OutboundMessage.belongsTo(ReminderLog, { foreignKey: 'reminderLogId', as: 'ReminderLog' });
+
+Debt.hasMany(PaymentProof, { foreignKey: 'debtId', as: 'paymentProofs' });
+PaymentProof.belongsTo(Debt, { foreignKey: 'debtId', as: 'Debt' });
+PaymentProof.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+PaymentProof.belongsTo(User, { foreignKey: 'reviewedById', as: 'reviewedBy' });
+
+Debtor.hasOne(ConversationSummary, { foreignKey: 'debtorId', as: 'conversationSummary' });
+ConversationSummary.belongsTo(Debtor, { foreignKey: 'debtorId', as: 'Debtor' });
+
+module.exports = {
+  User,
+  Debtor,
+  Debt,
+  ReminderLog,
+  DebtorResponse,
+  ConversationSummary,
+  PromiseToPay,
+  PaymentPlan,
+  PaymentPlanInstallment,
+  Dispute,
+  ReplyDraft,
+  MessageTemplate,
+  PromptTemplate,
+  Experiment,
+  ExperimentVariant,
+  ComplianceViolation,
+  FxRate,
+  LlmUsage,
+  OutboundMessage,
+  PaymentProof
+};
@@ -0,0 +1,108 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const database = require('../config/database');
+
+const sequelize = database.getSequelize();
+
+// One LLM call, or one call skipped because a budget was exhausted
+class LlmUsage extends Model {
+  get totalTokens() {
+    return (this.inputTokens || 0) + (this.outputTokens || 0);
+  }
+
+  // Static methods
+  // Tokens and estimated cost of the calls made since the given time
+  static async getTotalsSince(since) {
+    const [totals] = await this.findAll({
+      where: { createdAt: { [Op.gte]: since } },
+      attributes: [
+        [sequelize.fn('SUM', sequelize.col('input_tokens')), 'inputTokens'],
+        [sequelize.fn('SUM', sequelize.col('output_tokens')), 'outputTokens'],
+        [sequelize.fn('SUM', sequelize.col('cost')), 'cost']
+      ],
+      raw: true
+    });
+
+    const inputTokens = parseInt(totals?.inputTokens || 0);
+    const outputTokens = parseInt(totals?.outputTokens || 0);
+    return {
+      tokens: inputTokens + outputTokens,
+      cost: parseFloat(totals?.cost || 0)
+    };
+  }
+}
+
+// Define model attributes
+const llmUsageAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // GeminiService purpose, e.g. debt_reminder, response_analysis, negotiation
+  purpose: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('success', 'error', 'timeout', 'budget_exceeded'),
+    allowNull: false
+  },
+  inputTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  outputTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // True when the provider did not report token counts and they were estimated from the text
+  tokensEstimated: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  cost: {
+    type: DataTypes.DECIMAL(12, 6),
+    defaultValue: 0
+  },
+  latencyMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+};
+
+const llmUsageOptions = {
+  sequelize,
+  modelName: 'LlmUsage',
+  tableName: 'llm_usage',
+  timestamps: true,
+  indexes: [
+    { fields: ['created_at'] },
+    { fields: ['purpose'] },
+    { fields: ['debt_id'] }
+  ]
+};
+
+// Initialize the model
+LlmUsage.init(llmUsageAttributes, llmUsageOptions);
+
+module.exports = LlmUsage;
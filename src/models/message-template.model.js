@@ -0,0 +1,91 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const database = require('../config/database');
+const { TEMPLATE_MESSAGE_TYPES } = require('../config/fallback-templates');
+
+// Admin-managed fallback messages, sent when the LLM cannot produce a usable one
+class MessageTemplate extends Model {
+  // Static methods
+  // Active candidates for a send; a null level applies to every level
+  static async findCandidates(messageType, level, languages, options = {}) {
+    return await this.findAll({
+      where: {
+        messageType,
+        isActive: true,
+        language: { [Op.in]: languages },
+        level: level === null ? null : { [Op.or]: [level, null] }
+      },
+      order: [['updatedAt', 'DESC']],
+      ...options
+    });
+  }
+}
+
+// Define model attributes
+const messageTemplateAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  messageType: {
+    type: DataTypes.ENUM(...TEMPLATE_MESSAGE_TYPES),
+    allowNull: false
+  },
+  // Reminder level 1-5; null applies to every level
+  level: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  language: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: 'id'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  updatedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+};
+
+const messageTemplateOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'MessageTemplate',
+  tableName: 'message_templates',
+  timestamps: true,
+  indexes: [
+    { fields: ['message_type', 'language'] },
+    { fields: ['is_active'] }
+  ]
+};
+
+// Initialize the model
+MessageTemplate.init(messageTemplateAttributes, messageTemplateOptions);
+
+module.exports = MessageTemplate;
@@ -0,0 +1,151 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const database = require('../config/database');
+
+const sequelize = database.getSequelize();
+
+// A WhatsApp message waiting for, or done with, delivery through MessageQueueService
+class OutboundMessage extends Model {
+  // Static methods
+  // Queued messages whose retry time has come, highest priority and oldest first
+  static async findDue(limit = 100) {
+    return await this.findAll({
+      where: {
+        status: 'queued',
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      order: [['priority', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+  }
+
+  static async countSentSince(since, phoneNumber = null) {
+    const where = { status: 'sent', sentAt: { [Op.gte]: since } };
+    if (phoneNumber) where.phoneNumber = phoneNumber;
+
+    return await this.count({ where });
+  }
+
+  // Takes messages that are still waiting out of the queue; returns how many were.
+  // Messages already being sent are left alone.
+  static async cancelQueued(ids) {
+    const [cancelled] = await this.update(
+      { status: 'cancelled' },
+      { where: { id: { [Op.in]: ids }, status: 'queued' } }
+    );
+    return cancelled;
+  }
+
+  // Counts per status and, for waiting messages, per priority
+  static async getDepth() {
+    const rows = await this.findAll({
+      attributes: ['status', 'priority', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status', 'priority'],
+      raw: true
+    });
+
+    const byStatus = { queued: 0, sending: 0, sent: 0, dead_letter: 0, cancelled: 0 };
+    const queuedByPriority = {};
+    rows.forEach(row => {
+      const count = parseInt(row.count);
+      byStatus[row.status] += count;
+      if (row.status === 'queued') {
+        queuedByPriority[row.priority] = (queuedByPriority[row.priority] || 0) + count;
+      }
+    });
+
+    return { byStatus, queuedByPriority };
+  }
+}
+
+// Define model attributes
+const outboundMessageAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  phoneNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // The text, or the caption when `media` is set
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // A document or image to send instead of plain text (see AttachmentService)
+  media: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // See MESSAGE_PRIORITIES in src/config/message-queue.js; lower goes first
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  // dead_letter: gave up after MESSAGE_QUEUE_MAX_ATTEMPTS failed sends;
+  // cancelled: a reminder rerouted to another channel before it was sent
+  status: {
+    type: DataTypes.ENUM('queued', 'sending', 'sent', 'dead_letter', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  whatsappMessageId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  // The log entry updated when the message is delivered or dead-lettered
+  reminderLogId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'reminder_logs',
+      key: 'id'
+    }
+  }
+};
+
+const outboundMessageOptions = {
+  sequelize,
+  modelName: 'OutboundMessage',
+  tableName: 'outbound_messages',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'priority', 'next_attempt_at'] },
+    { fields: ['phone_number', 'sent_at'] },
+    { fields: ['sent_at'] },
+    { fields: ['debt_id'] }
+  ]
+};
+
+// Initialize the model
+OutboundMessage.init(outboundMessageAttributes, outboundMessageOptions);
+
+module.exports = OutboundMessage;
@@ -0,0 +1,98 @@
+const { Model, DataTypes } = require('sequelize');
+const moment = require('moment');
+const database = require('../config/database');
+
+class PaymentPlanInstallment extends Model {
+  // Getters for virtual fields
+  get remainingAmount() {
+    return Math.max(0, parseFloat(this.amount) - parseFloat(this.amountPaid || 0));
+  }
+
+  get daysOverdue() {
+    if (this.status === 'paid') {
+      return 0;
+    }
+    return Math.max(0, moment().startOf('day').diff(moment(this.dueDate), 'days'));
+  }
+
+  // Instance methods
+  // Sets amountPaid and status from the share of plan payments allocated to this installment
+  allocate(amountPaid) {
+    const amount = parseFloat(this.amount);
+    this.amountPaid = Math.min(amount, amountPaid);
+
+    if (this.amountPaid >= amount) {
+      this.status = 'paid';
+      this.paidAt = this.paidAt || new Date();
+    } else {
+      this.paidAt = null;
+      if (moment().startOf('day').isAfter(moment(this.dueDate))) {
+        this.status = 'overdue';
+      } else {
+        this.status = this.amountPaid > 0 ? 'partially_paid' : 'pending';
+      }
+    }
+  }
+}
+
+// Define model attributes
+const paymentPlanInstallmentAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  paymentPlanId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'payment_plans',
+      key: 'id'
+    }
+  },
+  // 0 is the down payment, 1..n the installments
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  dueDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  amountPaid: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'partially_paid', 'paid', 'overdue'),
+    defaultValue: 'pending'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const paymentPlanInstallmentOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'PaymentPlanInstallment',
+  tableName: 'payment_plan_installments',
+  timestamps: true,
+  indexes: [
+    { fields: ['payment_plan_id', 'sequence'], unique: true },
+    { fields: ['status', 'due_date'] }
+  ]
+};
+
+// Initialize the model
+PaymentPlanInstallment.init(paymentPlanInstallmentAttributes, paymentPlanInstallmentOptions);
+
+module.exports = PaymentPlanInstallment;
@@ -0,0 +1,197 @@
+const { Model, DataTypes } = require('sequelize');
+const moment = require('moment');
+const database = require('../config/database');
+
+const sequelize = database.getSequelize();
+
+class PaymentPlan extends Model {
+  // Instance methods
+  getNextInstallment() {
+    return (this.installments || [])
+      .slice()
+      .sort((a, b) => a.sequence - b.sequence)
+      .find(installment => installment.status !== 'paid') || null;
+  }
+
+  // Static methods
+  // Splits the plan amount into a down payment and equal installments; the last
+  // installment absorbs rounding so the schedule always adds up to the total
+  static buildSchedule({ totalAmount, downPayment, installmentCount }, policy, startDate = new Date()) {
+    const schedule = [];
+    const start = moment(startDate).startOf('day');
+    const downPaymentDue = start.clone().add(policy.downPaymentDueDays, 'days');
+
+    if (downPayment > 0) {
+      schedule.push({
+        sequence: 0,
+        dueDate: downPaymentDue.format('YYYY-MM-DD'),
+        amount: downPayment
+      });
+    }
+
+    const rest = totalAmount - downPayment;
+    const regularAmount = Math.floor(rest / installmentCount);
+
+    for (let i = 1; i <= installmentCount; i++) {
+      schedule.push({
+        sequence: i,
+        dueDate: downPaymentDue.clone().add(policy.installmentIntervalDays * i, 'days').format('YYYY-MM-DD'),
+        amount: i === installmentCount ? Math.round((rest - regularAmount * (installmentCount - 1)) * 100) / 100 : regularAmount
+      });
+    }
+
+    return schedule;
+  }
+
+  static async findByDebt(debtId, options = {}) {
+    return await this.findAll({
+      where: { debtId },
+      include: [{ model: sequelize.models.PaymentPlanInstallment, as: 'installments' }],
+      order: [['createdAt', 'DESC'], [{ model: sequelize.models.PaymentPlanInstallment, as: 'installments' }, 'sequence', 'ASC']],
+      ...options
+    });
+  }
+
+  static async findActiveForDebt(debtId, options = {}) {
+    return await this.findOne({
+      where: { debtId, status: 'active' },
+      include: [{ model: sequelize.models.PaymentPlanInstallment, as: 'installments' }],
+      ...options
+    });
+  }
+
+  // Re-allocates what has been paid on the debt since the plan was proposed
+  // across its installments, in order. Safe to call after every payment.
+  static async applyPaymentsForDebt(debt, options = {}) {
+    const plan = await this.findActiveForDebt(debt.id, options);
+    if (!plan) {
+      return null;
+    }
+
+    const installments = plan.installments.slice().sort((a, b) => a.sequence - b.sequence);
+    const paidBefore = installments.filter(installment => installment.status === 'paid').length;
+
+    let available = Math.max(0, parseFloat(plan.totalAmount) - parseFloat(debt.remainingBalance));
+    for (const installment of installments) {
+      const allocated = Math.min(available, parseFloat(installment.amount));
+      installment.allocate(allocated);
+      available -= allocated;
+      await installment.save(options);
+    }
+
+    const next = plan.getNextInstallment();
+    const paidNow = installments.filter(installment => installment.status === 'paid').length;
+
+    if (!next) {
+      await plan.update({ status: 'completed', completedAt: new Date() }, options);
+    }
+
+    // Hold reminders until the next installment falls due, and give each
+    // installment its own reminder sequence once the previous one is paid
+    const debtUpdates = {
+      remindersPausedUntil: next ? moment(next.dueDate).startOf('day').toDate() : null
+    };
+    if (paidNow > paidBefore) {
+      debtUpdates.reminderCount = 0;
+    }
+    await debt.update(debtUpdates, options);
+
+    return plan;
+  }
+}
+
+// Define model attributes
+const paymentPlanAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  // Reply that triggered an AI proposal
+  debtorResponseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'debtor_responses',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('proposed', 'active', 'completed', 'cancelled'),
+    defaultValue: 'proposed'
+  },
+  // Outstanding balance of the debt when the plan was proposed
+  totalAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  downPayment: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  installmentCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  intervalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  proposedBy: {
+    type: DataTypes.ENUM('ai', 'collector'),
+    allowNull: false
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const paymentPlanOptions = {
+  sequelize,
+  modelName: 'PaymentPlan',
+  tableName: 'payment_plans',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id', 'status'] },
+    { fields: ['debtor_id'] }
+  ]
+};
+
+// Initialize the model
+PaymentPlan.init(paymentPlanAttributes, paymentPlanOptions);
+
+module.exports = PaymentPlan;
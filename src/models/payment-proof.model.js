@@ -0,0 +1,147 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+class PaymentProof extends Model {
+  // Static methods
+  static async findByDebt(debtId, options = {}) {
+    return await this.findAll({
+      where: { debtId },
+      order: [['receivedAt', 'DESC']],
+      ...options
+    });
+  }
+}
+
+// Define model attributes
+const paymentProofAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // The debt the payment is booked against; a collector may pick another linked debt
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  // Ids of the debtor's open debts when the file arrived
+  linkedDebtIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  phoneNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  whatsappMessageId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  mediaType: {
+    type: DataTypes.ENUM('image', 'document'),
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Relative to ATTACHMENT_STORAGE_DIR
+  filePath: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  fileSize: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  caption: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Null until a receipt image has been read; PDFs are left to the collector
+  extractionStatus: {
+    type: DataTypes.ENUM('extracted', 'failed'),
+    allowNull: true
+  },
+  // { amount, currency, date, senderName, bank, reference, invoiceNumber, confidence },
+  // or { error } when reading failed
+  extraction: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Pre-filled for approval: { debtId, amount, paymentDate, paymentMethod, reference, matchedBy }
+  suggestedPayment: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // PROOF_FLAGS codes raised by the extracted details
+  flags: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  // The entry added to Debt.payments on approval
+  payment: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reviewedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+};
+
+const paymentProofOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'PaymentProof',
+  tableName: 'payment_proofs',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id'] },
+    { fields: ['debtor_id'] },
+    { fields: ['status', 'received_at'] }
+  ]
+};
+
+// Initialize the model
+PaymentProof.init(paymentProofAttributes, paymentProofOptions);
+
+module.exports = PaymentProof;
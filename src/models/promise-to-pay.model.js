@@ -0,0 +1,176 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const moment = require('moment');
+const database = require('../config/database');
+
+const sequelize = database.getSequelize();
+
+class PromiseToPay extends Model {
+  // Instance methods
+  // Sums the payments recorded on the debt since the promise was made and
+  // decides whether it was kept. Does not save.
+  evaluate(debt) {
+    const madeOn = moment(this.createdAt).startOf('day');
+    const amountPaid = (debt.payments || [])
+      .filter(payment => !moment(payment.paymentDate || payment.verifiedAt).isBefore(madeOn))
+      .reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0);
+
+    const isKept = debt.status === 'paid' || amountPaid >= parseFloat(this.promisedAmount);
+
+    this.amountPaid = amountPaid;
+    this.status = isKept ? 'kept' : 'broken';
+    this.resolvedAt = new Date();
+    return this.status;
+  }
+
+  // Static methods
+  static getGraceDays() {
+    return parseInt(process.env.PROMISE_GRACE_DAYS) || 1;
+  }
+
+  // Moment after which an unpaid promise counts as broken and reminders resume
+  static getReviewDate(promisedDate) {
+    return moment(promisedDate).add(this.getGraceDays() + 1, 'days').startOf('day').toDate();
+  }
+
+  static async findByDebt(debtId, options = {}) {
+    return await this.findAll({
+      where: { debtId },
+      order: [['createdAt', 'DESC']],
+      ...options
+    });
+  }
+
+  static async findDueForReview() {
+    const cutoff = moment().subtract(this.getGraceDays(), 'days').format('YYYY-MM-DD');
+
+    return await this.findAll({
+      where: {
+        status: 'pending',
+        promisedDate: { [Op.lt]: cutoff }
+      },
+      order: [['promisedDate', 'ASC']]
+    });
+  }
+
+  // Kept-vs-broken figures for promises that came due in the period
+  static async getPromiseStats(startDate, endDate = new Date(), scope = {}) {
+    const Debt = sequelize.models.Debt;
+    const hasScope = Object.keys(scope).length > 0;
+
+    const rows = await this.findAll({
+      where: {
+        promisedDate: {
+          [Op.between]: [moment(startDate).format('YYYY-MM-DD'), moment(endDate).format('YYYY-MM-DD')]
+        }
+      },
+      include: hasScope ? [{ model: Debt, as: 'Debt', where: scope, attributes: [] }] : [],
+      attributes: [
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('PromiseToPay.id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('promised_amount')), 'promisedAmount']
+      ],
+      group: ['PromiseToPay.status'],
+      raw: true
+    });
+
+    const byStatus = { pending: 0, kept: 0, broken: 0, superseded: 0 };
+    let promisedAmount = 0;
+    let keptAmount = 0;
+
+    for (const row of rows) {
+      byStatus[row.status] = parseInt(row.count);
+      promisedAmount += parseFloat(row.promisedAmount || 0);
+      if (row.status === 'kept') {
+        keptAmount += parseFloat(row.promisedAmount || 0);
+      }
+    }
+
+    const resolved = byStatus.kept + byStatus.broken;
+
+    return {
+      byStatus,
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      keptRate: resolved > 0 ? Math.round((byStatus.kept / resolved) * 10000) / 100 : 0,
+      promisedAmount: Math.round(promisedAmount * 100) / 100,
+      keptAmount: Math.round(keptAmount * 100) / 100
+    };
+  }
+}
+
+// Define model attributes
+const promiseToPayAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  // Reply the promise was extracted from, null when entered by a collector
+  debtorResponseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'debtor_responses',
+      key: 'id'
+    }
+  },
+  promisedAmount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  promisedDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'kept', 'broken', 'superseded'),
+    defaultValue: 'pending'
+  },
+  amountPaid: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  followUpSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const promiseToPayOptions = {
+  sequelize,
+  modelName: 'PromiseToPay',
+  tableName: 'promises_to_pay',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id'] },
+    { fields: ['debtor_id'] },
+    { fields: ['status', 'promised_date'] }
+  ]
+};
+
+// Initialize the model
+PromiseToPay.init(promiseToPayAttributes, promiseToPayOptions);
+
+module.exports = PromiseToPay;
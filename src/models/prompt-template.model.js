@@ -0,0 +1,92 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+const { PROMPT_KEYS } = require('../config/default-prompts');
+
+// Versioned LLM prompts; at most one version per key and language is published
+class PromptTemplate extends Model {
+  // Static methods
+  static async findPublished(key, language, options = {}) {
+    return await this.findOne({
+      where: { key, language, status: 'published' },
+      ...options
+    });
+  }
+
+  static async getLatestVersion(key, language, options = {}) {
+    return (await this.max('version', { where: { key, language }, ...options })) || 0;
+  }
+}
+
+// Define model attributes
+const promptTemplateAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.ENUM(...PROMPT_KEYS),
+    allowNull: false
+  },
+  language: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: 'id'
+  },
+  // Counts up per key and language; version 0 is the built-in prompt
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'published', 'archived'),
+    defaultValue: 'draft'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  notes: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  createdById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  publishedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  publishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const promptTemplateOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'PromptTemplate',
+  tableName: 'prompt_templates',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['key', 'language', 'version'] },
+    { fields: ['status'] }
+  ]
+};
+
+// Initialize the model
+PromptTemplate.init(promptTemplateAttributes, promptTemplateOptions);
+
+module.exports = PromptTemplate;
@@ -0,0 +1,201 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const database = require('../config/database');
+
+class ReminderLog extends Model {
+  // Static methods
+  static async findByDebt(debtId, options = {}) {
+    return await this.findAll({
+      where: { debtId },
+      order: [['sentAt', 'ASC']],
+      ...options
+    });
+  }
+
+  static async findByDebtor(debtorId, options = {}) {
+    return await this.findAll({
+      where: { debtorId },
+      order: [['sentAt', 'ASC']],
+      ...options
+    });
+  }
+
+  static async findByWhatsAppId(whatsappMessageId) {
+    return await this.findOne({ where: { whatsappMessageId } });
+  }
+
+  // WhatsApp reminders queued before `before` that went out or failed without a
+  // delivery receipt, or are still waiting in the outbound queue (e.g. while the socket
+  // is down), and have not been sent on another channel yet. Logs from before receipt
+  // tracking were never queued and have no delivery status, so they are left alone.
+  static async findUndelivered(before, options = {}) {
+    return await this.findAll({
+      where: {
+        messageType: 'reminder',
+        channel: 'whatsapp',
+        [Op.or]: [
+          { deliveryStatus: { [Op.in]: ['sent', 'failed'] } },
+          { status: 'queued', deliveryStatus: null }
+        ],
+        reroutedAt: null,
+        createdAt: { [Op.lte]: before }
+      },
+      order: [['createdAt', 'ASC']],
+      ...options
+    });
+  }
+}
+
+// Define model attributes
+const reminderLogAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  level: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: '1-5 for reminders, 0 for responses and confirmations, 99 for escalations'
+  },
+  messageType: {
+    type: DataTypes.ENUM('reminder', 'auto_response', 'payment_confirmation', 'escalation', 'manual', 'promise_follow_up'),
+    defaultValue: 'reminder'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // queued until the outbound queue delivers the message (sent) or gives up on it (failed)
+  status: {
+    type: DataTypes.ENUM('queued', 'sent', 'failed'),
+    defaultValue: 'sent'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  whatsappMessageId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Files sent after the message text, each with the id of its queued message
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  channel: {
+    type: DataTypes.ENUM('whatsapp', 'sms', 'email'),
+    defaultValue: 'whatsapp'
+  },
+  // Latest WhatsApp receipt; null until the message leaves the queue
+  deliveryStatus: {
+    type: DataTypes.ENUM('sent', 'delivered', 'read', 'failed'),
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set once an undelivered reminder was handed to a fallback channel
+  reroutedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Where the text came from: the LLM, a fallback template or a collector
+  contentSource: {
+    type: DataTypes.ENUM('ai', 'template', 'manual'),
+    allowNull: true
+  },
+  // Set when a template replaced the LLM output
+  fallbackReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Null when a built-in default template was used
+  messageTemplateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'message_templates',
+      key: 'id'
+    }
+  },
+  // Prompt the AI text was generated from; null with version 0 for the built-in prompt
+  promptTemplateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'prompt_templates',
+      key: 'id'
+    }
+  },
+  promptVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Experiment arm the reminder prompt was built for; only set on AI content
+  experimentVariantId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'experiment_variants',
+      key: 'id'
+    }
+  },
+  sentById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+};
+
+const reminderLogOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'ReminderLog',
+  tableName: 'reminder_logs',
+  timestamps: true,
+  indexes: [
+    { fields: ['debt_id'] },
+    { fields: ['debtor_id'] },
+    { fields: ['message_type'] },
+    { fields: ['status'] },
+    { fields: ['content_source'] },
+    { fields: ['experiment_variant_id'] },
+    { fields: ['whatsapp_message_id'] },
+    { fields: ['delivery_status'] },
+    { fields: ['sent_at'] }
+  ]
+};
+
+// Initialize the model
+ReminderLog.init(reminderLogAttributes, reminderLogOptions);
+
+module.exports = ReminderLog;
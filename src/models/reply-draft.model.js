@@ -0,0 +1,96 @@
+const { Model, DataTypes } = require('sequelize');
+const database = require('../config/database');
+
+// AI replies held for collector approval while a debtor is in 'ai_draft' mode
+class ReplyDraft extends Model {
+  // Static methods
+  static async findPendingByDebtor(debtorId, options = {}) {
+    return await this.findAll({
+      where: { debtorId, status: 'pending' },
+      order: [['createdAt', 'ASC']],
+      ...options
+    });
+  }
+
+  static async discardPendingForDebtor(debtorId, reviewedById = null, options = {}) {
+    return await this.update(
+      { status: 'discarded', reviewedById, reviewedAt: new Date() },
+      { where: { debtorId, status: 'pending' }, ...options }
+    );
+  }
+}
+
+// Define model attributes
+const replyDraftAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  debtorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debtors',
+      key: 'id'
+    }
+  },
+  // Debt the reply is logged against once sent
+  debtId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'debts',
+      key: 'id'
+    }
+  },
+  debtorResponseId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'debtor_responses',
+      key: 'id'
+    }
+  },
+  suggestedMessage: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // What was actually sent, after any collector edits
+  finalMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'discarded'),
+    defaultValue: 'pending'
+  },
+  reviewedById: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const replyDraftOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'ReplyDraft',
+  tableName: 'reply_drafts',
+  timestamps: true,
+  indexes: [
+    { fields: ['debtor_id'] },
+    { fields: ['status'] }
+  ]
+};
+
+// Initialize the model
+ReplyDraft.init(replyDraftAttributes, replyDraftOptions);
+
+module.exports = ReplyDraft;
@@ -0,0 +1,104 @@
+const { Model, DataTypes } = require('sequelize');
+const bcrypt = require('bcryptjs');
+const database = require('../config/database');
+
+const PASSWORD_SALT_ROUNDS = 10;
+
+class User extends Model {
+  // Instance methods
+  async validatePassword(password) {
+    return await bcrypt.compare(password, this.password);
+  }
+
+  async recordLogin() {
+    this.lastLogin = new Date();
+    await this.save({ fields: ['lastLogin'] });
+  }
+
+  toJSON() {
+    const values = { ...this.get() };
+    delete values.password;
+    return values;
+  }
+
+  // Static methods
+  static async findActiveByUsername(username) {
+    return await this.findOne({ where: { username, isActive: true } });
+  }
+
+  static async findActiveById(id) {
+    return await this.findOne({ where: { id, isActive: true } });
+  }
+}
+
+// Define model attributes
+const userAttributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  username: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      len: [3, 50]
+    }
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  password: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  fullName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'collector', 'viewer'),
+    defaultValue: 'collector'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  lastLogin: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const userOptions = {
+  sequelize: database.getSequelize(),
+  modelName: 'User',
+  tableName: 'users',
+  timestamps: true,
+  indexes: [
+    { fields: ['username'] },
+    { fields: ['email'] },
+    { fields: ['role'] },
+    { fields: ['is_active'] }
+  ]
+};
+
+// Initialize the model
+User.init(userAttributes, userOptions);
+
+// Hooks
+User.addHook('beforeSave', async (user) => {
+  // Hash plain-text passwords whenever they are set or changed
+  if (user.changed('password')) {
+    user.password = await bcrypt.hash(user.password, PASSWORD_SALT_ROUNDS);
+  }
+});
+
+module.exports = User;
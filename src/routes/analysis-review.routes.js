@@ -0,0 +1,87 @@
+const express = require('express');
+const { DebtorResponse, Debt } = require('../models');
+const AnalysisReviewService = require('../services/analysis-review.service');
+const { requirePermission } = require('./auth.routes');
+const { getDebtScope, canAccessDebt } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const analysisReviewService = new AnalysisReviewService();
+
+router.use(requirePermission('analysis:review'));
+
+// Collectors only see and review messages on debts assigned to them
+const findReview = async (req) => {
+  const response = await DebtorResponse.findByPk(req.params.id, {
+    include: [{ model: Debt, as: 'Debt', attributes: ['id', 'invoiceNumber', 'assignedToId'] }]
+  });
+
+  if (!response || !response.reviewStatus || !canAccessDebt(req.user, response.Debt)) {
+    return null;
+  }
+  return response;
+};
+
+// Analyses waiting for review, oldest first
+router.get('/', async (req, res) => {
+  try {
+    const { reviewStatus = 'pending', reviewReason, debtId, page = 1, limit = 20 } = req.query;
+
+    const { reviews, total } = await analysisReviewService.listReviews({
+      reviewStatus: reviewStatus === 'all' ? null : reviewStatus,
+      reviewReason,
+      debtId,
+      debtScope: getDebtScope(req.user),
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      reviews,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching analysis reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis reviews' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const response = await findReview(req);
+
+    if (!response) {
+      return res.status(404).json({ error: 'Analysis review not found' });
+    }
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Error fetching analysis review:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis review' });
+  }
+});
+
+// Confirm the analysis, optionally correcting it
+router.post('/:id/review', async (req, res) => {
+  try {
+    const response = await findReview(req);
+
+    if (!response) {
+      return res.status(404).json({ error: 'Analysis review not found' });
+    }
+
+    const { notes, ...corrections } = req.body;
+    await analysisReviewService.review(response, corrections, req.user.id, notes || null);
+    res.json(response);
+  } catch (error) {
+    logger.error('Error reviewing analysis:', error);
+    res.status(400).json({ error: error.message || 'Failed to review analysis' });
+  }
+});
+
+module.exports = router;
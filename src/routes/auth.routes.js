@@ -1,7 +1,9 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const { hasPermission } = require('../config/permissions');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -17,32 +19,22 @@ const authLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Simple in-memory user store (in production, use a proper database)
-const users = [
-  {
-    id: 1,
-    username: 'admin',
-    email: 'admin@debtcollection.com',
-    password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // password
-    role: 'admin',
-    isActive: true,
-    createdAt: new Date(),
-    lastLogin: null
-  },
-  {
-    id: 2,
-    username: 'collector',
-    email: 'collector@debtcollection.com',
-    password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // password
-    role: 'collector',
-    isActive: true,
-    createdAt: new Date(),
-    lastLogin: null
-  }
-];
+const USER_ROLES = ['admin', 'collector', 'viewer'];
+
+// Public representation of a user; never includes the password hash
+const serializeUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  fullName: user.fullName,
+  role: user.role,
+  isActive: user.isActive,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin
+});
 
 // Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -50,13 +42,31 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    // Deactivated users and role changes take effect without waiting for the token to expire
+    const user = await User.findActiveById(decoded.id);
+    if (!user) {
+      return res.status(401).json({ error: 'User is inactive or no longer exists' });
     }
-    req.user = user;
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    };
     next();
-  });
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 };
 
 // Middleware to check user role
@@ -74,6 +84,22 @@ const requireRole = (roles) => {
   };
 };
 
+// Middleware to check an entry of the permission matrix in config/permissions.js
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      logger.warn(`User ${req.user.username} denied ${permission}`);
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+};
+
 // Login endpoint
 router.post('/login', authLimiter, async (req, res) => {
   try {
@@ -84,21 +110,21 @@ router.post('/login', authLimiter, async (req, res) => {
     }
 
     // Find user
-    const user = users.find(u => u.username === username && u.isActive);
+    const user = await User.findActiveByUsername(username);
     if (!user) {
       logger.warn(`Failed login attempt for username: ${username}`);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const isValidPassword = await user.validatePassword(password);
     if (!isValidPassword) {
       logger.warn(`Failed login attempt for username: ${username}`);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Update last login
-    user.lastLogin = new Date();
+    await user.recordLogin();
 
     // Generate JWT token
     const token = jwt.sign(
@@ -129,6 +155,7 @@ router.post('/login', authLimiter, async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
+        fullName: user.fullName,
         role: user.role,
         lastLogin: user.lastLogin
       }
@@ -148,32 +175,33 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'Refresh token required' });
     }
 
-    jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key', (err, decoded) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid refresh token' });
-      }
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key');
+    } catch (err) {
+      return res.status(403).json({ error: 'Invalid refresh token' });
+    }
 
-      const user = users.find(u => u.id === decoded.id && u.isActive);
-      if (!user) {
-        return res.status(403).json({ error: 'User not found' });
-      }
+    const user = await User.findActiveById(decoded.id);
+    if (!user) {
+      return res.status(403).json({ error: 'User not found' });
+    }
+
+    // Generate new access token
+    const newToken = jwt.sign(
+      {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: '24h' }
+    );
 
-      // Generate new access token
-      const newToken = jwt.sign(
-        {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        },
-        process.env.JWT_SECRET || 'your-secret-key',
-        { expiresIn: '24h' }
-      );
-
-      res.json({
-        success: true,
-        token: newToken
-      });
+    res.json({
+      success: true,
+      token: newToken
     });
   } catch (error) {
     logger.error('Token refresh error:', error);
@@ -196,22 +224,14 @@ router.post('/logout', authenticateToken, (req, res) => {
 });
 
 // Get current user profile
-router.get('/profile', authenticateToken, (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const user = users.find(u => u.id === req.user.id);
+    const user = await User.findByPk(req.user.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      isActive: user.isActive,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin
-    });
+    res.json(serializeUser(user));
   } catch (error) {
     logger.error('Profile fetch error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -221,9 +241,9 @@ router.get('/profile', authenticateToken, (req, res) => {
 // Update user profile
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const { email, currentPassword, newPassword } = req.body;
+    const { email, fullName, currentPassword, newPassword } = req.body;
     
-    const user = users.find(u => u.id === req.user.id);
+    const user = await User.findByPk(req.user.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -231,20 +251,24 @@ router.put('/profile', authenticateToken, async (req, res) => {
     // Update email if provided
     if (email && email !== user.email) {
       // Check if email is already taken
-      const emailExists = users.find(u => u.email === email && u.id !== user.id);
+      const emailExists = await User.findOne({ where: { email, id: { [Op.ne]: user.id } } });
       if (emailExists) {
         return res.status(400).json({ error: 'Email already in use' });
       }
       user.email = email;
     }
 
+    if (fullName) {
+      user.fullName = fullName;
+    }
+
     // Update password if provided
     if (newPassword) {
       if (!currentPassword) {
         return res.status(400).json({ error: 'Current password required to change password' });
       }
 
-      const isValidCurrentPassword = await bcrypt.compare(currentPassword, user.password);
+      const isValidCurrentPassword = await user.validatePassword(currentPassword);
       if (!isValidCurrentPassword) {
         return res.status(400).json({ error: 'Current password is incorrect' });
       }
@@ -253,9 +277,12 @@ router.put('/profile', authenticateToken, async (req, res) => {
         return res.status(400).json({ error: 'New password must be at least 6 characters long' });
       }
 
-      user.password = await bcrypt.hash(newPassword, 10);
+      // Hashed by the model's beforeSave hook
+      user.password = newPassword;
     }
 
+    await user.save();
+
     logger.info(`User ${user.username} updated profile`);
 
     res.json({
@@ -265,6 +292,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
         id: user.id,
         username: user.username,
         email: user.email,
+        fullName: user.fullName,
         role: user.role
       }
     });
@@ -275,31 +303,37 @@ router.put('/profile', authenticateToken, async (req, res) => {
 });
 
 // Get all users (admin only)
-router.get('/users', authenticateToken, requireRole(['admin']), (req, res) => {
+router.get('/users', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '' } = req.query;
+    const { page = 1, limit = 10, search = '', role, isActive } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
+    const where = {};
+
+    if (search) {
+      where[Op.or] = [
+        { username: { [Op.like]: `%${search}%` } },
+        { email: { [Op.like]: `%${search}%` } },
+        { fullName: { [Op.like]: `%${search}%` } }
+      ];
+    }
 
-    let filteredUsers = users.filter(user => 
-      user.username.toLowerCase().includes(search.toLowerCase()) ||
-      user.email.toLowerCase().includes(search.toLowerCase())
-    );
+    if (role) {
+      where.role = role;
+    }
 
-    const total = filteredUsers.length;
-    const paginatedUsers = filteredUsers
-      .slice(offset, offset + parseInt(limit))
-      .map(user => ({
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive,
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin
-      }));
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+
+    const { count: total, rows } = await User.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset,
+      order: [['createdAt', 'DESC']]
+    });
 
     res.json({
-      users: paginatedUsers,
+      users: rows.map(serializeUser),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -316,7 +350,7 @@ router.get('/users', authenticateToken, requireRole(['admin']), (req, res) => {
 // Create new user (admin only)
 router.post('/users', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { username, email, password, role = 'collector' } = req.body;
+    const { username, email, password, fullName, role = 'collector' } = req.body;
 
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'Username, email, and password are required' });
@@ -326,42 +360,33 @@ router.post('/users', authenticateToken, requireRole(['admin']), async (req, res
       return res.status(400).json({ error: 'Password must be at least 6 characters long' });
     }
 
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
     // Check if username or email already exists
-    const existingUser = users.find(u => u.username === username || u.email === email);
+    const existingUser = await User.findOne({
+      where: { [Op.or]: [{ username }, { email }] }
+    });
     if (existingUser) {
       return res.status(400).json({ error: 'Username or email already exists' });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Create new user
-    const newUser = {
-      id: users.length + 1,
+    // Password is hashed by the model's beforeSave hook
+    const newUser = await User.create({
       username,
       email,
-      password: hashedPassword,
-      role,
-      isActive: true,
-      createdAt: new Date(),
-      lastLogin: null
-    };
-
-    users.push(newUser);
+      password,
+      fullName: fullName || username,
+      role
+    });
 
     logger.info(`New user created: ${username} by ${req.user.username}`);
 
     res.status(201).json({
       success: true,
       message: 'User created successfully',
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        email: newUser.email,
-        role: newUser.role,
-        isActive: newUser.isActive,
-        createdAt: newUser.createdAt
-      }
+      user: serializeUser(newUser)
     });
   } catch (error) {
     logger.error('User creation error:', error);
@@ -373,23 +398,30 @@ router.post('/users', authenticateToken, requireRole(['admin']), async (req, res
 router.put('/users/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { email, role, isActive, password } = req.body;
+    const { email, fullName, role, isActive, password } = req.body;
 
-    const user = users.find(u => u.id === parseInt(id));
+    const user = await User.findByPk(id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
     // Update fields if provided
     if (email && email !== user.email) {
-      const emailExists = users.find(u => u.email === email && u.id !== user.id);
+      const emailExists = await User.findOne({ where: { email, id: { [Op.ne]: user.id } } });
       if (emailExists) {
         return res.status(400).json({ error: 'Email already in use' });
       }
       user.email = email;
     }
 
+    if (fullName) {
+      user.fullName = fullName;
+    }
+
     if (role) {
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+      }
       user.role = role;
     }
 
@@ -401,21 +433,17 @@ router.put('/users/:id', authenticateToken, requireRole(['admin']), async (req,
       if (password.length < 6) {
         return res.status(400).json({ error: 'Password must be at least 6 characters long' });
       }
-      user.password = await bcrypt.hash(password, 10);
+      user.password = password;
     }
 
+    await user.save();
+
     logger.info(`User ${user.username} updated by ${req.user.username}`);
 
     res.json({
       success: true,
       message: 'User updated successfully',
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive
-      }
+      user: serializeUser(user)
     });
   } catch (error) {
     logger.error('User update error:', error);
@@ -423,30 +451,28 @@ router.put('/users/:id', authenticateToken, requireRole(['admin']), async (req,
   }
 });
 
-// Delete user (admin only)
-router.delete('/users/:id', authenticateToken, requireRole(['admin']), (req, res) => {
+// Deactivate user (admin only)
+// Users are never removed so createdById/assignedToId on debts keep pointing at a real row
+router.delete('/users/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { id } = req.params;
-    const userIndex = users.findIndex(u => u.id === parseInt(id));
+    const user = await User.findByPk(req.params.id);
     
-    if (userIndex === -1) {
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-
-    const user = users[userIndex];
     
     // Prevent admin from deleting themselves
     if (user.id === req.user.id) {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
-    users.splice(userIndex, 1);
+    await user.update({ isActive: false });
 
-    logger.info(`User ${user.username} deleted by ${req.user.username}`);
+    logger.info(`User ${user.username} deactivated by ${req.user.username}`);
 
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User deactivated successfully'
     });
   } catch (error) {
     logger.error('User deletion error:', error);
@@ -471,5 +497,6 @@ router.get('/verify', authenticateToken, (req, res) => {
 module.exports = {
   router,
   authenticateToken,
-  requireRole
+  requireRole,
+  requirePermission
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+const express = require('express');
+const { ComplianceViolation } = require('../models');
+const ComplianceService = require('../services/compliance.service');
+const { requirePermission } = require('./auth.routes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const complianceService = new ComplianceService();
+
+// Rejected messages may contain threats or wrong amounts; reviewing them is admin-only
+router.use(requirePermission('compliance:review'));
+
+// AI messages that failed the compliance check, newest first
+router.get('/violations', async (req, res) => {
+  try {
+    const { reviewStatus, debtId, page = 1, limit = 20 } = req.query;
+
+    const { violations, total } = await complianceService.listViolations({
+      reviewStatus,
+      debtId,
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      violations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching compliance violations:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance violations' });
+  }
+});
+
+router.get('/violations/:id', async (req, res) => {
+  try {
+    const violation = await ComplianceViolation.findByPk(req.params.id);
+
+    if (!violation) {
+      return res.status(404).json({ error: 'Compliance violation not found' });
+    }
+
+    res.json(violation);
+  } catch (error) {
+    logger.error('Error fetching compliance violation:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance violation' });
+  }
+});
+
+router.post('/violations/:id/review', async (req, res) => {
+  try {
+    const violation = await ComplianceViolation.findByPk(req.params.id);
+
+    if (!violation) {
+      return res.status(404).json({ error: 'Compliance violation not found' });
+    }
+
+    await complianceService.review(violation, req.user.id, req.body.notes || null);
+    res.json(violation);
+  } catch (error) {
+    logger.error('Error reviewing compliance violation:', error);
+    res.status(400).json({ error: error.message || 'Failed to review compliance violation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const express = require('express');
+const { Debt, Debtor, User, ReplyDraft } = require('../models');
+const HandoffService = require('../services/handoff.service');
+const InboxService = require('../services/inbox.service');
+const { requirePermission } = require('./auth.routes');
+const { hasPermission, isAssignmentScoped, getDebtScope } = require('../config/permissions');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+const router = express.Router();
+const handoffService = new HandoffService();
+const inboxService = new InboxService();
+
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Collectors only reach conversations assigned to them or with debtors that have a debt assigned to them
+const findAccessibleDebtor = async (req) => {
+  const debtor = await Debtor.findByPk(req.params.debtorId);
+  if (!debtor) {
+    return null;
+  }
+
+  if (isAssignmentScoped(req.user) && debtor.conversation_claimed_by !== req.user.id) {
+    const assignedDebts = await Debt.count({
+      where: { debtorId: debtor.id, ...getDebtScope(req.user) }
+    });
+    if (assignedDebts === 0) {
+      return null;
+    }
+  }
+
+  return debtor;
+};
+
+const findAccessibleDraft = async (req) => {
+  const debtor = await findAccessibleDebtor(req);
+  if (!debtor) {
+    return null;
+  }
+
+  return await ReplyDraft.findOne({ where: { id: req.params.draftId, debtorId: debtor.id } });
+};
+
+// Someone else's claim can only be taken over by users who may reassign work
+const isClaimedByOther = (debtor, user) => {
+  return debtor.conversation_claimed_by
+    && debtor.conversation_claimed_by !== user.id
+    && !hasPermission(user.role, 'debts:assign');
+};
+
+// List conversations by last activity, with unread counts
+router.get('/', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread, mode, assignedTo } = req.query;
+
+    const { conversations, total } = await inboxService.listConversations({
+      debtorIds: await inboxService.getAccessibleDebtorIds(req.user),
+      unreadOnly: unread === 'true',
+      mode,
+      claimedById: assignedTo === 'me' ? req.user.id : assignedTo,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      conversations,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Server-Sent Events stream of new inbound messages the user may see
+router.get('/stream', requirePermission('conversations:read'), (req, res) => {
+  const debtCollectionService = req.app.locals.debtCollectionService;
+  if (!debtCollectionService) {
+    return res.status(503).json({ error: 'Debt collection service not initialized' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const scoped = isAssignmentScoped(req.user);
+  const onInbound = (event) => {
+    if (scoped && event.claimedById !== req.user.id && !event.assignedToIds.includes(req.user.id)) {
+      return;
+    }
+    res.write(`event: message\nid: ${event.responseId}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  debtCollectionService.inboxEvents.on('inbound', onInbound);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    debtCollectionService.inboxEvents.off('inbound', onInbound);
+  });
+});
+
+// Conversations the AI is not answering on its own
+router.get('/handoffs', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const where = { conversation_mode: { [Op.ne]: 'ai' } };
+    const debtorIds = await inboxService.getAccessibleDebtorIds(req.user);
+    if (debtorIds !== null) {
+      where.id = debtorIds;
+    }
+
+    const debtors = await Debtor.findAll({
+      where,
+      include: [
+        { model: User, as: 'conversationClaimedBy', attributes: ['id', 'username', 'fullName'] },
+        { model: ReplyDraft, as: 'replyDrafts', where: { status: 'pending' }, required: false }
+      ],
+      order: [['handoff_at', 'ASC']]
+    });
+
+    res.json({ conversations: debtors });
+  } catch (error) {
+    logger.error('Error fetching handed-off conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch handed-off conversations' });
+  }
+});
+
+// Fetch a thread, newest messages first
+router.get('/:debtorId', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const [{ messages, total }, unreadCount] = await Promise.all([
+      inboxService.getThread(debtor.id, { page: parseInt(page), limit: parseInt(limit) }),
+      inboxService.countUnread(debtor.id)
+    ]);
+
+    res.json({
+      debtor: { id: debtor.id, name: debtor.name, phone: debtor.phone, company: debtor.company },
+      mode: debtor.conversation_mode,
+      claimedById: debtor.conversation_claimed_by,
+      unreadCount,
+      messages,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching conversation thread:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Reply as the logged-in collector; marks the thread read
+router.post('/:debtorId/reply', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const debtCollectionService = req.app.locals.debtCollectionService;
+    if (!debtCollectionService) {
+      return res.status(503).json({ error: 'Debt collection service not initialized' });
+    }
+
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const result = await debtCollectionService.sendConversationReply(debtor, message, req.user.id);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error sending conversation reply:', error);
+    res.status(500).json({ error: 'Failed to send reply', message: error.message });
+  }
+});
+
+router.post('/:debtorId/read', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const marked = await inboxService.markRead(debtor.id, req.user.id);
+
+    res.json({ debtorId: debtor.id, marked, unreadCount: 0 });
+  } catch (error) {
+    logger.error('Error marking conversation read:', error);
+    res.status(500).json({ error: 'Failed to mark conversation read' });
+  }
+});
+
+// Assign the conversation to a collector
+router.post('/:debtorId/assign', requirePermission('conversations:assign'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const assignee = await User.findActiveById(req.body.userId);
+    if (!assignee || !hasPermission(assignee.role, 'conversations:reply')) {
+      return res.status(400).json({ error: 'Assignee must be an active user who can reply to conversations' });
+    }
+
+    await handoffService.assign(debtor, assignee.id);
+
+    logger.info(`Conversation with debtor ${debtor.id} assigned to ${assignee.username} by ${req.user.username}`);
+    res.json(debtor);
+  } catch (error) {
+    logger.error('Error assigning conversation:', error);
+    res.status(500).json({ error: 'Failed to assign conversation' });
+  }
+});
+
+// Take over a conversation; mode 'human' silences the AI, 'ai_draft' keeps it writing drafts
+router.post('/:debtorId/claim', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (isClaimedByOther(debtor, req.user)) {
+      return res.status(409).json({ error: 'Conversation is already claimed by another user' });
+    }
+
+    await handoffService.claim(debtor, req.user.id, req.body.mode || 'human');
+
+    res.json(debtor);
+  } catch (error) {
+    logger.error('Error claiming conversation:', error);
+    res.status(400).json({ error: error.message || 'Failed to claim conversation' });
+  }
+});
+
+// Hand the conversation back to automatic AI replies
+router.post('/:debtorId/release', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    if (isClaimedByOther(debtor, req.user)) {
+      return res.status(409).json({ error: 'Conversation is claimed by another user' });
+    }
+
+    await handoffService.release(debtor, req.user.id);
+
+    res.json(debtor);
+  } catch (error) {
+    logger.error('Error releasing conversation:', error);
+    res.status(500).json({ error: 'Failed to release conversation' });
+  }
+});
+
+// Get AI drafts waiting for approval
+router.get('/:debtorId/drafts', requirePermission('conversations:read'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const drafts = await ReplyDraft.findPendingByDebtor(debtor.id);
+
+    res.json({ debtorId: debtor.id, mode: debtor.conversation_mode, drafts });
+  } catch (error) {
+    logger.error('Error fetching reply drafts:', error);
+    res.status(500).json({ error: 'Failed to fetch reply drafts' });
+  }
+});
+
+// Send a draft, optionally with the collector's edits in `message`
+router.post('/:debtorId/drafts/:draftId/approve', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const debtCollectionService = req.app.locals.debtCollectionService;
+    if (!debtCollectionService) {
+      return res.status(503).json({ error: 'Debt collection service not initialized' });
+    }
+
+    const draft = await findAccessibleDraft(req);
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const sentDraft = await debtCollectionService.approveReplyDraft(draft, req.user.id, req.body.message);
+
+    res.json(sentDraft);
+  } catch (error) {
+    logger.error('Error approving reply draft:', error);
+    res.status(400).json({ error: error.message || 'Failed to send reply draft' });
+  }
+});
+
+router.post('/:debtorId/drafts/:draftId/discard', requirePermission('conversations:reply'), async (req, res) => {
+  try {
+    const draft = await findAccessibleDraft(req);
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const discardedDraft = await handoffService.discardDraft(draft, req.user.id);
+
+    res.json(discardedDraft);
+  } catch (error) {
+    logger.error('Error discarding reply draft:', error);
+    res.status(400).json({ error: error.message || 'Failed to discard reply draft' });
+  }
+});
+
+module.exports = router;
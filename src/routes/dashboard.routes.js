@@ -1,14 +1,45 @@
 const express = require('express');
-const { Debt } = require('../models/debt.model');
-const { Debtor } = require('../models/debtor.model');
+const moment = require('moment');
+const { Debt, Debtor, PromiseToPay, FxRate } = require('../models');
+const { requirePermission } = require('./auth.routes');
+const ExperimentService = require('../services/experiment.service');
+const LlmUsageService = require('../services/llm-usage.service');
+const DeliveryTrackingService = require('../services/delivery-tracking.service');
+const { isAssignmentScoped, getDebtScope } = require('../config/permissions');
+const { groupBy } = require('../utils/collections');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
 const router = express.Router();
+const experimentService = new ExperimentService();
+const llmUsageService = new LlmUsageService();
+const deliveryTrackingService = new DeliveryTrackingService();
+
+// Every dashboard figure is limited to the debts the user may see
+router.use(requirePermission('dashboard:read'));
+
+// Amounts are reported in ?currency= or REPORTING_CURRENCY; an unsupported currency is a 400
+const withConverter = async (req, res, next) => {
+  try {
+    req.converter = await FxRate.createConverter(req.query.currency);
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Entries for CurrencyConverter.summarize(); billed amounts convert at the issue date
+const billed = (debts) => debts.map(debt => ({ amount: debt.amount, currency: debt.currency, date: debt.issueDate }));
+const outstanding = (debts, date = new Date()) =>
+  debts.map(debt => ({ amount: debt.remainingBalance, currency: debt.currency, date }));
+const payments = (debts, since = null) => debts.flatMap(debt => (debt.payments || [])
+  .filter(payment => !since || moment(payment.paymentDate).isSameOrAfter(since))
+  .map(payment => ({ amount: payment.amount, currency: debt.currency, date: payment.paymentDate })));
 
 // Get dashboard overview statistics
-router.get('/overview', async (req, res) => {
+router.get('/overview', withConverter, async (req, res) => {
   try {
+    const scope = getDebtScope(req.user);
     const { period = '30' } = req.query;
     const days = parseInt(period);
     const startDate = new Date();
@@ -16,50 +47,40 @@ router.get('/overview', async (req, res) => {
 
     // Get total statistics
     const [totalDebts, totalDebtors, activeDebts, overdueDebts] = await Promise.all([
-      Debt.count({ where: { isActive: true } }),
-      Debtor.count({ where: { isActive: true } }),
-      Debt.count({ where: { isActive: true, status: { [Op.in]: ['pending', 'partial'] } } }),
+      Debt.count({ where: { isActive: true, ...scope } }),
+      isAssignmentScoped(req.user)
+        ? Debt.count({ where: { isActive: true, ...scope }, distinct: true, col: 'debtorId' })
+        : Debtor.count({ where: { is_active: true } }),
+      Debt.count({ where: { isActive: true, ...scope, status: { [Op.in]: ['pending', 'partial'] } } }),
       Debt.count({ 
         where: { 
           isActive: true, 
+          ...scope,
           status: { [Op.in]: ['pending', 'partial'] },
           dueDate: { [Op.lt]: new Date() }
         } 
       })
     ]);
 
-    // Get financial statistics
-    const financialStats = await Debt.findAll({
-      where: { isActive: true },
-      attributes: [
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('amount')), 'totalAmount'],
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('paidAmount')), 'totalPaid'],
-        [Debt.sequelize.fn('COUNT', Debt.sequelize.col('id')), 'count']
-      ],
-      group: ['status'],
-      raw: true
-    });
-
-    // Calculate totals
-    let totalAmount = 0;
-    let totalPaid = 0;
-    let totalOutstanding = 0;
-
-    financialStats.forEach(stat => {
-      totalAmount += parseFloat(stat.totalAmount || 0);
-      totalPaid += parseFloat(stat.totalPaid || 0);
+    // Get financial statistics: payments convert at their payment date, balances at today's rate
+    const debts = await Debt.findAll({ where: { isActive: true, ...scope } });
+    const { totals, byCurrency } = req.converter.summarize({
+      totalAmount: billed(debts),
+      totalPaid: payments(debts),
+      totalOutstanding: outstanding(debts)
     });
-    totalOutstanding = totalAmount - totalPaid;
+    const { totalAmount, totalPaid, totalOutstanding } = totals;
 
     // Get recent activity (last 7 days)
     const recentActivity = await Debt.findAll({
       where: {
+        ...scope,
         updatedAt: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
       },
       include: [{
         model: Debtor,
-        as: 'debtor',
-        attributes: ['name', 'phone']
+        as: 'Debtor',
+        attributes: ['name', 'phone', 'language']
       }],
       order: [['updatedAt', 'DESC']],
       limit: 10
@@ -68,6 +89,7 @@ router.get('/overview', async (req, res) => {
     // Get collection efficiency for the period
     const collectionEfficiency = await Debt.findAll({
       where: {
+        ...scope,
         updatedAt: { [Op.gte]: startDate },
         status: 'paid'
       },
@@ -90,20 +112,25 @@ router.get('/overview', async (req, res) => {
         collectionRate: Math.round(collectionRate * 100) / 100
       },
       financial: {
-        totalAmount: Math.round(totalAmount * 100) / 100,
-        totalPaid: Math.round(totalPaid * 100) / 100,
-        totalOutstanding: Math.round(totalOutstanding * 100) / 100,
-        collectionPercentage: totalAmount > 0 ? Math.round((totalPaid / totalAmount) * 10000) / 100 : 0
+        currency: req.converter.currency,
+        totalAmount,
+        totalPaid,
+        totalOutstanding,
+        collectionPercentage: totalAmount > 0 ? Math.round((totalPaid / totalAmount) * 10000) / 100 : 0,
+        byCurrency
       },
       recentActivity: recentActivity.map(debt => ({
         id: debt.id,
         invoiceNumber: debt.invoiceNumber,
-        debtorName: debt.debtor?.name,
+        debtorName: debt.Debtor?.name,
         amount: debt.amount,
+        currency: debt.currency,
+        formattedAmount: debt.formattedAmount,
         status: debt.status,
         updatedAt: debt.updatedAt
       })),
-      period: days
+      period: days,
+      missingRates: req.converter.missingRates
     });
   } catch (error) {
     logger.error('Error fetching dashboard overview:', error);
@@ -112,24 +139,21 @@ router.get('/overview', async (req, res) => {
 });
 
 // Get debt status distribution
-router.get('/debt-status-distribution', async (req, res) => {
+router.get('/debt-status-distribution', withConverter, async (req, res) => {
   try {
-    const distribution = await Debt.findAll({
-      where: { isActive: true },
-      attributes: [
-        'status',
-        [Debt.sequelize.fn('COUNT', Debt.sequelize.col('id')), 'count'],
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('amount')), 'totalAmount']
-      ],
-      group: ['status'],
-      raw: true
+    const scope = getDebtScope(req.user);
+    const debts = await Debt.findAll({ where: { isActive: true, ...scope } });
+
+    const distribution = Object.entries(groupBy(debts, debt => debt.status)).map(([status, group]) => {
+      const { totals, byCurrency } = req.converter.summarize({ totalAmount: billed(group) });
+      return { status, count: group.length, totalAmount: totals.totalAmount, byCurrency };
     });
 
-    res.json(distribution.map(item => ({
-      status: item.status,
-      count: parseInt(item.count),
-      totalAmount: Math.round(parseFloat(item.totalAmount || 0) * 100) / 100
-    })));
+    res.json({
+      currency: req.converter.currency,
+      distribution,
+      missingRates: req.converter.missingRates
+    });
   } catch (error) {
     logger.error('Error fetching debt status distribution:', error);
     res.status(500).json({ error: 'Failed to fetch debt status distribution' });
@@ -137,8 +161,9 @@ router.get('/debt-status-distribution', async (req, res) => {
 });
 
 // Get monthly collection trends
-router.get('/collection-trends', async (req, res) => {
+router.get('/collection-trends', withConverter, async (req, res) => {
   try {
+    const scope = getDebtScope(req.user);
     const { months = 6 } = req.query;
     const monthsBack = parseInt(months);
     
@@ -147,26 +172,29 @@ router.get('/collection-trends', async (req, res) => {
     startDate.setDate(1);
     startDate.setHours(0, 0, 0, 0);
 
-    const trends = await Debt.findAll({
+    // A paid debt counts in the month it was last updated and converts at that date
+    const paidDebts = await Debt.findAll({
       where: {
+        ...scope,
         updatedAt: { [Op.gte]: startDate },
         status: 'paid'
       },
-      attributes: [
-        [Debt.sequelize.fn('DATE_FORMAT', Debt.sequelize.col('updatedAt'), '%Y-%m'), 'month'],
-        [Debt.sequelize.fn('COUNT', Debt.sequelize.col('id')), 'count'],
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('amount')), 'totalAmount']
-      ],
-      group: [Debt.sequelize.fn('DATE_FORMAT', Debt.sequelize.col('updatedAt'), '%Y-%m')],
-      order: [[Debt.sequelize.fn('DATE_FORMAT', Debt.sequelize.col('updatedAt'), '%Y-%m'), 'ASC']],
-      raw: true
+      order: [['updatedAt', 'ASC']]
     });
 
-    res.json(trends.map(trend => ({
-      month: trend.month,
-      count: parseInt(trend.count),
-      totalAmount: Math.round(parseFloat(trend.totalAmount || 0) * 100) / 100
-    })));
+    const trends = Object.entries(groupBy(paidDebts, debt => moment(debt.updatedAt).format('YYYY-MM')))
+      .map(([month, group]) => {
+        const { totals, byCurrency } = req.converter.summarize({
+          totalAmount: group.map(debt => ({ amount: debt.amount, currency: debt.currency, date: debt.updatedAt }))
+        });
+        return { month, count: group.length, totalAmount: totals.totalAmount, byCurrency };
+      });
+
+    res.json({
+      currency: req.converter.currency,
+      trends,
+      missingRates: req.converter.missingRates
+    });
   } catch (error) {
     logger.error('Error fetching collection trends:', error);
     res.status(500).json({ error: 'Failed to fetch collection trends' });
@@ -174,8 +202,9 @@ router.get('/collection-trends', async (req, res) => {
 });
 
 // Get overdue debts summary
-router.get('/overdue-summary', async (req, res) => {
+router.get('/overdue-summary', withConverter, async (req, res) => {
   try {
+    const scope = getDebtScope(req.user);
     const now = new Date();
     
     // Define overdue periods
@@ -197,6 +226,7 @@ router.get('/overdue-summary', async (req, res) => {
 
       const whereClause = {
         isActive: true,
+        ...scope,
         status: { [Op.in]: ['pending', 'partial'] },
         dueDate: {
           [Op.lte]: period.max ? maxDate : minDate
@@ -207,29 +237,26 @@ router.get('/overdue-summary', async (req, res) => {
         whereClause.dueDate[Op.gte] = minDate;
       }
 
-      const result = await Debt.findAll({
-        where: whereClause,
-        attributes: [
-          [Debt.sequelize.fn('COUNT', Debt.sequelize.col('id')), 'count'],
-          [Debt.sequelize.fn('SUM', Debt.sequelize.col('amount')), 'totalAmount'],
-          [Debt.sequelize.fn('SUM', Debt.sequelize.col('paidAmount')), 'totalPaid']
-        ],
-        raw: true
+      const debts = await Debt.findAll({ where: whereClause });
+      const { totals, byCurrency } = req.converter.summarize({
+        totalAmount: billed(debts),
+        totalPaid: payments(debts),
+        outstanding: outstanding(debts)
       });
 
-      const data = result[0] || { count: 0, totalAmount: 0, totalPaid: 0 };
-      const outstanding = parseFloat(data.totalAmount || 0) - parseFloat(data.totalPaid || 0);
-
       overdueSummary.push({
         period: period.name,
-        count: parseInt(data.count),
-        totalAmount: Math.round(parseFloat(data.totalAmount || 0) * 100) / 100,
-        totalPaid: Math.round(parseFloat(data.totalPaid || 0) * 100) / 100,
-        outstanding: Math.round(outstanding * 100) / 100
+        count: debts.length,
+        ...totals,
+        byCurrency
       });
     }
 
-    res.json(overdueSummary);
+    res.json({
+      currency: req.converter.currency,
+      periods: overdueSummary,
+      missingRates: req.converter.missingRates
+    });
   } catch (error) {
     logger.error('Error fetching overdue summary:', error);
     res.status(500).json({ error: 'Failed to fetch overdue summary' });
@@ -237,56 +264,54 @@ router.get('/overdue-summary', async (req, res) => {
 });
 
 // Get top debtors by outstanding amount
-router.get('/top-debtors', async (req, res) => {
+router.get('/top-debtors', withConverter, async (req, res) => {
   try {
+    const scope = getDebtScope(req.user);
     const { limit = 10 } = req.query;
     
-    const topDebtors = await Debtor.findAll({
-      where: { isActive: true },
+    const debts = await Debt.findAll({
+      where: {
+        isActive: true,
+        ...scope,
+        status: { [Op.in]: ['pending', 'partial'] }
+      },
       include: [{
-        model: Debt,
-        as: 'debts',
-        where: { 
-          isActive: true,
-          status: { [Op.in]: ['pending', 'partial'] }
-        },
-        attributes: []
-      }],
-      attributes: [
-        'id',
-        'name',
-        'phone',
-        'businessType',
-        'creditRating',
-        [Debt.sequelize.fn('COUNT', Debt.sequelize.col('debts.id')), 'debtCount'],
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('debts.amount')), 'totalAmount'],
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('debts.paidAmount')), 'totalPaid']
-      ],
-      group: ['Debtor.id'],
-      order: [[Debt.sequelize.fn('SUM', Debt.sequelize.literal('debts.amount - debts.paidAmount')), 'DESC']],
-      limit: parseInt(limit),
-      subQuery: false
+        model: Debtor,
+        as: 'Debtor',
+        where: { is_active: true },
+        attributes: ['id', 'name', 'phone', 'business_type', 'credit_rating']
+      }]
     });
 
-    const formattedDebtors = topDebtors.map(debtor => {
-      const totalAmount = parseFloat(debtor.dataValues.totalAmount || 0);
-      const totalPaid = parseFloat(debtor.dataValues.totalPaid || 0);
-      const outstanding = totalAmount - totalPaid;
-
-      return {
-        id: debtor.id,
-        name: debtor.name,
-        phone: debtor.phone,
-        businessType: debtor.businessType,
-        creditRating: debtor.creditRating,
-        debtCount: parseInt(debtor.dataValues.debtCount),
-        totalAmount: Math.round(totalAmount * 100) / 100,
-        totalPaid: Math.round(totalPaid * 100) / 100,
-        outstanding: Math.round(outstanding * 100) / 100
-      };
-    });
+    // Ranked by outstanding balance converted at today's rate
+    const topDebtors = Object.values(groupBy(debts, debt => debt.debtorId))
+      .map(group => {
+        const debtor = group[0].Debtor;
+        const { totals, byCurrency } = req.converter.summarize({
+          totalAmount: billed(group),
+          totalPaid: payments(group),
+          outstanding: outstanding(group)
+        });
+
+        return {
+          id: debtor.id,
+          name: debtor.name,
+          phone: debtor.phone,
+          businessType: debtor.business_type,
+          creditRating: debtor.credit_rating,
+          debtCount: group.length,
+          ...totals,
+          byCurrency
+        };
+      })
+      .sort((a, b) => b.outstanding - a.outstanding)
+      .slice(0, parseInt(limit));
 
-    res.json(formattedDebtors);
+    res.json({
+      currency: req.converter.currency,
+      debtors: topDebtors,
+      missingRates: req.converter.missingRates
+    });
   } catch (error) {
     logger.error('Error fetching top debtors:', error);
     res.status(500).json({ error: 'Failed to fetch top debtors' });
@@ -296,6 +321,7 @@ router.get('/top-debtors', async (req, res) => {
 // Get reminder statistics
 router.get('/reminder-stats', async (req, res) => {
   try {
+    const scope = getDebtScope(req.user);
     const { period = '30' } = req.query;
     const days = parseInt(period);
     const startDate = new Date();
@@ -305,6 +331,7 @@ router.get('/reminder-stats', async (req, res) => {
     const needReminder = await Debt.count({
       where: {
         isActive: true,
+        ...scope,
         status: { [Op.in]: ['pending', 'partial'] },
         nextReminderDate: { [Op.lte]: new Date() }
       }
@@ -314,6 +341,7 @@ router.get('/reminder-stats', async (req, res) => {
     const needEscalation = await Debt.count({
       where: {
         isActive: true,
+        ...scope,
         status: { [Op.in]: ['pending', 'partial'] },
         dueDate: { [Op.lt]: new Date() },
         reminderCount: { [Op.gte]: 3 }
@@ -324,6 +352,7 @@ router.get('/reminder-stats', async (req, res) => {
     const reminderDistribution = await Debt.findAll({
       where: {
         isActive: true,
+        ...scope,
         updatedAt: { [Op.gte]: startDate }
       },
       attributes: [
@@ -350,35 +379,111 @@ router.get('/reminder-stats', async (req, res) => {
   }
 });
 
+// Get kept-vs-broken rate for payment promises that came due in the period
+router.get('/promise-stats', async (req, res) => {
+  try {
+    const scope = getDebtScope(req.user);
+    const { period = '30' } = req.query;
+    const days = parseInt(period);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const stats = await PromiseToPay.getPromiseStats(startDate, new Date(), scope);
+
+    res.json({ ...stats, period: days });
+  } catch (error) {
+    logger.error('Error fetching promise statistics:', error);
+    res.status(500).json({ error: 'Failed to fetch promise statistics' });
+  }
+});
+
+// Delivery and read rates of WhatsApp reminders sent in the period, per reminder level
+router.get('/read-rates', async (req, res) => {
+  try {
+    const { period = '30' } = req.query;
+    const days = parseInt(period);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const rates = await deliveryTrackingService.getReadRates({ startDate, scope: getDebtScope(req.user) });
+
+    res.json({ ...rates, period: days });
+  } catch (error) {
+    logger.error('Error fetching read rates:', error);
+    res.status(500).json({ error: 'Failed to fetch read rates' });
+  }
+});
+
+// Per-variant reply, promise, paid and opt-out rates with 95% confidence intervals
+router.get('/experiments/:id/results', async (req, res) => {
+  try {
+    const experiment = await experimentService.findExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    const results = await experimentService.getResults(experiment, getDebtScope(req.user));
+
+    res.json(results);
+  } catch (error) {
+    logger.error('Error fetching experiment results:', error);
+    res.status(500).json({ error: 'Failed to fetch experiment results' });
+  }
+});
+
+// LLM calls, tokens, estimated cost and latency per purpose, model, day and debt, with budget status.
+// Usage is not tied to debt assignment, so the report is admin-only.
+router.get('/ai-usage', requirePermission('ai_usage:read'), async (req, res) => {
+  try {
+    const { period = '30', startDate, endDate } = req.query;
+    const days = parseInt(period);
+    const from = startDate ? new Date(startDate) : moment().subtract(days, 'days').startOf('day').toDate();
+    const to = endDate ? new Date(endDate) : new Date();
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'startDate and endDate must be valid dates' });
+    }
+
+    const report = await llmUsageService.getUsageReport({ startDate: from, endDate: to });
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Error fetching AI usage report:', error);
+    res.status(500).json({ error: 'Failed to fetch AI usage report' });
+  }
+});
+
 // Get payment trends
-router.get('/payment-trends', async (req, res) => {
+router.get('/payment-trends', withConverter, async (req, res) => {
   try {
+    const scope = getDebtScope(req.user);
     const { period = '30' } = req.query;
     const days = parseInt(period);
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    // Get daily payment trends
-    const paymentTrends = await Debt.findAll({
+    // Get daily payment trends from the recorded payments, each converted at its payment date
+    const debts = await Debt.findAll({
       where: {
-        updatedAt: { [Op.gte]: startDate },
-        paidAmount: { [Op.gt]: 0 }
-      },
-      attributes: [
-        [Debt.sequelize.fn('DATE', Debt.sequelize.col('updatedAt')), 'date'],
-        [Debt.sequelize.fn('COUNT', Debt.sequelize.col('id')), 'paymentCount'],
-        [Debt.sequelize.fn('SUM', Debt.sequelize.col('paidAmount')), 'totalPaid']
-      ],
-      group: [Debt.sequelize.fn('DATE', Debt.sequelize.col('updatedAt'))],
-      order: [[Debt.sequelize.fn('DATE', Debt.sequelize.col('updatedAt')), 'ASC']],
-      raw: true
+        ...scope,
+        updatedAt: { [Op.gte]: startDate }
+      }
     });
+    const paymentsInPeriod = payments(debts, startDate)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const trends = Object.entries(groupBy(paymentsInPeriod, payment => moment(payment.date).format('YYYY-MM-DD')))
+      .map(([date, group]) => {
+        const { totals, byCurrency } = req.converter.summarize({ totalPaid: group });
+        return { date, paymentCount: group.length, totalPaid: totals.totalPaid, byCurrency };
+      });
 
-    res.json(paymentTrends.map(trend => ({
-      date: trend.date,
-      paymentCount: parseInt(trend.paymentCount),
-      totalPaid: Math.round(parseFloat(trend.totalPaid || 0) * 100) / 100
-    })));
+    res.json({
+      currency: req.converter.currency,
+      trends,
+      missingRates: req.converter.missingRates
+    });
   } catch (error) {
     logger.error('Error fetching payment trends:', error);
     res.status(500).json({ error: 'Failed to fetch payment trends' });
@@ -1,13 +1,67 @@
 const express = require('express');
-const Debt = require('../models/debt.model');
-const Debtor = require('../models/debtor.model');
+const { Debt, Debtor, User, PromiseToPay, PaymentPlan, Dispute } = require('../models');
+const TimelineService = require('../services/timeline.service');
+const PaymentPlanService = require('../services/payment-plan.service');
+const DisputeService = require('../services/dispute.service');
+const DebtReportService = require('../services/debt-report.service');
+const { requirePermission } = require('./auth.routes');
+const { hasPermission, getDebtScope, canAccessDebt } = require('../config/permissions');
+const { SUPPORTED_CURRENCIES, isReportingCurrency } = require('../config/currencies');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
 const router = express.Router();
+const timelineService = new TimelineService();
+const paymentPlanService = new PaymentPlanService();
+const disputeService = new DisputeService();
+const debtReportService = new DebtReportService();
+
+// Audit, assignment and system-derived fields (payments, reminder state, disputes)
+// are never taken verbatim from the request body
+const sanitizeDebtInput = (body, user) => {
+  const {
+    createdById, updatedById, assignedToId,
+    payments, statusHistory, isDisputed,
+    reminderCount, lastReminderDate, lastReminderLevel, nextReminderDate, remindersPausedUntil,
+    ...debtData
+  } = body;
+
+  if (assignedToId !== undefined && hasPermission(user.role, 'debts:assign')) {
+    debtData.assignedToId = assignedToId;
+  }
+
+  return debtData;
+};
+
+// Loads a debt the current user may act on; collectors only reach their assigned debts
+const findAccessibleDebt = async (req, options = {}) => {
+  const debt = await Debt.findByPk(req.params.id, options);
+  if (!debt || !canAccessDebt(req.user, debt)) {
+    return null;
+  }
+  return debt;
+};
+
+const findAccessiblePlan = async (req) => {
+  const debt = await findAccessibleDebt(req);
+  if (!debt) {
+    return null;
+  }
+
+  return await PaymentPlan.findOne({ where: { id: req.params.planId, debtId: debt.id } });
+};
+
+const findAccessibleDispute = async (req) => {
+  const debt = await findAccessibleDebt(req);
+  if (!debt) {
+    return null;
+  }
+
+  return await Dispute.findOne({ where: { id: req.params.disputeId, debtId: debt.id } });
+};
 
 // Get all debts with pagination and filtering
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('debts:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -20,7 +74,7 @@ router.get('/', async (req, res) => {
     } = req.query;
 
     const offset = (page - 1) * limit;
-    const where = {};
+    const where = { ...getDebtScope(req.user) };
 
     // Apply filters
     if (status) {
@@ -75,9 +129,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get debt by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('debts:read'), async (req, res) => {
   try {
-    const debt = await Debt.findByPk(req.params.id, {
+    const debt = await findAccessibleDebt(req, {
       include: [{
         model: Debtor,
         as: 'Debtor'
@@ -95,10 +149,250 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get communication timeline for a debt
+router.get('/:id/timeline', requirePermission('debts:read'), async (req, res) => {
+  try {
+    const debt = await findAccessibleDebt(req);
+
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const timeline = await timelineService.getDebtTimeline(debt.id);
+
+    res.json({ debtId: debt.id, timeline });
+  } catch (error) {
+    logger.error('Error fetching debt timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch debt timeline' });
+  }
+});
+
+// Get payment promises made for a debt
+router.get('/:id/promises', requirePermission('debts:read'), async (req, res) => {
+  try {
+    const debt = await findAccessibleDebt(req);
+
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const promises = await PromiseToPay.findByDebt(debt.id);
+
+    res.json({ debtId: debt.id, promises });
+  } catch (error) {
+    logger.error('Error fetching payment promises:', error);
+    res.status(500).json({ error: 'Failed to fetch payment promises' });
+  }
+});
+
+// Get payment plans for a debt, with the policy limits new plans must respect
+router.get('/:id/payment-plans', requirePermission('debts:read'), async (req, res) => {
+  try {
+    const debt = await findAccessibleDebt(req);
+
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const plans = await PaymentPlan.findByDebt(debt.id);
+
+    res.json({ debtId: debt.id, policy: paymentPlanService.getPolicy(), plans });
+  } catch (error) {
+    logger.error('Error fetching payment plans:', error);
+    res.status(500).json({ error: 'Failed to fetch payment plans' });
+  }
+});
+
+// Propose a payment plan for the outstanding balance
+router.post('/:id/payment-plans', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const debt = await findAccessibleDebt(req);
+
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const plan = await paymentPlanService.proposePlan(debt, {
+      installmentCount: parseInt(req.body.installmentCount),
+      downPayment: parseFloat(req.body.downPayment)
+    }, {
+      proposedBy: 'collector',
+      createdById: req.user.id
+    });
+
+    logger.info(`Payment plan ${plan.id} proposed for debt ${debt.id} by ${req.user.username}`);
+    res.status(201).json(plan);
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({ error: error.message, violations: error.violations });
+    }
+    logger.error('Error creating payment plan:', error);
+    res.status(500).json({ error: 'Failed to create payment plan' });
+  }
+});
+
+// Accept a proposed payment plan, e.g. after the debtor agreed by phone
+router.patch('/:id/payment-plans/:planId/accept', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const plan = await findAccessiblePlan(req);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Payment plan not found' });
+    }
+
+    const acceptedPlan = await paymentPlanService.acceptPlan(plan);
+
+    logger.info(`Payment plan ${plan.id} accepted by ${req.user.username}`);
+    res.json(acceptedPlan);
+  } catch (error) {
+    logger.error('Error accepting payment plan:', error);
+    res.status(400).json({ error: error.message || 'Failed to accept payment plan' });
+  }
+});
+
+// Cancel a proposed or active payment plan
+router.patch('/:id/payment-plans/:planId/cancel', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const plan = await findAccessiblePlan(req);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Payment plan not found' });
+    }
+
+    const cancelledPlan = await paymentPlanService.cancelPlan(plan);
+
+    logger.info(`Payment plan ${plan.id} cancelled by ${req.user.username}`);
+    res.json(cancelledPlan);
+  } catch (error) {
+    logger.error('Error cancelling payment plan:', error);
+    res.status(400).json({ error: error.message || 'Failed to cancel payment plan' });
+  }
+});
+
+// Get disputes raised against a debt
+router.get('/:id/disputes', requirePermission('debts:read'), async (req, res) => {
+  try {
+    const debt = await findAccessibleDebt(req);
+
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const disputes = await Dispute.findByDebt(debt.id, {
+      include: [
+        { model: User, as: 'reviewer', attributes: ['id', 'username', 'fullName'] },
+        { model: User, as: 'resolvedBy', attributes: ['id', 'username', 'fullName'] }
+      ]
+    });
+
+    res.json({ debtId: debt.id, isDisputed: debt.isDisputed, disputes });
+  } catch (error) {
+    logger.error('Error fetching disputes:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+});
+
+// Open a dispute on behalf of the debtor, e.g. after a phone call
+router.post('/:id/disputes', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const debt = await findAccessibleDebt(req);
+
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const { reason, evidence = [] } = req.body;
+    const dispute = await disputeService.openDispute(debt, {
+      reason,
+      source: 'collector',
+      openedById: req.user.id,
+      evidence: Array.isArray(evidence) ? evidence : [evidence]
+    });
+
+    logger.info(`Dispute ${dispute.id} opened for debt ${debt.id} by ${req.user.username}`);
+    res.status(201).json(dispute);
+  } catch (error) {
+    logger.error('Error opening dispute:', error);
+    res.status(400).json({ error: error.message || 'Failed to open dispute' });
+  }
+});
+
+// Attach evidence (a note, or a link to a document) to a dispute
+router.post('/:id/disputes/:disputeId/evidence', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const { type, description, url } = req.body;
+    const updatedDispute = await disputeService.addEvidence(dispute, { type, description, url }, req.user.id);
+
+    res.status(201).json(updatedDispute);
+  } catch (error) {
+    logger.error('Error adding dispute evidence:', error);
+    res.status(400).json({ error: error.message || 'Failed to add evidence' });
+  }
+});
+
+// Take a dispute under review; only users who may assign debts can hand it to someone else
+router.patch('/:id/disputes/:disputeId/review', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    let reviewerId = req.user.id;
+    if (req.body.reviewerId && hasPermission(req.user.role, 'debts:assign')) {
+      const reviewer = await User.findActiveById(req.body.reviewerId);
+      if (!reviewer) {
+        return res.status(400).json({ error: 'Reviewer not found' });
+      }
+      reviewerId = reviewer.id;
+    }
+
+    const reviewedDispute = await disputeService.startReview(dispute, reviewerId);
+
+    res.json(reviewedDispute);
+  } catch (error) {
+    logger.error('Error starting dispute review:', error);
+    res.status(400).json({ error: error.message || 'Failed to start review' });
+  }
+});
+
+// Resolve a dispute; a valid one cancels the debt or adjusts its amount
+router.patch('/:id/disputes/:disputeId/resolve', requirePermission('debts:update'), async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req);
+
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const { outcome, resolution, action, adjustedAmount } = req.body;
+    const resolvedDispute = await disputeService.resolveDispute(dispute, {
+      outcome,
+      resolution,
+      action,
+      adjustedAmount,
+      resolvedById: req.user.id
+    });
+
+    logger.info(`Dispute ${dispute.id} resolved (${resolvedDispute.status}) by ${req.user.username}`);
+    res.json(resolvedDispute);
+  } catch (error) {
+    logger.error('Error resolving dispute:', error);
+    res.status(400).json({ error: error.message || 'Failed to resolve dispute' });
+  }
+});
+
 // Create new debt
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('debts:create'), async (req, res) => {
   try {
-    const debtData = req.body;
+    const debtData = sanitizeDebtInput(req.body, req.user);
     
     // Verify debtor exists
     const debtor = await Debtor.findByPk(debtData.debtorId);
@@ -114,7 +408,13 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Invoice number already exists' });
     }
 
-    const debt = await Debt.create(debtData);
+    const debt = await Debt.create({
+      // Collectors own the debts they create unless an admin assigns them elsewhere
+      assignedToId: hasPermission(req.user.role, 'debts:assign') ? null : req.user.id,
+      ...debtData,
+      createdById: req.user.id,
+      updatedById: req.user.id
+    });
     
     logger.info(`New debt created: ${debt.id} for debtor: ${debtor.name}`);
     res.status(201).json(debt);
@@ -125,15 +425,18 @@ router.post('/', async (req, res) => {
 });
 
 // Update debt
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('debts:update'), async (req, res) => {
   try {
-    const debt = await Debt.findByPk(req.params.id);
+    const debt = await findAccessibleDebt(req);
     
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
 
-    await debt.update(req.body);
+    await debt.update({
+      ...sanitizeDebtInput(req.body, req.user),
+      updatedById: req.user.id
+    });
     
     logger.info(`Debt updated: ${debt.id}`);
     res.json(debt);
@@ -144,15 +447,15 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete debt (soft delete)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('debts:delete'), async (req, res) => {
   try {
-    const debt = await Debt.findByPk(req.params.id);
+    const debt = await findAccessibleDebt(req);
     
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
 
-    await debt.update({ isActive: false });
+    await debt.update({ isActive: false, updatedById: req.user.id });
     
     logger.info(`Debt deactivated: ${debt.id}`);
     res.json({ message: 'Debt deactivated successfully' });
@@ -163,16 +466,17 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Add payment to debt
-router.post('/:id/payments', async (req, res) => {
+router.post('/:id/payments', requirePermission('payments:create'), async (req, res) => {
   try {
-    const debt = await Debt.findByPk(req.params.id);
+    const debt = await findAccessibleDebt(req);
     
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
 
     const paymentData = req.body;
-    const payment = await debt.addPayment(paymentData, req.user?.id);
+    debt.updatedById = req.user.id;
+    const payment = await debt.addPayment(paymentData, req.user.id);
     
     logger.info(`Payment added to debt ${debt.id}: ${payment.amount}`);
     res.status(201).json(payment);
@@ -183,16 +487,16 @@ router.post('/:id/payments', async (req, res) => {
 });
 
 // Update debt status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('debts:update'), async (req, res) => {
   try {
     const { status } = req.body;
-    const debt = await Debt.findByPk(req.params.id);
+    const debt = await findAccessibleDebt(req);
     
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
     }
 
-    await debt.update({ status });
+    await debt.update({ status, updatedById: req.user.id });
     
     logger.info(`Debt status updated: ${debt.id} -> ${status}`);
     res.json(debt);
@@ -203,9 +507,9 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // Get overdue debts
-router.get('/filter/overdue', async (req, res) => {
+router.get('/filter/overdue', requirePermission('debts:read'), async (req, res) => {
   try {
-    const debts = await Debt.findOverdue();
+    const debts = await Debt.findOverdue(getDebtScope(req.user));
     res.json(debts);
   } catch (error) {
     logger.error('Error fetching overdue debts:', error);
@@ -214,9 +518,9 @@ router.get('/filter/overdue', async (req, res) => {
 });
 
 // Get debts due for reminder
-router.get('/filter/reminder-due', async (req, res) => {
+router.get('/filter/reminder-due', requirePermission('debts:read'), async (req, res) => {
   try {
-    const debts = await Debt.findDueForReminder();
+    const debts = await Debt.findDueForReminder(getDebtScope(req.user));
     res.json(debts);
   } catch (error) {
     logger.error('Error fetching debts due for reminder:', error);
@@ -225,9 +529,9 @@ router.get('/filter/reminder-due', async (req, res) => {
 });
 
 // Get debts due for escalation
-router.get('/filter/escalation-due', async (req, res) => {
+router.get('/filter/escalation-due', requirePermission('debts:read'), async (req, res) => {
   try {
-    const debts = await Debt.findDueForEscalation();
+    const debts = await Debt.findDueForEscalation(getDebtScope(req.user));
     res.json(debts);
   } catch (error) {
     logger.error('Error fetching debts due for escalation:', error);
@@ -236,9 +540,14 @@ router.get('/filter/escalation-due', async (req, res) => {
 });
 
 // Get debt statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requirePermission('debts:read'), async (req, res) => {
   try {
-    const stats = await Debt.getDebtStatistics();
+    const { currency } = req.query;
+    if (!isReportingCurrency(currency)) {
+      return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const stats = await debtReportService.getDebtStatistics(getDebtScope(req.user), { currency });
     res.json(stats);
   } catch (error) {
     logger.error('Error fetching debt statistics:', error);
@@ -247,17 +556,22 @@ router.get('/stats/overview', async (req, res) => {
 });
 
 // Get collection efficiency report
-router.get('/reports/efficiency', async (req, res) => {
+router.get('/reports/efficiency', requirePermission('debts:read'), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, currency } = req.query;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ error: 'Start date and end date are required' });
     }
+    if (!isReportingCurrency(currency)) {
+      return res.status(400).json({ error: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
 
-    const efficiency = await Debt.getCollectionEfficiency(
+    const efficiency = await debtReportService.getCollectionEfficiency(
       new Date(startDate),
-      new Date(endDate)
+      new Date(endDate),
+      getDebtScope(req.user),
+      { currency }
     );
     
     res.json(efficiency);
@@ -268,9 +582,9 @@ router.get('/reports/efficiency', async (req, res) => {
 });
 
 // Escalate debt
-router.post('/:id/escalate', async (req, res) => {
+router.post('/:id/escalate', requirePermission('debts:escalate'), async (req, res) => {
   try {
-    const debt = await Debt.findByPk(req.params.id);
+    const debt = await findAccessibleDebt(req);
     
     if (!debt) {
       return res.status(404).json({ error: 'Debt not found' });
@@ -283,7 +597,8 @@ router.post('/:id/escalate', async (req, res) => {
     await debt.update({
       status: 'escalated',
       escalationDate: new Date(),
-      escalationType: req.body.escalationType || 'management'
+      escalationType: req.body.escalationType || 'management',
+      updatedById: req.user.id
     });
     
     logger.info(`Debt escalated: ${debt.id}`);
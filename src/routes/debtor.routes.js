@@ -1,13 +1,51 @@
 const express = require('express');
-const Debtor = require('../models/debtor.model');
-const Debt = require('../models/debt.model');
+const { Debt, Debtor } = require('../models');
+const TimelineService = require('../services/timeline.service');
+const { requirePermission } = require('./auth.routes');
+const { isAssignmentScoped, getDebtScope } = require('../config/permissions');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
 const router = express.Router();
+const timelineService = new TimelineService();
+
+// Collectors only reach debtors that have at least one debt assigned to them
+const canAccessDebtor = async (user, debtor) => {
+  if (!isAssignmentScoped(user)) {
+    return true;
+  }
+
+  const assignedDebts = await Debt.count({
+    where: { debtorId: debtor.id, ...getDebtScope(user) }
+  });
+  return assignedDebts > 0;
+};
+
+const findAccessibleDebtor = async (req) => {
+  const debtor = await Debtor.findByPk(req.params.id);
+  if (!debtor || !(await canAccessDebtor(req.user, debtor))) {
+    return null;
+  }
+
+  return debtor;
+};
+
+// Where-clause fragment restricting a Debtor query to what the user may see
+const getDebtorScope = async (user) => {
+  if (!isAssignmentScoped(user)) {
+    return {};
+  }
+
+  const assignedDebts = await Debt.findAll({
+    where: getDebtScope(user),
+    attributes: ['debtorId'],
+    raw: true
+  });
+  return { id: { [Op.in]: [...new Set(assignedDebts.map(debt => debt.debtorId))] } };
+};
 
 // Get all debtors with pagination and filtering
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('debtors:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -48,11 +86,17 @@ router.get('/', async (req, res) => {
       where.businessType = businessType;
     }
 
+    const include = isAssignmentScoped(req.user)
+      ? [{ model: Debt, as: 'debts', where: getDebtScope(req.user), attributes: [], required: true }]
+      : [];
+
     const { count, rows } = await Debtor.findAndCountAll({
       where,
+      include,
+      distinct: true,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['createdAt', 'DESC']]
+      order: [['created_at', 'DESC']]
     });
 
     res.json({
@@ -71,9 +115,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get debtor by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('debtors:read'), async (req, res) => {
   try {
-    const debtor = await Debtor.findByPk(req.params.id);
+    const debtor = await findAccessibleDebtor(req);
     
     if (!debtor) {
       return res.status(404).json({ error: 'Debtor not found' });
@@ -81,7 +125,7 @@ router.get('/:id', async (req, res) => {
 
     // Get debtor's debts
     const debts = await Debt.findAll({
-      where: { debtorId: debtor.id },
+      where: { debtorId: debtor.id, ...getDebtScope(req.user) },
       order: [['createdAt', 'DESC']]
     });
 
@@ -101,10 +145,28 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get communication timeline across all of a debtor's debts
+router.get('/:id/timeline', requirePermission('debtors:read'), async (req, res) => {
+  try {
+    const debtor = await findAccessibleDebtor(req);
+
+    if (!debtor) {
+      return res.status(404).json({ error: 'Debtor not found' });
+    }
+
+    const timeline = await timelineService.getDebtorTimeline(debtor.id);
+
+    res.json({ debtorId: debtor.id, timeline });
+  } catch (error) {
+    logger.error('Error fetching debtor timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch debtor timeline' });
+  }
+});
+
 // Create new debtor
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('debtors:create'), async (req, res) => {
   try {
-    const debtorData = req.body;
+    const { created_by, updated_by, ...debtorData } = req.body;
     
     // Check if debtor with same phone already exists
     const existingDebtor = await Debtor.findByPhone(debtorData.phone);
@@ -112,7 +174,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Debtor with this phone number already exists' });
     }
 
-    const debtor = await Debtor.create(debtorData);
+    const debtor = await Debtor.create({
+      ...debtorData,
+      created_by: req.user.id,
+      updated_by: req.user.id
+    });
     
     logger.info(`New debtor created: ${debtor.id}`);
     res.status(201).json(debtor);
@@ -123,15 +189,16 @@ router.post('/', async (req, res) => {
 });
 
 // Update debtor
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('debtors:update'), async (req, res) => {
   try {
-    const debtor = await Debtor.findByPk(req.params.id);
+    const debtor = await findAccessibleDebtor(req);
     
     if (!debtor) {
       return res.status(404).json({ error: 'Debtor not found' });
     }
 
-    await debtor.update(req.body);
+    const { created_by, updated_by, ...debtorData } = req.body;
+    await debtor.update({ ...debtorData, updated_by: req.user.id });
     
     logger.info(`Debtor updated: ${debtor.id}`);
     res.json(debtor);
@@ -142,7 +209,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete debtor (soft delete)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('debtors:delete'), async (req, res) => {
   try {
     const debtor = await Debtor.findByPk(req.params.id);
     
@@ -161,7 +228,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Blacklist/unblacklist debtor
-router.patch('/:id/blacklist', async (req, res) => {
+router.patch('/:id/blacklist', requirePermission('debtors:blacklist'), async (req, res) => {
   try {
     const { isBlacklisted } = req.body;
     const debtor = await Debtor.findByPk(req.params.id);
@@ -181,9 +248,9 @@ router.patch('/:id/blacklist', async (req, res) => {
 });
 
 // Get debtor statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requirePermission('debtors:read'), async (req, res) => {
   try {
-    const stats = await Debtor.getDebtorStats();
+    const stats = await Debtor.getDebtorStats(await getDebtorScope(req.user));
     res.json(stats);
   } catch (error) {
     logger.error('Error fetching debtor statistics:', error);
@@ -192,11 +259,11 @@ router.get('/stats/overview', async (req, res) => {
 });
 
 // Search debtors by phone
-router.get('/search/phone/:phone', async (req, res) => {
+router.get('/search/phone/:phone', requirePermission('debtors:read'), async (req, res) => {
   try {
     const debtor = await Debtor.findByPhone(req.params.phone);
     
-    if (!debtor) {
+    if (!debtor || !(await canAccessDebtor(req.user, debtor))) {
       return res.status(404).json({ error: 'Debtor not found' });
     }
 
@@ -208,9 +275,9 @@ router.get('/search/phone/:phone', async (req, res) => {
 });
 
 // Get active debtors
-router.get('/filter/active', async (req, res) => {
+router.get('/filter/active', requirePermission('debtors:read'), async (req, res) => {
   try {
-    const debtors = await Debtor.getActiveDebtors();
+    const debtors = await Debtor.getActiveDebtors(await getDebtorScope(req.user));
     res.json(debtors);
   } catch (error) {
     logger.error('Error fetching active debtors:', error);
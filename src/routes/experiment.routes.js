@@ -0,0 +1,132 @@
+const express = require('express');
+const ExperimentService = require('../services/experiment.service');
+const { requirePermission } = require('./auth.routes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const experimentService = new ExperimentService();
+
+// Experiments change what debtors receive, so managing them is admin-only
+router.use(requirePermission('experiments:manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    const experiments = await experimentService.listExperiments({ status: req.query.status });
+
+    res.json({ experiments });
+  } catch (error) {
+    logger.error('Error fetching experiments:', error);
+    res.status(500).json({ error: 'Failed to fetch experiments' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const experiment = await experimentService.findExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(experiment);
+  } catch (error) {
+    logger.error('Error fetching experiment:', error);
+    res.status(500).json({ error: 'Failed to fetch experiment' });
+  }
+});
+
+// Create a draft experiment with its variants
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, attributionDays, paidWithinDays, variants } = req.body;
+    const experiment = await experimentService.createExperiment(
+      { name, description, attributionDays, paidWithinDays, variants },
+      req.user.id
+    );
+
+    res.status(201).json(experiment);
+  } catch (error) {
+    logger.error('Error creating experiment:', error);
+    res.status(400).json({ error: error.message || 'Failed to create experiment' });
+  }
+});
+
+// Passing `variants` replaces all of them
+router.put('/:id', async (req, res) => {
+  try {
+    const experiment = await experimentService.findExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    const { name, description, attributionDays, paidWithinDays, variants } = req.body;
+    const updated = await experimentService.updateExperiment(
+      experiment,
+      { name, description, attributionDays, paidWithinDays, variants },
+      req.user.id
+    );
+
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error updating experiment:', error);
+    res.status(400).json({ error: error.message || 'Failed to update experiment' });
+  }
+});
+
+router.post('/:id/start', async (req, res) => {
+  try {
+    const experiment = await experimentService.findExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    await experimentService.start(experiment, req.user.id);
+    res.json(experiment);
+  } catch (error) {
+    logger.error('Error starting experiment:', error);
+    res.status(400).json({ error: error.message || 'Failed to start experiment' });
+  }
+});
+
+router.post('/:id/stop', async (req, res) => {
+  try {
+    const experiment = await experimentService.findExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    await experimentService.stop(experiment, req.user.id);
+    res.json(experiment);
+  } catch (error) {
+    logger.error('Error stopping experiment:', error);
+    res.status(400).json({ error: error.message || 'Failed to stop experiment' });
+  }
+});
+
+// Only drafts can be deleted; started experiments are referenced by the message log
+router.delete('/:id', async (req, res) => {
+  try {
+    const experiment = await experimentService.findExperiment(req.params.id);
+
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    if (experiment.status !== 'draft') {
+      return res.status(400).json({ error: `Cannot delete a ${experiment.status} experiment` });
+    }
+
+    await experimentService.deleteDraft(experiment);
+
+    logger.info(`Experiment draft deleted: ${experiment.id}`);
+    res.json({ message: 'Experiment draft deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting experiment:', error);
+    res.status(500).json({ error: 'Failed to delete experiment' });
+  }
+});
+
+module.exports = router;
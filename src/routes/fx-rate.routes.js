@@ -0,0 +1,71 @@
+const express = require('express');
+const { FxRate } = require('../models');
+const FxRateService = require('../services/fx-rate.service');
+const { requirePermission } = require('./auth.routes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const fxRateService = new FxRateService();
+
+// Rates change every reported total, so maintaining them is admin-only
+router.use(requirePermission('fx_rates:manage'));
+
+// List rates, newest first; filter by date range and currency pair
+router.get('/', async (req, res) => {
+  try {
+    const { date, from, to, fromCurrency, toCurrency } = req.query;
+    const rates = await fxRateService.listRates({ date, from, to, fromCurrency, toCurrency });
+
+    res.json({ rates });
+  } catch (error) {
+    logger.error('Error fetching FX rates:', error);
+    res.status(500).json({ error: 'Failed to fetch FX rates' });
+  }
+});
+
+// Enter a daily rate manually; an existing rate for the day and pair is replaced
+router.post('/', async (req, res) => {
+  try {
+    const { date, fromCurrency, toCurrency, rate } = req.body;
+    const fxRate = await fxRateService.setRate({ date, fromCurrency, toCurrency, rate }, req.user.id);
+
+    logger.info(`FX rate ${fxRate.fromCurrency}/${fxRate.toCurrency} for ${fxRate.date} set by ${req.user.username}`);
+    res.status(201).json(fxRate);
+  } catch (error) {
+    logger.error('Error saving FX rate:', error);
+    res.status(400).json({ error: error.message || 'Failed to save FX rate' });
+  }
+});
+
+// Import a date,from,to,rate CSV sent as text/csv or as { csv } in a JSON body
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+    const result = await fxRateService.importCsv(csv, req.user.id);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error importing FX rates:', error);
+    res.status(400).json({ error: error.message || 'Failed to import FX rates' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const fxRate = await FxRate.findByPk(req.params.id);
+
+    if (!fxRate) {
+      return res.status(404).json({ error: 'FX rate not found' });
+    }
+
+    await fxRate.destroy();
+
+    logger.info(`FX rate deleted: ${fxRate.id}`);
+    res.json({ message: 'FX rate deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting FX rate:', error);
+    res.status(500).json({ error: 'Failed to delete FX rate' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
-const { router: authRoutes } = require('./auth.routes');
+const { router: authRoutes, authenticateToken } = require('./auth.routes');
 const debtorRoutes = require('./debtor.routes');
 const debtRoutes = require('./debt.routes');
 const whatsappRoutes = require('./whatsapp.routes');
 const dashboardRoutes = require('./dashboard.routes');
+const conversationRoutes = require('./conversation.routes');
+const templateRoutes = require('./template.routes');
+const promptRoutes = require('./prompt.routes');
+const experimentRoutes = require('./experiment.routes');
+const complianceRoutes = require('./compliance.routes');
+const fxRateRoutes = require('./fx-rate.routes');
+const analysisReviewRoutes = require('./analysis-review.routes');
+const paymentProofRoutes = require('./payment-proof.routes');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -20,10 +28,20 @@ router.get('/', (req, res) => {
 
 // Mount routes
 router.use('/auth', authRoutes);
-router.use('/debtors', debtorRoutes);
-router.use('/debts', debtRoutes);
-router.use('/whatsapp', whatsappRoutes);
-router.use('/dashboard', dashboardRoutes);
+
+// Business routes require a valid token; each route checks its own permission
+router.use('/debtors', authenticateToken, debtorRoutes);
+router.use('/debts', authenticateToken, debtRoutes);
+router.use('/whatsapp', authenticateToken, whatsappRoutes);
+router.use('/dashboard', authenticateToken, dashboardRoutes);
+router.use('/conversations', authenticateToken, conversationRoutes);
+router.use('/templates', authenticateToken, templateRoutes);
+router.use('/prompts', authenticateToken, promptRoutes);
+router.use('/experiments', authenticateToken, experimentRoutes);
+router.use('/compliance', authenticateToken, complianceRoutes);
+router.use('/fx-rates', authenticateToken, fxRateRoutes);
+router.use('/analysis-reviews', authenticateToken, analysisReviewRoutes);
+router.use('/payment-proofs', authenticateToken, paymentProofRoutes);
 
 // API error handler
 router.use((error, req, res, next) => {
@@ -0,0 +1,157 @@
+const express = require('express');
+const fs = require('fs');
+const { PaymentProof, Debt, Debtor } = require('../models');
+const PaymentProofService = require('../services/payment-proof.service');
+const { requirePermission } = require('./auth.routes');
+const { getDebtScope, canAccessDebt } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const paymentProofService = new PaymentProofService();
+
+router.use(requirePermission('payments:verify'));
+
+// Collectors only see and verify proofs filed under debts assigned to them
+const findProof = async (req) => {
+  const proof = await PaymentProof.findByPk(req.params.id, {
+    include: [
+      { model: Debt, as: 'Debt', attributes: ['id', 'invoiceNumber', 'amount', 'currency', 'assignedToId'] },
+      { model: Debtor, as: 'Debtor', attributes: ['id', 'name', 'phone'] }
+    ]
+  });
+
+  if (!proof || !canAccessDebt(req.user, proof.Debt)) {
+    return null;
+  }
+  return proof;
+};
+
+// Proofs waiting for verification, oldest first
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending', debtId, page = 1, limit = 20 } = req.query;
+
+    const { proofs, total } = await paymentProofService.listProofs({
+      status: status === 'all' ? null : status,
+      debtId,
+      debtScope: getDebtScope(req.user),
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      proofs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching payment proofs:', error);
+    res.status(500).json({ error: 'Failed to fetch payment proofs' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const proof = await findProof(req);
+
+    if (!proof) {
+      return res.status(404).json({ error: 'Payment proof not found' });
+    }
+
+    res.json(proof);
+  } catch (error) {
+    logger.error('Error fetching payment proof:', error);
+    res.status(500).json({ error: 'Failed to fetch payment proof' });
+  }
+});
+
+// The stored receipt image or PDF
+router.get('/:id/file', async (req, res) => {
+  try {
+    const proof = await findProof(req);
+    const filePath = proof && paymentProofService.getFilePath(proof);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Payment proof not found' });
+    }
+
+    res.type(proof.mimeType);
+    res.sendFile(filePath);
+  } catch (error) {
+    logger.error('Error sending payment proof file:', error);
+    res.status(500).json({ error: 'Failed to send payment proof file' });
+  }
+});
+
+// Read the receipt again, e.g. after a failed attempt or once the AI budget resets
+router.post('/:id/extract', async (req, res) => {
+  try {
+    const proof = await findProof(req);
+
+    if (!proof) {
+      return res.status(404).json({ error: 'Payment proof not found' });
+    }
+    if (proof.status !== 'pending' || proof.mediaType !== 'image') {
+      return res.status(400).json({ error: 'Only pending receipt images can be read' });
+    }
+
+    const debtCollectionService = req.app.locals.debtCollectionService;
+    if (!debtCollectionService) {
+      return res.status(503).json({ error: 'Debt collection service not initialized' });
+    }
+
+    await debtCollectionService.paymentProofService.extractDetails(proof);
+    res.json(proof);
+  } catch (error) {
+    logger.error('Error reading payment proof:', error);
+    res.status(500).json({ error: 'Failed to read payment proof' });
+  }
+});
+
+// Record the payment shown on the proof: { amount, paymentDate, paymentMethod, reference, debtId, notes }.
+// Omitted fields take the values pre-filled from the receipt.
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const proof = await findProof(req);
+
+    if (!proof) {
+      return res.status(404).json({ error: 'Payment proof not found' });
+    }
+
+    const { notes, ...payment } = req.body;
+    if (payment.debtId) {
+      const debt = await Debt.findByPk(payment.debtId);
+      if (!debt || !canAccessDebt(req.user, debt)) {
+        return res.status(404).json({ error: 'Debt not found' });
+      }
+    }
+
+    const result = await paymentProofService.approve(proof, payment, req.user.id, notes || null);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error approving payment proof:', error);
+    res.status(400).json({ error: error.message || 'Failed to approve payment proof' });
+  }
+});
+
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const proof = await findProof(req);
+
+    if (!proof) {
+      return res.status(404).json({ error: 'Payment proof not found' });
+    }
+
+    await paymentProofService.reject(proof, req.user.id, req.body.notes || null);
+    res.json(proof);
+  } catch (error) {
+    logger.error('Error rejecting payment proof:', error);
+    res.status(400).json({ error: error.message || 'Failed to reject payment proof' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const { PromptTemplate, Debt } = require('../models');
+const PromptService = require('../services/prompt.service');
+const { requirePermission } = require('./auth.routes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const promptService = new PromptService();
+
+// Prompts steer every AI message, so the whole API is admin-only
+router.use(requirePermission('prompts:manage'));
+
+// List prompt versions, newest first per key and language
+router.get('/', async (req, res) => {
+  try {
+    const { key, language, status } = req.query;
+    const prompts = await promptService.listPrompts({ key, language, status });
+
+    res.json({ prompts });
+  } catch (error) {
+    logger.error('Error fetching prompts:', error);
+    res.status(500).json({ error: 'Failed to fetch prompts' });
+  }
+});
+
+// Built-in prompts (version 0) with the variables each key accepts
+router.get('/defaults', (req, res) => {
+  res.json({ prompts: promptService.getDefaultPrompts() });
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findByPk(req.params.id);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json(prompt);
+  } catch (error) {
+    logger.error('Error fetching prompt:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt' });
+  }
+});
+
+// Create the next draft version for a key and language
+router.post('/', async (req, res) => {
+  try {
+    const { key, language, body, notes } = req.body;
+    const prompt = await promptService.createDraft({ key, language, body, notes }, req.user.id);
+
+    res.status(201).json(prompt);
+  } catch (error) {
+    logger.error('Error creating prompt:', error);
+    res.status(400).json({ error: error.message || 'Failed to create prompt' });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findByPk(req.params.id);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const { body, notes } = req.body;
+    await promptService.updateDraft(prompt, { body, notes }, req.user.id);
+
+    res.json(prompt);
+  } catch (error) {
+    logger.error('Error updating prompt:', error);
+    res.status(400).json({ error: error.message || 'Failed to update prompt' });
+  }
+});
+
+router.post('/:id/publish', async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findByPk(req.params.id);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await promptService.publish(prompt, req.user.id);
+    res.json(prompt);
+  } catch (error) {
+    logger.error('Error publishing prompt:', error);
+    res.status(400).json({ error: error.message || 'Failed to publish prompt' });
+  }
+});
+
+router.post('/:id/archive', async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findByPk(req.params.id);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await promptService.archive(prompt, req.user.id);
+    res.json(prompt);
+  } catch (error) {
+    logger.error('Error archiving prompt:', error);
+    res.status(400).json({ error: error.message || 'Failed to archive prompt' });
+  }
+});
+
+// Only unpublished drafts can be deleted; other versions stay for the message log
+router.delete('/:id', async (req, res) => {
+  try {
+    const prompt = await PromptTemplate.findByPk(req.params.id);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    if (prompt.status !== 'draft') {
+      return res.status(400).json({ error: `Cannot delete a ${prompt.status} prompt` });
+    }
+
+    await prompt.destroy();
+
+    logger.info(`Prompt draft deleted: ${prompt.id}`);
+    res.json({ message: 'Prompt draft deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting prompt:', error);
+    res.status(500).json({ error: 'Failed to delete prompt' });
+  }
+});
+
+// Render a prompt version with a real debt's data
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const debtCollectionService = req.app.locals.debtCollectionService;
+    if (!debtCollectionService) {
+      return res.status(503).json({ error: 'Debt collection service not initialized' });
+    }
+
+    const { debtId, reminderLevel, escalationType, debtorMessage, paymentAmount } = req.body;
+    if (!debtId) {
+      return res.status(400).json({ error: 'debtId is required' });
+    }
+
+    const [prompt, debt] = await Promise.all([
+      PromptTemplate.findByPk(req.params.id),
+      Debt.findByPk(debtId)
+    ]);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    if (!debt) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+
+    const preview = await debtCollectionService.previewPrompt(prompt, debt.id, {
+      reminderLevel: reminderLevel ? parseInt(reminderLevel) : null,
+      escalationType,
+      debtorMessage,
+      paymentAmount: paymentAmount ?? null
+    });
+
+    res.json(preview);
+  } catch (error) {
+    logger.error('Error previewing prompt:', error);
+    res.status(500).json({ error: 'Failed to preview prompt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { MessageTemplate } = require('../models');
+const MessageTemplateService = require('../services/message-template.service');
+const { requirePermission } = require('./auth.routes');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const messageTemplateService = new MessageTemplateService();
+
+// Stored fallback templates, plus the built-in defaults used when none match
+router.get('/', requirePermission('templates:read'), async (req, res) => {
+  try {
+    const { messageType, language, includeInactive } = req.query;
+
+    const templates = await messageTemplateService.listTemplates({
+      messageType,
+      language,
+      includeInactive: includeInactive === 'true'
+    });
+
+    res.json({
+      templates,
+      defaults: messageTemplateService.getDefaultTemplates()
+    });
+  } catch (error) {
+    logger.error('Error fetching message templates:', error);
+    res.status(500).json({ error: 'Failed to fetch message templates' });
+  }
+});
+
+router.post('/', requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const template = await messageTemplateService.createTemplate(req.body, req.user.id);
+    res.status(201).json(template);
+  } catch (error) {
+    logger.error('Error creating message template:', error);
+    res.status(400).json({ error: error.message || 'Failed to create message template' });
+  }
+});
+
+router.put('/:id', requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const template = await MessageTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    await messageTemplateService.updateTemplate(template, req.body, req.user.id);
+    res.json(template);
+  } catch (error) {
+    logger.error('Error updating message template:', error);
+    res.status(400).json({ error: error.message || 'Failed to update message template' });
+  }
+});
+
+// Deactivate a template (soft delete); sends fall back to the next best match
+router.delete('/:id', requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const template = await MessageTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    await template.update({ isActive: false, updatedById: req.user.id });
+
+    logger.info(`Message template deactivated: ${template.id}`);
+    res.json({ message: 'Message template deactivated successfully' });
+  } catch (error) {
+    logger.error('Error deactivating message template:', error);
+    res.status(500).json({ error: 'Failed to deactivate message template' });
+  }
+});
+
+module.exports = router;
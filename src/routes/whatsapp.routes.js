@@ -1,12 +1,32 @@
 const express = require('express');
 const WhatsAppService = require('../services/whatsapp.service');
 const DebtCollectionService = require('../services/debt-collection.service');
+const TimelineService = require('../services/timeline.service');
+const { Debt, OutboundMessage } = require('../models');
+const { requirePermission } = require('./auth.routes');
+const { isAssignmentScoped, getDebtScope, canAccessDebt } = require('../config/permissions');
+const { ATTACHMENT_KINDS } = require('../config/attachments');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+const timelineService = new TimelineService();
+
+// Collectors may only message debtors about debts assigned to them
+const requireDebtAccess = async (req, res, next) => {
+  try {
+    const debt = await Debt.findByPk(req.params.debtId);
+    if (!debt || !canAccessDebt(req.user, debt)) {
+      return res.status(404).json({ error: 'Debt not found' });
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking debt access:', error);
+    res.status(500).json({ error: 'Failed to check debt access' });
+  }
+};
 
 // Get WhatsApp connection status
-router.get('/status', (req, res) => {
+router.get('/status', requirePermission('whatsapp:read'), (req, res) => {
   try {
     const whatsappService = req.app.locals.whatsappService;
     
@@ -32,7 +52,7 @@ router.get('/status', (req, res) => {
 });
 
 // Get QR code for WhatsApp connection
-router.get('/qr', (req, res) => {
+router.get('/qr', requirePermission('whatsapp:manage'), (req, res) => {
   try {
     const whatsappService = req.app.locals.whatsappService;
     
@@ -54,7 +74,7 @@ router.get('/qr', (req, res) => {
 });
 
 // Send test message
-router.post('/send-test', async (req, res) => {
+router.post('/send-test', requirePermission('whatsapp:manage'), async (req, res) => {
   try {
     const { phone, message } = req.body;
     
@@ -68,10 +88,22 @@ router.post('/send-test', async (req, res) => {
       return res.status(503).json({ error: 'WhatsApp service not connected' });
     }
 
-    const result = await whatsappService.sendMessage(phone, message);
+    const messageQueue = req.app.locals.messageQueue;
+
+    if (!messageQueue) {
+      return res.status(503).json({ error: 'Message queue not initialized' });
+    }
+
+    // Paced and logged in outbound_messages like every other message
+    const outbound = await messageQueue.enqueue({ phoneNumber: phone, message, priority: 'high' });
     
-    logger.info(`Test message sent to ${phone}`);
-    res.json({ success: true, result });
+    logger.info(`Test message queued for ${phone}`);
+    res.json({
+      success: true,
+      messageId: outbound.whatsappMessageId,
+      outboundMessageId: outbound.id,
+      deliveryStatus: outbound.status
+    });
   } catch (error) {
     logger.error('Error sending test message:', error);
     res.status(500).json({ error: 'Failed to send test message' });
@@ -79,10 +111,10 @@ router.post('/send-test', async (req, res) => {
 });
 
 // Send reminder to specific debt
-router.post('/send-reminder/:debtId', async (req, res) => {
+router.post('/send-reminder/:debtId', requirePermission('whatsapp:send'), requireDebtAccess, async (req, res) => {
   try {
     const { debtId } = req.params;
-    const { customMessage } = req.body;
+    const { customMessage, attachments } = req.body;
     
     const debtCollectionService = req.app.locals.debtCollectionService;
     
@@ -90,7 +122,16 @@ router.post('/send-reminder/:debtId', async (req, res) => {
       return res.status(503).json({ error: 'Debt collection service not initialized' });
     }
 
-    const result = await debtCollectionService.sendReminder(debtId, customMessage);
+    // Omitted: custom messages go without files, generated reminders use REMINDER_ATTACHMENTS
+    if (attachments !== undefined &&
+        (!Array.isArray(attachments) || attachments.some(kind => !ATTACHMENT_KINDS.includes(kind)))) {
+      return res.status(400).json({ error: `attachments must be a list of: ${ATTACHMENT_KINDS.join(', ')}` });
+    }
+
+    const result = await debtCollectionService.sendReminder(debtId, customMessage, { attachments });
+    if (result.success === false) {
+      return res.status(409).json({ success: false, error: result.reason });
+    }
     
     logger.info(`Manual reminder sent for debt ${debtId}`);
     res.json({ success: true, result });
@@ -101,10 +142,10 @@ router.post('/send-reminder/:debtId', async (req, res) => {
 });
 
 // Send payment confirmation
-router.post('/send-payment-confirmation/:debtId', async (req, res) => {
+router.post('/send-payment-confirmation/:debtId', requirePermission('whatsapp:send'), requireDebtAccess, async (req, res) => {
   try {
     const { debtId } = req.params;
-    const { paymentAmount, paymentDate } = req.body;
+    const { paymentAmount, paymentDate, paymentMethod, reference } = req.body;
     
     const debtCollectionService = req.app.locals.debtCollectionService;
     
@@ -112,11 +153,12 @@ router.post('/send-payment-confirmation/:debtId', async (req, res) => {
       return res.status(503).json({ error: 'Debt collection service not initialized' });
     }
 
-    const result = await debtCollectionService.sendPaymentConfirmation(
-      debtId, 
-      paymentAmount, 
-      paymentDate
-    );
+    const result = await debtCollectionService.sendPaymentConfirmation(debtId, {
+      amount: paymentAmount,
+      date: paymentDate,
+      method: paymentMethod,
+      reference
+    });
     
     logger.info(`Payment confirmation sent for debt ${debtId}`);
     res.json({ success: true, result });
@@ -127,7 +169,7 @@ router.post('/send-payment-confirmation/:debtId', async (req, res) => {
 });
 
 // Send escalation notice
-router.post('/send-escalation/:debtId', async (req, res) => {
+router.post('/send-escalation/:debtId', requirePermission('whatsapp:send'), requirePermission('debts:escalate'), requireDebtAccess, async (req, res) => {
   try {
     const { debtId } = req.params;
     const { escalationType } = req.body;
@@ -139,6 +181,10 @@ router.post('/send-escalation/:debtId', async (req, res) => {
     }
 
     const result = await debtCollectionService.escalateDebt(debtId, escalationType);
+
+    if (result.success === false) {
+      return res.status(409).json({ success: false, error: result.reason });
+    }
     
     logger.info(`Escalation notice sent for debt ${debtId}`);
     res.json({ success: true, result });
@@ -149,20 +195,30 @@ router.post('/send-escalation/:debtId', async (req, res) => {
 });
 
 // Get message history for a debtor
-router.get('/messages/:debtorId', async (req, res) => {
+router.get('/messages/:debtorId', requirePermission('whatsapp:read'), async (req, res) => {
   try {
     const { debtorId } = req.params;
     const { page = 1, limit = 20 } = req.query;
+
+    if (isAssignmentScoped(req.user)) {
+      const assignedDebts = await Debt.count({ where: { debtorId, ...getDebtScope(req.user) } });
+      if (assignedDebts === 0) {
+        return res.status(404).json({ error: 'Debtor not found' });
+      }
+    }
     
-    // This would typically fetch from a message history database
-    // For now, return a placeholder response
+    const { messages, total } = await timelineService.getDebtorMessages(debtorId, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
     res.json({
-      messages: [],
+      messages,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: 0,
-        totalPages: 0
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
       }
     });
   } catch (error) {
@@ -172,7 +228,7 @@ router.get('/messages/:debtorId', async (req, res) => {
 });
 
 // Restart WhatsApp connection
-router.post('/restart', async (req, res) => {
+router.post('/restart', requirePermission('whatsapp:manage'), async (req, res) => {
   try {
     const whatsappService = req.app.locals.whatsappService;
     
@@ -192,7 +248,7 @@ router.post('/restart', async (req, res) => {
 });
 
 // Get WhatsApp service statistics
-router.get('/stats', (req, res) => {
+router.get('/stats', requirePermission('whatsapp:read'), (req, res) => {
   try {
     const whatsappService = req.app.locals.whatsappService;
     
@@ -209,7 +265,7 @@ router.get('/stats', (req, res) => {
 });
 
 // Validate phone number
-router.post('/validate-phone', async (req, res) => {
+router.post('/validate-phone', requirePermission('whatsapp:send'), async (req, res) => {
   try {
     const { phone } = req.body;
     
@@ -237,7 +293,7 @@ router.post('/validate-phone', async (req, res) => {
 });
 
 // Send bulk reminders
-router.post('/send-bulk-reminders', async (req, res) => {
+router.post('/send-bulk-reminders', requirePermission('whatsapp:bulk'), async (req, res) => {
   try {
     const { debtIds, customMessage } = req.body;
     
@@ -257,19 +313,23 @@ router.post('/send-bulk-reminders', async (req, res) => {
 
     for (const debtId of debtIds) {
       try {
-        const result = await debtCollectionService.sendReminder(debtId, customMessage);
+        // Queued at bulk priority; the message queue paces delivery
+        const result = await debtCollectionService.sendReminder(debtId, customMessage, { priority: 'bulk' });
+        // Resolved and disputed debts are skipped rather than failing
+        if (result.success === false) {
+          results.push({ debtId, success: false, reason: result.reason });
+          failureCount++;
+          continue;
+        }
         results.push({ debtId, success: true, result });
         successCount++;
-        
-        // Add delay between messages to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 2000));
       } catch (error) {
         results.push({ debtId, success: false, error: error.message });
         failureCount++;
       }
     }
     
-    logger.info(`Bulk reminders sent: ${successCount} success, ${failureCount} failed`);
+    logger.info(`Bulk reminders queued: ${successCount} success, ${failureCount} failed`);
     res.json({ 
       success: true, 
       results,
@@ -285,4 +345,75 @@ router.post('/send-bulk-reminders', async (req, res) => {
   }
 });
 
+// Outbound queue depth, limits and connection state
+router.get('/queue', requirePermission('whatsapp:read'), async (req, res) => {
+  try {
+    const messageQueue = req.app.locals.messageQueue;
+
+    if (!messageQueue) {
+      return res.status(503).json({ error: 'Message queue not initialized' });
+    }
+
+    res.json(await messageQueue.getStats());
+  } catch (error) {
+    logger.error('Error getting message queue stats:', error);
+    res.status(500).json({ error: 'Failed to get message queue stats' });
+  }
+});
+
+// List queued, sent or dead-lettered messages
+router.get('/queue/messages', requirePermission('whatsapp:manage'), async (req, res) => {
+  try {
+    const messageQueue = req.app.locals.messageQueue;
+
+    if (!messageQueue) {
+      return res.status(503).json({ error: 'Message queue not initialized' });
+    }
+
+    const { status, debtId, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { messages, total } = await messageQueue.listMessages({
+      status,
+      debtId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      messages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing queued messages:', error);
+    res.status(500).json({ error: 'Failed to list queued messages' });
+  }
+});
+
+// Queue a dead-lettered message again
+router.post('/queue/messages/:id/retry', requirePermission('whatsapp:manage'), async (req, res) => {
+  try {
+    const messageQueue = req.app.locals.messageQueue;
+
+    if (!messageQueue) {
+      return res.status(503).json({ error: 'Message queue not initialized' });
+    }
+
+    const outbound = await OutboundMessage.findByPk(req.params.id);
+    if (!outbound) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json(await messageQueue.retry(outbound));
+  } catch (error) {
+    logger.error('Error retrying queued message:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
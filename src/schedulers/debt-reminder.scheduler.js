@@ -1,12 +1,13 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
-const Debt = require('../models/debt.model');
-const Debtor = require('../models/debtor.model');
+const { Debt, Debtor, PromiseToPay } = require('../models');
+const DebtReportService = require('../services/debt-report.service');
 
 class DebtReminderScheduler {
   constructor(debtCollectionService) {
     this.debtCollectionService = debtCollectionService;
     this.tasks = [];
+    this.debtReportService = new DebtReportService();
   }
 
   startScheduledTasks() {
@@ -26,6 +27,22 @@ class DebtReminderScheduler {
       timezone: process.env.TIMEZONE || 'Asia/Jakarta'
     });
 
+    // Review payment promises that came due every hour, between reminder runs
+    const promiseTask = cron.schedule('30 * * * *', async () => {
+      await this.processBrokenPromises();
+    }, {
+      scheduled: false,
+      timezone: process.env.TIMEZONE || 'Asia/Jakarta'
+    });
+
+    // Reroute WhatsApp reminders that were not delivered in time every 15 minutes
+    const deliveryTask = cron.schedule('*/15 * * * *', async () => {
+      await this.processUndeliveredReminders();
+    }, {
+      scheduled: false,
+      timezone: process.env.TIMEZONE || 'Asia/Jakarta'
+    });
+
     // Daily statistics and cleanup at midnight
     const dailyTask = cron.schedule('0 0 * * *', async () => {
       await this.generateDailyStats();
@@ -43,7 +60,7 @@ class DebtReminderScheduler {
       timezone: process.env.TIMEZONE || 'Asia/Jakarta'
     });
 
-    this.tasks = [reminderTask, escalationTask, dailyTask, weeklyTask];
+    this.tasks = [reminderTask, escalationTask, promiseTask, deliveryTask, dailyTask, weeklyTask];
     
     // Start all tasks
     this.tasks.forEach(task => task.start());
@@ -64,11 +81,9 @@ class DebtReminderScheduler {
       for (const debt of debtsForReminder) {
         try {
           if (debt.canSendReminder()) {
-            await this.debtCollectionService.sendReminder(debt.id);
+            // Queued at bulk priority; the message queue paces delivery
+            await this.debtCollectionService.sendReminder(debt.id, null, { priority: 'bulk' });
             successCount++;
-            
-            // Add delay between messages to avoid rate limiting
-            await this.delay(2000);
           }
         } catch (error) {
           logger.error(`Failed to send reminder for debt ${debt.id}:`, error);
@@ -76,7 +91,7 @@ class DebtReminderScheduler {
         }
       }
       
-      logger.info(`Reminder processing completed: ${successCount} sent, ${failureCount} failed`);
+      logger.info(`Reminder processing completed: ${successCount} queued, ${failureCount} failed`);
     } catch (error) {
       logger.error('Error in reminder processing:', error);
     }
@@ -110,11 +125,56 @@ class DebtReminderScheduler {
     }
   }
 
+  async processBrokenPromises() {
+    try {
+      logger.info('Starting payment promise review...');
+      
+      const promisesForReview = await PromiseToPay.findDueForReview();
+      logger.info(`Found ${promisesForReview.length} payment promises due for review`);
+      
+      let keptCount = 0;
+      let brokenCount = 0;
+      let failureCount = 0;
+      
+      for (const promise of promisesForReview) {
+        try {
+          const reviewed = await this.debtCollectionService.reviewPaymentPromise(promise.id);
+          
+          if (reviewed.status === 'kept') {
+            keptCount++;
+          } else if (reviewed.status === 'broken') {
+            brokenCount++;
+          }
+        } catch (error) {
+          logger.error(`Failed to review payment promise ${promise.id}:`, error);
+          failureCount++;
+        }
+      }
+      
+      logger.info(`Payment promise review completed: ${keptCount} kept, ${brokenCount} broken, ${failureCount} failed`);
+    } catch (error) {
+      logger.error('Error in payment promise review:', error);
+    }
+  }
+
+  async processUndeliveredReminders() {
+    try {
+      const results = await this.debtCollectionService.deliveryTracking.rerouteUndelivered();
+      const failureCount = results.filter(result => result.status === 'failed').length;
+      
+      if (results.length > 0) {
+        logger.info(`Undelivered reminder processing completed: ${results.length} handled, ${failureCount} failed`);
+      }
+    } catch (error) {
+      logger.error('Error in undelivered reminder processing:', error);
+    }
+  }
+
   async generateDailyStats() {
     try {
       logger.info('Generating daily statistics...');
       
-      const stats = await Debt.getDebtStatistics();
+      const stats = await this.debtReportService.getDebtStatistics();
       const debtorStats = await Debtor.getDebtorStats();
       
       logger.info('Daily Statistics:', {
@@ -150,7 +210,7 @@ class DebtReminderScheduler {
       const endDate = new Date();
       const startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
       
-      const efficiency = await Debt.getCollectionEfficiency(startDate, endDate);
+      const efficiency = await this.debtReportService.getCollectionEfficiency(startDate, endDate);
       
       logger.info('Weekly Collection Report:', {
         period: `${startDate.toISOString()} to ${endDate.toISOString()}`,
@@ -165,10 +225,6 @@ class DebtReminderScheduler {
     }
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   stopAllTasks() {
     this.tasks.forEach(task => {
       if (task) {
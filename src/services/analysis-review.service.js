@@ -0,0 +1,79 @@
+const { Op } = require('sequelize');
+const { DebtorResponse, Debt, Debtor } = require('../models');
+const { REVIEWABLE_FIELDS, getAnalysisPolicy, validateAnalysis } = require('../config/analysis-schema');
+const logger = require('../utils/logger');
+
+// Manual review queue for inbound message analyses the model was unsure about or
+// could not produce. Reviewing corrects the stored classification only; replies and
+// promises already created from the message are left as they are.
+class AnalysisReviewService {
+  // Returns why the analysis needs a collector, or null when it can be trusted
+  getReviewReason(analysis, analysisStatus = null, policy = getAnalysisPolicy()) {
+    if (analysisStatus === 'invalid') {
+      return 'invalid_output';
+    }
+    if (analysisStatus === 'failed') {
+      return 'analysis_failed';
+    }
+
+    const confidence = parseFloat(analysis?.confidence);
+    if (!(confidence >= policy.reviewConfidence)) {
+      return 'low_confidence';
+    }
+
+    return null;
+  }
+
+  // `debtScope` restricts the queue to debts the user may see (see getDebtScope)
+  async listReviews({ reviewStatus = 'pending', reviewReason, debtId, debtScope = {}, limit = 50, offset = 0 } = {}) {
+    const where = { reviewStatus: reviewStatus || { [Op.ne]: null } };
+    if (reviewReason) where.reviewReason = reviewReason;
+    if (debtId) where.debtId = debtId;
+
+    const { rows, count } = await DebtorResponse.findAndCountAll({
+      where,
+      include: [
+        { model: Debt, as: 'Debt', where: debtScope, attributes: ['id', 'invoiceNumber', 'assignedToId'] },
+        { model: Debtor, as: 'Debtor', attributes: ['id', 'name', 'phone'] }
+      ],
+      order: [['receivedAt', 'ASC']],
+      limit,
+      offset
+    });
+
+    return { reviews: rows, total: count };
+  }
+
+  // `corrections` may change the intent, sentiment, urgency, payment commitment,
+  // suggested action and promised amount or date; the result must match the schema
+  async review(response, corrections, userId, notes = null) {
+    if (response.reviewStatus !== 'pending') {
+      throw new Error('Analysis is not awaiting review');
+    }
+
+    const changes = {};
+    for (const field of REVIEWABLE_FIELDS) {
+      if (corrections[field] !== undefined) {
+        changes[field] = corrections[field];
+      }
+    }
+
+    const { analysis, errors } = validateAnalysis({ ...response.analysis, ...changes });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await response.update({
+      analysis,
+      reviewStatus: 'reviewed',
+      reviewNotes: notes,
+      reviewedById: userId,
+      reviewedAt: new Date()
+    });
+
+    logger.info(`Analysis of debtor response ${response.id} reviewed by user ${userId}`);
+    return response;
+  }
+}
+
+module.exports = AnalysisReviewService;
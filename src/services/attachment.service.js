@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const MoneyService = require('./money.service');
+const { getAttachmentLabels, getAttachmentPolicy } = require('../config/attachments');
+const { renderTextPdf } = require('../utils/pdf');
+const { renderTemplate } = require('../utils/template');
+const logger = require('../utils/logger');
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Builds the files sent with a reminder. Each attachment is a plain object stored on the
+// queued message and the reminder log: { kind, type ('document' or 'image'), mimeType,
+// fileName, caption, and a local `path` or an http(s) `url` }.
+class AttachmentService {
+  constructor() {
+    this.money = new MoneyService();
+  }
+
+  // `kinds` are 'invoice' and 'payment_instructions'; a kind the debt has no file or
+  // bank details for is left out
+  async buildAttachments(debt, kinds, language, policy = getAttachmentPolicy()) {
+    const labels = getAttachmentLabels(language);
+    const variables = { invoiceNumber: debt.invoiceNumber };
+    const attachments = [];
+
+    if (kinds.includes('invoice')) {
+      const invoice = this.findInvoice(debt, policy);
+      if (invoice) {
+        attachments.push({ ...invoice, caption: renderTemplate(labels.invoiceCaption, variables) });
+      }
+    }
+
+    if (kinds.includes('payment_instructions')) {
+      const instructions = await this.renderPaymentInstructions(debt, language, policy);
+      if (instructions) {
+        attachments.push({ ...instructions, caption: renderTemplate(labels.instructionsCaption, variables) });
+      }
+    }
+
+    return attachments;
+  }
+
+  // The debt attachment typed 'invoice', or else its first PDF. Local files must sit in
+  // the storage directory, so a debt record cannot point the bot at any file on disk.
+  findInvoice(debt, policy = getAttachmentPolicy()) {
+    const items = Array.isArray(debt.attachments) ? debt.attachments : [];
+    const item = items.find(candidate => candidate.type === 'invoice') ||
+      items.find(candidate => this.getMimeType(candidate) === 'application/pdf');
+
+    if (!item) {
+      return null;
+    }
+
+    const mimeType = this.getMimeType(item);
+    const invoice = {
+      kind: 'invoice',
+      type: mimeType.startsWith('image/') ? 'image' : 'document',
+      mimeType,
+      fileName: item.fileName || path.basename(item.path || item.url || `${debt.invoiceNumber}.pdf`)
+    };
+
+    if (item.url && /^https?:\/\//i.test(item.url)) {
+      return { ...invoice, url: item.url };
+    }
+
+    const filePath = item.path ? path.resolve(policy.storageDir, item.path) : null;
+    if (!filePath || !filePath.startsWith(policy.storageDir + path.sep)) {
+      logger.warn(`Invoice attachment of debt ${debt.id} is not in the attachment storage directory`);
+      return null;
+    }
+    if (!fs.existsSync(filePath)) {
+      logger.warn(`Invoice file for debt ${debt.id} not found: ${filePath}`);
+      return null;
+    }
+
+    return { ...invoice, path: filePath };
+  }
+
+  getMimeType(item) {
+    const name = item.fileName || item.path || item.url || '';
+    return item.mimeType || MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // Debt.bankDetails ({ bankName, accountNumber, accountName, virtualAccount }) with the
+  // company account filling in what the debt leaves out
+  getBankDetails(debt, policy = getAttachmentPolicy()) {
+    const details = { ...policy.defaultBankDetails, virtualAccount: null };
+    for (const [field, value] of Object.entries(debt.bankDetails || {})) {
+      if (value) {
+        details[field] = value;
+      }
+    }
+    return details;
+  }
+
+  // Writes the instruction PDF to the storage directory; null without an account or
+  // virtual account number to pay into
+  async renderPaymentInstructions(debt, language, policy = getAttachmentPolicy()) {
+    const bank = this.getBankDetails(debt, policy);
+    if (!bank.accountNumber && !bank.virtualAccount) {
+      return null;
+    }
+
+    const labels = getAttachmentLabels(language);
+    const lines = [
+      { text: labels.title, size: 16, bold: true },
+      '',
+      `${labels.invoice}: ${debt.invoiceNumber}`,
+      `${labels.amount}: ${this.money.formatDebt(debt, language)}`,
+      `${labels.dueDate}: ${moment(debt.dueDate).format('DD/MM/YYYY')}`,
+      ''
+    ];
+    if (bank.virtualAccount) {
+      lines.push({ text: `${labels.virtualAccount}: ${bank.virtualAccount}`, bold: true });
+    }
+    if (bank.bankName) {
+      lines.push(`${labels.bankName}: ${bank.bankName}`);
+    }
+    if (bank.accountNumber) {
+      lines.push(`${labels.accountNumber}: ${bank.accountNumber}`);
+    }
+    if (bank.accountName) {
+      lines.push(`${labels.accountName}: ${bank.accountName}`);
+    }
+    lines.push('', labels.note);
+
+    const directory = path.join(policy.storageDir, 'payment-instructions');
+    const safeInvoice = String(debt.invoiceNumber).replace(/[^\w.-]/g, '_');
+    const filePath = path.join(directory, `${safeInvoice}-${Date.now()}.pdf`);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(filePath, renderTextPdf(lines));
+
+    return {
+      kind: 'payment_instructions',
+      type: 'document',
+      mimeType: 'application/pdf',
+      fileName: `${labels.title} ${safeInvoice}.pdf`,
+      path: filePath,
+      bankDetails: bank
+    };
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,93 @@
+const { ComplianceViolation, Debt } = require('../models');
+const { getCompliancePolicy, findViolations } = require('../config/compliance-policy');
+const MoneyService = require('./money.service');
+const logger = require('../utils/logger');
+
+class ComplianceService {
+  constructor() {
+    this.money = new MoneyService();
+  }
+
+  // Rules the message breaks given the amounts and invoice numbers it may mention
+  checkMessage(message, facts = {}) {
+    return findViolations(message, facts, getCompliancePolicy());
+  }
+
+  getMaxRegenerations() {
+    return getCompliancePolicy().maxRegenerations;
+  }
+
+  // The amounts and invoice numbers a message about these debts may mention
+  buildFacts(debts, extraAmounts = []) {
+    const amounts = new Set(extraAmounts.map(Number));
+
+    for (const debt of debts) {
+      amounts.add(parseFloat(debt.amount));
+      amounts.add(parseFloat(debt.remainingBalance));
+      (debt.payments || []).forEach(payment => amounts.add(parseFloat(payment.amount)));
+    }
+
+    // The debtor's total outstanding, per currency
+    this.money.sumByCurrency(debts.map(debt => ({ amount: debt.remainingBalance, currency: debt.currency })))
+      .forEach(total => amounts.add(total.amount));
+
+    return {
+      amounts: [...amounts].filter(amount => !Number.isNaN(amount)),
+      invoiceNumbers: debts.map(debt => debt.invoiceNumber).filter(Boolean)
+    };
+  }
+
+  async recordViolation(debt, { messageType, message, violations, attempt = 1, outcome }) {
+    try {
+      const record = await ComplianceViolation.create({
+        debtId: debt.id,
+        debtorId: debt.debtorId,
+        messageType,
+        message,
+        violations,
+        attempt,
+        outcome
+      });
+
+      logger.warn(`Compliance check rejected ${messageType} for debt ${debt.id} (attempt ${attempt}, ${outcome}): ${violations.map(violation => violation.rule).join(', ')}`);
+      return record;
+    } catch (error) {
+      logger.error('Failed to record compliance violation:', error);
+      return null;
+    }
+  }
+
+  async listViolations({ reviewStatus, debtId, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (reviewStatus) where.reviewStatus = reviewStatus;
+    if (debtId) where.debtId = debtId;
+
+    const { rows, count } = await ComplianceViolation.findAndCountAll({
+      where,
+      include: [{ model: Debt, as: 'Debt', attributes: ['id', 'invoiceNumber', 'assignedToId'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { violations: rows, total: count };
+  }
+
+  async review(violation, userId, notes = null) {
+    if (violation.reviewStatus === 'reviewed') {
+      throw new Error('Violation has already been reviewed');
+    }
+
+    await violation.update({
+      reviewStatus: 'reviewed',
+      reviewNotes: notes,
+      reviewedById: userId,
+      reviewedAt: new Date()
+    });
+
+    logger.info(`Compliance violation ${violation.id} reviewed by user ${userId}`);
+    return violation;
+  }
+}
+
+module.exports = ComplianceService;
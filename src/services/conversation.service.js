@@ -0,0 +1,94 @@
+const { Op } = require('sequelize');
+const { ReminderLog, DebtorResponse, ConversationSummary } = require('../models');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
+const logger = require('../utils/logger');
+
+const DEFAULT_HISTORY_WINDOW = 20;
+const DEFAULT_SUMMARY_BATCH = 10;
+
+// Builds the per-debtor WhatsApp conversation the AI replies against. Turns are
+// read from the reminder logs (outbound) and debtor responses (inbound); once the
+// thread outgrows the window, the oldest turns are folded into a stored summary.
+class ConversationService {
+  constructor(geminiService, options = {}) {
+    this.geminiService = geminiService;
+    this.historyWindow = options.historyWindow
+      || parseInt(process.env.CONVERSATION_HISTORY_WINDOW) || DEFAULT_HISTORY_WINDOW;
+    this.summaryBatch = options.summaryBatch
+      || parseInt(process.env.CONVERSATION_SUMMARY_BATCH) || DEFAULT_SUMMARY_BATCH;
+  }
+
+  // `language` is the debtor's; the summary of older turns is written in it
+  async getConversation(debtorId, language = DEFAULT_LANGUAGE) {
+    const summaryRecord = await ConversationSummary.findByDebtor(debtorId);
+    const since = summaryRecord ? summaryRecord.summarizedUntil : null;
+
+    let turns = await this.loadTurns(debtorId, since);
+    let summary = summaryRecord ? summaryRecord.summary : null;
+
+    // Summarize in batches so a long thread does not cost an extra call per message
+    if (turns.length >= this.historyWindow + this.summaryBatch) {
+      const olderTurns = turns.slice(0, turns.length - this.historyWindow);
+      turns = turns.slice(-this.historyWindow);
+      summary = await this.summarizeTurns(debtorId, summaryRecord, olderTurns, language) || summary;
+    }
+
+    return { summary, turns };
+  }
+
+  async loadTurns(debtorId, since = null) {
+    // Reminders rerouted to SMS or email are not part of the WhatsApp chat
+    const outboundWhere = { debtorId, status: 'sent', channel: 'whatsapp' };
+    const inboundWhere = { debtorId };
+
+    if (since) {
+      outboundWhere.sentAt = { [Op.gt]: since };
+      inboundWhere.receivedAt = { [Op.gt]: since };
+    }
+
+    const [outbound, inbound] = await Promise.all([
+      ReminderLog.findAll({ where: outboundWhere, order: [['sentAt', 'ASC']] }),
+      DebtorResponse.findAll({ where: inboundWhere, order: [['receivedAt', 'ASC']] })
+    ]);
+
+    return [
+      ...outbound
+        .filter(log => log.message)
+        .map(log => ({ role: 'agent', text: log.message, timestamp: log.sentAt })),
+      ...inbound.map(response => ({ role: 'debtor', text: response.message, timestamp: response.receivedAt }))
+    ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  async summarizeTurns(debtorId, summaryRecord, turns, language = DEFAULT_LANGUAGE) {
+    try {
+      const summary = await this.geminiService.summarizeConversation(
+        summaryRecord ? summaryRecord.summary : null, turns, language
+      );
+      const summarizedUntil = turns[turns.length - 1].timestamp;
+
+      if (summaryRecord) {
+        await summaryRecord.update({
+          summary,
+          summarizedUntil,
+          summarizedTurns: summaryRecord.summarizedTurns + turns.length
+        });
+      } else {
+        await ConversationSummary.create({
+          debtorId,
+          summary,
+          summarizedUntil,
+          summarizedTurns: turns.length
+        });
+      }
+
+      logger.info(`Summarized ${turns.length} conversation turns for debtor ${debtorId}`);
+      return summary;
+    } catch (error) {
+      // The windowed history is still usable; retry the summary on the next message
+      logger.error(`Failed to summarize conversation for debtor ${debtorId}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = ConversationService;
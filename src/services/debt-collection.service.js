@@ -1,14 +1,65 @@
+const { EventEmitter } = require('events');
+const { Op } = require('sequelize');
 const GeminiService = require('./gemini.service');
+const ConversationService = require('./conversation.service');
+const PaymentPlanService = require('./payment-plan.service');
+const DisputeService = require('./dispute.service');
+const HandoffService = require('./handoff.service');
+const MessageTemplateService = require('./message-template.service');
+const ExperimentService = require('./experiment.service');
+const ComplianceService = require('./compliance.service');
+const AnalysisReviewService = require('./analysis-review.service');
+const MessageQueueService = require('./message-queue.service');
+const DeliveryTrackingService = require('./delivery-tracking.service');
+const MoneyService = require('./money.service');
+const AttachmentService = require('./attachment.service');
+const PaymentProofService = require('./payment-proof.service');
+const DebtReportService = require('./debt-report.service');
 const logger = require('../utils/logger');
-const Debt = require('../models/debt.model');
-const DebtorResponse = require('../models/debtor-response.model');
-const ReminderLog = require('../models/reminder-log.model');
+const database = require('../config/database');
+const { Debt, Debtor, DebtorResponse, ReminderLog, PromiseToPay, PaymentPlan } = require('../models');
+const { getMinDownPayment, clampPlanTerms } = require('../config/payment-plan-policy');
+const { getGenerationLimits } = require('../config/llm');
+const { getAttachmentPolicy } = require('../config/attachments');
+const { getPaymentProofPolicy } = require('../config/payment-proofs');
+const { SUPPORTED_LANGUAGES, isLanguageAutoDetectEnabled } = require('../config/languages');
+const { resolveReplyLanguage } = require('../utils/language-detector');
+const { renderTemplate } = require('../utils/template');
 const moment = require('moment');
 
+const ACTIVE_STATUSES = ['pending', 'overdue', 'partially_paid'];
+
+// fallback_reason for LLM errors that carry a code; anything else is 'error'
+const FALLBACK_REASONS = {
+  LLM_TIMEOUT: 'timeout',
+  LLM_BUDGET_EXCEEDED: 'budget'
+};
+
+// Auto-response content generated by the LLM; fixed replies come from renderReplyTemplate()
+const aiReply = (message) => ({ message, contentSource: 'ai' });
+
 class DebtCollectionService {
-  constructor(whatsappService) {
+  constructor(whatsappService, geminiService = null) {
     this.whatsappService = whatsappService;
-    this.geminiService = new GeminiService();
+    this.geminiService = geminiService || new GeminiService();
+    this.conversationService = new ConversationService(this.geminiService);
+    this.paymentPlanService = new PaymentPlanService();
+    this.disputeService = new DisputeService();
+    this.handoffService = new HandoffService();
+    this.messageTemplateService = new MessageTemplateService();
+    this.experimentService = new ExperimentService();
+    this.complianceService = new ComplianceService();
+    this.analysisReviewService = new AnalysisReviewService();
+    // Every outbound message goes through the queue; see queueMessage()
+    this.messageQueue = new MessageQueueService(whatsappService);
+    this.deliveryTracking = new DeliveryTrackingService();
+    this.money = new MoneyService();
+    this.attachmentService = new AttachmentService();
+    this.paymentProofService = new PaymentProofService(this.geminiService);
+    this.debtReportService = new DebtReportService();
+    // Emits 'inbound' for every stored debtor message; feeds the inbox stream
+    this.inboxEvents = new EventEmitter();
+    this.inboxEvents.setMaxListeners(0);
     this.setupMessageHandler();
   }
 
@@ -17,84 +68,384 @@ class DebtCollectionService {
     this.whatsappService.registerMessageHandler('debt-collection', async (phoneNumber, message, rawMessage) => {
       await this.handleDebtorResponse(phoneNumber, message, rawMessage);
     });
+
+    // Images and documents from debtors are treated as proof of payment
+    this.whatsappService.registerMediaHandler('debt-collection', async (phoneNumber, media, rawMessage) => {
+      await this.handlePaymentProof(phoneNumber, media, rawMessage);
+    });
+
+    // Delivery and read receipts for logged outbound messages
+    this.whatsappService.registerReceiptHandler('debt-collection', async (messageId, status, receivedAt) => {
+      await this.deliveryTracking.recordReceipt(messageId, status, receivedAt);
+    });
   }
 
-  async sendDebtReminder(debtId, reminderLevel = 1) {
-    try {
-      const debt = await Debt.findById(debtId).populate('debtor');
-      if (!debt) {
-        throw new Error(`Debt with ID ${debtId} not found`);
+  async findDebtWithDebtor(debtId, options = {}) {
+    const debt = await Debt.findByPk(debtId, {
+      include: [{ model: Debtor, as: 'Debtor' }],
+      ...options
+    });
+
+    if (!debt) {
+      throw new Error(`Debt with ID ${debtId} not found`);
+    }
+
+    return debt;
+  }
+
+  // `priority` overrides the message's queue priority, e.g. 'bulk' for scheduled runs.
+  // `attachments` lists the ATTACHMENT_KINDS to send after the text.
+  async sendReminder(debtId, customMessage = null, { priority, attachments } = {}) {
+    const debt = await this.findDebtWithDebtor(debtId);
+
+    if (customMessage) {
+      if (debt.isDisputed) {
+        logger.info(`Skipping custom reminder for debt ${debt.id} - under dispute`);
+        return { success: false, reason: 'Debt is under dispute' };
       }
+      return await this.sendCustomReminder(debt, customMessage, { priority, attachments });
+    }
+
+    return await this.sendDebtReminder(debt.id, debt.getReminderLevel(), { priority, attachments });
+  }
 
-      if (debt.status === 'paid' || debt.status === 'cancelled') {
+  async sendCustomReminder(debt, message, { priority = 'manual', attachments = [] } = {}) {
+    const files = await this.attachmentService.buildAttachments(debt, attachments, debt.Debtor.language);
+    const log = await this.recordReminderSent(debt, {
+      level: debt.getReminderLevel(),
+      messageType: 'manual',
+      message,
+      contentSource: 'manual'
+    });
+    const outbound = await this.queueMessage(debt.Debtor.phone, log, { priority, attachments: files });
+
+    logger.info(`Custom reminder queued for debt ${debt.id}`);
+    return { success: true, ...this.describeDelivery(outbound), message, attachments: log.attachments };
+  }
+
+  // Scheduled reminders carry the attachments configured in REMINDER_ATTACHMENTS
+  async sendDebtReminder(debtId, reminderLevel = 1, { priority = 'reminder', attachments = getAttachmentPolicy().reminderAttachments } = {}) {
+    let debt = null;
+    try {
+      debt = await this.findDebtWithDebtor(debtId);
+
+      if (['paid', 'cancelled', 'written_off'].includes(debt.status)) {
         logger.info(`Skipping reminder for debt ${debtId} - status: ${debt.status}`);
         return { success: false, reason: 'Debt already resolved' };
       }
 
+      // Manual and bulk reminders are held during a dispute just like scheduled ones
+      if (debt.isDisputed) {
+        logger.info(`Skipping reminder for debt ${debtId} - under dispute`);
+        return { success: false, reason: 'Debt is under dispute' };
+      }
+
       const debtorInfo = {
-        name: debt.debtor.name,
-        phone: debt.debtor.phone,
-        company: debt.debtor.company
+        name: debt.Debtor.name,
+        phone: debt.Debtor.phone,
+        company: debt.Debtor.company
       };
 
       const debtDetails = {
-        amount: debt.amount,
+        amount: parseFloat(debt.remainingBalance),
+        currency: debt.currency,
         dueDate: moment(debt.dueDate).format('DD/MM/YYYY'),
-        daysOverdue: moment().diff(moment(debt.dueDate), 'days'),
+        daysOverdue: debt.daysOverdue,
         invoiceNumber: debt.invoiceNumber,
         description: debt.description,
         previousReminders: debt.reminderCount
       };
 
-      // Generate personalized message using Gemini AI
-      const message = await this.geminiService.generateDebtReminderMessage(
-        debtorInfo,
-        debtDetails,
-        reminderLevel
-      );
+      // On an active payment plan, remind about the next installment only
+      const nextInstallment = await this.paymentPlanService.getNextInstallment(debt.id);
+      if (nextInstallment) {
+        Object.assign(debtDetails, this.buildInstallmentDetails(debt, nextInstallment));
+      }
 
-      // Send message via WhatsApp
-      const result = await this.whatsappService.sendMessage(debt.debtor.phone, message);
+      // A running experiment decides how this debtor's reminder prompt is built
+      const variant = await this.experimentService.assignVariant(debt.Debtor);
 
-      // Log the reminder
-      await this.logReminder(debtId, reminderLevel, message, 'sent');
+      // Generate personalized message using Gemini AI, or the level's template
+      const composed = await this.composeMessage(
+        'reminder',
+        (options) => this.geminiService.generateDebtReminderMessage(debtorInfo, debtDetails, reminderLevel, { ...options, variant }),
+        {
+          level: reminderLevel,
+          language: debt.Debtor.language,
+          debt,
+          facts: this.complianceService.buildFacts([debt], [
+            debtDetails.amount,
+            debtDetails.installment?.totalOutstanding
+          ].filter(amount => amount !== undefined)),
+          variables: {
+            name: debtorInfo.name,
+            company: debtorInfo.company,
+            amount: this.money.format(debtDetails.amount, debt.currency, debt.Debtor.language),
+            dueDate: debtDetails.dueDate,
+            daysOverdue: debtDetails.daysOverdue,
+            invoiceNumber: debtDetails.invoiceNumber,
+            level: reminderLevel
+          }
+        }
+      );
+
+      const { message } = composed;
+      const files = await this.attachmentService.buildAttachments(debt, attachments, debt.Debtor.language);
 
-      // Update debt reminder count and last reminder date
-      await Debt.findByIdAndUpdate(debtId, {
-        $inc: { reminderCount: 1 },
-        lastReminderDate: new Date(),
-        lastReminderLevel: reminderLevel
+      // Update reminder tracking and log the reminder together, then queue it for WhatsApp
+      const log = await this.recordReminderSent(debt, {
+        level: reminderLevel,
+        messageType: 'reminder',
+        message,
+        ...this.describeContent(composed)
       });
+      const outbound = await this.queueMessage(debt.Debtor.phone, log, { priority, attachments: files });
 
-      logger.info(`Debt reminder sent successfully for debt ${debtId}`);
-      return { success: true, messageId: result.key.id, message };
+      logger.info(`Debt reminder queued for debt ${debtId}`);
+      return {
+        success: true,
+        ...this.describeDelivery(outbound),
+        message,
+        contentSource: composed.contentSource,
+        attachments: log.attachments
+      };
     } catch (error) {
       logger.error(`Failed to send debt reminder for debt ${debtId}:`, error);
-      await this.logReminder(debtId, reminderLevel, null, 'failed', error.message);
+      if (debt) {
+        await this.logReminder(debt, {
+          level: reminderLevel,
+          messageType: 'reminder',
+          status: 'failed',
+          error: error.message
+        });
+      }
       throw error;
     }
   }
 
+  // Asks the LLM first; an error, timeout, empty or oversized result falls back to
+  // the best matching template for the message type, level and language.
+  // `generate` receives the language and a trace the prompt version is recorded on.
+  // With a `debt`, the output must also pass the compliance check against `facts`
+  // (the debt's own amounts and invoice by default); failures are logged and
+  // regenerated up to COMPLIANCE_MAX_REGENERATIONS times before the template is used.
+  async composeMessage(messageType, generate, { level = null, language, variables = {}, debt = null, facts = null, logMessageType = messageType } = {}) {
+    let fallbackReason = null;
+    const maxRegenerations = debt ? this.complianceService.getMaxRegenerations() : 0;
+
+    for (let attempt = 1; !fallbackReason; attempt++) {
+      const trace = {};
+
+      try {
+        const message = await generate({ language, trace, debtId: debt ? debt.id : null });
+        fallbackReason = this.checkGeneratedMessage(message);
+        if (fallbackReason) {
+          break;
+        }
+
+        const violations = debt
+          ? this.complianceService.checkMessage(message, facts || this.complianceService.buildFacts([debt]))
+          : [];
+        if (violations.length === 0) {
+          return { message, contentSource: 'ai', prompt: trace };
+        }
+
+        const regenerate = attempt <= maxRegenerations;
+        await this.complianceService.recordViolation(debt, {
+          messageType: logMessageType,
+          message,
+          violations,
+          attempt,
+          outcome: regenerate ? 'regenerated' : 'template'
+        });
+        if (!regenerate) {
+          fallbackReason = 'compliance';
+        }
+      } catch (error) {
+        fallbackReason = FALLBACK_REASONS[error.code] || 'error';
+        logger.warn(`AI ${messageType} generation failed: ${error.message}`);
+      }
+    }
+
+    const template = await this.messageTemplateService.resolveTemplate(messageType, { level, language });
+    logger.warn(`Using ${template.language} ${messageType} template instead of AI output (${fallbackReason})`);
+
+    return {
+      message: renderTemplate(template.body, variables),
+      contentSource: 'template',
+      fallbackReason,
+      template,
+      variables
+    };
+  }
+
+  checkGeneratedMessage(message) {
+    if (typeof message !== 'string' || !message.trim()) {
+      return 'empty';
+    }
+
+    const { maxMessageLength } = getGenerationLimits();
+    if (maxMessageLength && message.length > maxMessageLength) {
+      return 'too_long';
+    }
+
+    return null;
+  }
+
+  // Hands a logged message to the outbound queue. The log is created as 'queued'; the
+  // queue marks it sent on delivery, or failed once the message is dead-lettered.
+  // Attachments from AttachmentService follow the text as captioned document or image
+  // messages and are listed on the log with their queued message ids.
+  async queueMessage(phoneNumber, log, { priority = log.messageType, attachments = [] } = {}) {
+    const outbound = await this.messageQueue.enqueue({
+      phoneNumber,
+      message: log.message,
+      priority,
+      debtId: log.debtId,
+      reminderLogId: log.id
+    });
+
+    if (attachments.length > 0) {
+      const sent = [];
+      for (const { caption, bankDetails, ...media } of attachments) {
+        const file = await this.messageQueue.enqueue({
+          phoneNumber,
+          message: caption,
+          media,
+          priority,
+          debtId: log.debtId
+        });
+        sent.push({ ...media, caption, outboundMessageId: file.id });
+      }
+      await log.update({ attachments: sent });
+    }
+
+    return outbound;
+  }
+
+  // Result fields for a queued message: the WhatsApp id is only known once it went out
+  describeDelivery(outbound) {
+    return {
+      messageId: outbound.whatsappMessageId,
+      outboundMessageId: outbound.id,
+      deliveryStatus: outbound.status
+    };
+  }
+
+  // Log fields describing where a composed message came from
+  describeContent(composed) {
+    const prompt = composed.prompt || {};
+
+    return {
+      contentSource: composed.contentSource,
+      fallbackReason: composed.fallbackReason || null,
+      messageTemplateId: composed.template ? composed.template.id : null,
+      promptTemplateId: prompt.promptTemplateId ?? null,
+      promptVersion: prompt.promptVersion ?? null,
+      experimentVariantId: prompt.experimentVariantId ?? null
+    };
+  }
+
+  // Renders a prompt version with a real debt's data, without calling the LLM
+  async previewPrompt(prompt, debtId, { reminderLevel = null, escalationType = 'legal', debtorMessage = '', paymentAmount = null } = {}) {
+    const debt = await this.findDebtWithDebtor(debtId);
+    const remainingBalance = parseFloat(debt.remainingBalance);
+
+    const debtDetails = {
+      amount: remainingBalance,
+      currency: debt.currency,
+      dueDate: moment(debt.dueDate).format('DD/MM/YYYY'),
+      daysOverdue: debt.daysOverdue,
+      invoiceNumber: debt.invoiceNumber,
+      description: debt.description,
+      previousReminders: debt.reminderCount
+    };
+
+    const nextInstallment = await this.paymentPlanService.getNextInstallment(debt.id);
+    if (nextInstallment) {
+      Object.assign(debtDetails, this.buildInstallmentDetails(debt, nextInstallment));
+    }
+
+    const amountPaid = paymentAmount !== null ? parseFloat(paymentAmount) : remainingBalance;
+    const variables = this.geminiService.buildPromptVariables(prompt.key, {
+      language: prompt.language,
+      reminderLevel: reminderLevel || debt.getReminderLevel(),
+      escalationType,
+      debtorMessage,
+      debtorInfo: {
+        name: debt.Debtor.name,
+        phone: debt.Debtor.phone,
+        company: debt.Debtor.company
+      },
+      debtDetails,
+      paymentDetails: {
+        amount: amountPaid,
+        currency: debt.currency,
+        date: moment().format('DD/MM/YYYY'),
+        remainingBalance: Math.max(remainingBalance - amountPaid, 0)
+      }
+    });
+
+    return {
+      key: prompt.key,
+      language: prompt.language,
+      version: prompt.version,
+      debtId: debt.id,
+      variables,
+      prompt: renderTemplate(prompt.body, variables)
+    };
+  }
+
+  buildInstallmentDetails(debt, { plan, installment }) {
+    const schedule = plan.installments.slice().sort((a, b) => a.sequence - b.sequence);
+
+    return {
+      amount: installment.remainingAmount,
+      dueDate: moment(installment.dueDate).format('DD/MM/YYYY'),
+      daysOverdue: installment.daysOverdue,
+      installment: {
+        label: installment.sequence === 0 ? 'the down payment' : `installment ${installment.sequence}`,
+        number: schedule.indexOf(installment) + 1,
+        total: schedule.length,
+        totalOutstanding: parseFloat(debt.remainingBalance)
+      }
+    };
+  }
+
+  async recordReminderSent(debt, logData) {
+    return await database.getSequelize().transaction(async (transaction) => {
+      // Re-read under the transaction so concurrent sends don't lose an increment
+      const current = await Debt.findByPk(debt.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      current.reminderCount = (current.reminderCount || 0) + 1;
+      current.lastReminderDate = new Date();
+      current.lastReminderLevel = logData.level;
+      await current.save({ transaction });
+
+      return await this.logReminder(current, { status: 'queued', ...logData }, { transaction, throwOnError: true });
+    });
+  }
+
   async sendBulkReminders(criteria = {}, reminderLevel = 1) {
     try {
-      const query = {
-        status: { $in: ['pending', 'overdue'] },
-        ...criteria
-      };
-
-      const debts = await Debt.find(query).populate('debtor');
+      const debts = await Debt.findAll({
+        where: {
+          status: { [Op.in]: ACTIVE_STATUSES },
+          isDisputed: false,
+          isActive: true,
+          ...criteria
+        }
+      });
       const results = [];
 
       for (const debt of debts) {
         try {
-          const result = await this.sendDebtReminder(debt._id, reminderLevel);
-          results.push({ debtId: debt._id, ...result });
-          
-          // Add delay between messages to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 2000));
+          // The queue paces bulk reminders behind replies and confirmations
+          const result = await this.sendDebtReminder(debt.id, reminderLevel, { priority: 'bulk' });
+          results.push({ debtId: debt.id, ...result });
         } catch (error) {
           results.push({
-            debtId: debt._id,
+            debtId: debt.id,
             success: false,
             error: error.message
           });
@@ -109,13 +460,30 @@ class DebtCollectionService {
     }
   }
 
+  async findActiveDebtsByPhone(phoneNumber) {
+    const debtor = await Debtor.findByPhone(phoneNumber);
+    if (!debtor) {
+      return [];
+    }
+
+    const debts = await Debt.findAll({
+      where: {
+        debtorId: debtor.id,
+        status: { [Op.in]: ACTIVE_STATUSES },
+        isActive: true
+      },
+      order: [['dueDate', 'ASC']]
+    });
+
+    // Every debt belongs to the same debtor, so attach the already-loaded record
+    debts.forEach(debt => { debt.Debtor = debtor; });
+    return debts;
+  }
+
   async handleDebtorResponse(phoneNumber, message, rawMessage) {
     try {
       // Find active debts for this phone number
-      const debts = await Debt.find({
-        'debtor.phone': phoneNumber,
-        status: { $in: ['pending', 'overdue'] }
-      }).populate('debtor');
+      const debts = await this.findActiveDebtsByPhone(phoneNumber);
 
       if (debts.length === 0) {
         logger.info(`No active debts found for phone number ${phoneNumber}`);
@@ -123,15 +491,34 @@ class DebtCollectionService {
       }
 
       // Analyze the response using Gemini AI
-      const analysis = await this.geminiService.analyzeDebtorResponse(message);
+      const analysisTrace = {};
+      const analysis = await this.geminiService.analyzeDebtorResponse(message, {
+        language: debts[0].Debtor.language,
+        debtId: debts[0].id,
+        trace: analysisTrace
+      });
 
-      // Log the response
-      for (const debt of debts) {
-        await this.logDebtorResponse(debt._id, phoneNumber, message, analysis);
+      // Answer in the language the debtor just wrote in
+      await this.applyDetectedLanguage(debts[0].Debtor, message, analysis);
+
+      // Load the thread before this message is stored so it is not repeated as history
+      const conversation = await this.conversationService.getConversation(debts[0].debtorId, debts[0].Debtor.language);
+
+      // Log the response once, against the debt used as reply context
+      const response = await this.logDebtorResponse(debts[0], phoneNumber, message, analysis, rawMessage?.key?.id, analysisTrace);
+
+      const mode = await this.handoffService.applyAutomaticHandoff(debts[0].Debtor, analysis);
+      if (response) {
+        this.publishInboundMessage(debts, response, mode);
+      }
+      if (mode === 'human') {
+        // A collector answers from the inbox
+        logger.info(`Debtor response from ${phoneNumber} left for a collector`);
+        return;
       }
 
       // Handle based on analysis
-      await this.processDebtorResponse(debts, phoneNumber, message, analysis);
+      await this.processDebtorResponse(debts, phoneNumber, message, analysis, { conversation, response, mode });
 
       logger.info(`Processed debtor response from ${phoneNumber}`);
     } catch (error) {
@@ -139,61 +526,142 @@ class DebtCollectionService {
     }
   }
 
-  async processDebtorResponse(debts, phoneNumber, message, analysis) {
+  // Files the proof under the invoice named in the caption, or the oldest open debt,
+  // acknowledges it unless a collector has taken over the conversation, and reads the
+  // receipt to pre-fill the payment
+  async handlePaymentProof(phoneNumber, media, rawMessage) {
+    try {
+      const debts = await this.findActiveDebtsByPhone(phoneNumber);
+
+      if (debts.length === 0) {
+        logger.info(`No active debts found for payment proof from ${phoneNumber}`);
+        return null;
+      }
+
+      const debt = this.findMentionedDebt(debts, media.caption || '');
+      const proof = await this.paymentProofService.submitProof(debt, debts, phoneNumber, media, rawMessage?.key?.id);
+      if (!proof) {
+        return null;
+      }
+
+      const debtor = debt.Debtor;
+      if (debtor.conversation_mode === 'ai') {
+        const reply = await this.renderReplyTemplate('payment_proof_received', debtor.language, {
+          name: debtor.name,
+          company: debtor.company,
+          invoiceNumber: debt.invoiceNumber
+        });
+        const log = await this.logReminder(debt, {
+          messageType: 'auto_response',
+          message: reply.message,
+          status: 'queued',
+          ...this.describeContent(reply)
+        }, { throwOnError: true });
+        await this.queueMessage(phoneNumber, log);
+      }
+
+      // Pre-fill the payment from the receipt for the collector who verifies it
+      if (getPaymentProofPolicy().extractionEnabled) {
+        await this.paymentProofService.extractDetails(proof);
+      }
+
+      return proof;
+    } catch (error) {
+      logger.error(`Failed to handle payment proof from ${phoneNumber}:`, error);
+      return null;
+    }
+  }
+
+  async applyDetectedLanguage(debtor, message, analysis) {
+    if (!isLanguageAutoDetectEnabled()) {
+      return;
+    }
+
+    const language = resolveReplyLanguage(message, analysis.language, SUPPORTED_LANGUAGES);
+    if (!language || language === debtor.language) {
+      return;
+    }
+
+    const previous = debtor.language;
+    await debtor.update({ language, language_detected_at: new Date() });
+    logger.info(`Debtor ${debtor.id} language switched from ${previous} to ${language}`);
+  }
+
+  publishInboundMessage(debts, response, mode) {
+    const debtor = debts[0].Debtor;
+
+    this.inboxEvents.emit('inbound', {
+      debtorId: debtor.id,
+      debtorName: debtor.name,
+      debtId: response.debtId,
+      responseId: response.id,
+      message: response.message,
+      intent: response.intent,
+      sentiment: response.sentiment,
+      receivedAt: response.receivedAt,
+      mode,
+      claimedById: debtor.conversation_claimed_by,
+      // Lets the stream apply collector scoping without another query
+      assignedToIds: [...new Set(debts.map(debt => debt.assignedToId).filter(Boolean))]
+    });
+  }
+
+  async processDebtorResponse(debts, phoneNumber, message, analysis, { conversation = null, response = null, mode = 'ai' } = {}) {
     try {
       const primaryDebt = debts[0]; // Use first debt for response context
-      
+
       const debtorInfo = {
-        name: primaryDebt.debtor.name,
-        phone: primaryDebt.debtor.phone,
-        company: primaryDebt.debtor.company
+        name: primaryDebt.Debtor.name,
+        phone: primaryDebt.Debtor.phone,
+        company: primaryDebt.Debtor.company,
+        language: primaryDebt.Debtor.language
       };
 
+      // Balances in different currencies are totalled separately, never added together
+      const totals = this.money.sumByCurrency(
+        debts.map(debt => ({ amount: debt.remainingBalance, currency: debt.currency }))
+      );
+
       const debtDetails = {
-        amount: debts.reduce((sum, debt) => sum + debt.amount, 0),
-        daysOverdue: Math.max(...debts.map(debt => 
-          moment().diff(moment(debt.dueDate), 'days')
-        )),
-        invoiceNumber: debts.map(debt => debt.invoiceNumber).join(', ')
+        ...(totals.length === 1 ? totals[0] : {}),
+        totals,
+        daysOverdue: Math.max(...debts.map(debt => debt.daysOverdue)),
+        invoiceNumber: debts.map(debt => debt.invoiceNumber).join(', '),
+        // AI usage for the reply is booked against the primary debt
+        debtId: primaryDebt.id
       };
 
-      let responseMessage = null;
+      let reply;
+      try {
+        reply = await this.buildAutoReply(debts, debtorInfo, debtDetails, message, analysis, { conversation, response });
+      } catch (error) {
+        if (error.code !== 'LLM_BUDGET_EXCEEDED') {
+          throw error;
+        }
+        // Over budget the debtor still gets an answer, and a collector can follow up
+        const holdingReply = await this.renderReplyTemplate('holding_reply', debtorInfo.language, {
+          name: debtorInfo.name,
+          company: debtorInfo.company
+        });
+        reply = { ...holdingReply, fallbackReason: 'budget' };
+      }
 
-      switch (analysis.intent) {
-        case 'payment_promise':
-          responseMessage = await this.handlePaymentPromise(debtorInfo, debtDetails, analysis);
-          break;
-        
-        case 'dispute':
-          responseMessage = await this.handleDispute(debtorInfo, debtDetails, message);
-          break;
-        
-        case 'financial_hardship':
-        case 'payment_plan_request':
-          responseMessage = await this.handleNegotiation(debtorInfo, debtDetails, message);
-          break;
-        
-        case 'question':
-          responseMessage = await this.handleQuestion(debtorInfo, debtDetails, message);
-          break;
-        
-        case 'acknowledgment':
-          responseMessage = await this.handleAcknowledgment(debtorInfo, debtDetails);
-          break;
-        
-        default:
-          responseMessage = await this.geminiService.generateNegotiationResponse(
-            debtorInfo, debtDetails, message
-          );
+      if (reply.message && reply.contentSource === 'ai') {
+        reply = await this.enforceReplyCompliance(primaryDebt, reply, this.complianceService.buildFacts(debts));
       }
 
-      if (responseMessage) {
-        await this.whatsappService.sendMessage(phoneNumber, responseMessage);
-        
-        // Log the automated response
-        for (const debt of debts) {
-          await this.logReminder(debt._id, 0, responseMessage, 'auto_response');
-        }
+      const responseMessage = reply.message;
+      if (responseMessage && mode === 'ai_draft') {
+        await this.handoffService.createDraft(primaryDebt, response, responseMessage);
+      } else if (responseMessage) {
+        // Log the automated response and queue it
+        const log = await this.logReminder(primaryDebt, {
+          messageType: 'auto_response',
+          message: responseMessage,
+          status: 'queued',
+          ...this.describeContent(reply)
+        }, { throwOnError: true });
+        await this.queueMessage(phoneNumber, log);
       }
 
       // Update debt status based on analysis
@@ -205,57 +673,460 @@ class DebtCollectionService {
     }
   }
 
-  async handlePaymentPromise(debtorInfo, debtDetails, analysis) {
-    const message = `Terima kasih ${debtorInfo.name} atas konfirmasi pembayaran Anda. Kami akan memantau pembayaran sesuai dengan komitmen yang Anda berikan. Jika ada kendala, silakan hubungi kami segera.\n\nTotal yang harus dibayar: Rp ${debtDetails.amount.toLocaleString('id-ID')}\n\nTerima kasih atas kerjasamanya.`;
-    return message;
+  // The reply for the analyzed intent; handlers record promises, disputes and plans first
+  async buildAutoReply(debts, debtorInfo, debtDetails, message, analysis, { conversation = null, response = null } = {}) {
+    const primaryDebt = debts[0];
+
+    switch (analysis.intent) {
+      case 'payment_promise': {
+        const promise = await this.recordPaymentPromise(primaryDebt, analysis, response);
+        return await this.handlePaymentPromise(primaryDebt, debtorInfo, debtDetails, promise);
+      }
+
+      case 'dispute':
+        return aiReply(await this.handleDispute(
+          this.findMentionedDebt(debts, message), debtorInfo, debtDetails, message, { analysis, conversation, response }
+        ));
+
+      case 'financial_hardship':
+      case 'payment_plan_request':
+        return await this.handlePaymentPlanRequest(
+          primaryDebt, debtorInfo, debtDetails, message, { conversation, response }
+        );
+
+      case 'payment_plan_acceptance':
+        return await this.handlePaymentPlanAcceptance(
+          debts, debtorInfo, debtDetails, message, conversation
+        );
+
+      case 'question':
+        return aiReply(await this.handleQuestion(debtorInfo, debtDetails, message, conversation));
+
+      case 'acknowledgment':
+        return await this.handleAcknowledgment(debtorInfo, debtDetails);
+
+      default:
+        return aiReply(await this.geminiService.generateNegotiationResponse(
+          debtorInfo, debtDetails, message, conversation
+        ));
+    }
+  }
+
+  // AI auto replies are not regenerated: their handlers already recorded disputes,
+  // promises or plans. A failing reply is swapped for the holding reply template.
+  async enforceReplyCompliance(debt, reply, facts) {
+    const violations = this.complianceService.checkMessage(reply.message, facts);
+    if (violations.length === 0) {
+      return reply;
+    }
+
+    await this.complianceService.recordViolation(debt, {
+      messageType: 'auto_response',
+      message: reply.message,
+      violations,
+      outcome: 'template'
+    });
+
+    const holdingReply = await this.renderReplyTemplate('holding_reply', debt.Debtor.language, {
+      name: debt.Debtor.name,
+      company: debt.Debtor.company
+    });
+    return { ...holdingReply, fallbackReason: 'compliance' };
+  }
+
+  // A fixed auto reply in the debtor's language, shaped like composeMessage() output
+  async renderReplyTemplate(messageType, language, variables) {
+    const template = await this.messageTemplateService.resolveTemplate(messageType, { language });
+
+    return {
+      message: renderTemplate(template.body, variables),
+      contentSource: 'template',
+      template,
+      variables
+    };
   }
 
-  async handleDispute(debtorInfo, debtDetails, originalMessage) {
+  // Sends a collector's reply from the inbox, logged against the debtor's oldest open debt
+  async sendConversationReply(debtor, message, userId) {
+    const [activeDebt] = await this.findActiveDebtsByPhone(debtor.phone);
+    const debt = activeDebt || await Debt.findOne({
+      where: { debtorId: debtor.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (!debt) {
+      throw new Error('Debtor has no debts to reply about');
+    }
+
+    const log = await this.logReminder(debt, {
+      messageType: 'manual',
+      message,
+      contentSource: 'manual',
+      status: 'queued',
+      sentById: userId
+    }, { throwOnError: true });
+    const outbound = await this.queueMessage(debtor.phone, log);
+    await DebtorResponse.markReadForDebtor(debtor.id, userId);
+
+    logger.info(`Inbox reply to debtor ${debtor.id} queued by user ${userId}`);
+    return { success: true, ...this.describeDelivery(outbound), debtId: debt.id, message };
+  }
+
+  // Sends a queued AI reply, as written or edited by the collector
+  async approveReplyDraft(draft, userId, editedMessage = null) {
+    if (draft.status !== 'pending') {
+      throw new Error(`Draft is already ${draft.status}`);
+    }
+
+    const debt = await this.findDebtWithDebtor(draft.debtId);
+    const finalMessage = (editedMessage && editedMessage.trim()) || draft.suggestedMessage;
+    const edited = finalMessage !== draft.suggestedMessage;
+
+    const log = await this.logReminder(debt, {
+      messageType: edited ? 'manual' : 'auto_response',
+      message: finalMessage,
+      contentSource: edited ? 'manual' : 'ai',
+      status: 'queued',
+      sentById: userId
+    }, { throwOnError: true });
+    await this.queueMessage(debt.Debtor.phone, log);
+    await draft.update({ status: 'sent', finalMessage, reviewedById: userId, reviewedAt: new Date() });
+
+    logger.info(`Reply draft ${draft.id} sent for debtor ${draft.debtorId} by user ${userId}`);
+    return draft;
+  }
+
+  async handlePaymentPromise(debt, debtorInfo, debtDetails, promise) {
+    const variables = {
+      name: debtorInfo.name,
+      company: debtorInfo.company,
+      amount: this.money.formatDetails(debtDetails, debtorInfo.language)
+    };
+
+    if (!promise) {
+      // Without a date there is nothing to hold the debtor to, so ask for one
+      return await this.renderReplyTemplate('promise_date_request', debtorInfo.language, variables);
+    }
+
+    return await this.renderReplyTemplate('promise_recorded', debtorInfo.language, {
+      ...variables,
+      promisedAmount: this.money.format(promise.promisedAmount, debt.currency, debtorInfo.language),
+      promisedDate: moment(promise.promisedDate).format('DD/MM/YYYY')
+    });
+  }
+
+  async recordPaymentPromise(debt, analysis, response = null) {
+    try {
+      const promisedDate = moment(analysis.promised_date, 'YYYY-MM-DD', true);
+
+      if (!promisedDate.isValid() || promisedDate.isBefore(moment(), 'day')) {
+        logger.info(`Payment promise for debt ${debt.id} has no usable date, not recorded`);
+        return null;
+      }
+
+      const extractedAmount = parseFloat(analysis.promised_amount);
+      const promisedAmount = extractedAmount > 0 ? extractedAmount : parseFloat(debt.remainingBalance);
+
+      const promise = await database.getSequelize().transaction(async (transaction) => {
+        // The latest promise replaces any earlier one still open on the debt
+        await PromiseToPay.update(
+          { status: 'superseded', resolvedAt: new Date() },
+          { where: { debtId: debt.id, status: 'pending' }, transaction }
+        );
+
+        const created = await PromiseToPay.create({
+          debtId: debt.id,
+          debtorId: debt.debtorId,
+          debtorResponseId: response ? response.id : null,
+          promisedAmount,
+          promisedDate: promisedDate.format('YYYY-MM-DD')
+        }, { transaction });
+
+        // Hold regular reminders until the promise is reviewed
+        await debt.update({
+          remindersPausedUntil: PromiseToPay.getReviewDate(created.promisedDate)
+        }, { transaction });
+
+        return created;
+      });
+
+      logger.info(`Recorded payment promise for debt ${debt.id}: ${promisedAmount} by ${promise.promisedDate}`);
+      return promise;
+    } catch (error) {
+      logger.error(`Failed to record payment promise for debt ${debt.id}:`, error);
+      return null;
+    }
+  }
+
+  async reviewPaymentPromise(promiseId) {
+    const promise = await PromiseToPay.findByPk(promiseId);
+
+    if (!promise || promise.status !== 'pending') {
+      return promise;
+    }
+
+    const debt = await this.findDebtWithDebtor(promise.debtId);
+    const status = promise.evaluate(debt);
+
+    // Only mark the promise broken once the follow-up is queued, so a failed attempt is retried
+    if (status === 'broken' && ACTIVE_STATUSES.includes(debt.status)) {
+      await this.sendBrokenPromiseFollowUp(debt, promise);
+      promise.followUpSentAt = new Date();
+    }
+
+    await promise.save();
+
+    logger.info(`Payment promise ${promise.id} for debt ${debt.id} reviewed: ${status}`);
+    return promise;
+  }
+
+  async sendBrokenPromiseFollowUp(debt, promise) {
+    const level = debt.getReminderLevel();
+
+    try {
+      const debtorInfo = {
+        name: debt.Debtor.name,
+        phone: debt.Debtor.phone,
+        company: debt.Debtor.company
+      };
+
+      const debtDetails = {
+        amount: parseFloat(debt.remainingBalance),
+        currency: debt.currency,
+        daysOverdue: debt.daysOverdue,
+        invoiceNumber: debt.invoiceNumber
+      };
+
+      const promiseDetails = {
+        promisedAmount: parseFloat(promise.promisedAmount),
+        promisedDate: moment(promise.promisedDate).format('DD/MM/YYYY'),
+        amountPaid: parseFloat(promise.amountPaid || 0)
+      };
+
+      // Falls back to the reminder template for the debt's level
+      const composed = await this.composeMessage(
+        'reminder',
+        (options) => this.geminiService.generateBrokenPromiseMessage(debtorInfo, debtDetails, promiseDetails, options),
+        {
+          level,
+          language: debt.Debtor.language,
+          debt,
+          facts: this.complianceService.buildFacts([debt], [promiseDetails.promisedAmount, promiseDetails.amountPaid]),
+          logMessageType: 'promise_follow_up',
+          variables: {
+            name: debtorInfo.name,
+            company: debtorInfo.company,
+            amount: this.money.format(debtDetails.amount, debt.currency, debt.Debtor.language),
+            dueDate: moment(debt.dueDate).format('DD/MM/YYYY'),
+            daysOverdue: debtDetails.daysOverdue,
+            invoiceNumber: debtDetails.invoiceNumber,
+            level
+          }
+        }
+      );
+
+      const { message } = composed;
+
+      const log = await this.recordReminderSent(debt, {
+        level,
+        messageType: 'promise_follow_up',
+        message,
+        ...this.describeContent(composed)
+      });
+      const outbound = await this.queueMessage(debt.Debtor.phone, log);
+
+      logger.info(`Broken promise follow-up queued for debt ${debt.id}`);
+      return { success: true, ...this.describeDelivery(outbound), message, contentSource: composed.contentSource };
+    } catch (error) {
+      logger.error(`Failed to send broken promise follow-up for debt ${debt.id}:`, error);
+      await this.logReminder(debt, {
+        level,
+        messageType: 'promise_follow_up',
+        status: 'failed',
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Prefer the debt whose invoice number the debtor quoted
+  findMentionedDebt(debts, message) {
+    return debts.find(debt => debt.invoiceNumber && message.includes(debt.invoiceNumber)) || debts[0];
+  }
+
+  async handleDispute(debt, debtorInfo, debtDetails, originalMessage, { analysis = {}, conversation = null, response = null } = {}) {
+    try {
+      // Holds reminders for the debt until a collector resolves the dispute
+      await this.disputeService.recordDebtorDispute(debt, originalMessage, analysis, response);
+    } catch (error) {
+      logger.error(`Failed to record dispute for debt ${debt.id}:`, error);
+    }
+
     return await this.geminiService.generateNegotiationResponse(
-      debtorInfo, debtDetails, originalMessage
+      debtorInfo, debtDetails, originalMessage, conversation
     );
   }
 
-  async handleNegotiation(debtorInfo, debtDetails, originalMessage) {
+  async handleNegotiation(debtorInfo, debtDetails, originalMessage, conversation = null) {
     return await this.geminiService.generateNegotiationResponse(
-      debtorInfo, debtDetails, originalMessage
+      debtorInfo, debtDetails, originalMessage, conversation
     );
   }
 
-  async handleQuestion(debtorInfo, debtDetails, originalMessage) {
+  async handlePaymentPlanRequest(debt, debtorInfo, debtDetails, originalMessage, { conversation = null, response = null } = {}) {
+    try {
+      // Changes to a running plan are left to the collector
+      const activePlan = await PaymentPlan.findActiveForDebt(debt.id);
+      if (activePlan) {
+        return aiReply(await this.handleNegotiation(debtorInfo, debtDetails, originalMessage, conversation));
+      }
+
+      const policy = this.paymentPlanService.getPolicy();
+      const totalAmount = parseFloat(debt.remainingBalance);
+
+      let suggestedTerms = {};
+      try {
+        suggestedTerms = await this.geminiService.proposePaymentPlanTerms(debtorInfo, {
+          debtId: debt.id,
+          amount: totalAmount,
+          currency: debt.currency,
+          daysOverdue: debt.daysOverdue,
+          minDownPayment: getMinDownPayment(totalAmount, policy)
+        }, originalMessage, policy);
+      } catch (error) {
+        logger.warn(`Using default payment plan terms for debt ${debt.id}: ${error.message}`);
+      }
+
+      // The AI only suggests; the offer always stays inside the policy limits
+      const terms = clampPlanTerms(suggestedTerms, totalAmount, policy);
+      const plan = await this.paymentPlanService.proposePlan(debt, terms, {
+        proposedBy: 'ai',
+        debtorResponseId: response ? response.id : null
+      });
+
+      return await this.buildPlanProposalReply(debtorInfo, debt, plan);
+    } catch (error) {
+      logger.error(`Failed to propose payment plan for debt ${debt.id}:`, error);
+      return aiReply(await this.handleNegotiation(debtorInfo, debtDetails, originalMessage, conversation));
+    }
+  }
+
+  async handlePaymentPlanAcceptance(debts, debtorInfo, debtDetails, originalMessage, conversation = null) {
+    try {
+      const plan = await this.paymentPlanService.findLatestProposedPlan(debts.map(debt => debt.id));
+      if (!plan) {
+        return aiReply(await this.handleNegotiation(debtorInfo, debtDetails, originalMessage, conversation));
+      }
+
+      const acceptedPlan = await this.paymentPlanService.acceptPlan(plan);
+      const debt = debts.find(candidate => candidate.id === acceptedPlan.debtId);
+      return await this.buildPlanAcceptedReply(debtorInfo, debt, acceptedPlan);
+    } catch (error) {
+      logger.error('Failed to accept payment plan:', error);
+      return aiReply(await this.handleNegotiation(debtorInfo, debtDetails, originalMessage, conversation));
+    }
+  }
+
+  describeInstallment(installment, labels, debt, language) {
+    const label = installment.sequence === 0
+      ? labels.downPayment
+      : renderTemplate(labels.installment, { sequence: installment.sequence });
+
+    return renderTemplate(labels.line, {
+      label,
+      amount: this.money.format(installment.amount, debt.currency, language),
+      dueDate: moment(installment.dueDate).format('DD/MM/YYYY')
+    });
+  }
+
+  async buildPlanProposalReply(debtorInfo, debt, plan) {
+    const labels = this.messageTemplateService.resolveScheduleLabels(debtorInfo.language);
+    const schedule = plan.installments
+      .map(installment => `- ${this.describeInstallment(installment, labels, debt, debtorInfo.language)}`)
+      .join('\n');
+
+    return await this.renderReplyTemplate('plan_proposal', debtorInfo.language, {
+      name: debtorInfo.name,
+      company: debtorInfo.company,
+      invoiceNumber: debt.invoiceNumber,
+      amount: this.money.format(plan.totalAmount, debt.currency, debtorInfo.language),
+      schedule
+    });
+  }
+
+  async buildPlanAcceptedReply(debtorInfo, debt, plan) {
+    const labels = this.messageTemplateService.resolveScheduleLabels(debtorInfo.language);
+    const next = plan.getNextInstallment();
+
+    return await this.renderReplyTemplate('plan_accepted', debtorInfo.language, {
+      name: debtorInfo.name,
+      company: debtorInfo.company,
+      nextPayment: next ? `\n\n${labels.nextPayment}\n- ${this.describeInstallment(next, labels, debt, debtorInfo.language)}` : ''
+    });
+  }
+
+  async handleQuestion(debtorInfo, debtDetails, originalMessage, conversation = null) {
     return await this.geminiService.generateNegotiationResponse(
-      debtorInfo, debtDetails, originalMessage
+      debtorInfo, debtDetails, originalMessage, conversation
     );
   }
 
   async handleAcknowledgment(debtorInfo, debtDetails) {
-    const message = `Terima kasih ${debtorInfo.name} atas tanggapan Anda. Kami menunggu pembayaran segera untuk menyelesaikan kewajiban sebesar Rp ${debtDetails.amount.toLocaleString('id-ID')}.\n\nJika memerlukan bantuan atau informasi lebih lanjut, silakan hubungi kami.`;
-    return message;
+    return await this.renderReplyTemplate('acknowledgment', debtorInfo.language, {
+      name: debtorInfo.name,
+      company: debtorInfo.company,
+      amount: this.money.formatDetails(debtDetails, debtorInfo.language)
+    });
   }
 
-  async sendPaymentConfirmation(debtId, paymentDetails) {
+  async sendPaymentConfirmation(debtId, paymentDetails = {}) {
     try {
-      const debt = await Debt.findById(debtId).populate('debtor');
-      if (!debt) {
-        throw new Error(`Debt with ID ${debtId} not found`);
-      }
+      const debt = await this.findDebtWithDebtor(debtId);
 
       const debtorInfo = {
-        name: debt.debtor.name,
-        company: debt.debtor.company
+        name: debt.Debtor.name,
+        company: debt.Debtor.company
       };
 
-      const message = await this.geminiService.generatePaymentConfirmationMessage(
-        debtorInfo, paymentDetails
+      const confirmationDetails = {
+        date: moment().format('DD/MM/YYYY'),
+        ...paymentDetails,
+        amount: parseFloat(paymentDetails.amount),
+        remainingBalance: parseFloat(paymentDetails.remainingBalance ?? debt.remainingBalance),
+        currency: debt.currency
+      };
+
+      const composed = await this.composeMessage(
+        'payment_confirmation',
+        (options) => this.geminiService.generatePaymentConfirmationMessage(debtorInfo, confirmationDetails, options),
+        {
+          language: debt.Debtor.language,
+          debt,
+          facts: this.complianceService.buildFacts([debt], [confirmationDetails.amount, confirmationDetails.remainingBalance]),
+          variables: {
+            name: debtorInfo.name,
+            company: debtorInfo.company,
+            amount: this.money.format(confirmationDetails.amount, debt.currency, debt.Debtor.language),
+            date: confirmationDetails.date,
+            reference: confirmationDetails.reference,
+            remainingBalance: this.money.format(confirmationDetails.remainingBalance, debt.currency, debt.Debtor.language)
+          }
+        }
       );
 
-      await this.whatsappService.sendMessage(debt.debtor.phone, message);
-      
-      // Log the confirmation
-      await this.logReminder(debtId, 0, message, 'payment_confirmation');
+      const { message } = composed;
+
+      // Log the confirmation and queue it ahead of reminders
+      const log = await this.logReminder(debt, {
+        messageType: 'payment_confirmation',
+        message,
+        status: 'queued',
+        ...this.describeContent(composed)
+      }, { throwOnError: true });
+      const outbound = await this.queueMessage(debt.Debtor.phone, log);
 
-      logger.info(`Payment confirmation sent for debt ${debtId}`);
-      return { success: true, message };
+      logger.info(`Payment confirmation queued for debt ${debtId}`);
+      return { success: true, ...this.describeDelivery(outbound), message, contentSource: composed.contentSource };
     } catch (error) {
       logger.error(`Failed to send payment confirmation for debt ${debtId}:`, error);
       throw error;
@@ -264,40 +1135,65 @@ class DebtCollectionService {
 
   async escalateDebt(debtId, escalationType = 'legal') {
     try {
-      const debt = await Debt.findById(debtId).populate('debtor');
-      if (!debt) {
-        throw new Error(`Debt with ID ${debtId} not found`);
+      const debt = await this.findDebtWithDebtor(debtId);
+
+      if (debt.isDisputed) {
+        logger.info(`Skipping escalation for debt ${debtId} - under dispute`);
+        return { success: false, reason: 'Debt is under dispute' };
       }
 
       const debtorInfo = {
-        name: debt.debtor.name,
-        company: debt.debtor.company
+        name: debt.Debtor.name,
+        company: debt.Debtor.company
       };
 
       const debtDetails = {
-        amount: debt.amount,
-        daysOverdue: moment().diff(moment(debt.dueDate), 'days'),
+        amount: parseFloat(debt.remainingBalance),
+        currency: debt.currency,
+        daysOverdue: debt.daysOverdue,
         previousReminders: debt.reminderCount
       };
 
-      const message = await this.geminiService.generateEscalationMessage(
-        debtorInfo, debtDetails, escalationType
+      const composed = await this.composeMessage(
+        'escalation',
+        (options) => this.geminiService.generateEscalationMessage(debtorInfo, debtDetails, escalationType, options),
+        {
+          language: debt.Debtor.language,
+          debt,
+          variables: {
+            name: debtorInfo.name,
+            company: debtorInfo.company,
+            amount: this.money.format(debtDetails.amount, debt.currency, debt.Debtor.language),
+            daysOverdue: debtDetails.daysOverdue,
+            previousReminders: debtDetails.previousReminders,
+            escalationType,
+            invoiceNumber: debt.invoiceNumber
+          }
+        }
       );
 
-      await this.whatsappService.sendMessage(debt.debtor.phone, message);
-      
-      // Update debt status
-      await Debt.findByIdAndUpdate(debtId, {
-        status: 'escalated',
-        escalationType,
-        escalationDate: new Date()
-      });
+      const { message } = composed;
+
+      // Update debt status and log the escalation atomically, then queue the notice
+      const log = await database.getSequelize().transaction(async (transaction) => {
+        await debt.update({
+          status: 'escalated',
+          escalationType,
+          escalationDate: new Date()
+        }, { transaction });
 
-      // Log the escalation
-      await this.logReminder(debtId, 99, message, 'escalation');
+        return await this.logReminder(debt, {
+          level: 99,
+          messageType: 'escalation',
+          message,
+          status: 'queued',
+          ...this.describeContent(composed)
+        }, { transaction, throwOnError: true });
+      });
+      const outbound = await this.queueMessage(debt.Debtor.phone, log);
 
       logger.info(`Debt ${debtId} escalated successfully`);
-      return { success: true, message };
+      return { success: true, ...this.describeDelivery(outbound), message, contentSource: composed.contentSource };
     } catch (error) {
       logger.error(`Failed to escalate debt ${debtId}:`, error);
       throw error;
@@ -306,62 +1202,82 @@ class DebtCollectionService {
 
   async scheduleEscalation(debts) {
     for (const debt of debts) {
-      if (debt.reminderCount >= 5 && debt.status !== 'escalated') {
-        await this.escalateDebt(debt._id);
+      if (debt.reminderCount >= 5 && debt.status !== 'escalated' && !debt.isDisputed) {
+        await this.escalateDebt(debt.id);
       }
     }
   }
 
-  async logReminder(debtId, level, message, status, error = null) {
+  async logReminder(debt, { level = 0, messageType = 'reminder', message = null, status = 'sent', error = null, whatsappMessageId = null, sentById = null, contentSource = null, fallbackReason = null, messageTemplateId = null, promptTemplateId = null, promptVersion = null, experimentVariantId = null } = {}, { transaction = null, throwOnError = false } = {}) {
     try {
-      await ReminderLog.create({
-        debt: debtId,
+      return await ReminderLog.create({
+        debtId: debt.id,
+        debtorId: debt.debtorId,
         level,
+        messageType,
         message,
         status,
         error,
+        whatsappMessageId,
+        sentById,
+        contentSource,
+        fallbackReason,
+        messageTemplateId,
+        promptTemplateId,
+        promptVersion,
+        experimentVariantId,
         sentAt: new Date()
-      });
+      }, { transaction });
     } catch (error) {
       logger.error('Failed to log reminder:', error);
+      if (throwOnError) {
+        throw error;
+      }
+      return null;
     }
   }
 
-  async logDebtorResponse(debtId, phoneNumber, message, analysis) {
+  // `analysisTrace` is what analyzeDebtorResponse() recorded about the raw model output;
+  // unsure or failed analyses are queued for review
+  async logDebtorResponse(debt, phoneNumber, message, analysis, whatsappMessageId = null, analysisTrace = {}) {
     try {
-      await DebtorResponse.create({
-        debt: debtId,
+      const reviewReason = this.analysisReviewService.getReviewReason(analysis, analysisTrace.analysisStatus);
+
+      return await DebtorResponse.create({
+        debtId: debt.id,
+        debtorId: debt.debtorId,
         phoneNumber,
         message,
         analysis,
+        analysisStatus: analysisTrace.analysisStatus || null,
+        analysisAttempts: analysisTrace.analysisAttempts || null,
+        reviewStatus: reviewReason ? 'pending' : null,
+        reviewReason,
+        whatsappMessageId,
         receivedAt: new Date()
       });
     } catch (error) {
       logger.error('Failed to log debtor response:', error);
+      return null;
     }
   }
 
-  async getDebtStatistics() {
+  // Totals are in the reporting currency; see DebtReportService.getDebtStatistics()
+  async getDebtStatistics({ currency = null } = {}) {
     try {
-      const stats = await Debt.aggregate([
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$amount' }
-          }
-        }
-      ]);
-
-      const overdueDebts = await Debt.countDocuments({
-        dueDate: { $lt: new Date() },
-        status: { $in: ['pending', 'overdue'] }
-      });
+      const stats = await this.debtReportService.getDebtStatistics({}, { currency });
 
       return {
-        byStatus: stats,
-        overdueCount: overdueDebts,
-        generatedAt: new Date()
+        currency: stats.currency,
+        byStatus: stats.byStatus.map(({ status, count, totalAmount, byCurrency }) => ({
+          status,
+          count,
+          totalAmount,
+          byCurrency
+        })),
+        overdueCount: stats.overdue.count,
+        missingRates: stats.missingRates,
+        generatedAt: stats.generatedAt
       };
     } catch (error) {
       logger.error('Failed to get debt statistics:', error);
@@ -370,4 +1286,4 @@ class DebtCollectionService {
   }
 }
 
-module.exports = DebtCollectionService;
\ No newline at end of file
+module.exports = DebtCollectionService;
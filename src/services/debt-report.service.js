@@ -0,0 +1,143 @@
+const moment = require('moment');
+const { Op, fn, col } = require('sequelize');
+const { Debt, FxRate } = require('../models');
+const MoneyService = require('./money.service');
+const { groupBy } = require('../utils/collections');
+
+const money = new MoneyService();
+const round = (amount) => Math.round(amount * 100) / 100;
+const OPEN_STATUSES = ['pending', 'overdue', 'partially_paid'];
+
+// DATE() reads the same in MySQL and SQLite
+const day = (column) => fn('DATE', col(column));
+
+// Entries for CurrencyConverter.summarize(), one per grouped row
+const entries = (rows) => rows.map(row => ({ amount: row.amount, currency: row.currency, date: row.day }));
+const countOf = (rows) => rows.reduce((sum, row) => sum + parseInt(row.count), 0);
+
+// Dashboard and report totals in the reporting currency. Amounts are summed in SQL per
+// currency and per day of the date their rate is taken from, so only the grouped totals
+// are converted. byCurrency keeps the unconverted sums.
+class DebtReportService {
+  // COUNT and SUM(amount) per currency and day of `dateColumn`, split further by `fields`
+  async sumByDay(where, dateColumn, fields = []) {
+    return await Debt.findAll({
+      where,
+      attributes: [
+        ...fields,
+        'currency',
+        [day(dateColumn), 'day'],
+        [fn('COUNT', col('id')), 'count'],
+        [fn('SUM', col('amount')), 'amount']
+      ],
+      group: [...fields, 'currency', day(dateColumn)],
+      raw: true
+    });
+  }
+
+  // Billed amounts convert at the issue date, outstanding balances at today's rate
+  async getDebtStatistics(scope = {}, { currency = null } = {}) {
+    const converter = await FxRate.createConverter(currency);
+    const today = new Date();
+
+    const rows = await this.sumByDay(scope, 'issue_date', ['status']);
+    const byStatus = Object.entries(groupBy(rows, row => row.status)).map(([status, group]) => {
+      const count = countOf(group);
+      const { totals, byCurrency } = converter.summarize({ totalAmount: entries(group) });
+      return {
+        status,
+        count,
+        totalAmount: totals.totalAmount,
+        avgAmount: round(totals.totalAmount / count),
+        byCurrency
+      };
+    });
+
+    const overdueWhere = { ...scope, dueDate: { [Op.lt]: today }, status: { [Op.in]: OPEN_STATUSES } };
+    const [billed, dueDays, outstanding] = await Promise.all([
+      this.sumByDay(overdueWhere, 'issue_date'),
+      Debt.findAll({
+        where: overdueWhere,
+        attributes: [[day('due_date'), 'day'], [fn('COUNT', col('id')), 'count']],
+        group: [day('due_date')],
+        raw: true
+      }),
+      this.getOutstandingByCurrency(overdueWhere)
+    ]);
+
+    const overdueCount = countOf(billed);
+    const daysOverdue = dueDays.reduce((sum, row) =>
+      sum + parseInt(row.count) * moment(today).diff(moment(row.day), 'days'), 0);
+    const overdueSummary = converter.summarize({
+      totalAmount: entries(billed),
+      outstanding: outstanding.map(total => ({ ...total, date: today }))
+    });
+
+    return {
+      currency: converter.currency,
+      byStatus,
+      overdue: {
+        count: overdueCount,
+        ...overdueSummary.totals,
+        avgDaysOverdue: overdueCount > 0 ? round(daysOverdue / overdueCount) : 0,
+        byCurrency: overdueSummary.byCurrency
+      },
+      missingRates: converter.missingRates,
+      generatedAt: today
+    };
+  }
+
+  // Payments live in a JSON column, which SQL cannot sum portably. Open debts only carry
+  // payments once they are partially paid (see Debt#updateStatus), so only those rows are read.
+  async getOutstandingByCurrency(where) {
+    const [billed, partial] = await Promise.all([
+      Debt.findAll({
+        where,
+        attributes: ['currency', [fn('SUM', col('amount')), 'amount']],
+        group: ['currency'],
+        raw: true
+      }),
+      Debt.findAll({
+        where: { ...where, status: 'partially_paid' },
+        attributes: ['id', 'currency', 'payments']
+      })
+    ]);
+
+    return money.sumByCurrency([
+      ...billed,
+      ...partial.map(debt => ({ amount: -debt.totalPaid, currency: debt.currency }))
+    ]);
+  }
+
+  // Debts issued in the period; billed and collected amounts convert at the issue date
+  async getCollectionEfficiency(startDate, endDate, scope = {}, { currency = null } = {}) {
+    const converter = await FxRate.createConverter(currency);
+
+    const rows = await this.sumByDay({
+      createdAt: { [Op.between]: [startDate, endDate] },
+      ...scope
+    }, 'issue_date', ['status']);
+    const paid = rows.filter(row => row.status === 'paid');
+
+    const totalDebts = countOf(rows);
+    const paidDebts = countOf(paid);
+    const { totals, byCurrency } = converter.summarize({
+      totalAmount: entries(rows),
+      paidAmount: entries(paid)
+    });
+
+    return {
+      currency: converter.currency,
+      totalDebts,
+      totalAmount: totals.totalAmount,
+      paidDebts,
+      paidAmount: totals.paidAmount,
+      collectionRate: totalDebts > 0 ? (paidDebts / totalDebts) * 100 : 0,
+      amountCollectionRate: totals.totalAmount > 0 ? (totals.paidAmount / totals.totalAmount) * 100 : 0,
+      byCurrency,
+      missingRates: converter.missingRates
+    };
+  }
+}
+
+module.exports = DebtReportService;
@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const moment = require('moment');
+const { ReminderLog, OutboundMessage, Debt, Debtor } = require('../models');
+const { FALLBACK_CHANNELS, getDeliveryPolicy } = require('../config/delivery');
+const logger = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['pending', 'overdue', 'partially_paid'];
+
+// Receipts only move a message forward, so a late 'sent' never undoes 'read'
+const RECEIPT_ORDER = { sent: 1, delivered: 2, read: 3 };
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+// Posts the message to the channel's gateway webhook (an SMS provider or mail relay)
+async function postToChannelWebhook(channel, payload, policy) {
+  const url = policy.webhooks[channel];
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ channel, ...payload }),
+    signal: AbortSignal.timeout(policy.webhookTimeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${channel} gateway responded with ${response.status}`);
+  }
+}
+
+// WhatsApp receipts on reminder_logs, read rates per reminder level, and rerouting of
+// reminders WhatsApp did not deliver in time
+class DeliveryTrackingService {
+  constructor(sendOnChannel = postToChannelWebhook) {
+    this.sendOnChannel = sendOnChannel;
+  }
+
+  // `status` is 'sent', 'delivered', 'read' or 'failed'. Receipts for messages without a
+  // log, such as test messages, are ignored.
+  async recordReceipt(whatsappMessageId, status, receivedAt = new Date()) {
+    const log = await ReminderLog.findByWhatsAppId(whatsappMessageId);
+    if (!log) {
+      return null;
+    }
+
+    const changes = {};
+    if (status === 'failed') {
+      if (['delivered', 'read'].includes(log.deliveryStatus)) {
+        return log;
+      }
+      changes.deliveryStatus = 'failed';
+    } else {
+      if (RECEIPT_ORDER[status] <= (RECEIPT_ORDER[log.deliveryStatus] || 0)) {
+        return log;
+      }
+      changes.deliveryStatus = status;
+      if (status !== 'sent' && !log.deliveredAt) {
+        changes.deliveredAt = receivedAt;
+      }
+      if (status === 'read') {
+        changes.readAt = receivedAt;
+      }
+    }
+
+    await log.update(changes);
+    return log;
+  }
+
+  // Delivery and read rates for WhatsApp reminders sent in the period, per reminder level.
+  // Rates are percentages of the reminders that left the queue.
+  async getReadRates({ startDate, endDate = new Date(), scope = {} } = {}) {
+    const hasScope = Object.keys(scope).length > 0;
+
+    const rows = await ReminderLog.findAll({
+      where: {
+        messageType: 'reminder',
+        channel: 'whatsapp',
+        deliveryStatus: { [Op.ne]: null },
+        sentAt: { [Op.between]: [startDate, endDate] }
+      },
+      include: hasScope ? [{ model: Debt, as: 'Debt', where: scope, attributes: [] }] : [],
+      attributes: [
+        'level',
+        'deliveryStatus',
+        [ReminderLog.sequelize.fn('COUNT', ReminderLog.sequelize.col('ReminderLog.id')), 'count']
+      ],
+      group: ['ReminderLog.level', 'ReminderLog.delivery_status'],
+      raw: true
+    });
+
+    const levels = new Map();
+    const totals = { sent: 0, delivered: 0, read: 0, failed: 0 };
+    for (const row of rows) {
+      if (!levels.has(row.level)) {
+        levels.set(row.level, { level: row.level, sent: 0, delivered: 0, read: 0, failed: 0 });
+      }
+      const level = levels.get(row.level);
+      const count = parseInt(row.count);
+
+      // A read message was also delivered
+      for (const stats of [level, totals]) {
+        stats.sent += count;
+        if (row.deliveryStatus === 'delivered' || row.deliveryStatus === 'read') stats.delivered += count;
+        if (row.deliveryStatus === 'read') stats.read += count;
+        if (row.deliveryStatus === 'failed') stats.failed += count;
+      }
+    }
+
+    const withRates = (stats) => ({
+      ...stats,
+      deliveryRate: percentage(stats.delivered, stats.sent),
+      readRate: percentage(stats.read, stats.sent)
+    });
+
+    return {
+      levels: [...levels.values()].sort((a, b) => a.level - b.level).map(withRates),
+      total: withRates(totals)
+    };
+  }
+
+  // Sends WhatsApp reminders still undelivered after REMINDER_UNDELIVERED_MINUTES again on
+  // the debtor's preferred fallback channel, or the first configured one they have an
+  // address for. Returns one result per reminder handled.
+  async rerouteUndelivered(policy = getDeliveryPolicy()) {
+    if (!policy.undeliveredMinutes || this.getAvailableChannels(policy).length === 0) {
+      return [];
+    }
+
+    const cutoff = moment().subtract(policy.undeliveredMinutes, 'minutes').toDate();
+    const logs = await ReminderLog.findUndelivered(cutoff, {
+      include: [{
+        model: Debt,
+        as: 'Debt',
+        where: { status: { [Op.in]: ACTIVE_STATUSES }, isActive: true },
+        include: [{ model: Debtor, as: 'Debtor' }]
+      }]
+    });
+
+    const results = [];
+    for (const log of logs) {
+      results.push(await this.reroute(log, policy));
+    }
+    return results;
+  }
+
+  getAvailableChannels(policy = getDeliveryPolicy()) {
+    return policy.fallbackChannels.filter(channel => policy.webhooks[channel]);
+  }
+
+  chooseChannel(debtor, policy = getDeliveryPolicy()) {
+    const available = this.getAvailableChannels(policy);
+    const preferred = debtor.preferred_contact_method;
+    const candidates = available.includes(preferred)
+      ? [preferred, ...available.filter(channel => channel !== preferred)]
+      : available;
+
+    return candidates.find(channel => debtor[FALLBACK_CHANNELS[channel]]) || null;
+  }
+
+  async reroute(log, policy = getDeliveryPolicy()) {
+    const debt = log.Debt;
+    const debtor = debt.Debtor;
+    const channel = this.chooseChannel(debtor, policy);
+
+    // Tried again on the next run, so an address added in the meantime is used
+    if (!channel) {
+      logger.warn(`Reminder ${log.id} was not delivered and debtor ${debtor.id} has no fallback address`);
+      return { reminderLogId: log.id, channel: null, status: 'skipped' };
+    }
+
+    // A reminder still waiting for WhatsApp is taken out of the queue first so the
+    // debtor does not get it twice
+    if (log.status === 'queued' && !(await this.cancelQueued(log))) {
+      return { reminderLogId: log.id, channel: null, status: 'skipped' };
+    }
+
+    let status = 'sent';
+    let error = null;
+    try {
+      await this.sendOnChannel(channel, {
+        to: debtor[FALLBACK_CHANNELS[channel]],
+        name: debtor.name,
+        message: log.message,
+        debtId: debt.id,
+        invoiceNumber: debt.invoiceNumber
+      }, policy);
+    } catch (sendError) {
+      status = 'failed';
+      error = sendError.message;
+      logger.error(`Failed to reroute reminder ${log.id} to ${channel}:`, sendError);
+    }
+
+    // The copy is logged separately and leaves the reminder count alone; without an
+    // experiment variant it is not counted twice in experiment results
+    const rerouted = await ReminderLog.create({
+      debtId: log.debtId,
+      debtorId: log.debtorId,
+      level: log.level,
+      messageType: 'reminder',
+      message: log.message,
+      channel,
+      status,
+      error,
+      contentSource: log.contentSource,
+      fallbackReason: log.fallbackReason,
+      messageTemplateId: log.messageTemplateId,
+      promptTemplateId: log.promptTemplateId,
+      promptVersion: log.promptVersion,
+      sentAt: new Date()
+    });
+    await log.update({ reroutedAt: new Date() });
+
+    return { reminderLogId: log.id, reroutedLogId: rerouted.id, channel, status };
+  }
+
+  // Cancels the queued text and its attachments; false when the text is already being sent
+  async cancelQueued(log) {
+    const text = await OutboundMessage.findOne({ where: { reminderLogId: log.id } });
+    if (!text || !(await OutboundMessage.cancelQueued([text.id]))) {
+      return false;
+    }
+
+    const attachmentIds = (log.attachments || []).map(attachment => attachment.outboundMessageId).filter(Boolean);
+    if (attachmentIds.length > 0) {
+      await OutboundMessage.cancelQueued(attachmentIds);
+    }
+
+    await log.update({ status: 'failed', error: 'Not sent over WhatsApp in time, rerouted' });
+    logger.info(`Queued reminder ${log.id} cancelled for rerouting`);
+    return true;
+  }
+}
+
+module.exports = DeliveryTrackingService;
@@ -0,0 +1,136 @@
+const database = require('../config/database');
+const { Debt, Dispute, PaymentPlan } = require('../models');
+const logger = require('../utils/logger');
+
+const RESOLUTION_ACTIONS = ['cancel', 'adjust'];
+
+class DisputeService {
+  async openDispute(debt, { reason, source = 'collector', openedById = null, debtorResponseId = null, evidence = [] }) {
+    if (!reason) {
+      throw new Error('A dispute reason is required');
+    }
+
+    const dispute = await database.getSequelize().transaction(async (transaction) => {
+      const created = Dispute.build({
+        debtId: debt.id,
+        debtorId: debt.debtorId,
+        debtorResponseId,
+        source,
+        reason,
+        openedById
+      });
+      evidence.forEach(item => created.addEvidence(item, openedById));
+      await created.save({ transaction });
+
+      await this.refreshDisputeFlag(debt.id, { transaction });
+      return created;
+    });
+
+    logger.info(`Dispute ${dispute.id} opened for debt ${debt.id} (${source})`);
+    return dispute;
+  }
+
+  // A debtor disputing again while a dispute is still open adds to that dispute
+  async recordDebtorDispute(debt, message, analysis = {}, response = null) {
+    const evidence = {
+      type: 'message',
+      description: message,
+      debtorResponseId: response ? response.id : null
+    };
+
+    const existing = await Dispute.findUnresolvedForDebt(debt.id);
+    if (existing) {
+      return await this.addEvidence(existing, evidence);
+    }
+
+    return await this.openDispute(debt, {
+      reason: analysis.summary || message,
+      source: 'whatsapp',
+      debtorResponseId: evidence.debtorResponseId,
+      evidence: [evidence]
+    });
+  }
+
+  async addEvidence(dispute, evidence, addedById = null) {
+    if (!evidence.description && !evidence.url) {
+      throw new Error('Evidence needs a description or a URL');
+    }
+
+    dispute.addEvidence(evidence, addedById);
+    await dispute.save();
+    return dispute;
+  }
+
+  async startReview(dispute, reviewerId) {
+    if (!dispute.isUnresolved()) {
+      throw new Error(`Dispute is already ${dispute.status}`);
+    }
+
+    await dispute.update({ status: 'under_review', reviewerId });
+
+    logger.info(`Dispute ${dispute.id} under review by user ${reviewerId}`);
+    return dispute;
+  }
+
+  // outcome 'valid' cancels the debt or lowers it to adjustedAmount; 'invalid' leaves it unchanged
+  async resolveDispute(dispute, { outcome, resolution = null, action = null, adjustedAmount = null, resolvedById = null }) {
+    if (!dispute.isUnresolved()) {
+      throw new Error(`Dispute is already ${dispute.status}`);
+    }
+    if (!['valid', 'invalid'].includes(outcome)) {
+      throw new Error("Outcome must be 'valid' or 'invalid'");
+    }
+    if (outcome === 'valid' && !RESOLUTION_ACTIONS.includes(action)) {
+      throw new Error(`A valid dispute needs an action: ${RESOLUTION_ACTIONS.join(' or ')}`);
+    }
+
+    await database.getSequelize().transaction(async (transaction) => {
+      const debt = await Debt.findByPk(dispute.debtId, { transaction, lock: transaction.LOCK.UPDATE });
+      const resolutionData = {
+        status: outcome === 'valid' ? 'resolved_valid' : 'resolved_invalid',
+        resolution,
+        resolutionAction: outcome === 'valid' ? action : 'none',
+        resolvedById,
+        resolvedAt: new Date()
+      };
+
+      if (outcome === 'valid' && action === 'cancel') {
+        await debt.update({ status: 'cancelled', updatedById: resolvedById }, { transaction });
+
+        // Nothing is left to pay in installments
+        await PaymentPlan.update(
+          { status: 'cancelled', cancelledAt: new Date() },
+          { where: { debtId: debt.id, status: ['proposed', 'active'] }, transaction }
+        );
+      }
+
+      if (outcome === 'valid' && action === 'adjust') {
+        const amount = parseFloat(adjustedAmount);
+        if (!(amount > 0) || amount >= parseFloat(debt.amount)) {
+          throw new Error('adjustedAmount must be positive and lower than the current debt amount');
+        }
+
+        resolutionData.originalAmount = debt.amount;
+        resolutionData.adjustedAmount = amount;
+        await debt.update({ amount, updatedById: resolvedById }, { transaction });
+      }
+
+      await dispute.update(resolutionData, { transaction });
+      await this.refreshDisputeFlag(debt.id, { transaction });
+    });
+
+    logger.info(`Dispute ${dispute.id} for debt ${dispute.debtId} ${dispute.status}`);
+    return dispute;
+  }
+
+  async refreshDisputeFlag(debtId, { transaction = null } = {}) {
+    const unresolved = await Dispute.countUnresolvedForDebt(debtId, { transaction });
+    const debt = await Debt.findByPk(debtId, { transaction });
+
+    if (debt.isDisputed !== unresolved > 0) {
+      await debt.update({ isDisputed: unresolved > 0 }, { transaction });
+    }
+  }
+}
+
+module.exports = DisputeService;
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const database = require('../config/database');
+const {
+  Experiment,
+  ExperimentVariant,
+  PromptTemplate,
+  ReminderLog,
+  Debt,
+  DebtorResponse,
+  PromiseToPay
+} = require('../models');
+const { describeProportion } = require('../utils/statistics');
+const logger = require('../utils/logger');
+
+const VARIANT_CONFIG_KEYS = ['toneMap', 'maxWords', 'paymentLink', 'promptTemplateId'];
+const MIN_MAX_WORDS = 20;
+const MAX_MAX_WORDS = 1000;
+
+// A debtor asking us to stop messaging them counts as an opt-out
+const OPT_OUT_PATTERN = /\b(stop|unsubscribe|berhenti|jangan (hubungi|kirim|ganggu))\b/i;
+
+class ExperimentService {
+  // Returns a list of problems; empty when the experiment can be saved
+  async validateExperiment({ name, attributionDays, paidWithinDays, variants }) {
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    }
+    for (const [field, value] of Object.entries({ attributionDays, paidWithinDays })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        errors.push(`${field} must be a positive integer`);
+      }
+    }
+
+    if (!Array.isArray(variants) || variants.length < 2) {
+      errors.push('An experiment needs at least two variants');
+      return errors;
+    }
+
+    const names = new Set();
+    for (const [index, variant] of variants.entries()) {
+      const label = variant.name || `variant ${index + 1}`;
+
+      if (typeof variant.name !== 'string' || !variant.name.trim()) {
+        errors.push(`Variant ${index + 1} needs a name`);
+      } else if (names.has(variant.name)) {
+        errors.push(`Variant names must be unique: ${variant.name}`);
+      }
+      names.add(variant.name);
+
+      if (variant.weight !== undefined && (!Number.isInteger(variant.weight) || variant.weight < 1)) {
+        errors.push(`${label}: weight must be a positive integer`);
+      }
+      errors.push(...(await this.validateVariantConfig(variant.config || {})).map(error => `${label}: ${error}`));
+    }
+
+    return errors;
+  }
+
+  async validateVariantConfig(config) {
+    const errors = [];
+
+    const unknown = Object.keys(config).filter(key => !VARIANT_CONFIG_KEYS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`unknown config keys: ${unknown.join(', ')}`);
+    }
+
+    if (config.toneMap !== undefined) {
+      const entries = typeof config.toneMap === 'object' && config.toneMap !== null ? Object.entries(config.toneMap) : null;
+      if (!entries || entries.some(([level, tone]) => !/^[1-5]$/.test(level) || typeof tone !== 'string' || !tone.trim())) {
+        errors.push('toneMap must map reminder levels 1-5 to a tone description');
+      }
+    }
+
+    if (config.maxWords !== undefined &&
+        (!Number.isInteger(config.maxWords) || config.maxWords < MIN_MAX_WORDS || config.maxWords > MAX_MAX_WORDS)) {
+      errors.push(`maxWords must be an integer between ${MIN_MAX_WORDS} and ${MAX_MAX_WORDS}`);
+    }
+
+    if (config.paymentLink !== undefined &&
+        (typeof config.paymentLink !== 'string' || !/^https?:\/\/\S+$/.test(config.paymentLink))) {
+      errors.push('paymentLink must be an http(s) URL');
+    }
+
+    if (config.promptTemplateId !== undefined) {
+      const prompt = await PromptTemplate.findByPk(config.promptTemplateId);
+      if (!prompt || prompt.key !== 'debt_reminder') {
+        errors.push('promptTemplateId must refer to a debt_reminder prompt');
+      }
+    }
+
+    return errors;
+  }
+
+  async listExperiments({ status } = {}) {
+    return await Experiment.findAll({
+      where: status ? { status } : {},
+      include: [{ model: ExperimentVariant, as: 'variants' }],
+      order: [['createdAt', 'DESC'], [{ model: ExperimentVariant, as: 'variants' }, 'id', 'ASC']]
+    });
+  }
+
+  async findExperiment(id) {
+    return await Experiment.findByPk(id, {
+      include: [{ model: ExperimentVariant, as: 'variants' }],
+      order: [[{ model: ExperimentVariant, as: 'variants' }, 'id', 'ASC']]
+    });
+  }
+
+  async createExperiment({ name, description = null, attributionDays, paidWithinDays, variants }, userId) {
+    const errors = await this.validateExperiment({ name, attributionDays, paidWithinDays, variants });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const experiment = await database.getSequelize().transaction(async (transaction) => {
+      const created = await Experiment.create({
+        name,
+        description,
+        attributionDays,
+        paidWithinDays,
+        createdById: userId
+      }, { transaction });
+
+      await this.createVariants(created, variants, { transaction });
+      return created;
+    });
+
+    logger.info(`Experiment ${experiment.id} (${name}) created by user ${userId}`);
+    return await this.findExperiment(experiment.id);
+  }
+
+  // Only drafts can change; sent reminders are attributed to the variants as they were
+  async updateExperiment(experiment, { name, description, attributionDays, paidWithinDays, variants }, userId) {
+    if (experiment.status !== 'draft') {
+      throw new Error(`Only draft experiments can be edited, this one is ${experiment.status}`);
+    }
+
+    const values = {
+      name: name ?? experiment.name,
+      description: description !== undefined ? description : experiment.description,
+      attributionDays: attributionDays ?? experiment.attributionDays,
+      paidWithinDays: paidWithinDays ?? experiment.paidWithinDays
+    };
+    const nextVariants = variants ?? experiment.variants.map(variant => ({
+      name: variant.name,
+      weight: variant.weight,
+      config: variant.config
+    }));
+
+    const errors = await this.validateExperiment({ ...values, variants: nextVariants });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await database.getSequelize().transaction(async (transaction) => {
+      await experiment.update(values, { transaction });
+
+      if (variants) {
+        await ExperimentVariant.destroy({ where: { experimentId: experiment.id }, transaction });
+        await this.createVariants(experiment, variants, { transaction });
+      }
+    });
+
+    logger.info(`Experiment ${experiment.id} updated by user ${userId}`);
+    return await this.findExperiment(experiment.id);
+  }
+
+  async createVariants(experiment, variants, { transaction }) {
+    for (const variant of variants) {
+      await ExperimentVariant.create({
+        experimentId: experiment.id,
+        name: variant.name,
+        weight: variant.weight || 1,
+        config: variant.config || {}
+      }, { transaction });
+    }
+  }
+
+  async deleteDraft(experiment) {
+    await database.getSequelize().transaction(async (transaction) => {
+      await ExperimentVariant.destroy({ where: { experimentId: experiment.id }, transaction });
+      await experiment.destroy({ transaction });
+    });
+  }
+
+  // Only one experiment runs at a time so every reminder belongs to at most one variant
+  async start(experiment, userId) {
+    if (experiment.status !== 'draft') {
+      throw new Error(`Only draft experiments can be started, this one is ${experiment.status}`);
+    }
+
+    const running = await Experiment.findRunning();
+    if (running) {
+      throw new Error(`Experiment ${running.id} (${running.name}) is already running`);
+    }
+
+    await experiment.update({ status: 'running', startedAt: new Date() });
+
+    logger.info(`Experiment ${experiment.id} started by user ${userId}`);
+    return experiment;
+  }
+
+  // A stopped experiment keeps its results but assigns no more debtors
+  async stop(experiment, userId) {
+    if (!experiment.isRunning()) {
+      throw new Error(`Only running experiments can be stopped, this one is ${experiment.status}`);
+    }
+
+    await experiment.update({ status: 'stopped', stoppedAt: new Date() });
+
+    logger.info(`Experiment ${experiment.id} stopped by user ${userId}`);
+    return experiment;
+  }
+
+  // The running experiment's variant for this debtor, or null when nothing runs
+  async assignVariant(debtor) {
+    const experiment = await Experiment.findRunning({
+      include: [{ model: ExperimentVariant, as: 'variants' }]
+    });
+
+    if (!experiment || experiment.variants.length === 0) {
+      return null;
+    }
+
+    return this.pickVariant(experiment, experiment.variants, debtor.id);
+  }
+
+  // Hashing the experiment and debtor ids gives every debtor the same variant on
+  // every reminder, and an independent split in each experiment.
+  pickVariant(experiment, variants, debtorId) {
+    const ordered = [...variants].sort((a, b) => a.id - b.id);
+    const totalWeight = ordered.reduce((sum, variant) => sum + variant.weight, 0);
+
+    const hash = crypto.createHash('sha256').update(`${experiment.id}:${debtorId}`).digest();
+    let point = hash.readUInt32BE(0) % totalWeight;
+
+    for (const variant of ordered) {
+      if (point < variant.weight) {
+        return variant;
+      }
+      point -= variant.weight;
+    }
+
+    return ordered[ordered.length - 1];
+  }
+
+  // Per-variant outcomes for the debtors exposed to the experiment. A debtor is exposed
+  // by the first AI reminder built from a variant; outcomes count within the windows
+  // after that reminder: replies, promises and opt-outs within attributionDays, and a
+  // payment on the reminded debt within paidWithinDays.
+  async getResults(experiment, scope = {}) {
+    const variants = experiment.variants || await ExperimentVariant.findAll({ where: { experimentId: experiment.id } });
+    const variantIds = variants.map(variant => variant.id);
+
+    const logs = await ReminderLog.findAll({
+      where: {
+        experimentVariantId: { [Op.in]: variantIds },
+        status: { [Op.ne]: 'failed' }
+      },
+      include: [{ model: Debt, as: 'Debt', where: scope, required: true }],
+      order: [['sentAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    const exposures = new Map();
+    for (const log of logs) {
+      if (!exposures.has(log.debtorId)) {
+        exposures.set(log.debtorId, log);
+      }
+    }
+
+    const debtorIds = [...exposures.keys()];
+    const firstExposure = logs.length > 0 ? logs[0].sentAt : new Date();
+    const [responses, promises] = debtorIds.length > 0
+      ? await Promise.all([
+        DebtorResponse.findAll({
+          where: { debtorId: { [Op.in]: debtorIds }, receivedAt: { [Op.gte]: firstExposure } }
+        }),
+        PromiseToPay.findAll({
+          where: { debtorId: { [Op.in]: debtorIds }, createdAt: { [Op.gte]: firstExposure } }
+        })
+      ])
+      : [[], []];
+
+    const tallies = new Map(variants.map(variant => [variant.id, {
+      exposed: 0, replied: 0, promised: 0, paid: 0, optedOut: 0
+    }]));
+
+    for (const [debtorId, exposure] of exposures) {
+      const sentAt = moment(exposure.sentAt);
+      const attributionEnd = sentAt.clone().add(experiment.attributionDays, 'days');
+      const paidEnd = sentAt.clone().add(experiment.paidWithinDays, 'days');
+      const inWindow = (date, end) => moment(date).isBetween(sentAt, end, null, '[]');
+
+      const replies = responses.filter(response =>
+        response.debtorId === debtorId && inWindow(response.receivedAt, attributionEnd));
+      // Payments carry a date without time, so the payment window starts on the day of the reminder
+      const payments = (exposure.Debt.payments || []).filter(payment =>
+        moment(payment.paymentDate).isBetween(sentAt.clone().startOf('day'), paidEnd, null, '[]'));
+
+      const tally = tallies.get(exposure.experimentVariantId);
+      tally.exposed += 1;
+      tally.replied += replies.length > 0 ? 1 : 0;
+      tally.optedOut += replies.some(response => OPT_OUT_PATTERN.test(response.message || '')) ? 1 : 0;
+      tally.promised += promises.some(promise =>
+        promise.debtorId === debtorId && inWindow(promise.createdAt, attributionEnd)) ? 1 : 0;
+      tally.paid += payments.length > 0 ? 1 : 0;
+    }
+
+    return {
+      experiment: {
+        id: experiment.id,
+        name: experiment.name,
+        status: experiment.status,
+        startedAt: experiment.startedAt,
+        stoppedAt: experiment.stoppedAt,
+        attributionDays: experiment.attributionDays,
+        paidWithinDays: experiment.paidWithinDays
+      },
+      variants: variants.map(variant => {
+        const tally = tallies.get(variant.id);
+        return {
+          id: variant.id,
+          name: variant.name,
+          weight: variant.weight,
+          config: variant.config,
+          exposed: tally.exposed,
+          replyRate: describeProportion(tally.replied, tally.exposed),
+          promiseRate: describeProportion(tally.promised, tally.exposed),
+          paidRate: describeProportion(tally.paid, tally.exposed),
+          optOutRate: describeProportion(tally.optedOut, tally.exposed)
+        };
+      })
+    };
+  }
+}
+
+module.exports = ExperimentService;
@@ -0,0 +1,124 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { FxRate } = require('../models');
+const database = require('../config/database');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const logger = require('../utils/logger');
+
+const CSV_COLUMNS = ['date', 'from', 'to', 'rate'];
+
+class FxRateService {
+  // Returns a list of problems; empty when the rate can be saved
+  validateRate({ date, fromCurrency, toCurrency, rate }) {
+    const errors = [];
+
+    if (!date || !moment(date, 'YYYY-MM-DD', true).isValid()) {
+      errors.push('date must be YYYY-MM-DD');
+    }
+    for (const [field, currency] of [['fromCurrency', fromCurrency], ['toCurrency', toCurrency]]) {
+      if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        errors.push(`${field} must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+      }
+    }
+    if (fromCurrency && fromCurrency === toCurrency) {
+      errors.push('fromCurrency and toCurrency must differ');
+    }
+    if (!(parseFloat(rate) > 0)) {
+      errors.push('rate must be a positive number');
+    }
+
+    return errors;
+  }
+
+  // Entering a rate for a day and pair that already has one replaces it
+  async setRate({ date, fromCurrency, toCurrency, rate }, userId, { source = 'manual', transaction } = {}) {
+    const values = {
+      date,
+      fromCurrency: (fromCurrency || '').toUpperCase(),
+      toCurrency: (toCurrency || '').toUpperCase(),
+      rate
+    };
+
+    const errors = this.validateRate(values);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const existing = await FxRate.findOne({
+      where: { date: values.date, fromCurrency: values.fromCurrency, toCurrency: values.toCurrency },
+      transaction
+    });
+    if (existing) {
+      return await existing.update({ rate: values.rate, source, createdById: userId }, { transaction });
+    }
+    return await FxRate.create({ ...values, source, createdById: userId }, { transaction });
+  }
+
+  // CSV with a date,from,to,rate header. The whole file is rejected if any line is invalid.
+  async importCsv(csv, userId) {
+    const lines = String(csv || '').split(/\r?\n/)
+      .map((text, index) => ({ text: text.trim(), number: index + 1 }))
+      .filter(line => line.text);
+
+    if (lines.length === 0) {
+      throw new Error('CSV is empty');
+    }
+
+    const header = lines.shift().text.toLowerCase().split(',').map(column => column.trim());
+    const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`CSV header must contain: ${CSV_COLUMNS.join(', ')} (missing ${missing.join(', ')})`);
+    }
+
+    const rows = [];
+    const errors = [];
+    for (const line of lines) {
+      const cells = line.text.split(',').map(cell => cell.trim());
+      const value = (column) => cells[header.indexOf(column)];
+      const row = {
+        date: value('date'),
+        fromCurrency: (value('from') || '').toUpperCase(),
+        toCurrency: (value('to') || '').toUpperCase(),
+        rate: value('rate')
+      };
+
+      const rowErrors = this.validateRate(row);
+      if (rowErrors.length > 0) {
+        errors.push(`line ${line.number}: ${rowErrors.join('; ')}`);
+      }
+      rows.push(row);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    await database.getSequelize().transaction(async (transaction) => {
+      for (const row of rows) {
+        await this.setRate(row, userId, { source: 'csv', transaction });
+      }
+    });
+
+    logger.info(`Imported ${rows.length} FX rates by user ${userId}`);
+    return { imported: rows.length };
+  }
+
+  async listRates({ date, from, to, fromCurrency, toCurrency } = {}) {
+    const where = {};
+    if (date) where.date = date;
+    if (fromCurrency) where.fromCurrency = fromCurrency.toUpperCase();
+    if (toCurrency) where.toCurrency = toCurrency.toUpperCase();
+    if (from || to) {
+      where.date = {};
+      if (from) where.date[Op.gte] = from;
+      if (to) where.date[Op.lte] = to;
+    }
+
+    return await FxRate.findAll({
+      where,
+      order: [['date', 'DESC'], ['fromCurrency', 'ASC'], ['toCurrency', 'ASC']]
+    });
+  }
+}
+
+module.exports = FxRateService;
@@ -1,142 +1,288 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const moment = require('moment');
+const { createLlmProvider } = require('./llm');
+const LocalProvider = require('./llm/local.provider');
+const PromptService = require('./prompt.service');
+const MoneyService = require('./money.service');
+const LlmUsageService = require('./llm-usage.service');
+const { getGenerationLimits } = require('../config/llm');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, LANGUAGE_NAMES, getLanguageName, getLanguageChain } = require('../config/languages');
+const { CONVERSATION_LABELS } = require('../config/fallback-templates');
+const { ANALYSIS_REPAIR_PROMPT } = require('../config/default-prompts');
+const {
+  FALLBACK_ANALYSIS,
+  getAnalysisPolicy,
+  describeAnalysisSchema,
+  parseAnalysis
+} = require('../config/analysis-schema');
+const { parseReceiptDetails } = require('../config/payment-proofs');
+const { renderTemplate } = require('../utils/template');
 const logger = require('../utils/logger');
 
+const DEFAULT_REMINDER_MAX_WORDS = 300;
+
+// Builds the collection prompts; the configured LlmProvider (see config/llm.js) generates the text
 class GeminiService {
-  constructor() {
-    this.genAI = null;
-    this.model = null;
-    this.initialize();
+  constructor(provider = null) {
+    this.provider = null;
+    this.promptService = new PromptService();
+    this.usageService = new LlmUsageService();
+    this.ruleProvider = new LocalProvider();
+    this.money = new MoneyService();
+    this.initialize(provider);
   }
 
-  initialize() {
+  initialize(provider = null) {
     try {
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY is not configured');
-      }
+      this.provider = provider || createLlmProvider();
+
+      logger.info(`AI service initialized with ${this.provider.name} provider (${this.provider.model})`);
+    } catch (error) {
+      logger.error('Failed to initialize AI service:', error);
+      throw error;
+    }
+  }
+
+  // Every generator goes through here so the provider sees the purpose and the structured
+  // inputs, and so each call is metered against the budgets. `debtId` is the debt the text
+  // is about, for the usage report. `responseFormat` 'json' asks for the provider's JSON
+  // output mode where it has one; `attachments` are images for multimodal models.
+  async complete(purpose, prompt, { context = {}, history = [], debtId = null, responseFormat = 'text', attachments = [] } = {}) {
+    const call = { provider: this.provider.name, model: this.provider.model, purpose, debtId };
+    await this.usageService.assertWithinBudget(call);
 
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-      
-      logger.info('Gemini AI service initialized successfully');
+    const promptText = [prompt, ...history.flatMap(turn => turn.parts.map(part => part.text))].join('\n');
+    const startedAt = Date.now();
+    try {
+      const result = await this.withTimeout(
+        this.provider.generate({ purpose, prompt, history, context, responseFormat, attachments }),
+        purpose
+      );
+      const text = (result.text || '').trim();
+
+      await this.usageService.recordCall({
+        ...call,
+        model: result.model || call.model,
+        status: 'success',
+        usage: result.usage || null,
+        prompt: promptText,
+        output: text,
+        latencyMs: Date.now() - startedAt
+      });
+      return text;
     } catch (error) {
-      logger.error('Failed to initialize Gemini AI service:', error);
+      await this.usageService.recordCall({
+        ...call,
+        status: error.code === 'LLM_TIMEOUT' ? 'timeout' : 'error',
+        prompt: promptText,
+        latencyMs: Date.now() - startedAt,
+        error: error.message
+      });
       throw error;
     }
   }
 
-  async generateDebtReminderMessage(debtorInfo, debtDetails, reminderLevel = 1) {
+  // A hung provider call must not hold up the reminder run; 0 disables the limit
+  withTimeout(promise, purpose) {
+    const { timeoutMs } = getGenerationLimits();
+    if (!timeoutMs) {
+      return promise;
+    }
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM ${purpose} request timed out after ${timeoutMs}ms`);
+        error.code = 'LLM_TIMEOUT';
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Fills the published prompt for the key and language, or the built-in one. When a
+  // trace object is passed, the prompt id and version are recorded on it for the message log.
+  async renderPrompt(key, variables, { language = DEFAULT_LANGUAGE, trace = null, promptTemplateId = null } = {}) {
+    const template = await this.promptService.resolvePrompt(key, language, { promptTemplateId });
+
+    if (trace) {
+      trace.promptTemplateId = template.id;
+      trace.promptVersion = template.version;
+    }
+
+    return renderTemplate(template.body, variables);
+  }
+
+  // Variables for any managed prompt; also used to preview a prompt against a real debt
+  buildPromptVariables(key, { debtorInfo = {}, debtDetails = {}, paymentDetails = {}, reminderLevel = 1, escalationType = 'legal', debtorMessage = '', language = DEFAULT_LANGUAGE } = {}) {
+    switch (key) {
+      case 'debt_reminder':
+        return this.buildDebtReminderVariables(debtorInfo, debtDetails, reminderLevel, language);
+      case 'payment_confirmation':
+        return this.buildPaymentConfirmationVariables(debtorInfo, paymentDetails, language);
+      case 'escalation':
+        return this.buildEscalationVariables(debtorInfo, debtDetails, escalationType, language);
+      case 'response_analysis':
+        return this.buildResponseAnalysisVariables(debtorMessage);
+      default:
+        throw new Error(`Unknown prompt key: ${key}`);
+    }
+  }
+
+  // `variant` is an experiment variant ({ id, config }) the debtor was assigned to, if any
+  async generateDebtReminderMessage(debtorInfo, debtDetails, reminderLevel = 1, { language = DEFAULT_LANGUAGE, trace = null, variant = null, debtId = null } = {}) {
     try {
-      const prompt = this.buildDebtReminderPrompt(debtorInfo, debtDetails, reminderLevel);
-      
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const message = response.text();
-      
+      const prompt = await this.buildDebtReminderPrompt(debtorInfo, debtDetails, reminderLevel, { language, trace, variant });
+
+      const message = await this.complete('debt_reminder', prompt, {
+        context: { debtorInfo, debtDetails, reminderLevel },
+        debtId
+      });
+
       logger.info(`Generated debt reminder message for ${debtorInfo.name} (Level ${reminderLevel})`);
-      return message.trim();
+      return message;
     } catch (error) {
       logger.error('Failed to generate debt reminder message:', error);
       throw error;
     }
   }
 
-  buildDebtReminderPrompt(debtorInfo, debtDetails, reminderLevel) {
+  async buildDebtReminderPrompt(debtorInfo, debtDetails, reminderLevel, { language = DEFAULT_LANGUAGE, trace = null, variant = null } = {}) {
+    const config = variant?.config || {};
+
+    if (trace && variant) {
+      trace.experimentVariantId = variant.id;
+    }
+
+    return await this.renderPrompt(
+      'debt_reminder',
+      this.buildDebtReminderVariables(debtorInfo, debtDetails, reminderLevel, language, config),
+      { language, trace, promptTemplateId: config.promptTemplateId || null }
+    );
+  }
+
+  // `config` holds an experiment variant's overrides: toneMap, maxWords and paymentLink
+  buildDebtReminderVariables(debtorInfo, debtDetails, reminderLevel, language = DEFAULT_LANGUAGE, config = {}) {
     const toneMap = {
       1: 'friendly and polite',
       2: 'professional but firm',
       3: 'serious and urgent',
       4: 'formal and demanding',
-      5: 'final warning tone'
+      5: 'final warning tone',
+      ...(config.toneMap || {})
     };
 
     const tone = toneMap[reminderLevel] || 'professional';
-
-    return `
-You are a professional debt collection AI assistant. Generate a ${tone} WhatsApp message in Indonesian language for debt collection.
-
-Debtor Information:
-- Name: ${debtorInfo.name}
-- Phone: ${debtorInfo.phone}
-- Company: ${debtorInfo.company || 'N/A'}
-
-Debt Details:
-- Amount: Rp ${debtDetails.amount.toLocaleString('id-ID')}
-- Due Date: ${debtDetails.dueDate}
-- Days Overdue: ${debtDetails.daysOverdue}
-- Invoice Number: ${debtDetails.invoiceNumber || 'N/A'}
-- Description: ${debtDetails.description || 'Outstanding payment'}
-
-Reminder Level: ${reminderLevel}/5
-Previous Reminders: ${debtDetails.previousReminders || 0}
-
-Guidelines:
-1. Use respectful Indonesian language
-2. Be clear about the debt amount and due date
-3. Include payment instructions if available
-4. Adjust tone based on reminder level (1=gentle, 5=final warning)
-5. Keep message under 300 words
-6. Include company contact information
-7. Be professional but human-like
-8. For higher reminder levels, mention potential consequences
-9. Always provide a way for the debtor to respond or contact
-
-Generate only the message content, no additional formatting or explanations.
-`;
+    const installmentSection = debtDetails.installment
+      ? `
+Payment Plan:
+- The debtor agreed to a payment plan; this reminder is for ${debtDetails.installment.label} (${debtDetails.installment.number} of ${debtDetails.installment.total})
+- The amount above is only this installment; ask for this installment, not the full debt
+- Total outstanding debt: ${this.money.format(debtDetails.installment.totalOutstanding, debtDetails.currency, language)}
+`
+      : '';
+    const paymentLinkSection = config.paymentLink
+      ? `
+Payment Link: ${renderTemplate(config.paymentLink, { invoiceNumber: debtDetails.invoiceNumber || '' })}
+- Include this link in the message exactly as written so the debtor can pay directly
+`
+      : '';
+
+    return {
+      name: debtorInfo.name,
+      phone: debtorInfo.phone,
+      company: debtorInfo.company || 'N/A',
+      languageName: getLanguageName(language),
+      tone,
+      amount: this.money.format(debtDetails.amount, debtDetails.currency, language),
+      dueDate: debtDetails.dueDate,
+      daysOverdue: debtDetails.daysOverdue,
+      invoiceNumber: debtDetails.invoiceNumber || 'N/A',
+      description: debtDetails.description || 'Outstanding payment',
+      installmentSection,
+      reminderLevel,
+      previousReminders: debtDetails.previousReminders || 0,
+      maxWords: config.maxWords || DEFAULT_REMINDER_MAX_WORDS,
+      paymentLinkSection
+    };
   }
 
-  async generatePaymentConfirmationMessage(debtorInfo, paymentDetails) {
+  async generatePaymentConfirmationMessage(debtorInfo, paymentDetails, { language = DEFAULT_LANGUAGE, trace = null, debtId = null } = {}) {
     try {
-      const prompt = `
-Generate a professional payment confirmation message in Indonesian for WhatsApp.
-
-Debtor Information:
-- Name: ${debtorInfo.name}
-- Company: ${debtorInfo.company || 'N/A'}
-
-Payment Details:
-- Amount Paid: Rp ${paymentDetails.amount.toLocaleString('id-ID')}
-- Payment Date: ${paymentDetails.date}
-- Payment Method: ${paymentDetails.method || 'Transfer'}
-- Reference Number: ${paymentDetails.reference || 'N/A'}
-- Remaining Balance: Rp ${paymentDetails.remainingBalance.toLocaleString('id-ID')}
+      const prompt = await this.renderPrompt(
+        'payment_confirmation',
+        this.buildPaymentConfirmationVariables(debtorInfo, paymentDetails, language),
+        { language, trace }
+      );
 
-Guidelines:
-1. Thank the debtor for the payment
-2. Confirm the payment details
-3. Mention remaining balance if any
-4. Be warm and professional
-5. Keep message concise
-6. Include contact information for questions
+      const message = await this.complete('payment_confirmation', prompt, {
+        context: { debtorInfo, paymentDetails },
+        debtId
+      });
 
-Generate only the message content.
-`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const message = response.text();
-      
       logger.info(`Generated payment confirmation message for ${debtorInfo.name}`);
-      return message.trim();
+      return message;
     } catch (error) {
       logger.error('Failed to generate payment confirmation message:', error);
       throw error;
     }
   }
 
-  async generateNegotiationResponse(debtorInfo, debtDetails, debtorMessage) {
+  buildPaymentConfirmationVariables(debtorInfo, paymentDetails, language = DEFAULT_LANGUAGE) {
+    return {
+      name: debtorInfo.name,
+      company: debtorInfo.company || 'N/A',
+      languageName: getLanguageName(language),
+      amount: this.money.format(paymentDetails.amount, paymentDetails.currency, language),
+      date: paymentDetails.date,
+      method: paymentDetails.method || 'Transfer',
+      reference: paymentDetails.reference || 'N/A',
+      remainingBalance: this.money.format(paymentDetails.remainingBalance, paymentDetails.currency, language)
+    };
+  }
+
+  async generateNegotiationResponse(debtorInfo, debtDetails, debtorMessage, conversation = null) {
     try {
-      const prompt = `
-You are a professional debt collection AI. A debtor has sent a message regarding their debt. Generate an appropriate response in Indonesian.
+      const { history, pendingMessages } = this.buildChatHistory(conversation, debtorInfo.language);
+      const prompt = this.buildNegotiationPrompt(
+        debtorInfo, debtDetails, debtorMessage, conversation?.summary, pendingMessages
+      );
+
+      const message = await this.complete('negotiation', prompt, {
+        context: { debtorInfo, debtDetails, debtorMessage },
+        history,
+        debtId: debtDetails.debtId || null
+      });
+
+      logger.info(`Generated negotiation response for ${debtorInfo.name} (${history.length} history turns)`);
+      return message;
+    } catch (error) {
+      logger.error('Failed to generate negotiation response:', error);
+      throw error;
+    }
+  }
+
+  buildNegotiationPrompt(debtorInfo, debtDetails, debtorMessage, summary = null, pendingMessages = []) {
+    const summarySection = summary
+      ? `\nSummary of the earlier conversation:\n${summary}\n`
+      : '';
+    const pendingSection = pendingMessages.length > 0
+      ? `\nEarlier debtor messages that have not been answered yet:\n${pendingMessages.map(text => `- "${text}"`).join('\n')}\n`
+      : '';
+
+    return `
+You are a professional debt collection AI. A debtor has sent a message regarding their debt. Generate an appropriate response in ${getLanguageName(debtorInfo.language)}, even if earlier messages in the conversation used another language.
+The chat history, if any, is the earlier WhatsApp conversation with this debtor: your previous messages are the model turns and the debtor's messages are the user turns.
 
 Debtor Information:
 - Name: ${debtorInfo.name}
 - Company: ${debtorInfo.company || 'N/A'}
 
 Debt Details:
-- Amount: Rp ${debtDetails.amount.toLocaleString('id-ID')}
+- Amount: ${this.money.formatDetails(debtDetails, debtorInfo.language)}
 - Days Overdue: ${debtDetails.daysOverdue}
 - Invoice Number: ${debtDetails.invoiceNumber || 'N/A'}
-
+${summarySection}${pendingSection}
 Debtor's Message: "${debtorMessage}"
 
 Guidelines:
@@ -153,125 +299,350 @@ Guidelines:
 6. Always keep the door open for communication
 7. Provide contact information for further discussion
 8. Be solution-oriented
+9. Stay consistent with the earlier conversation; do not contradict what was already offered or agreed, and do not ask again for information the debtor already gave
 
 Generate only the response message content.
+`;
+  }
+
+  // Converts stored conversation turns into Gemini chat history. Gemini expects
+  // alternating roles that start with a user turn and end with a model turn, so
+  // consecutive turns are merged and trailing debtor messages are returned
+  // separately to be included in the next prompt.
+  buildChatHistory(conversation, language = DEFAULT_LANGUAGE) {
+    const history = [];
+
+    for (const turn of conversation?.turns || []) {
+      const role = turn.role === 'agent' ? 'model' : 'user';
+      const previous = history[history.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.parts.push({ text: turn.text });
+      } else {
+        history.push({ role, parts: [{ text: turn.text }] });
+      }
+    }
+
+    const pendingMessages = [];
+    while (history.length > 0 && history[history.length - 1].role === 'user') {
+      pendingMessages.unshift(...history.pop().parts.map(part => part.text));
+    }
+
+    // Threads usually open with our reminder rather than a debtor message
+    if (history.length > 0 && history[0].role === 'model') {
+      const labels = CONVERSATION_LABELS[getLanguageChain(language).find(code => CONVERSATION_LABELS[code])];
+      history.unshift({ role: 'user', parts: [{ text: labels.opening }] });
+    }
+
+    return { history, pendingMessages };
+  }
+
+  // Written in the debtor's language, like the replies the summary feeds into
+  async summarizeConversation(previousSummary, turns, language = DEFAULT_LANGUAGE) {
+    try {
+      const transcript = turns
+        .map(turn => `${turn.role === 'agent' ? 'Collector' : 'Debtor'}: ${turn.text}`)
+        .join('\n');
+
+      const prompt = `
+Summarize this WhatsApp debt collection conversation so a collector can continue it consistently.
+${previousSummary ? `\nSummary of the conversation before these messages:\n${previousSummary}\n` : ''}
+Messages:
+${transcript}
+
+Guidelines:
+1. Keep every payment promise, amount, date, payment plan offer and dispute that was mentioned
+2. Note financial hardship or other circumstances the debtor described
+3. Note what the collector already offered or agreed to
+4. Write in ${getLanguageName(language)}, at most 150 words
+5. Merge the previous summary into the new one
+
+Generate only the summary text.
 `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const message = response.text();
-      
-      logger.info(`Generated negotiation response for ${debtorInfo.name}`);
-      return message.trim();
+      const summary = await this.complete('conversation_summary', prompt, {
+        context: { previousSummary, turns, language }
+      });
+
+      logger.info(`Summarized ${turns.length} conversation turns`);
+      return summary;
     } catch (error) {
-      logger.error('Failed to generate negotiation response:', error);
+      logger.error('Failed to summarize conversation:', error);
+      throw error;
+    }
+  }
+
+  // Output that does not match the analysis schema is sent back with a repair prompt up to
+  // ANALYSIS_MAX_REPAIRS times. When a trace object is passed, how the analysis was
+  // obtained (analysisStatus) and every raw output with its errors (analysisAttempts)
+  // are recorded on it for the response log.
+  async analyzeDebtorResponse(debtorMessage, { language = DEFAULT_LANGUAGE, debtId = null, trace = null } = {}) {
+    const attempts = [];
+    const finish = (status, analysis) => {
+      if (trace) {
+        trace.analysisStatus = status;
+        trace.analysisAttempts = attempts;
+      }
+      return analysis;
+    };
+
+    try {
+      const prompt = await this.renderPrompt(
+        'response_analysis',
+        this.buildResponseAnalysisVariables(debtorMessage),
+        { language }
+      );
+      const { maxRepairs } = getAnalysisPolicy();
+
+      let request = prompt;
+      for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+        const output = await this.complete('response_analysis', request, {
+          context: { debtorMessage, repair: attempt > 0 },
+          debtId,
+          responseFormat: 'json'
+        });
+
+        const { analysis, errors } = parseAnalysis(output);
+        attempts.push({ output, errors });
+
+        if (analysis) {
+          logger.info(`Analyzed debtor response${attempt > 0 ? ` after ${attempt} repair(s)` : ''}`);
+          return finish(attempt > 0 ? 'repaired' : 'valid', analysis);
+        }
+
+        logger.warn(`Debtor response analysis did not match the schema: ${errors.join('; ')}`);
+        request = renderTemplate(ANALYSIS_REPAIR_PROMPT, {
+          errors: errors.map(error => `- ${error}`).join('\n'),
+          output,
+          prompt,
+          schema: describeAnalysisSchema()
+        });
+      }
+
+      return finish('invalid', { ...FALLBACK_ANALYSIS });
+    } catch (error) {
+      // Over budget, the offline keyword rules still give a usable analysis
+      if (error.code === 'LLM_BUDGET_EXCEEDED') {
+        logger.warn(`Analyzing debtor response with keyword rules: ${error.message}`);
+        return finish('rules', this.ruleProvider.analyze(debtorMessage));
+      }
+
+      logger.error('Failed to analyze debtor response:', error);
+      attempts.push({ output: null, errors: [error.message] });
+      return finish('failed', { ...FALLBACK_ANALYSIS });
+    }
+  }
+
+  buildResponseAnalysisVariables(debtorMessage) {
+    return {
+      debtorMessage,
+      today: moment().format('YYYY-MM-DD (dddd)'),
+      supportedLanguages: SUPPORTED_LANGUAGES.map(code => `${code} (${LANGUAGE_NAMES[code]})`).join(', ')
+    };
+  }
+
+  async generateEscalationMessage(debtorInfo, debtDetails, escalationType = 'legal', { language = DEFAULT_LANGUAGE, trace = null, debtId = null } = {}) {
+    try {
+      const prompt = await this.renderPrompt(
+        'escalation',
+        this.buildEscalationVariables(debtorInfo, debtDetails, escalationType, language),
+        { language, trace }
+      );
+
+      const message = await this.complete('escalation', prompt, {
+        context: { debtorInfo, debtDetails, escalationType },
+        debtId
+      });
+
+      logger.info(`Generated escalation message for ${debtorInfo.name}`);
+      return message;
+    } catch (error) {
+      logger.error('Failed to generate escalation message:', error);
       throw error;
     }
   }
 
-  async analyzeDebtorResponse(debtorMessage) {
+  buildEscalationVariables(debtorInfo, debtDetails, escalationType, language = DEFAULT_LANGUAGE) {
+    return {
+      name: debtorInfo.name,
+      company: debtorInfo.company || 'N/A',
+      languageName: getLanguageName(language),
+      amount: this.money.format(debtDetails.amount, debtDetails.currency, language),
+      daysOverdue: debtDetails.daysOverdue,
+      previousReminders: debtDetails.previousReminders,
+      escalationType
+    };
+  }
+
+  // Suggests installment terms for a debtor who cannot pay in full. The caller
+  // enforces the policy limits; this only picks terms inside them.
+  async proposePaymentPlanTerms(debtorInfo, debtDetails, debtorMessage, policy) {
     try {
+      const formatAmount = (amount) => this.money.format(amount, debtDetails.currency, debtorInfo.language);
       const prompt = `
-Analyze this debtor's WhatsApp message and categorize their intent. Respond with a JSON object.
+A debtor asked for an installment plan or described financial difficulties. Suggest installment terms within the policy limits. Respond with a JSON object.
+
+Debtor Information:
+- Name: ${debtorInfo.name}
+- Company: ${debtorInfo.company || 'N/A'}
+
+Debt Details:
+- Outstanding Amount: ${formatAmount(debtDetails.amount)}
+- Days Overdue: ${debtDetails.daysOverdue}
 
-Debtor Message: "${debtorMessage}"
+Debtor's Message: "${debtorMessage}"
 
-Analyze for:
-1. Intent (payment_promise, dispute, financial_hardship, payment_plan_request, question, acknowledgment, ignore)
-2. Sentiment (positive, negative, neutral)
-3. Urgency (high, medium, low)
-4. Payment commitment (yes, no, maybe)
-5. Suggested action (follow_up, escalate, negotiate, close_case, wait)
+Policy Limits:
+- Down payment of at least ${formatAmount(debtDetails.minDownPayment)} (${policy.minDownPaymentPercent}% of the outstanding amount), due within ${policy.downPaymentDueDays} days
+- Between 1 and ${policy.maxInstallments} installments after the down payment, one every ${policy.installmentIntervalDays} days
+
+Guidelines:
+1. Prefer the shortest plan the debtor can realistically afford
+2. Respect any amount or timeline the debtor mentioned if it fits the limits
+3. Never go outside the policy limits
 
 Respond only with a JSON object in this format:
 {
-  "intent": "category",
-  "sentiment": "sentiment",
-  "urgency": "level",
-  "payment_commitment": "yes/no/maybe",
-  "suggested_action": "action",
-  "confidence": 0.95,
-  "summary": "Brief summary of the message"
+  "down_payment": 300000,
+  "installment_count": 3,
+  "reasoning": "Brief explanation"
 }
 `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const analysisText = response.text().trim();
-      
-      // Extract JSON from response
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const analysis = JSON.parse(jsonMatch[0]);
-        logger.info('Analyzed debtor response successfully');
-        return analysis;
-      } else {
-        throw new Error('Failed to parse analysis response');
+      const termsText = await this.complete('payment_plan_terms', prompt, {
+        context: { debtorInfo, debtDetails, debtorMessage, policy },
+        debtId: debtDetails.debtId || null,
+        responseFormat: 'json'
+      });
+
+      const jsonMatch = termsText.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('Failed to parse payment plan terms');
       }
-    } catch (error) {
-      logger.error('Failed to analyze debtor response:', error);
-      // Return default analysis on error
+
+      const terms = JSON.parse(jsonMatch[0]);
+      logger.info(`Proposed payment plan terms for ${debtorInfo.name}`);
       return {
-        intent: 'unknown',
-        sentiment: 'neutral',
-        urgency: 'medium',
-        payment_commitment: 'maybe',
-        suggested_action: 'follow_up',
-        confidence: 0.1,
-        summary: 'Analysis failed, manual review required'
+        downPayment: terms.down_payment,
+        installmentCount: terms.installment_count,
+        reasoning: terms.reasoning
       };
+    } catch (error) {
+      logger.error('Failed to propose payment plan terms:', error);
+      throw error;
+    }
+  }
+
+  // Reads a transfer receipt image. `image` is { mimeType, data } with a Buffer; the
+  // caption the debtor sent with it is passed as extra context. Returns the fields from
+  // parseReceiptDetails(); over budget, only what the caption says is used.
+  async extractReceiptDetails(image, { caption = null, debtId = null } = {}) {
+    const prompt = `
+Read this bank transfer receipt or payment slip and extract the payment details. Respond with a JSON object.
+
+${caption ? `The sender wrote with the image: "${caption}"
+
+` : ''}Fields:
+- amount: the transferred amount as a number without thousand separators, excluding any transfer fee
+- currency: ISO 4217 code such as IDR or USD, or null when not shown
+- date: the transfer date as YYYY-MM-DD
+- sender_name: the name of the account holder who sent the money
+- bank: the sending bank or wallet
+- reference: the transaction or reference number
+- invoice_number: an invoice number written in the transfer note, or null
+- confidence: 0 to 1, how sure you are that this is a genuine receipt and that the fields were read correctly
+
+Use null for anything that is not visible. If the image is not a payment receipt, return null for every field and a confidence of 0.
+
+Respond only with a JSON object in this format:
+{
+  "amount": 1500000,
+  "currency": "IDR",
+  "date": "2026-01-31",
+  "sender_name": "BUDI SANTOSO",
+  "bank": "BCA",
+  "reference": "TRF123456789",
+  "invoice_number": "INV-001",
+  "confidence": 0.9
+}
+`;
+
+    try {
+      const output = await this.complete('receipt_extraction', prompt, {
+        context: { caption, mimeType: image.mimeType },
+        attachments: [{ mimeType: image.mimeType, data: image.data.toString('base64') }],
+        debtId,
+        responseFormat: 'json'
+      });
+
+      const details = parseReceiptDetails(output);
+      if (!details) {
+        throw new Error('Receipt extraction did not return a JSON object');
+      }
+
+      logger.info(`Extracted receipt details${debtId ? ` for debt ${debtId}` : ''}`);
+      return details;
+    } catch (error) {
+      if (error.code === 'LLM_BUDGET_EXCEEDED') {
+        logger.warn(`Reading receipt caption with local rules: ${error.message}`);
+        return parseReceiptDetails(JSON.stringify(this.ruleProvider.receipt({ caption })));
+      }
+
+      logger.error('Failed to extract receipt details:', error);
+      throw error;
     }
   }
 
-  async generateEscalationMessage(debtorInfo, debtDetails, escalationType = 'legal') {
+  async generateBrokenPromiseMessage(debtorInfo, debtDetails, promiseDetails, { language = DEFAULT_LANGUAGE, debtId = null } = {}) {
     try {
+      const formatAmount = (amount) => this.money.format(amount, debtDetails.currency, language);
       const prompt = `
-Generate a professional escalation message in Indonesian for debt collection.
+Generate a WhatsApp follow-up message in ${getLanguageName(language)} for a debtor who did not keep a payment promise.
 
 Debtor Information:
 - Name: ${debtorInfo.name}
 - Company: ${debtorInfo.company || 'N/A'}
 
 Debt Details:
-- Amount: Rp ${debtDetails.amount.toLocaleString('id-ID')}
+- Outstanding Amount: ${formatAmount(debtDetails.amount)}
 - Days Overdue: ${debtDetails.daysOverdue}
-- Previous Reminders: ${debtDetails.previousReminders}
+- Invoice Number: ${debtDetails.invoiceNumber || 'N/A'}
 
-Escalation Type: ${escalationType}
+Payment Promise:
+- Promised Amount: ${formatAmount(promiseDetails.promisedAmount)}
+- Promised Date: ${promiseDetails.promisedDate}
+- Amount Paid Since the Promise: ${formatAmount(promiseDetails.amountPaid)}
 
 Guidelines:
-1. Maintain professional tone
-2. Clearly state the escalation consequences
-3. Provide final opportunity to resolve
-4. Include specific timeline for response
-5. Mention legal implications if applicable
-6. Keep message formal but not threatening
-7. Include contact information for immediate resolution
+1. Remind the debtor of the promise they made, with the amount and date
+2. State clearly that the promised payment has not been received in full
+3. Be firm but respectful; do not threaten
+4. Ask the debtor to pay now or reply with a new concrete payment date
+5. Keep the message under 150 words
 
 Generate only the message content.
 `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const message = response.text();
-      
-      logger.info(`Generated escalation message for ${debtorInfo.name}`);
-      return message.trim();
+      const message = await this.complete('broken_promise', prompt, {
+        context: { debtorInfo, debtDetails, promiseDetails },
+        debtId
+      });
+
+      logger.info(`Generated broken promise follow-up for ${debtorInfo.name}`);
+      return message;
     } catch (error) {
-      logger.error('Failed to generate escalation message:', error);
+      logger.error('Failed to generate broken promise follow-up:', error);
       throw error;
     }
   }
 
   async testConnection() {
     try {
-      const result = await this.model.generateContent('Test connection. Respond with "OK" only.');
-      const response = await result.response;
-      const text = response.text();
-      
+      const text = await this.complete('connection_test', 'Test connection. Respond with "OK" only.');
+
       return text.includes('OK');
     } catch (error) {
-      logger.error('Gemini AI connection test failed:', error);
+      logger.error(`AI connection test failed (${this.provider.name}):`, error);
       return false;
     }
   }
@@ -0,0 +1,99 @@
+const { ReplyDraft } = require('../models');
+const { HANDOFF_MODES, getHandoffPolicy, getHandoffReason } = require('../config/handoff-policy');
+const logger = require('../utils/logger');
+
+class HandoffService {
+  // Switches the debtor to the configured handoff mode when the analysis calls for it,
+  // and returns the mode the reply should be handled in
+  async applyAutomaticHandoff(debtor, analysis) {
+    const currentMode = debtor.conversation_mode;
+    if (currentMode === 'human') {
+      return currentMode;
+    }
+
+    const policy = getHandoffPolicy();
+    const reason = getHandoffReason(analysis, policy);
+    if (!reason || currentMode === policy.mode) {
+      return currentMode;
+    }
+
+    await debtor.update({
+      conversation_mode: policy.mode,
+      handoff_reason: reason,
+      handoff_at: new Date()
+    });
+
+    logger.info(`Conversation with debtor ${debtor.id} handed off to ${policy.mode} (${reason})`);
+    return policy.mode;
+  }
+
+  async claim(debtor, userId, mode = 'human') {
+    if (!HANDOFF_MODES.includes(mode)) {
+      throw new Error(`Mode must be one of: ${HANDOFF_MODES.join(', ')}`);
+    }
+
+    await debtor.update({
+      conversation_mode: mode,
+      conversation_claimed_by: userId,
+      conversation_claimed_at: new Date(),
+      handoff_reason: debtor.handoff_reason || 'claimed',
+      handoff_at: debtor.handoff_at || new Date()
+    });
+
+    logger.info(`Conversation with debtor ${debtor.id} claimed by user ${userId} (${mode})`);
+    return debtor;
+  }
+
+  // Gives the conversation an owner without changing who replies
+  async assign(debtor, assigneeId) {
+    await debtor.update({
+      conversation_claimed_by: assigneeId,
+      conversation_claimed_at: new Date()
+    });
+
+    logger.info(`Conversation with debtor ${debtor.id} assigned to user ${assigneeId}`);
+    return debtor;
+  }
+
+  // Hands the conversation back to the AI; drafts nobody approved are dropped
+  async release(debtor, userId) {
+    await ReplyDraft.discardPendingForDebtor(debtor.id, userId);
+
+    await debtor.update({
+      conversation_mode: 'ai',
+      conversation_claimed_by: null,
+      conversation_claimed_at: null,
+      handoff_reason: null,
+      handoff_at: null
+    });
+
+    logger.info(`Conversation with debtor ${debtor.id} released to AI by user ${userId}`);
+    return debtor;
+  }
+
+  // Only the newest suggestion is kept; older ones were written without the latest message
+  async createDraft(debt, response, message) {
+    await ReplyDraft.discardPendingForDebtor(debt.debtorId);
+
+    const draft = await ReplyDraft.create({
+      debtorId: debt.debtorId,
+      debtId: debt.id,
+      debtorResponseId: response ? response.id : null,
+      suggestedMessage: message
+    });
+
+    logger.info(`Reply draft ${draft.id} queued for debtor ${debt.debtorId}`);
+    return draft;
+  }
+
+  async discardDraft(draft, userId) {
+    if (draft.status !== 'pending') {
+      throw new Error(`Draft is already ${draft.status}`);
+    }
+
+    await draft.update({ status: 'discarded', reviewedById: userId, reviewedAt: new Date() });
+    return draft;
+  }
+}
+
+module.exports = HandoffService;
@@ -0,0 +1,129 @@
+const { Op } = require('sequelize');
+const database = require('../config/database');
+const { Debt, Debtor, User, DebtorResponse, ReminderLog } = require('../models');
+const TimelineService = require('./timeline.service');
+const { isAssignmentScoped, getDebtScope } = require('../config/permissions');
+
+const sequelize = database.getSequelize();
+
+class InboxService {
+  constructor() {
+    this.timelineService = new TimelineService();
+  }
+
+  // Debtors whose conversations the user may see; null means all of them.
+  // Collectors see debtors with a debt assigned to them and conversations assigned to them.
+  async getAccessibleDebtorIds(user) {
+    if (!isAssignmentScoped(user)) {
+      return null;
+    }
+
+    const [debts, claimed] = await Promise.all([
+      Debt.findAll({ where: getDebtScope(user), attributes: ['debtorId'], group: ['debtorId'], raw: true }),
+      Debtor.findAll({ where: { conversation_claimed_by: user.id }, attributes: ['id'], raw: true })
+    ]);
+
+    return [...new Set([...debts.map(debt => debt.debtorId), ...claimed.map(debtor => debtor.id)])];
+  }
+
+  async canAccessDebtor(user, debtor) {
+    const debtorIds = await this.getAccessibleDebtorIds(user);
+    return debtorIds === null || debtorIds.includes(debtor.id);
+  }
+
+  // Conversations sorted by last activity, newest first
+  async listConversations({ debtorIds = null, unreadOnly = false, mode = null, claimedById = null, page = 1, limit = 20 } = {}) {
+    const scope = debtorIds === null ? {} : { debtorId: debtorIds };
+
+    const [inbound, outbound] = await Promise.all([
+      DebtorResponse.findAll({
+        attributes: [
+          'debtorId',
+          [sequelize.fn('MAX', sequelize.col('received_at')), 'lastInboundAt'],
+          [sequelize.fn('SUM', sequelize.literal('CASE WHEN read_at IS NULL THEN 1 ELSE 0 END')), 'unreadCount']
+        ],
+        where: scope,
+        group: ['debtorId'],
+        raw: true
+      }),
+      ReminderLog.findAll({
+        attributes: [
+          'debtorId',
+          [sequelize.fn('MAX', sequelize.col('sent_at')), 'lastOutboundAt']
+        ],
+        where: { ...scope, status: 'sent' },
+        group: ['debtorId'],
+        raw: true
+      })
+    ]);
+
+    const activity = new Map();
+    const entryFor = (debtorId) => {
+      if (!activity.has(debtorId)) {
+        activity.set(debtorId, { unreadCount: 0, lastInboundAt: null, lastOutboundAt: null });
+      }
+      return activity.get(debtorId);
+    };
+    inbound.forEach(row => Object.assign(entryFor(row.debtorId), {
+      lastInboundAt: new Date(row.lastInboundAt),
+      unreadCount: parseInt(row.unreadCount) || 0
+    }));
+    outbound.forEach(row => { entryFor(row.debtorId).lastOutboundAt = new Date(row.lastOutboundAt); });
+
+    const where = { id: [...activity.keys()] };
+    if (mode) {
+      where.conversation_mode = mode;
+    }
+    if (claimedById) {
+      where.conversation_claimed_by = claimedById;
+    }
+
+    const debtors = await Debtor.findAll({
+      where,
+      attributes: ['id', 'name', 'phone', 'company', 'conversation_mode', 'handoff_reason', 'conversation_claimed_at'],
+      include: [{ model: User, as: 'conversationClaimedBy', attributes: ['id', 'username', 'fullName'] }]
+    });
+
+    const conversations = debtors
+      .map(debtor => {
+        const { unreadCount, lastInboundAt, lastOutboundAt } = activity.get(debtor.id);
+        return {
+          debtor: { id: debtor.id, name: debtor.name, phone: debtor.phone, company: debtor.company },
+          mode: debtor.conversation_mode,
+          handoffReason: debtor.handoff_reason,
+          claimedBy: debtor.conversationClaimedBy,
+          unreadCount,
+          lastInboundAt,
+          lastOutboundAt,
+          lastActivityAt: [lastInboundAt, lastOutboundAt].filter(Boolean).sort((a, b) => b - a)[0]
+        };
+      })
+      .filter(conversation => !unreadOnly || conversation.unreadCount > 0)
+      .sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+
+    const offset = (page - 1) * limit;
+    const pageItems = conversations.slice(offset, offset + limit);
+
+    // Preview of the newest message, only for the page being returned
+    await Promise.all(pageItems.map(async (conversation) => {
+      const { messages } = await this.timelineService.getDebtorMessages(conversation.debtor.id, { limit: 1 });
+      conversation.lastMessage = messages[0] || null;
+    }));
+
+    return { conversations: pageItems, total: conversations.length };
+  }
+
+  async getThread(debtorId, { page = 1, limit = 50 } = {}) {
+    return await this.timelineService.getDebtorMessages(debtorId, { page, limit });
+  }
+
+  async markRead(debtorId, userId) {
+    return await DebtorResponse.markReadForDebtor(debtorId, userId);
+  }
+
+  async countUnread(debtorId) {
+    return await DebtorResponse.count({ where: { debtorId, readAt: { [Op.is]: null } } });
+  }
+}
+
+module.exports = InboxService;
@@ -0,0 +1,158 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { LlmUsage, Debt } = require('../models');
+const { getUsageBudget } = require('../config/llm');
+const { groupBy } = require('../utils/collections');
+const logger = require('../utils/logger');
+
+// About four characters per token; only used when the provider reports no counts
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+// Meters every LLM call GeminiService makes and enforces the daily and monthly budgets
+class LlmUsageService {
+  estimateCost(inputTokens, outputTokens, budget = getUsageBudget()) {
+    return roundCost((inputTokens / 1000) * budget.inputCostPer1k + (outputTokens / 1000) * budget.outputCostPer1k);
+  }
+
+  async getBudgetStatus() {
+    const budget = getUsageBudget();
+    const [today, thisMonth] = await Promise.all([
+      LlmUsage.getTotalsSince(moment().startOf('day').toDate()),
+      LlmUsage.getTotalsSince(moment().startOf('month').toDate())
+    ]);
+
+    const describe = (used, tokenLimit, costLimit) => ({
+      tokens: used.tokens,
+      tokenLimit: tokenLimit || null,
+      cost: roundCost(used.cost),
+      costLimit: costLimit || null,
+      exhausted: (tokenLimit > 0 && used.tokens >= tokenLimit) || (costLimit > 0 && used.cost >= costLimit)
+    });
+
+    const daily = describe(today, budget.dailyTokens, budget.dailyCost);
+    const monthly = describe(thisMonth, budget.monthlyTokens, budget.monthlyCost);
+    return { daily, monthly, exhausted: daily.exhausted || monthly.exhausted };
+  }
+
+  // Records the skipped call and throws LLM_BUDGET_EXCEEDED once a budget is used up.
+  // A failing budget lookup is logged and does not block generation.
+  async assertWithinBudget({ provider, model, purpose, debtId = null }) {
+    const budget = getUsageBudget();
+    if (!budget.dailyTokens && !budget.monthlyTokens && !budget.dailyCost && !budget.monthlyCost) {
+      return;
+    }
+
+    let status;
+    try {
+      status = await this.getBudgetStatus();
+    } catch (error) {
+      logger.warn(`Could not check LLM budget for ${purpose}: ${error.message}`);
+      return;
+    }
+    if (!status.exhausted) {
+      return;
+    }
+
+    const period = status.daily.exhausted ? 'daily' : 'monthly';
+    await this.recordCall({
+      provider,
+      model,
+      purpose,
+      debtId,
+      status: 'budget_exceeded',
+      usage: { inputTokens: 0, outputTokens: 0 },
+      error: `${period} budget exhausted`
+    });
+
+    const error = new Error(`LLM ${period} budget exhausted; ${purpose} was not generated`);
+    error.code = 'LLM_BUDGET_EXCEEDED';
+    throw error;
+  }
+
+  // `usage` is what the provider reported; without it the tokens are estimated from
+  // the prompt and output text. Metering never fails the call it describes.
+  async recordCall({ provider, model, purpose, debtId = null, status, usage = null, prompt = '', output = '', latencyMs = null, error = null }) {
+    try {
+      const inputTokens = usage ? usage.inputTokens : estimateTokens(prompt);
+      const outputTokens = usage ? usage.outputTokens : estimateTokens(output);
+
+      return await LlmUsage.create({
+        provider,
+        model,
+        purpose,
+        debtId,
+        status,
+        inputTokens,
+        outputTokens,
+        tokensEstimated: !usage,
+        cost: this.estimateCost(inputTokens, outputTokens),
+        latencyMs,
+        error: error ? String(error).slice(0, 255) : null
+      });
+    } catch (recordError) {
+      logger.warn(`Failed to record LLM usage for ${purpose}: ${recordError.message}`);
+      return null;
+    }
+  }
+
+  summarize(rows) {
+    const calls = rows.filter(row => row.status !== 'budget_exceeded');
+    const timed = calls.filter(row => row.latencyMs !== null);
+    const inputTokens = rows.reduce((sum, row) => sum + row.inputTokens, 0);
+    const outputTokens = rows.reduce((sum, row) => sum + row.outputTokens, 0);
+
+    return {
+      calls: calls.length,
+      failedCalls: calls.filter(row => row.status !== 'success').length,
+      skippedCalls: rows.length - calls.length,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cost: roundCost(rows.reduce((sum, row) => sum + parseFloat(row.cost || 0), 0)),
+      avgLatencyMs: timed.length > 0
+        ? Math.round(timed.reduce((sum, row) => sum + row.latencyMs, 0) / timed.length)
+        : null
+    };
+  }
+
+  async getUsageReport({ startDate, endDate = new Date(), topDebtLimit = 10 }) {
+    const rows = await LlmUsage.findAll({
+      where: { createdAt: { [Op.between]: [startDate, endDate] } },
+      include: [{ model: Debt, as: 'Debt', attributes: ['id', 'invoiceNumber'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const byPurpose = Object.entries(groupBy(rows, row => row.purpose))
+      .map(([purpose, group]) => ({ purpose, ...this.summarize(group) }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+
+    const byModel = Object.values(groupBy(rows, row => `${row.provider}/${row.model}`))
+      .map(group => ({ provider: group[0].provider, model: group[0].model, ...this.summarize(group) }));
+
+    const daily = Object.entries(groupBy(rows, row => moment(row.createdAt).format('YYYY-MM-DD')))
+      .map(([date, group]) => ({ date, ...this.summarize(group) }));
+
+    const topDebts = Object.values(groupBy(rows.filter(row => row.debtId), row => row.debtId))
+      .map(group => ({
+        debtId: group[0].debtId,
+        invoiceNumber: group[0].Debt?.invoiceNumber || null,
+        ...this.summarize(group)
+      }))
+      .sort((a, b) => b.totalTokens - a.totalTokens)
+      .slice(0, topDebtLimit);
+
+    return {
+      startDate,
+      endDate,
+      totals: this.summarize(rows),
+      byPurpose,
+      byModel,
+      daily,
+      topDebts,
+      budget: await this.getBudgetStatus()
+    };
+  }
+}
+
+module.exports = LlmUsageService;
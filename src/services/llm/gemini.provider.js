@@ -0,0 +1,46 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LlmProvider = require('./llm-provider');
+
+class GeminiProvider extends LlmProvider {
+  constructor({ apiKey, model }) {
+    super('gemini', model);
+
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is not configured');
+    }
+
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+    // gemini-pro (1.0) rejects responseMimeType; later models support JSON output
+    this.supportsJsonMode = !/^(models\/)?gemini-(pro|1\.0)/.test(model);
+  }
+
+  async generate({ prompt, history = [], responseFormat = 'text', attachments = [] }) {
+    // Images go inline after the prompt text
+    const parts = [
+      { text: prompt },
+      ...attachments.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }))
+    ];
+    const request = attachments.length > 0 ? parts : prompt;
+
+    let result;
+    if (history.length > 0) {
+      const chat = this.client.startChat({ history });
+      result = await chat.sendMessage(request);
+    } else if (responseFormat === 'json' && this.supportsJsonMode) {
+      result = await this.client.generateContent({
+        contents: [{ role: 'user', parts }],
+        generationConfig: { responseMimeType: 'application/json' }
+      });
+    } else {
+      result = await this.client.generateContent(request);
+    }
+
+    const response = await result.response;
+    const usage = response.usageMetadata
+      ? { inputTokens: response.usageMetadata.promptTokenCount || 0, outputTokens: response.usageMetadata.candidatesTokenCount || 0 }
+      : null;
+    return this.buildResult(response.text(), usage);
+  }
+}
+
+module.exports = GeminiProvider;
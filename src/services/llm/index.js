@@ -0,0 +1,18 @@
+const GeminiProvider = require('./gemini.provider');
+const LocalProvider = require('./local.provider');
+const { getLlmConfig } = require('../../config/llm');
+
+function createLlmProvider(config = getLlmConfig()) {
+  switch (config.provider) {
+    case 'local':
+      return new LocalProvider({ model: config.model });
+    case 'gemini':
+      return new GeminiProvider({ apiKey: config.apiKey, model: config.model });
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
+
+module.exports = {
+  createLlmProvider
+};
@@ -0,0 +1,31 @@
+// Contract for text generation backends. GeminiService builds the prompts;
+// a provider only turns a request into text.
+//
+// generate({ purpose, prompt, history, context, responseFormat, attachments }) resolves to { text, provider, model, usage }:
+// - purpose: what the text is for, e.g. 'debt_reminder' or 'response_analysis'
+// - prompt: the full instruction text
+// - history: earlier chat turns as [{ role: 'user' | 'model', parts: [{ text }] }]
+// - context: the structured inputs the prompt was built from, for providers
+//   that work from data rather than from the prompt
+// - responseFormat: 'json' when the caller parses the text as JSON; backends with a JSON
+//   output mode should switch it on, others return text as usual ('text' otherwise)
+// - attachments: images sent along with the prompt as [{ mimeType, data }] with base64
+//   data; multimodal backends pass them to the model, text-only backends ignore them
+// - usage: { inputTokens, outputTokens } as reported by the backend, or null when it
+//   does not report token counts (GeminiService then estimates them)
+class LlmProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  async generate() {
+    throw new Error(`${this.constructor.name} does not implement generate()`);
+  }
+
+  buildResult(text, usage = null) {
+    return { text, provider: this.name, model: this.model, usage };
+  }
+}
+
+module.exports = LlmProvider;
@@ -0,0 +1,263 @@
+const moment = require('moment');
+const LlmProvider = require('./llm-provider');
+const MoneyService = require('../money.service');
+const { detectLanguage } = require('../../utils/language-detector');
+
+// Deterministic offline provider: messages come from fixed Indonesian templates
+// (whatever the debtor's language) and reply analysis from keyword rules, so the
+// whole collection flow runs without network access or an API key. It reads the
+// structured request context, not the prompt.
+
+const money = new MoneyService();
+
+const REMINDER_OPENINGS = {
+  1: 'Kami ingin mengingatkan dengan hormat',
+  2: 'Kami informasikan kembali',
+  3: 'Kami meminta perhatian serius Anda',
+  4: 'Dengan ini kami tegaskan',
+  5: 'Ini adalah peringatan terakhir kami'
+};
+
+const REMINDER_CLOSINGS = {
+  1: 'Mohon abaikan pesan ini jika pembayaran sudah dilakukan.',
+  2: 'Mohon segera lakukan pembayaran atau balas pesan ini untuk konfirmasi.',
+  3: 'Mohon lakukan pembayaran dalam 3 hari atau hubungi kami untuk solusi pembayaran.',
+  4: 'Jika tidak ada pembayaran atau tanggapan, kami akan mengambil langkah penagihan lanjutan.',
+  5: 'Tanpa pembayaran atau tanggapan dalam 2 hari, tagihan ini akan kami eskalasi sesuai ketentuan yang berlaku.'
+};
+
+// Checked in order; the first matching rule decides the intent
+const INTENT_RULES = [
+  ['payment_plan_acceptance', /\b(setuju|agree)\b/],
+  ['dispute', /sudah (saya )?(bayar|lunas|transfer)|tidak (pernah|merasa)|salah (tagih|jumlah|nominal)|bukan (hutang|tagihan) saya|keberatan/],
+  ['payment_plan_request', /cicil|angsur|bertahap/],
+  ['financial_hardship', /(tidak|belum) (punya|ada) (uang|dana)|kesulitan|susah|phk|bangkrut|sakit/],
+  ['payment_promise', /(akan|mau|bisa|siap) (saya )?(bayar|transfer|lunasi)|(bayar|transfer|lunasi) (besok|lusa|tanggal|minggu depan|bulan depan|hari ini|nanti)/],
+  ['question', /\?|\b(berapa|kapan|bagaimana|gimana|kenapa|mengapa)\b/],
+  ['acknowledgment', /\b(ok|oke|okay|baik|siap|terima kasih|makasih|noted)\b/]
+];
+
+const NEGATIVE_PATTERN = /marah|kesal|ganggu|penipu|bodoh|lapor|ancam|jangan (hubungi|telepon|chat)/;
+const POSITIVE_PATTERN = /terima kasih|makasih|siap|baik|setuju/;
+const URGENT_PATTERN = /segera|hari ini|sekarang|darurat/;
+
+const SUGGESTED_ACTIONS = {
+  payment_promise: 'wait',
+  payment_plan_acceptance: 'follow_up',
+  dispute: 'negotiate',
+  financial_hardship: 'negotiate',
+  payment_plan_request: 'negotiate',
+  question: 'follow_up',
+  acknowledgment: 'follow_up',
+  unknown: 'follow_up'
+};
+
+const NEGOTIATION_REPLIES = {
+  dispute: 'Terima kasih atas informasinya. Mohon kirimkan bukti pembayaran atau penjelasan keberatan Anda agar dapat kami periksa.',
+  financial_hardship: 'Kami memahami kondisi Anda. Kami dapat membantu dengan opsi pembayaran bertahap; mohon informasikan kemampuan bayar Anda.',
+  payment_plan_request: 'Permintaan cicilan Anda kami terima dan akan kami tindak lanjuti dengan usulan jadwal pembayaran.',
+  question: 'Terima kasih atas pertanyaannya. Tim kami akan membantu menjelaskan detail tagihan Anda.',
+  payment_promise: 'Terima kasih atas komitmen pembayaran Anda. Kami akan mencatat dan menunggu pembayarannya.'
+};
+
+class LocalProvider extends LlmProvider {
+  constructor({ model = 'local-rules' } = {}) {
+    super('local', model);
+  }
+
+  // Rules run in-process, so nothing counts against the LLM budgets
+  buildResult(text) {
+    return super.buildResult(text, { inputTokens: 0, outputTokens: 0 });
+  }
+
+  async generate({ purpose, context = {} }) {
+    switch (purpose) {
+      case 'debt_reminder':
+        return this.buildResult(this.reminder(context));
+      case 'payment_confirmation':
+        return this.buildResult(this.paymentConfirmation(context));
+      case 'negotiation':
+        return this.buildResult(this.negotiation(context));
+      case 'escalation':
+        return this.buildResult(this.escalation(context));
+      case 'broken_promise':
+        return this.buildResult(this.brokenPromise(context));
+      case 'response_analysis':
+        return this.buildResult(JSON.stringify(this.analyze(context.debtorMessage)));
+      case 'payment_plan_terms':
+        return this.buildResult(JSON.stringify(this.planTerms(context)));
+      case 'conversation_summary':
+        return this.buildResult(this.summary(context));
+      case 'receipt_extraction':
+        return this.buildResult(JSON.stringify(this.receipt(context)));
+      case 'connection_test':
+        return this.buildResult('OK');
+      default:
+        throw new Error(`Local provider has no rule for purpose "${purpose}"`);
+    }
+  }
+
+  reminder({ debtorInfo, debtDetails, reminderLevel = 1 }) {
+    const level = Math.min(Math.max(reminderLevel, 1), 5);
+    const { installment } = debtDetails;
+    const subject = installment
+      ? `${installment.label} (${installment.number} dari ${installment.total}) sebesar ${money.formatDetails(debtDetails)}`
+      : `tagihan${debtDetails.invoiceNumber ? ` ${debtDetails.invoiceNumber}` : ''} sebesar ${money.formatDetails(debtDetails)}`;
+
+    return [
+      `Yth. ${debtorInfo.name}${debtorInfo.company ? ` (${debtorInfo.company})` : ''},`,
+      `${REMINDER_OPENINGS[level]} mengenai ${subject} yang jatuh tempo pada ${debtDetails.dueDate} (terlambat ${debtDetails.daysOverdue} hari).`,
+      REMINDER_CLOSINGS[level],
+      'Terima kasih.'
+    ].join('\n\n');
+  }
+
+  paymentConfirmation({ debtorInfo, paymentDetails }) {
+    const balance = paymentDetails.remainingBalance > 0
+      ? `Sisa tagihan Anda saat ini ${money.format(paymentDetails.remainingBalance, paymentDetails.currency)}.`
+      : 'Tagihan Anda sudah lunas.';
+
+    return [
+      `Terima kasih ${debtorInfo.name}, pembayaran sebesar ${money.format(paymentDetails.amount, paymentDetails.currency)} pada ${paymentDetails.date} sudah kami terima${paymentDetails.reference ? ` (ref. ${paymentDetails.reference})` : ''}.`,
+      balance
+    ].join('\n\n');
+  }
+
+  negotiation({ debtorInfo, debtDetails, debtorMessage }) {
+    const { intent } = this.analyze(debtorMessage);
+    const reply = NEGOTIATION_REPLIES[intent] || 'Terima kasih atas balasan Anda. Kami akan segera menindaklanjuti.';
+
+    return `Halo ${debtorInfo.name}, ${reply}\n\nTotal tagihan Anda: ${money.formatDetails(debtDetails)}.`;
+  }
+
+  escalation({ debtorInfo, debtDetails, escalationType }) {
+    return [
+      `Yth. ${debtorInfo.name},`,
+      `Tagihan sebesar ${money.formatDetails(debtDetails)} telah terlambat ${debtDetails.daysOverdue} hari dan belum ada penyelesaian setelah ${debtDetails.previousReminders || 0} pengingat.`,
+      `Kasus ini kami teruskan ke tahap ${escalationType}. Hubungi kami dalam 3 hari untuk menyelesaikan sebelum proses berjalan.`
+    ].join('\n\n');
+  }
+
+  brokenPromise({ debtorInfo, debtDetails, promiseDetails }) {
+    return [
+      `Halo ${debtorInfo.name}, Anda berjanji membayar ${money.format(promiseDetails.promisedAmount, debtDetails.currency)} pada ${promiseDetails.promisedDate}, namun pembayaran tersebut belum kami terima sepenuhnya.`,
+      `Sisa tagihan Anda ${money.formatDetails(debtDetails)}. Mohon lakukan pembayaran sekarang atau balas dengan tanggal pembayaran yang baru.`
+    ].join('\n\n');
+  }
+
+  planTerms({ debtDetails, policy }) {
+    return {
+      down_payment: debtDetails.minDownPayment,
+      installment_count: Math.min(3, policy.maxInstallments),
+      reasoning: 'Minimum down payment with the remainder over three installments'
+    };
+  }
+
+  summary({ previousSummary, turns = [] }) {
+    const lines = turns.map(turn => `${turn.role === 'agent' ? 'Kami' : 'Debitur'}: ${turn.text}`);
+    return [previousSummary, ...lines].filter(Boolean).join('\n').slice(-1000);
+  }
+
+  // Images cannot be read here; only an amount mentioned in the caption is picked up
+  receipt({ caption }) {
+    const amount = caption ? this.extractAmount(caption.toLowerCase()) : null;
+
+    return {
+      amount,
+      currency: null,
+      date: null,
+      sender_name: null,
+      bank: null,
+      reference: null,
+      invoice_number: null,
+      confidence: amount ? 0.3 : 0
+    };
+  }
+
+  analyze(message = '') {
+    const text = message.toLowerCase();
+    const rule = INTENT_RULES.find(([, pattern]) => pattern.test(text));
+    const intent = rule ? rule[0] : 'unknown';
+
+    let sentiment = 'neutral';
+    if (NEGATIVE_PATTERN.test(text)) {
+      sentiment = 'negative';
+    } else if (POSITIVE_PATTERN.test(text)) {
+      sentiment = 'positive';
+    }
+
+    let paymentCommitment = 'maybe';
+    if (['payment_promise', 'payment_plan_acceptance'].includes(intent)) {
+      paymentCommitment = 'yes';
+    } else if (['dispute', 'financial_hardship'].includes(intent)) {
+      paymentCommitment = 'no';
+    }
+
+    return {
+      intent,
+      sentiment,
+      urgency: URGENT_PATTERN.test(text) ? 'high' : 'medium',
+      payment_commitment: paymentCommitment,
+      suggested_action: SUGGESTED_ACTIONS[intent],
+      promised_amount: intent === 'payment_promise' ? this.extractAmount(text) : null,
+      promised_date: intent === 'payment_promise' ? this.extractDate(text) : null,
+      language: detectLanguage(message),
+      confidence: rule ? 0.8 : 0.3,
+      summary: rule ? `Pesan debitur dikenali sebagai ${intent}` : 'Pesan tidak dikenali oleh aturan lokal'
+    };
+  }
+
+  // "Rp 500.000", "500rb", "1,5 juta"
+  extractAmount(text) {
+    const match = text.match(/rp\.?\s*([\d.,]+)|([\d.,]+)\s*(rb|ribu|k|jt|juta)\b/);
+    if (!match) {
+      return null;
+    }
+
+    if (match[1]) {
+      return parseInt(match[1].replace(/[.,]/g, ''), 10) || null;
+    }
+
+    const value = parseFloat(match[2].replace(/\./g, '').replace(',', '.'));
+    const multiplier = ['jt', 'juta'].includes(match[3]) ? 1000000 : 1000;
+    return Math.round(value * multiplier) || null;
+  }
+
+  extractDate(text, today = moment()) {
+    const iso = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (iso) {
+      return iso[1];
+    }
+
+    const dayMonth = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\b/);
+    if (dayMonth) {
+      const year = dayMonth[3] || today.year();
+      return moment(`${year}-${dayMonth[2]}-${dayMonth[1]}`, 'YYYY-M-D').format('YYYY-MM-DD');
+    }
+
+    const relative = [
+      [/hari ini/, 0, 'days'],
+      [/\bbesok\b/, 1, 'days'],
+      [/\blusa\b/, 2, 'days'],
+      [/minggu depan/, 1, 'weeks'],
+      [/bulan depan/, 1, 'months']
+    ].find(([pattern]) => pattern.test(text));
+    if (relative) {
+      return today.clone().add(relative[1], relative[2]).format('YYYY-MM-DD');
+    }
+
+    // "tanggal 25" means the next 25th
+    const dayOnly = text.match(/tanggal (\d{1,2})\b/);
+    if (dayOnly) {
+      const date = today.clone().date(parseInt(dayOnly[1], 10));
+      if (date.isBefore(today, 'day')) {
+        date.add(1, 'month');
+      }
+      return date.format('YYYY-MM-DD');
+    }
+
+    return null;
+  }
+}
+
+module.exports = LocalProvider;
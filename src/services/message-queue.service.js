@@ -0,0 +1,247 @@
+const { OutboundMessage, ReminderLog } = require('../models');
+const {
+  MESSAGE_PRIORITIES,
+  getQueuePolicy,
+  getMessagePriority,
+  getRetryDelay
+} = require('../config/message-queue');
+const { renderTemplate } = require('../utils/template');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Outbound WhatsApp messages are stored before they are sent, then delivered in priority
+// order within the per-number and global rate limits. Failed sends are retried with
+// exponential backoff and dead-lettered after MESSAGE_QUEUE_MAX_ATTEMPTS. Nothing is
+// attempted while the socket is down; the queue drains when it reconnects.
+class MessageQueueService {
+  constructor(whatsappService) {
+    this.whatsappService = whatsappService;
+    this.processing = false;
+    this.timer = null;
+
+    if (typeof this.whatsappService.registerConnectionHandler === 'function') {
+      this.whatsappService.registerConnectionHandler('message-queue', () => this.processQueue());
+    }
+  }
+
+  // Polls for retries that came due. Messages left 'sending' by a crash are sent again.
+  async start() {
+    await OutboundMessage.update({ status: 'queued' }, { where: { status: 'sending' } });
+
+    const { pollMs } = getQueuePolicy();
+    this.timer = setInterval(() => this.processQueue(), pollMs);
+    logger.info(`Message queue started, polling every ${pollMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isConnected() {
+    return typeof this.whatsappService.isConnected === 'function' ? this.whatsappService.isConnected() : true;
+  }
+
+  // `priority` is a MESSAGE_PRIORITIES name or a message type. `reminderLogId` is the
+  // log entry to mark sent or failed. With `media` the message is sent as a document or
+  // image captioned with `message`. Delivery is attempted right away when the limits
+  // allow and nothing more urgent is waiting; the returned row shows the outcome.
+  async enqueue({ phoneNumber, message, media = null, priority = 'normal', debtId = null, reminderLogId = null }) {
+    const outbound = await OutboundMessage.create({
+      phoneNumber,
+      message,
+      media,
+      priority: getMessagePriority(priority),
+      debtId,
+      reminderLogId,
+      nextAttemptAt: new Date()
+    });
+
+    await this.processQueue({ maxMessages: 1 });
+    return await outbound.reload();
+  }
+
+  // Renders a {{name}} template (see src/config/fallback-templates.js) and queues it
+  async enqueueTemplate({ template, variables = {}, ...options }) {
+    return await this.enqueue({ ...options, message: renderTemplate(template, variables) });
+  }
+
+  // Sends due messages until the queue is empty, a rate limit is reached or the socket
+  // drops. Only one run at a time; a run already in progress picks up new messages.
+  async processQueue({ maxMessages = Infinity } = {}) {
+    if (this.processing || !this.isConnected()) {
+      return 0;
+    }
+
+    this.processing = true;
+    let sent = 0;
+    try {
+      while (sent < maxMessages && this.isConnected()) {
+        const next = await this.findNextSendable();
+        if (!next) {
+          break;
+        }
+        if (await this.deliver(next)) {
+          sent++;
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing message queue:', error);
+    } finally {
+      this.processing = false;
+    }
+
+    return sent;
+  }
+
+  // The most urgent due message whose number is under its rate limit, or null when the
+  // global limit is reached or nothing can go yet
+  async findNextSendable(policy = getQueuePolicy()) {
+    const since = new Date(Date.now() - MINUTE_MS);
+
+    if (policy.globalPerMinute > 0 && await OutboundMessage.countSentSince(since) >= policy.globalPerMinute) {
+      return null;
+    }
+
+    const due = await OutboundMessage.findDue();
+    const limited = new Set();
+    for (const outbound of due) {
+      if (limited.has(outbound.phoneNumber)) {
+        continue;
+      }
+      if (policy.perNumberPerMinute > 0 &&
+        await OutboundMessage.countSentSince(since, outbound.phoneNumber) >= policy.perNumberPerMinute) {
+        limited.add(outbound.phoneNumber);
+        continue;
+      }
+      return outbound;
+    }
+
+    return null;
+  }
+
+  async deliver(outbound, policy = getQueuePolicy()) {
+    await outbound.update({ status: 'sending' });
+
+    try {
+      const result = outbound.media
+        ? await this.whatsappService.sendMedia(outbound.phoneNumber, outbound.media, outbound.message)
+        : await this.whatsappService.sendMessage(outbound.phoneNumber, outbound.message);
+      const whatsappMessageId = result?.key?.id || null;
+
+      await outbound.update({
+        status: 'sent',
+        attempts: outbound.attempts + 1,
+        sentAt: new Date(),
+        whatsappMessageId,
+        lastError: null
+      });
+      await this.updateLog(outbound, {
+        status: 'sent',
+        deliveryStatus: 'sent',
+        whatsappMessageId,
+        sentAt: outbound.sentAt,
+        error: null
+      });
+      return true;
+    } catch (error) {
+      // A send that failed because the socket dropped is not counted against the message
+      if (!this.isConnected()) {
+        await outbound.update({ status: 'queued', lastError: error.message });
+        logger.warn(`WhatsApp disconnected, message ${outbound.id} stays queued`);
+        return false;
+      }
+
+      const attempts = outbound.attempts + 1;
+      if (attempts >= policy.maxAttempts) {
+        await outbound.update({ status: 'dead_letter', attempts, lastError: error.message });
+        await this.updateLog(outbound, { status: 'failed', deliveryStatus: 'failed', error: error.message });
+        logger.error(`Message ${outbound.id} to ${outbound.phoneNumber} dead-lettered after ${attempts} attempts: ${error.message}`);
+        return false;
+      }
+
+      const delay = getRetryDelay(attempts, policy);
+      await outbound.update({
+        status: 'queued',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delay)
+      });
+      logger.warn(`Message ${outbound.id} to ${outbound.phoneNumber} failed (attempt ${attempts}), retrying in ${delay}ms: ${error.message}`);
+      return false;
+    }
+  }
+
+  async updateLog(outbound, values) {
+    if (!outbound.reminderLogId) {
+      return;
+    }
+
+    try {
+      await ReminderLog.update(values, { where: { id: outbound.reminderLogId } });
+    } catch (error) {
+      logger.error(`Failed to update log for queued message ${outbound.id}:`, error);
+    }
+  }
+
+  // Puts a dead-lettered message back in the queue with a fresh set of attempts
+  async retry(outbound) {
+    if (outbound.status !== 'dead_letter') {
+      throw new Error(`Only dead-lettered messages can be retried, this one is ${outbound.status}`);
+    }
+
+    await outbound.update({ status: 'queued', attempts: 0, nextAttemptAt: new Date() });
+    await this.updateLog(outbound, { status: 'queued', deliveryStatus: null, error: null });
+    await this.processQueue({ maxMessages: 1 });
+
+    logger.info(`Dead-lettered message ${outbound.id} queued again`);
+    return await outbound.reload();
+  }
+
+  async getStats() {
+    const [{ byStatus, queuedByPriority }, oldest, sentLastMinute] = await Promise.all([
+      OutboundMessage.getDepth(),
+      OutboundMessage.findOne({ where: { status: 'queued' }, order: [['createdAt', 'ASC']] }),
+      OutboundMessage.countSentSince(new Date(Date.now() - MINUTE_MS))
+    ]);
+
+    const priorityNames = Object.fromEntries(Object.entries(MESSAGE_PRIORITIES).map(([name, value]) => [value, name]));
+    const policy = getQueuePolicy();
+
+    return {
+      connected: this.isConnected(),
+      depth: byStatus.queued + byStatus.sending,
+      byStatus,
+      queuedByPriority: Object.fromEntries(
+        Object.entries(queuedByPriority).map(([priority, count]) => [priorityNames[priority] || priority, count])
+      ),
+      oldestQueuedAt: oldest ? oldest.createdAt : null,
+      sentLastMinute,
+      limits: {
+        globalPerMinute: policy.globalPerMinute || null,
+        perNumberPerMinute: policy.perNumberPerMinute || null,
+        maxAttempts: policy.maxAttempts
+      }
+    };
+  }
+
+  async listMessages({ status, debtId, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (debtId) where.debtId = debtId;
+
+    const { rows, count } = await OutboundMessage.findAndCountAll({
+      where,
+      order: [['priority', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    return { messages: rows, total: count };
+  }
+}
+
+module.exports = MessageQueueService;
@@ -0,0 +1,151 @@
+const { MessageTemplate } = require('../models');
+const { TEMPLATE_MESSAGE_TYPES, TEMPLATE_VARIABLES, SCHEDULE_LABELS, DEFAULT_TEMPLATES } = require('../config/fallback-templates');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, getLanguageChain } = require('../config/languages');
+const { extractVariables } = require('../utils/template');
+const logger = require('../utils/logger');
+
+// Higher is more specific: a language earlier in the fallback chain beats an exact level
+function scoreTemplate(template, level, languages) {
+  return (languages.length - languages.indexOf(template.language)) * 2 + (template.level === level ? 1 : 0);
+}
+
+function pickBest(templates, level, languages) {
+  return templates.reduce((best, template) => (
+    !best || scoreTemplate(template, level, languages) > scoreTemplate(best, level, languages) ? template : best
+  ), null);
+}
+
+class MessageTemplateService {
+  // Picks the fallback for a send: the closest match along the language's fallback chain,
+  // then level. A stored template replaces the built-in defaults for its language at every
+  // level it covers
+  async resolveTemplate(messageType, { level = null, language = DEFAULT_LANGUAGE } = {}) {
+    const languages = getLanguageChain(language);
+    const matchesLevel = template => template.level === null || level === null || template.level === level;
+
+    const stored = pickBest(await MessageTemplate.findCandidates(messageType, level, languages), level, languages);
+    const builtIn = pickBest(
+      DEFAULT_TEMPLATES.filter(template => (
+        template.messageType === messageType && languages.includes(template.language) && matchesLevel(template)
+      )),
+      level,
+      languages
+    );
+
+    if (stored && (!builtIn || languages.indexOf(stored.language) <= languages.indexOf(builtIn.language))) {
+      return {
+        id: stored.id,
+        messageType,
+        level: stored.level,
+        language: stored.language,
+        body: stored.body
+      };
+    }
+
+    if (!builtIn) {
+      throw new Error(`No ${messageType} template available for language ${language}`);
+    }
+
+    return { id: null, ...builtIn };
+  }
+
+  // Installment schedule wording for plan replies, along the same language chain
+  resolveScheduleLabels(language = DEFAULT_LANGUAGE) {
+    const match = getLanguageChain(language).find(code => SCHEDULE_LABELS[code]);
+    return SCHEDULE_LABELS[match];
+  }
+
+  // Returns a list of problems; empty when the template can be saved
+  validateTemplate({ messageType, level = null, language = DEFAULT_LANGUAGE, body }) {
+    const errors = [];
+
+    if (!TEMPLATE_MESSAGE_TYPES.includes(messageType)) {
+      errors.push(`messageType must be one of: ${TEMPLATE_MESSAGE_TYPES.join(', ')}`);
+    }
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+    if (level !== null && (!Number.isInteger(level) || level < 1 || level > 5)) {
+      errors.push('level must be an integer from 1 to 5, or null for every level');
+    }
+    if (level !== null && messageType !== 'reminder') {
+      errors.push('level only applies to reminder templates');
+    }
+
+    if (typeof body !== 'string' || !body.trim()) {
+      errors.push('body is required');
+    } else if (TEMPLATE_VARIABLES[messageType]) {
+      const unknown = extractVariables(body).filter(name => !TEMPLATE_VARIABLES[messageType].includes(name));
+      if (unknown.length > 0) {
+        errors.push(`Unknown variables for ${messageType}: ${unknown.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  async listTemplates({ messageType, language, includeInactive = false } = {}) {
+    const where = {};
+    if (messageType) where.messageType = messageType;
+    if (language) where.language = language;
+    if (!includeInactive) where.isActive = true;
+
+    return await MessageTemplate.findAll({
+      where,
+      order: [['messageType', 'ASC'], ['language', 'ASC'], ['level', 'ASC']]
+    });
+  }
+
+  async createTemplate(data, userId) {
+    const values = {
+      messageType: data.messageType,
+      level: data.level ?? null,
+      language: data.language || DEFAULT_LANGUAGE,
+      body: data.body
+    };
+
+    const errors = this.validateTemplate(values);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const template = await MessageTemplate.create({
+      ...values,
+      isActive: data.isActive ?? true,
+      createdById: userId,
+      updatedById: userId
+    });
+
+    logger.info(`Message template ${template.id} (${template.messageType}/${template.language}) created by user ${userId}`);
+    return template;
+  }
+
+  async updateTemplate(template, data, userId) {
+    const values = {
+      messageType: data.messageType ?? template.messageType,
+      level: data.level !== undefined ? data.level : template.level,
+      language: data.language ?? template.language,
+      body: data.body ?? template.body
+    };
+
+    const errors = this.validateTemplate(values);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await template.update({
+      ...values,
+      isActive: data.isActive ?? template.isActive,
+      updatedById: userId
+    });
+
+    logger.info(`Message template ${template.id} updated by user ${userId}`);
+    return template;
+  }
+
+  getDefaultTemplates() {
+    return DEFAULT_TEMPLATES;
+  }
+}
+
+module.exports = MessageTemplateService;
@@ -0,0 +1,57 @@
+const { DEFAULT_LANGUAGE, getLocale } = require('../config/languages');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+// Formats every amount a debtor, collector or LLM prompt sees. Amounts are written in
+// their own currency and laid out for the debtor's language: Rp 1.500.000 in
+// Indonesian, IDR 1,500,000 in English, $250.50 for a USD debt.
+class MoneyService {
+  format(amount, currency = DEFAULT_CURRENCY, language = DEFAULT_LANGUAGE) {
+    const value = Math.round(Number(amount || 0) * 100) / 100;
+
+    return new Intl.NumberFormat(getLocale(language), {
+      style: 'currency',
+      currency: currency || DEFAULT_CURRENCY,
+      // Whole amounts without ",00"; cents only when there are any
+      minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+      maximumFractionDigits: 2
+    })
+      .format(value)
+      // Intl separates symbol and number with a no-break space
+      .replace(/[\u00a0\u202f]/g, ' ');
+  }
+
+  // Totals per currency, in the order the currencies first appear. Amounts in different
+  // currencies are never added together.
+  sumByCurrency(entries) {
+    const totals = new Map();
+
+    for (const { amount, currency } of entries) {
+      const code = currency || DEFAULT_CURRENCY;
+      totals.set(code, (totals.get(code) || 0) + parseFloat(amount || 0));
+    }
+
+    return [...totals].map(([currency, amount]) => ({ currency, amount: Math.round(amount * 100) / 100 }));
+  }
+
+  formatTotals(totals, language = DEFAULT_LANGUAGE) {
+    if (totals.length === 0) {
+      return this.format(0, DEFAULT_CURRENCY, language);
+    }
+    return totals.map(total => this.format(total.amount, total.currency, language)).join(' + ');
+  }
+
+  // Outstanding amount of a debtDetails object: one debt's amount and currency, or the
+  // per-currency `totals` across a debtor's debts
+  formatDetails(details, language = DEFAULT_LANGUAGE) {
+    return details.totals
+      ? this.formatTotals(details.totals, language)
+      : this.format(details.amount, details.currency, language);
+  }
+
+  // The debt's remaining balance in its own currency
+  formatDebt(debt, language = DEFAULT_LANGUAGE, field = 'remainingBalance') {
+    return this.format(debt[field], debt.currency, language);
+  }
+}
+
+module.exports = MoneyService;
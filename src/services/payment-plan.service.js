@@ -0,0 +1,129 @@
+const database = require('../config/database');
+const { Debt, PaymentPlan, PaymentPlanInstallment } = require('../models');
+const { getPaymentPlanPolicy, validatePlanTerms } = require('../config/payment-plan-policy');
+const logger = require('../utils/logger');
+
+class PaymentPlanService {
+  getPolicy() {
+    return getPaymentPlanPolicy();
+  }
+
+  async findPlan(planId, options = {}) {
+    return await PaymentPlan.findByPk(planId, {
+      include: [{ model: PaymentPlanInstallment, as: 'installments' }],
+      order: [[{ model: PaymentPlanInstallment, as: 'installments' }, 'sequence', 'ASC']],
+      ...options
+    });
+  }
+
+  // Creates a proposed plan covering the debt's outstanding balance. Throws with
+  // a `violations` list when the terms fall outside the policy.
+  async proposePlan(debt, terms, { proposedBy = 'collector', createdById = null, debtorResponseId = null } = {}) {
+    const policy = this.getPolicy();
+    const totalAmount = parseFloat(debt.remainingBalance);
+    const violations = validatePlanTerms(terms, totalAmount, policy);
+
+    if (violations.length > 0) {
+      const error = new Error(`Payment plan is outside the policy limits: ${violations.join('; ')}`);
+      error.violations = violations;
+      throw error;
+    }
+
+    const planId = await database.getSequelize().transaction(async (transaction) => {
+      // Only the latest offer stays open
+      await PaymentPlan.update(
+        { status: 'cancelled', cancelledAt: new Date() },
+        { where: { debtId: debt.id, status: 'proposed' }, transaction }
+      );
+
+      const plan = await PaymentPlan.create({
+        debtId: debt.id,
+        debtorId: debt.debtorId,
+        debtorResponseId,
+        totalAmount,
+        downPayment: terms.downPayment,
+        installmentCount: terms.installmentCount,
+        intervalDays: policy.installmentIntervalDays,
+        proposedBy,
+        createdById
+      }, { transaction });
+
+      const schedule = PaymentPlan.buildSchedule({ totalAmount, ...terms }, policy);
+      await PaymentPlanInstallment.bulkCreate(
+        schedule.map(installment => ({ ...installment, paymentPlanId: plan.id })),
+        { transaction }
+      );
+
+      return plan.id;
+    });
+
+    logger.info(`Payment plan ${planId} proposed for debt ${debt.id} by ${proposedBy}`);
+    return await this.findPlan(planId);
+  }
+
+  async acceptPlan(plan) {
+    if (plan.status !== 'proposed') {
+      throw new Error(`Only proposed payment plans can be accepted (plan is ${plan.status})`);
+    }
+
+    await database.getSequelize().transaction(async (transaction) => {
+      const activePlan = await PaymentPlan.findOne({
+        where: { debtId: plan.debtId, status: 'active' },
+        transaction
+      });
+      if (activePlan) {
+        throw new Error(`Debt ${plan.debtId} already has an active payment plan`);
+      }
+
+      await plan.update({ status: 'active', acceptedAt: new Date() }, { transaction });
+
+      // Sets installment statuses and moves reminders to the first due installment
+      const debt = await Debt.findByPk(plan.debtId, { transaction });
+      await PaymentPlan.applyPaymentsForDebt(debt, { transaction });
+    });
+
+    logger.info(`Payment plan ${plan.id} accepted for debt ${plan.debtId}`);
+    return await this.findPlan(plan.id);
+  }
+
+  async cancelPlan(plan) {
+    if (!['proposed', 'active'].includes(plan.status)) {
+      throw new Error(`Payment plan is already ${plan.status}`);
+    }
+
+    const wasActive = plan.status === 'active';
+
+    await database.getSequelize().transaction(async (transaction) => {
+      await plan.update({ status: 'cancelled', cancelledAt: new Date() }, { transaction });
+
+      // Regular reminders on the full balance resume
+      if (wasActive) {
+        const debt = await Debt.findByPk(plan.debtId, { transaction });
+        await debt.update({ remindersPausedUntil: null }, { transaction });
+      }
+    });
+
+    logger.info(`Payment plan ${plan.id} cancelled for debt ${plan.debtId}`);
+    return await this.findPlan(plan.id);
+  }
+
+  async findLatestProposedPlan(debtIds) {
+    return await PaymentPlan.findOne({
+      where: { debtId: debtIds, status: 'proposed' },
+      include: [{ model: PaymentPlanInstallment, as: 'installments' }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  async getNextInstallment(debtId) {
+    const plan = await PaymentPlan.findActiveForDebt(debtId);
+    if (!plan) {
+      return null;
+    }
+
+    const installment = plan.getNextInstallment();
+    return installment ? { plan, installment } : null;
+  }
+}
+
+module.exports = PaymentPlanService;
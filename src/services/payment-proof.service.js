@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { PaymentProof, Debt, Debtor } = require('../models');
+const database = require('../config/database');
+const { getPaymentProofPolicy } = require('../config/payment-proofs');
+const logger = require('../utils/logger');
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+// Company forms and honorifics that receipts add to or drop from account names
+const NAME_NOISE = /\b(pt|cv|tbk|ud|bpk|bapak|ibu|sdr|sdri|mr|mrs|ms)\b\.?/g;
+
+function normalizeInvoice(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Transfer notes and captions often run the invoice number into other text. The
+// longest contained number wins, so INV-12 is not read as INV-1.
+function findDebtMentionedIn(debts, text) {
+  const candidate = normalizeInvoice(text);
+  if (!candidate) {
+    return null;
+  }
+
+  const contained = debts
+    .filter(debt => normalizeInvoice(debt.invoiceNumber) && candidate.includes(normalizeInvoice(debt.invoiceNumber)))
+    .sort((a, b) => normalizeInvoice(b.invoiceNumber).length - normalizeInvoice(a.invoiceNumber).length);
+  return contained[0] || null;
+}
+
+// Receipt photos can also misread a character. A near miss only counts when it points
+// at a single debt, since sequential invoice numbers are one character apart.
+function findDebtByInvoice(debts, text) {
+  const mentioned = findDebtMentionedIn(debts, text);
+  if (mentioned) {
+    return mentioned;
+  }
+
+  const candidate = normalizeInvoice(text);
+  if (!candidate) {
+    return null;
+  }
+
+  const near = debts.filter(debt => editDistance(normalizeInvoice(debt.invoiceNumber), candidate) <= 1);
+  return near.length === 1 ? near[0] : null;
+}
+
+function nameTokens(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(NAME_NOISE, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length >= 3);
+}
+
+// Banks truncate account names, so a shared word or a word cut short is enough
+function namesMatch(senderName, names) {
+  const known = names.flatMap(nameTokens);
+  return nameTokens(senderName).some(token =>
+    known.some(other => other.startsWith(token) || token.startsWith(other))
+  );
+}
+
+// Verification queue for receipt photos and transfer slips sent over WhatsApp. A proof
+// records nothing on the debt until a collector approves it into Debt.addPayment().
+class PaymentProofService {
+  // `geminiService` reads receipt images; without it proofs are only queued
+  constructor(geminiService = null) {
+    this.geminiService = geminiService;
+  }
+
+  // `media` comes from WhatsAppService.extractMedia(); `debt` is the debt the proof is
+  // filed under and `debts` all of the debtor's open debts. Returns null for files that
+  // are not accepted as proof.
+  async submitProof(debt, debts, phoneNumber, media, whatsappMessageId = null, policy = getPaymentProofPolicy()) {
+    if (!policy.acceptedMimeTypes.includes(media.mimeType)) {
+      logger.info(`Ignoring ${media.mimeType} file from ${phoneNumber}: not accepted as payment proof`);
+      return null;
+    }
+    if (media.fileSize && media.fileSize > policy.maxBytes) {
+      logger.warn(`Ignoring ${media.fileSize} byte file from ${phoneNumber}: larger than the payment proof limit`);
+      return null;
+    }
+
+    const buffer = await media.download();
+    if (buffer.length > policy.maxBytes) {
+      logger.warn(`Ignoring ${buffer.length} byte file from ${phoneNumber}: larger than the payment proof limit`);
+      return null;
+    }
+
+    const filePath = await this.storeFile(debt.debtorId, media, buffer, policy);
+
+    const proof = await PaymentProof.create({
+      debtId: debt.id,
+      debtorId: debt.debtorId,
+      linkedDebtIds: debts.map(openDebt => openDebt.id),
+      phoneNumber,
+      whatsappMessageId,
+      mediaType: media.type,
+      mimeType: media.mimeType,
+      fileName: media.fileName || null,
+      filePath,
+      fileSize: buffer.length,
+      caption: media.caption || null
+    });
+
+    logger.info(`Payment proof ${proof.id} submitted for debt ${debt.id}`);
+    return proof;
+  }
+
+  // Writes the file to payment-proofs/<debtorId>/ and returns its path relative to the
+  // storage directory
+  async storeFile(debtorId, media, buffer, policy = getPaymentProofPolicy()) {
+    const extension = FILE_EXTENSIONS[media.mimeType] || '';
+    const relativePath = path.join('payment-proofs', String(debtorId), `${Date.now()}-${Math.random().toString(36).slice(2, 8)}${extension}`);
+    const absolutePath = path.join(policy.storageDir, relativePath);
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, buffer);
+
+    return relativePath;
+  }
+
+  getFilePath(proof, policy = getPaymentProofPolicy()) {
+    return path.join(policy.storageDir, proof.filePath);
+  }
+
+  // Reads a receipt image with the AI model, matches it to one of the linked debts and
+  // pre-fills the payment for the collector, flagging anything that does not add up.
+  // Documents are left to the collector.
+  async extractDetails(proof, policy = getPaymentProofPolicy()) {
+    if (proof.mediaType !== 'image' || !this.geminiService) {
+      return proof;
+    }
+
+    const debts = await Debt.findAll({
+      where: { id: proof.linkedDebtIds.length > 0 ? proof.linkedDebtIds : [proof.debtId] },
+      include: [{ model: Debtor, as: 'Debtor' }],
+      order: [['dueDate', 'ASC']]
+    });
+
+    // The debts were deleted since the proof arrived; there is nothing to match against
+    if (debts.length === 0) {
+      return await this.markExtractionFailed(proof, 'None of the linked debts exist anymore', 'debts_missing');
+    }
+
+    let extraction;
+    try {
+      const data = await fs.promises.readFile(this.getFilePath(proof, policy));
+      extraction = await this.geminiService.extractReceiptDetails(
+        { mimeType: proof.mimeType, data },
+        { caption: proof.caption, debtId: proof.debtId }
+      );
+    } catch (error) {
+      return await this.markExtractionFailed(proof, error.message, 'extraction_failed');
+    }
+
+    const { debt, matchedBy } = this.matchDebt(proof, extraction, debts, policy);
+    const flags = await this.flagMismatches(proof, extraction, debt, debts, policy);
+
+    await proof.update({
+      debtId: debt.id,
+      extractionStatus: 'extracted',
+      extraction,
+      suggestedPayment: {
+        debtId: debt.id,
+        amount: extraction.amount,
+        paymentDate: extraction.date,
+        paymentMethod: 'bank_transfer',
+        reference: extraction.reference,
+        matchedBy
+      },
+      flags
+    });
+
+    logger.info(`Payment proof ${proof.id} read as ${extraction.amount} for debt ${debt.id} (${matchedBy})${flags.length ? `, flagged: ${flags.join(', ')}` : ''}`);
+    return proof;
+  }
+
+  async markExtractionFailed(proof, message, flag) {
+    logger.warn(`Could not read payment proof ${proof.id}: ${message}`);
+    await proof.update({
+      extractionStatus: 'failed',
+      extraction: { error: message },
+      suggestedPayment: null,
+      flags: [flag]
+    });
+    return proof;
+  }
+
+  // The invoice in the transfer note decides first, then one named in the caption, then
+  // the only debt whose remaining balance the amount would settle; otherwise the debt
+  // the proof was filed under
+  matchDebt(proof, extraction, debts, policy = getPaymentProofPolicy()) {
+    if (extraction.invoiceNumber) {
+      const debt = findDebtByInvoice(debts, extraction.invoiceNumber);
+      if (debt) {
+        return { debt, matchedBy: 'invoice' };
+      }
+    }
+
+    if (proof.caption) {
+      const debt = findDebtMentionedIn(debts, proof.caption);
+      if (debt) {
+        return { debt, matchedBy: 'caption' };
+      }
+    }
+
+    if (extraction.amount) {
+      const tolerance = policy.amountTolerancePercent / 100;
+      const settled = debts.filter(candidate =>
+        Math.abs(candidate.remainingBalance - extraction.amount) <= candidate.remainingBalance * tolerance
+      );
+      if (settled.length === 1) {
+        return { debt: settled[0], matchedBy: 'amount' };
+      }
+    }
+
+    return { debt: debts.find(candidate => candidate.id === proof.debtId) || debts[0], matchedBy: 'default' };
+  }
+
+  // PROOF_FLAGS codes for the extracted details against the matched debt
+  async flagMismatches(proof, extraction, debt, debts, policy = getPaymentProofPolicy()) {
+    const flags = [];
+
+    if (extraction.confidence < policy.minConfidence) {
+      flags.push('low_confidence');
+    }
+
+    if (!extraction.amount) {
+      flags.push('amount_missing');
+    } else if (extraction.amount < debt.remainingBalance) {
+      flags.push('amount_below_balance');
+    } else if (extraction.amount > debt.remainingBalance) {
+      flags.push('amount_above_balance');
+    }
+
+    if (extraction.currency && extraction.currency !== debt.currency) {
+      flags.push('currency_mismatch');
+    }
+
+    if (extraction.invoiceNumber && !findDebtByInvoice(debts, extraction.invoiceNumber)) {
+      flags.push('invoice_mismatch');
+    }
+
+    const debtor = debt.Debtor;
+    if (extraction.senderName && debtor && !namesMatch(extraction.senderName, [debtor.name, debtor.company])) {
+      flags.push('sender_mismatch');
+    }
+
+    if (extraction.date) {
+      if (moment(extraction.date).isAfter(moment(), 'day')) {
+        flags.push('date_in_future');
+      } else if (debt.issueDate && moment(extraction.date).isBefore(moment(debt.issueDate), 'day')) {
+        flags.push('date_before_issue');
+      }
+    }
+
+    if (extraction.reference && await this.isReferenceUsed(proof, extraction.reference, debts)) {
+      flags.push('duplicate_reference');
+    }
+
+    return flags;
+  }
+
+  // Checks the debtor's other proofs and the payments already on their debts
+  async isReferenceUsed(proof, reference, debts) {
+    const normalized = normalizeInvoice(reference);
+
+    const payments = debts.flatMap(debt => debt.payments || []);
+    if (payments.some(payment => normalizeInvoice(payment.reference) === normalized)) {
+      return true;
+    }
+
+    const others = await PaymentProof.findAll({
+      where: { debtorId: proof.debtorId, id: { [Op.ne]: proof.id }, status: { [Op.ne]: 'rejected' } },
+      attributes: ['id', 'extraction']
+    });
+    return others.some(other => normalizeInvoice(other.extraction?.reference) === normalized);
+  }
+
+  // `debtScope` restricts the queue to debts the user may see (see getDebtScope)
+  async listProofs({ status = 'pending', debtId, debtScope = {}, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (debtId) where.debtId = debtId;
+
+    const { rows, count } = await PaymentProof.findAndCountAll({
+      where,
+      include: [
+        { model: Debt, as: 'Debt', where: debtScope, attributes: ['id', 'invoiceNumber', 'amount', 'currency', 'assignedToId'] },
+        { model: Debtor, as: 'Debtor', attributes: ['id', 'name', 'phone'] }
+      ],
+      order: [['receivedAt', 'ASC']],
+      limit,
+      offset
+    });
+
+    return { proofs: rows, total: count };
+  }
+
+  // Books the payment on the proof's debt, or on `debtId` when it is another of the
+  // debts linked to the proof. Fields the collector leaves out are taken from the
+  // payment pre-filled from the receipt, so an empty request confirms it as read.
+  async approve(proof, values, userId, notes = null) {
+    if (proof.status !== 'pending') {
+      throw new Error('Payment proof is not awaiting verification');
+    }
+
+    const given = Object.fromEntries(
+      Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const {
+      debtId,
+      amount,
+      paymentDate,
+      paymentMethod = 'bank_transfer',
+      reference = null
+    } = { ...proof.suggestedPayment, ...given };
+
+    const targetId = debtId ? parseInt(debtId) : proof.debtId;
+    if (targetId !== proof.debtId && !(proof.linkedDebtIds || []).includes(targetId)) {
+      throw new Error('Debt is not linked to this payment proof');
+    }
+
+    const value = parseFloat(amount);
+    if (!(value > 0)) {
+      throw new Error('amount must be greater than zero');
+    }
+
+    // The conditional update claims the proof, so a second, concurrent review fails
+    // here instead of booking the same payment twice
+    const [claimed] = await PaymentProof.update(
+      { status: 'approved', reviewNotes: notes, reviewedById: userId, reviewedAt: new Date() },
+      { where: { id: proof.id, status: 'pending' } }
+    );
+    if (!claimed) {
+      throw new Error('Payment proof is not awaiting verification');
+    }
+
+    let debt;
+    let payment;
+    try {
+      ({ debt, payment } = await database.getSequelize().transaction(async (transaction) => {
+        const debt = await Debt.findByPk(targetId, { transaction, lock: true });
+        if (!debt) {
+          throw new Error('Debt not found');
+        }
+
+        debt.updatedById = userId;
+        const payment = await debt.addPayment({
+          amount: value,
+          paymentDate: paymentDate || proof.receivedAt,
+          paymentMethod,
+          reference,
+          paymentProofId: proof.id
+        }, userId, { transaction });
+
+        await PaymentProof.update({ debtId: debt.id, payment }, { where: { id: proof.id }, transaction });
+        return { debt, payment };
+      }));
+    } catch (error) {
+      // Nothing was booked, so the proof goes back to the verification queue
+      await PaymentProof.update(
+        { status: 'pending', reviewNotes: null, reviewedById: null, reviewedAt: null },
+        { where: { id: proof.id } }
+      );
+      throw error;
+    }
+    await proof.reload();
+
+    logger.info(`Payment proof ${proof.id} approved by user ${userId}: ${value} on debt ${debt.id}`);
+    return { proof, debt, payment };
+  }
+
+  async reject(proof, userId, notes = null) {
+    if (proof.status !== 'pending') {
+      throw new Error('Payment proof is not awaiting verification');
+    }
+
+    const [rejected] = await PaymentProof.update(
+      { status: 'rejected', reviewNotes: notes, reviewedById: userId, reviewedAt: new Date() },
+      { where: { id: proof.id, status: 'pending' } }
+    );
+    if (!rejected) {
+      throw new Error('Payment proof is not awaiting verification');
+    }
+    await proof.reload();
+
+    logger.info(`Payment proof ${proof.id} rejected by user ${userId}`);
+    return proof;
+  }
+}
+
+module.exports = PaymentProofService;
@@ -0,0 +1,178 @@
+const { PromptTemplate } = require('../models');
+const database = require('../config/database');
+const {
+  PROMPT_KEYS,
+  PROMPT_VARIABLES,
+  REQUIRED_PROMPT_VARIABLES,
+  DEFAULT_PROMPTS
+} = require('../config/default-prompts');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../config/languages');
+const { extractVariables } = require('../utils/template');
+const logger = require('../utils/logger');
+
+class PromptService {
+  // The published version for the key and language, else the built-in prompt (version 0).
+  // An experiment variant may pin a specific version; it is used when it fits the key and language.
+  async resolvePrompt(key, language = DEFAULT_LANGUAGE, { promptTemplateId = null } = {}) {
+    if (promptTemplateId) {
+      const pinned = await PromptTemplate.findByPk(promptTemplateId);
+      if (pinned && pinned.key === key && pinned.language === language) {
+        return this.describePrompt(pinned);
+      }
+    }
+
+    const published = await PromptTemplate.findPublished(key, language);
+    if (published) {
+      return this.describePrompt(published);
+    }
+
+    if (!DEFAULT_PROMPTS[key]) {
+      throw new Error(`Unknown prompt key: ${key}`);
+    }
+
+    return { id: null, key, language, version: 0, body: DEFAULT_PROMPTS[key] };
+  }
+
+  describePrompt(prompt) {
+    return {
+      id: prompt.id,
+      key: prompt.key,
+      language: prompt.language,
+      version: prompt.version,
+      body: prompt.body
+    };
+  }
+
+  // Returns a list of problems; empty when the prompt can be saved
+  validatePrompt({ key, language = DEFAULT_LANGUAGE, body }) {
+    const errors = [];
+
+    if (!PROMPT_KEYS.includes(key)) {
+      errors.push(`key must be one of: ${PROMPT_KEYS.join(', ')}`);
+    }
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      errors.push(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    if (typeof body !== 'string' || !body.trim()) {
+      errors.push('body is required');
+    } else if (PROMPT_VARIABLES[key]) {
+      const used = extractVariables(body);
+      const unknown = used.filter(name => !PROMPT_VARIABLES[key].includes(name));
+      const missing = REQUIRED_PROMPT_VARIABLES[key].filter(name => !used.includes(name));
+
+      if (unknown.length > 0) {
+        errors.push(`Unknown variables for ${key}: ${unknown.join(', ')}`);
+      }
+      if (missing.length > 0) {
+        errors.push(`Missing required variables for ${key}: ${missing.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  async listPrompts({ key, language, status } = {}) {
+    const where = {};
+    if (key) where.key = key;
+    if (language) where.language = language;
+    if (status) where.status = status;
+
+    return await PromptTemplate.findAll({
+      where,
+      order: [['key', 'ASC'], ['language', 'ASC'], ['version', 'DESC']]
+    });
+  }
+
+  // Every edit starts as a new draft version; published versions never change
+  async createDraft({ key, language = DEFAULT_LANGUAGE, body, notes = null }, userId) {
+    const errors = this.validatePrompt({ key, language, body });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const prompt = await database.getSequelize().transaction(async (transaction) => {
+      const version = (await PromptTemplate.getLatestVersion(key, language, { transaction })) + 1;
+      return await PromptTemplate.create({
+        key,
+        language,
+        version,
+        body,
+        notes,
+        status: 'draft',
+        createdById: userId
+      }, { transaction });
+    });
+
+    logger.info(`Prompt ${key}/${language} v${prompt.version} drafted by user ${userId}`);
+    return prompt;
+  }
+
+  async updateDraft(prompt, { body, notes }, userId) {
+    if (prompt.status !== 'draft') {
+      throw new Error(`Only drafts can be edited; create a new version instead of changing a ${prompt.status} prompt`);
+    }
+
+    const values = {
+      body: body ?? prompt.body,
+      notes: notes !== undefined ? notes : prompt.notes
+    };
+
+    const errors = this.validatePrompt({ key: prompt.key, language: prompt.language, body: values.body });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await prompt.update(values);
+
+    logger.info(`Prompt ${prompt.key}/${prompt.language} v${prompt.version} updated by user ${userId}`);
+    return prompt;
+  }
+
+  // Publishing an archived version rolls back to it
+  async publish(prompt, userId) {
+    if (prompt.status === 'published') {
+      throw new Error('Prompt version is already published');
+    }
+
+    await database.getSequelize().transaction(async (transaction) => {
+      await PromptTemplate.update(
+        { status: 'archived' },
+        { where: { key: prompt.key, language: prompt.language, status: 'published' }, transaction }
+      );
+
+      await prompt.update({
+        status: 'published',
+        publishedById: userId,
+        publishedAt: new Date()
+      }, { transaction });
+    });
+
+    logger.info(`Prompt ${prompt.key}/${prompt.language} v${prompt.version} published by user ${userId}`);
+    return prompt;
+  }
+
+  // Unpublishing sends generation back to the built-in prompt
+  async archive(prompt, userId) {
+    if (prompt.status !== 'published') {
+      throw new Error(`Only the published version can be archived, this one is ${prompt.status}`);
+    }
+
+    await prompt.update({ status: 'archived' });
+
+    logger.info(`Prompt ${prompt.key}/${prompt.language} v${prompt.version} archived by user ${userId}`);
+    return prompt;
+  }
+
+  getDefaultPrompts() {
+    return PROMPT_KEYS.map(key => ({
+      key,
+      version: 0,
+      body: DEFAULT_PROMPTS[key],
+      variables: PROMPT_VARIABLES[key],
+      requiredVariables: REQUIRED_PROMPT_VARIABLES[key]
+    }));
+  }
+}
+
+module.exports = PromptService;
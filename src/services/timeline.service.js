@@ -0,0 +1,154 @@
+const { Debt, ReminderLog, DebtorResponse } = require('../models');
+const logger = require('../utils/logger');
+
+class TimelineService {
+  async getDebtTimeline(debtId) {
+    try {
+      const debt = await Debt.findByPk(debtId);
+      if (!debt) {
+        return null;
+      }
+
+      const [reminderLogs, responses] = await Promise.all([
+        ReminderLog.findByDebt(debt.id),
+        DebtorResponse.findByDebt(debt.id)
+      ]);
+
+      return this.buildTimeline([debt], reminderLogs, responses);
+    } catch (error) {
+      logger.error(`Failed to build timeline for debt ${debtId}:`, error);
+      throw error;
+    }
+  }
+
+  async getDebtorTimeline(debtorId) {
+    try {
+      const [debts, reminderLogs, responses] = await Promise.all([
+        Debt.findAll({ where: { debtorId } }),
+        ReminderLog.findByDebtor(debtorId),
+        DebtorResponse.findByDebtor(debtorId)
+      ]);
+
+      return this.buildTimeline(debts, reminderLogs, responses);
+    } catch (error) {
+      logger.error(`Failed to build timeline for debtor ${debtorId}:`, error);
+      throw error;
+    }
+  }
+
+  async getDebtorMessages(debtorId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    // Fetch enough rows from each store to cover the requested page once merged
+    const [outbound, inbound] = await Promise.all([
+      ReminderLog.findAndCountAll({
+        where: { debtorId },
+        order: [['sentAt', 'DESC']],
+        limit: offset + limit
+      }),
+      DebtorResponse.findAndCountAll({
+        where: { debtorId },
+        order: [['receivedAt', 'DESC']],
+        limit: offset + limit
+      })
+    ]);
+
+    const messages = [
+      ...outbound.rows.map(log => this.formatOutbound(log)),
+      ...inbound.rows.map(response => this.formatInbound(response))
+    ]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(offset, offset + limit);
+
+    return {
+      messages,
+      total: outbound.count + inbound.count
+    };
+  }
+
+  buildTimeline(debts, reminderLogs, responses) {
+    const events = [];
+
+    for (const log of reminderLogs) {
+      events.push({ type: 'outbound', ...this.formatOutbound(log) });
+    }
+
+    for (const response of responses) {
+      events.push({ type: 'inbound', ...this.formatInbound(response) });
+
+      if (response.analysis) {
+        events.push({
+          type: 'analysis',
+          id: response.id,
+          debtId: response.debtId,
+          timestamp: response.receivedAt,
+          analysis: response.analysis
+        });
+      }
+    }
+
+    for (const debt of debts) {
+      (debt.payments || []).forEach((payment, index) => {
+        events.push({
+          type: 'payment',
+          id: index,
+          debtId: debt.id,
+          timestamp: payment.paymentDate || payment.verifiedAt || debt.updatedAt,
+          amount: payment.amount,
+          paymentMethod: payment.paymentMethod || null,
+          reference: payment.reference || null,
+          verifiedBy: payment.verifiedBy || null
+        });
+      });
+
+      (debt.statusHistory || []).forEach((change, index) => {
+        events.push({
+          type: 'status_change',
+          id: index,
+          debtId: debt.id,
+          timestamp: change.changedAt,
+          from: change.from,
+          to: change.to,
+          changedById: change.changedById
+        });
+      });
+    }
+
+    // Stable sort keeps an inbound reply ahead of its own analysis entry
+    return events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  formatOutbound(log) {
+    return {
+      id: log.id,
+      direction: 'outbound',
+      debtId: log.debtId,
+      timestamp: log.sentAt,
+      messageType: log.messageType,
+      level: log.level,
+      message: log.message,
+      status: log.status,
+      error: log.error,
+      contentSource: log.contentSource,
+      fallbackReason: log.fallbackReason,
+      promptVersion: log.promptVersion,
+      sentById: log.sentById
+    };
+  }
+
+  formatInbound(response) {
+    return {
+      id: response.id,
+      direction: 'inbound',
+      debtId: response.debtId,
+      timestamp: response.receivedAt,
+      phoneNumber: response.phoneNumber,
+      message: response.message,
+      intent: response.intent,
+      sentiment: response.sentiment,
+      readAt: response.readAt
+    };
+  }
+}
+
+module.exports = TimelineService;
@@ -1,15 +1,27 @@
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, downloadMediaMessage } = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode-terminal');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 
+// Baileys WebMessageInfo status codes carried by messages.update; PENDING (1) is ignored
+const RECEIPT_STATUSES = {
+  0: 'failed',
+  2: 'sent',
+  3: 'delivered',
+  4: 'read',
+  5: 'read'
+};
+
 class WhatsAppService {
   constructor() {
     this.socket = null;
     this.isReady = false;
     this.authDir = path.join(__dirname, '../../auth_info');
     this.messageHandlers = new Map();
+    this.connectionHandlers = new Map();
+    this.receiptHandlers = new Map();
+    this.mediaHandlers = new Map();
   }
 
   async initialize() {
@@ -51,6 +63,7 @@ class WhatsAppService {
       }
       
       if (connection === 'close') {
+        this.isReady = false;
         const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
         
         logger.info('Connection closed due to:', lastDisconnect?.error);
@@ -60,11 +73,11 @@ class WhatsAppService {
           this.initialize();
         } else {
           logger.info('WhatsApp logged out, please scan QR code again');
-          this.isReady = false;
         }
       } else if (connection === 'open') {
         logger.info('WhatsApp connected successfully');
         this.isReady = true;
+        this.notifyConnectionHandlers();
       }
     });
 
@@ -79,11 +92,52 @@ class WhatsAppService {
         }
       }
     });
+
+    // Server, delivery and read receipts for messages we sent
+    this.socket.ev.on('messages.update', async (updates) => {
+      for (const { key, update } of updates) {
+        if (key.fromMe && update?.status !== undefined) {
+          await this.handleReceipt(key.id, update.status);
+        }
+      }
+    });
+  }
+
+  async handleReceipt(messageId, statusCode) {
+    const status = RECEIPT_STATUSES[statusCode];
+    if (!status) {
+      return;
+    }
+
+    for (const [handlerName, handler] of this.receiptHandlers) {
+      try {
+        await handler(messageId, status, new Date());
+      } catch (error) {
+        logger.error(`Error in receipt handler ${handlerName}:`, error);
+      }
+    }
   }
 
   async handleIncomingMessage(message) {
     try {
       const phoneNumber = message.key.remoteJid;
+
+      // Images and documents go only to the media handlers; a caption travels on the
+      // media and is not analysed as a text reply
+      const media = this.extractMedia(message);
+      if (media) {
+        logger.info(`Received ${media.type} (${media.mimeType}) from ${phoneNumber}`);
+
+        for (const [handlerName, handler] of this.mediaHandlers) {
+          try {
+            await handler(phoneNumber, media, message);
+          } catch (error) {
+            logger.error(`Error in media handler ${handlerName}:`, error);
+          }
+        }
+        return;
+      }
+
       const messageText = this.extractMessageText(message);
       
       if (messageText) {
@@ -115,6 +169,47 @@ class WhatsAppService {
     return null;
   }
 
+  // The image or document part of a message; documents sent with a caption arrive
+  // wrapped in documentWithCaptionMessage
+  getMediaContent(message) {
+    const content = message.message || {};
+
+    if (content.imageMessage) {
+      return { type: 'image', content: content.imageMessage };
+    }
+
+    const document = content.documentMessage || content.documentWithCaptionMessage?.message?.documentMessage;
+    if (document) {
+      return { type: 'document', content: document };
+    }
+
+    return null;
+  }
+
+  // Describes an inbound image or document. The file is only fetched when a handler
+  // calls download(), which resolves to a Buffer.
+  extractMedia(message) {
+    const media = this.getMediaContent(message);
+    if (!media) {
+      return null;
+    }
+
+    const { type, content } = media;
+    return {
+      type,
+      mimeType: (content.mimetype || 'application/octet-stream').split(';')[0],
+      fileName: content.fileName || null,
+      // fileLength is a protobuf Long
+      fileSize: content.fileLength ? Number(content.fileLength.toString()) : null,
+      caption: content.caption || null,
+      // Expired media links are re-requested from the sender's phone
+      download: () => downloadMediaMessage(message, 'buffer', {}, {
+        logger,
+        reuploadRequest: this.socket.updateMediaMessage
+      })
+    };
+  }
+
   async sendMessage(phoneNumber, message, options = {}) {
     try {
       if (!this.isReady) {
@@ -138,43 +233,29 @@ class WhatsAppService {
     }
   }
 
-  async sendTemplateMessage(phoneNumber, template, variables = {}) {
+  // Sends a document or image with a caption. `media` is { type, mimeType, fileName } with
+  // a local `path` or a `url`; Baileys streams either.
+  async sendMedia(phoneNumber, media, caption = '') {
+    const source = { url: media.path || media.url };
+    const content = media.type === 'image'
+      ? { image: source, mimetype: media.mimeType, caption }
+      : { document: source, mimetype: media.mimeType, fileName: media.fileName, caption };
+
     try {
-      let message = template;
-      
-      // Replace variables in template
-      for (const [key, value] of Object.entries(variables)) {
-        message = message.replace(new RegExp(`{{${key}}}`, 'g'), value);
+      if (!this.isReady) {
+        throw new Error('WhatsApp is not connected');
       }
-      
-      return await this.sendMessage(phoneNumber, message);
+
+      const result = await this.socket.sendMessage(this.formatPhoneNumber(phoneNumber), content);
+
+      logger.info(`${media.type === 'image' ? 'Image' : 'Document'} ${media.fileName} sent to ${phoneNumber}`);
+      return result;
     } catch (error) {
-      logger.error(`Failed to send template message to ${phoneNumber}:`, error);
+      logger.error(`Failed to send ${media.fileName} to ${phoneNumber}:`, error);
       throw error;
     }
   }
 
-  async sendBulkMessages(recipients, message, delay = 1000) {
-    const results = [];
-    
-    for (const phoneNumber of recipients) {
-      try {
-        const result = await this.sendMessage(phoneNumber, message);
-        results.push({ phoneNumber, success: true, result });
-        
-        // Add delay between messages to avoid rate limiting
-        if (delay > 0) {
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      } catch (error) {
-        results.push({ phoneNumber, success: false, error: error.message });
-        logger.error(`Failed to send bulk message to ${phoneNumber}:`, error);
-      }
-    }
-    
-    return results;
-  }
-
   formatPhoneNumber(phoneNumber) {
     // Remove all non-digit characters
     let cleaned = phoneNumber.replace(/\D/g, '');
@@ -201,6 +282,34 @@ class WhatsAppService {
     logger.info(`Message handler '${name}' unregistered`);
   }
 
+  // Called with the phone number, the media from extractMedia() and the raw message
+  registerMediaHandler(name, handler) {
+    this.mediaHandlers.set(name, handler);
+    logger.info(`Media handler '${name}' registered`);
+  }
+
+  // Called with the message id, 'sent', 'delivered', 'read' or 'failed', and the receipt time
+  registerReceiptHandler(name, handler) {
+    this.receiptHandlers.set(name, handler);
+    logger.info(`Receipt handler '${name}' registered`);
+  }
+
+  // Called each time the socket (re)connects, e.g. to flush the outbound queue
+  registerConnectionHandler(name, handler) {
+    this.connectionHandlers.set(name, handler);
+    logger.info(`Connection handler '${name}' registered`);
+  }
+
+  async notifyConnectionHandlers() {
+    for (const [handlerName, handler] of this.connectionHandlers) {
+      try {
+        await handler();
+      } catch (error) {
+        logger.error(`Error in connection handler ${handlerName}:`, error);
+      }
+    }
+  }
+
   isConnected() {
     return this.isReady;
   }
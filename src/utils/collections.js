@@ -0,0 +1,13 @@
+// Items keyed by keyOf(item), in first-seen order
+function groupBy(items, keyOf) {
+  const groups = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    (groups[key] = groups[key] || []).push(item);
+  }
+  return groups;
+}
+
+module.exports = {
+  groupBy
+};
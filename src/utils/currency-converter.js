@@ -0,0 +1,103 @@
+const moment = require('moment');
+const MoneyService = require('../services/money.service');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+const money = new MoneyService();
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Converts amounts into one reporting currency using the latest rate on or before each
+// amount's date. Rates are stored per pair and may be used in either direction; pairs
+// without a stored rate are crossed through Rupiah. Amounts without a usable rate are
+// left out of converted totals and listed in missingRates.
+class CurrencyConverter {
+  // `rates` are { date, fromCurrency, toCurrency, rate } rows, e.g. from FxRate
+  constructor(currency, rates = []) {
+    this.currency = currency;
+    this.series = new Map();
+    this.missing = new Map();
+
+    for (const { date, fromCurrency, toCurrency, rate } of rates) {
+      const day = moment(date).format('YYYY-MM-DD');
+      this.addRate(fromCurrency, toCurrency, day, parseFloat(rate));
+      this.addRate(toCurrency, fromCurrency, day, 1 / parseFloat(rate));
+    }
+    for (const entries of this.series.values()) {
+      entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+  }
+
+  addRate(from, to, date, rate) {
+    const key = `${from}:${to}`;
+    if (!this.series.has(key)) {
+      this.series.set(key, []);
+    }
+    this.series.get(key).push({ date, rate });
+  }
+
+  lookup(from, to, day) {
+    if (from === to) {
+      return 1;
+    }
+
+    let found = null;
+    for (const entry of this.series.get(`${from}:${to}`) || []) {
+      if (entry.date > day) {
+        break;
+      }
+      found = entry.rate;
+    }
+    return found;
+  }
+
+  findRate(currency, date) {
+    const day = moment(date).format('YYYY-MM-DD');
+
+    let rate = this.lookup(currency, this.currency, day);
+    if (rate === null) {
+      const toBase = this.lookup(currency, DEFAULT_CURRENCY, day);
+      const fromBase = this.lookup(DEFAULT_CURRENCY, this.currency, day);
+      rate = toBase !== null && fromBase !== null ? toBase * fromBase : null;
+    }
+
+    if (rate === null) {
+      this.missing.set(`${currency}:${day}`, { currency, date: day });
+    }
+    return rate;
+  }
+
+  // null when no rate is known for the currency on that date
+  convert(amount, currency, date) {
+    const rate = this.findRate(currency, date);
+    return rate === null ? null : parseFloat(amount || 0) * rate;
+  }
+
+  // Converted totals for each measure ({ name: [{ amount, currency, date }] }) and the
+  // same measures per original currency
+  summarize(measures) {
+    const totals = {};
+    const byCurrency = new Map();
+
+    for (const [name, entries] of Object.entries(measures)) {
+      let total = 0;
+      for (const entry of entries) {
+        total += this.convert(entry.amount, entry.currency, entry.date) || 0;
+      }
+      totals[name] = round(total);
+
+      for (const { currency, amount } of money.sumByCurrency(entries)) {
+        if (!byCurrency.has(currency)) {
+          byCurrency.set(currency, { currency, ...Object.fromEntries(Object.keys(measures).map(key => [key, 0])) });
+        }
+        byCurrency.get(currency)[name] = amount;
+      }
+    }
+
+    return { totals, byCurrency: [...byCurrency.values()] };
+  }
+
+  get missingRates() {
+    return [...this.missing.values()];
+  }
+}
+
+module.exports = CurrencyConverter;
@@ -0,0 +1,18 @@
+// Environment variable parsing shared by the config modules
+
+// Unlike `parseInt(x) || default`, keeps an explicit 0
+function readNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+// Comma-separated list; an explicitly empty variable gives an empty list
+function readList(name, defaultValue = '') {
+  const value = process.env[name] !== undefined ? process.env[name] : defaultValue;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  readNumber,
+  readList
+};
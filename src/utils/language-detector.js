@@ -0,0 +1,71 @@
+// Keyword-based guess of the language of a short WhatsApp reply. Used when the LLM
+// analysis does not name a supported language, and by the offline provider.
+
+const CJK_PATTERN = /[㐀-鿿]/g;
+
+// Common words that are distinctive for each language in debt collection chats
+const KEYWORDS = {
+  id: [
+    'saya', 'akan', 'bayar', 'besok', 'tidak', 'sudah', 'belum', 'terima', 'kasih', 'mohon', 'bisa',
+    'minggu', 'depan', 'kapan', 'berapa', 'tolong', 'nanti', 'maaf', 'tagihan', 'transfer', 'dulu', 'lusa'
+  ],
+  en: [
+    'the', 'you', 'your', 'will', 'pay', 'payment', 'please', 'thank', 'thanks', 'tomorrow', 'can', 'not',
+    'is', 'are', 'my', 'have', 'when', 'how', 'what', 'sorry', 'week', 'next', 'already', 'invoice'
+  ],
+  jv: [
+    'kulo', 'kula', 'sampun', 'dereng', 'mboten', 'ora', 'matur', 'nuwun', 'sesuk', 'mbayar', 'nggih',
+    'niki', 'niku', 'panjenengan', 'durung', 'wis', 'iso', 'saiki', 'piye', 'sedanten', 'benjing'
+  ],
+  su: [
+    'abdi', 'teu', 'atuh', 'hatur', 'nuhun', 'enjing', 'mayar', 'tos', 'acan', 'tiasa', 'punten',
+    'kumaha', 'naon', 'iraha', 'sabaraha', 'mah', 'pisan', 'parantos', 'teras', 'sareng'
+  ]
+};
+
+// Replies shorter than this ("ok", "siap") say too little about the language
+const MIN_WORDS = 3;
+const MIN_KEYWORD_HITS = 2;
+
+// Returns a language code, or null when the text is too short or ambiguous
+function detectLanguage(text) {
+  const value = (text || '').toLowerCase();
+
+  const cjk = (value.match(CJK_PATTERN) || []).length;
+  if (cjk >= 2) {
+    return 'zh';
+  }
+
+  const words = value.match(/[a-z]+/g) || [];
+  if (words.length < MIN_WORDS) {
+    return null;
+  }
+
+  const scores = Object.entries(KEYWORDS)
+    .map(([language, keywords]) => [language, words.filter(word => keywords.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  const [[best, hits], [, runnerUp]] = scores;
+  return hits >= MIN_KEYWORD_HITS && hits > runnerUp ? best : null;
+}
+
+// Prefers the language the LLM analysis reported, if it is one we support
+function resolveReplyLanguage(text, suggested, supportedLanguages) {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  const cjk = ((text || '').match(CJK_PATTERN) || []).length;
+  if (words.length < MIN_WORDS && cjk < 2) {
+    return null;
+  }
+
+  if (suggested && supportedLanguages.includes(suggested)) {
+    return suggested;
+  }
+
+  const detected = detectLanguage(text);
+  return detected && supportedLanguages.includes(detected) ? detected : null;
+}
+
+module.exports = {
+  detectLanguage,
+  resolveReplyLanguage
+};
@@ -0,0 +1,77 @@
+// Minimal one-page PDF writer for generated documents such as payment instructions.
+// Text only, in the built-in Helvetica fonts; characters outside Latin-1 print as '?'.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const DEFAULT_SIZE = 11;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+// Breaks on spaces so a line fits the page at the given font size
+function wrapText(text, size) {
+  const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.5));
+  const lines = [];
+  let current = '';
+
+  for (const word of String(text).split(' ')) {
+    if (current && (current.length + 1 + word.length) > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  lines.push(current);
+
+  return lines;
+}
+
+// `lines` are strings or { text, size, bold }; an empty string leaves a blank line
+function renderTextPdf(lines) {
+  const commands = ['BT'];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const { text = '', size = DEFAULT_SIZE, bold = false } = typeof line === 'string' ? { text: line } : line;
+    for (const part of wrapText(text, size)) {
+      y -= size * 1.5;
+      commands.push(`/${bold ? 'F2' : 'F1'} ${size} Tf`, `1 0 0 1 ${MARGIN} ${y} Tm`, `(${escapeText(part)}) Tj`);
+    }
+  }
+  commands.push('ET');
+  const content = commands.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  // Object offsets go into the cross-reference table, so lengths are counted in bytes
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderTextPdf
+};
@@ -0,0 +1,38 @@
+// 95% confidence by default
+const DEFAULT_Z = 1.96;
+
+// Wilson score interval for a proportion; stays inside [0, 1] and behaves with
+// the small samples a fresh experiment has, unlike the normal approximation.
+function wilsonInterval(successes, trials, z = DEFAULT_Z) {
+  if (!trials) {
+    return null;
+  }
+
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const margin = (z / denominator) * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials));
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin)
+  };
+}
+
+// Rate with its interval, rounded for reporting
+function describeProportion(successes, trials, z = DEFAULT_Z) {
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const interval = wilsonInterval(successes, trials, z);
+
+  return {
+    count: successes,
+    rate: trials ? round(successes / trials) : null,
+    ci95: interval ? { lower: round(interval.lower), upper: round(interval.upper) } : null
+  };
+}
+
+module.exports = {
+  wilsonInterval,
+  describeProportion
+};
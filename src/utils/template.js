@@ -0,0 +1,23 @@
+// {{name}} placeholder handling shared by WhatsApp template sends and the template library
+
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+// Placeholders without a matching variable are left in place
+function renderTemplate(template, variables = {}) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+      return placeholder;
+    }
+    const value = variables[key];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+function extractVariables(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+module.exports = {
+  renderTemplate,
+  extractVariables
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { authenticateToken } = require('../../src/routes/auth.routes');
+
+// Mounts business routers behind authenticateToken the way src/routes/index.js does.
+// The WhatsApp routes need a live socket, so each test mounts only what it exercises.
+function createApp(routes) {
+  const app = express();
+  app.use(express.json());
+
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(`/api${path}`, authenticateToken, router);
+  }
+
+  return app;
+}
+
+// Same payload as the token issued by POST /api/auth/login
+function authHeader(user) {
+  const token = jwt.sign(
+    { id: user.id, username: user.username, email: user.email, role: user.role },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: '1h' }
+  );
+  return `Bearer ${token}`;
+}
+
+module.exports = {
+  createApp,
+  authHeader
+};
@@ -0,0 +1,59 @@
+const database = require('../../src/config/database');
+const { User, Debt, Debtor } = require('../../src/models');
+
+async function resetDatabase() {
+  const sequelize = database.getSequelize();
+  await sequelize.sync({ force: true });
+
+  // Debts require a creating user
+  await createUser({ id: 1, username: 'admin', role: 'admin' });
+}
+
+async function closeDatabase() {
+  await database.close();
+}
+
+async function createUser(attributes = {}) {
+  const username = attributes.username || 'collector';
+  return await User.create({
+    username,
+    email: `${username}@geminiagent.test`,
+    password: 'secret123',
+    fullName: username,
+    role: 'collector',
+    ...attributes
+  });
+}
+
+async function createDebtor(attributes = {}) {
+  return await Debtor.create({
+    name: 'Budi Santoso',
+    phone: '081234567890',
+    company: 'PT Maju Jaya',
+    ...attributes
+  });
+}
+
+let invoiceSequence = 0;
+
+async function createDebt(debtor, attributes = {}) {
+  invoiceSequence += 1;
+  return await Debt.create({
+    debtorId: debtor.id,
+    invoiceNumber: `INV-TEST-${invoiceSequence}`,
+    amount: 1500000,
+    description: 'Jasa konsultasi',
+    issueDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+    dueDate: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000),
+    createdById: 1,
+    ...attributes
+  });
+}
+
+module.exports = {
+  resetDatabase,
+  closeDatabase,
+  createUser,
+  createDebtor,
+  createDebt
+};
@@ -0,0 +1,103 @@
+
+// Stand-ins for the WhatsApp socket and Gemini model so the collection flow runs offline
+
+function createFakeWhatsAppService() {
+  let messageSequence = 0;
+  const handlers = new Map();
+  const connectionHandlers = new Map();
+  const receiptHandlers = new Map();
+  const mediaHandlers = new Map();
+
+  const service = {
+    handlers,
+    connected: true,
+    isConnected: jest.fn(() => service.connected),
+    registerMessageHandler: jest.fn((name, handler) => handlers.set(name, handler)),
+    registerConnectionHandler: jest.fn((name, handler) => connectionHandlers.set(name, handler)),
+    registerReceiptHandler: jest.fn((name, handler) => receiptHandlers.set(name, handler)),
+    registerMediaHandler: jest.fn((name, handler) => mediaHandlers.set(name, handler)),
+    sendMessage: jest.fn(async () => {
+      messageSequence += 1;
+      return { key: { id: `WAMSG-${messageSequence}` } };
+    }),
+    sendMedia: jest.fn(async () => {
+      messageSequence += 1;
+      return { key: { id: `WAMSG-${messageSequence}` } };
+    }),
+    async receipt(messageId, status, receivedAt = new Date()) {
+      for (const handler of receiptHandlers.values()) {
+        await handler(messageId, status, receivedAt);
+      }
+    },
+    async reconnect() {
+      service.connected = true;
+      for (const handler of connectionHandlers.values()) {
+        await handler();
+      }
+    },
+    // `media` is { type, mimeType, fileName, caption, content }; content is what download() returns
+    async receiveMedia(phoneNumber, { content = Buffer.from('receipt'), ...media }) {
+      messageSequence += 1;
+      const rawMessage = { key: { id: `WAIN-${messageSequence}`, remoteJid: phoneNumber, fromMe: false } };
+      const inbound = {
+        type: 'image',
+        mimeType: 'image/jpeg',
+        fileName: null,
+        fileSize: content.length,
+        caption: null,
+        ...media,
+        download: jest.fn(async () => content)
+      };
+      for (const handler of mediaHandlers.values()) {
+        await handler(phoneNumber, inbound, rawMessage);
+      }
+      return inbound;
+    },
+    async receive(phoneNumber, text) {
+      messageSequence += 1;
+      const rawMessage = { key: { id: `WAIN-${messageSequence}`, remoteJid: phoneNumber, fromMe: false } };
+      for (const handler of handlers.values()) {
+        await handler(phoneNumber, text, rawMessage);
+      }
+    }
+  };
+
+  return service;
+}
+
+function createFakeGeminiService(analysis = {}) {
+  return {
+    generateDebtReminderMessage: jest.fn(async (debtorInfo) => `Pengingat untuk ${debtorInfo.name}`),
+    generatePaymentConfirmationMessage: jest.fn(async (debtorInfo) => `Terima kasih ${debtorInfo.name}`),
+    generateNegotiationResponse: jest.fn(async () => 'Baik, kami akan menindaklanjuti.'),
+    generateEscalationMessage: jest.fn(async () => 'Pemberitahuan eskalasi'),
+    generateBrokenPromiseMessage: jest.fn(async (debtorInfo) => `Janji pembayaran ${debtorInfo.name} belum terpenuhi`),
+    proposePaymentPlanTerms: jest.fn(async () => ({ downPayment: 500000, installmentCount: 2 })),
+    extractReceiptDetails: jest.fn(async () => ({
+      amount: null,
+      currency: null,
+      date: null,
+      senderName: null,
+      bank: null,
+      reference: null,
+      invoiceNumber: null,
+      confidence: 0
+    })),
+    summarizeConversation: jest.fn(async (previousSummary, turns) => `Ringkasan ${turns.length} pesan`),
+    analyzeDebtorResponse: jest.fn(async () => ({
+      intent: 'acknowledgment',
+      sentiment: 'neutral',
+      urgency: 'medium',
+      payment_commitment: 'maybe',
+      suggested_action: 'follow_up',
+      confidence: 0.9,
+      summary: 'Debtor acknowledged the reminder',
+      ...analysis
+    }))
+  };
+}
+
+module.exports = {
+  createFakeWhatsAppService,
+  createFakeGeminiService
+};
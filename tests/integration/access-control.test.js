@@ -0,0 +1,141 @@
+const request = require('supertest');
+const debtRoutes = require('../../src/routes/debt.routes');
+const debtorRoutes = require('../../src/routes/debtor.routes');
+const { User } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createApp, authHeader } = require('../helpers/api');
+
+describe('Authentication and collector scoping (SQLite integration)', () => {
+  const app = createApp({ '/debts': debtRoutes, '/debtors': debtorRoutes });
+  let admin;
+  let siti;
+  let andi;
+  let sitiDebtor;
+  let sitiDebt;
+  let andiDebtor;
+  let andiDebt;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    admin = await User.findByPk(1);
+    siti = await createUser({ username: 'siti' });
+    andi = await createUser({ username: 'andi' });
+
+    sitiDebtor = await createDebtor({ name: 'Budi Santoso', phone: '081234567890' });
+    sitiDebt = await createDebt(sitiDebtor, { assignedToId: siti.id });
+    andiDebtor = await createDebtor({ name: 'Rina Wijaya', phone: '081298765432', is_blacklisted: true });
+    andiDebt = await createDebt(andiDebtor, { assignedToId: andi.id });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  const get = (path, user) => request(app).get(path).set('Authorization', authHeader(user));
+
+  describe('authentication', () => {
+    it('requires a token', async () => {
+      const res = await request(app).get('/api/debts');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects invalid tokens', async () => {
+      const res = await request(app).get('/api/debts').set('Authorization', 'Bearer not-a-token');
+
+      expect(res.status).toBe(403);
+    });
+
+    it('rejects tokens of deactivated users', async () => {
+      await siti.update({ isActive: false });
+
+      const res = await get('/api/debts', siti);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('checks the role against the permission matrix', async () => {
+      const viewer = await createUser({ username: 'vera', role: 'viewer' });
+
+      const read = await get(`/api/debts/${sitiDebt.id}`, viewer);
+      const remove = await request(app).delete(`/api/debts/${sitiDebt.id}`).set('Authorization', authHeader(siti));
+
+      expect(read.status).toBe(200);
+      expect(remove.status).toBe(403);
+    });
+  });
+
+  describe('collector scoping', () => {
+    it('hides another collector\'s debt and its sub-resources', async () => {
+      const own = await get(`/api/debts/${sitiDebt.id}`, siti);
+      const other = await get(`/api/debts/${andiDebt.id}`, siti);
+      const otherTimeline = await get(`/api/debts/${andiDebt.id}/timeline`, siti);
+      const otherPlans = await get(`/api/debts/${andiDebt.id}/payment-plans`, siti);
+      const otherPayment = await request(app)
+        .post(`/api/debts/${andiDebt.id}/payments`)
+        .set('Authorization', authHeader(siti))
+        .send({ amount: 100000 });
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(404);
+      expect(otherTimeline.status).toBe(404);
+      expect(otherPlans.status).toBe(404);
+      expect(otherPayment.status).toBe(404);
+    });
+
+    it('hides another collector\'s debtor', async () => {
+      const own = await get(`/api/debtors/${sitiDebtor.id}`, siti);
+      const other = await get(`/api/debtors/${andiDebtor.id}`, siti);
+      const otherTimeline = await get(`/api/debtors/${andiDebtor.id}/timeline`, siti);
+      const otherPhone = await get(`/api/debtors/search/phone/${andiDebtor.phone}`, siti);
+      const ownPhone = await get(`/api/debtors/search/phone/${sitiDebtor.phone}`, siti);
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(404);
+      expect(otherTimeline.status).toBe(404);
+      expect(otherPhone.status).toBe(404);
+      expect(ownPhone.status).toBe(200);
+      expect(ownPhone.body.id).toBe(sitiDebtor.id);
+    });
+
+    it('lists only assigned debts and debtors', async () => {
+      const debts = await get('/api/debts', siti);
+      const debtors = await get('/api/debtors', siti);
+      const active = await get('/api/debtors/filter/active', siti);
+
+      expect(debts.body.debts.map(debt => debt.id)).toEqual([sitiDebt.id]);
+      expect(debtors.body.debtors.map(debtor => debtor.id)).toEqual([sitiDebtor.id]);
+      expect(active.body.map(debtor => debtor.id)).toEqual([sitiDebtor.id]);
+    });
+
+    it('limits debtor statistics to assigned debtors', async () => {
+      const scoped = await get('/api/debtors/stats/overview', andi);
+      const global = await get('/api/debtors/stats/overview', admin);
+
+      expect(scoped.status).toBe(200);
+      expect(Number(scoped.body.total)).toBe(1);
+      expect(Number(scoped.body.blacklisted)).toBe(1);
+      expect(Number(global.body.total)).toBe(2);
+    });
+
+    it('gives collectors without assignments empty results', async () => {
+      const newcomer = await createUser({ username: 'dewi' });
+
+      const active = await get('/api/debtors/filter/active', newcomer);
+      const stats = await get('/api/debtors/stats/overview', newcomer);
+
+      expect(active.body).toEqual([]);
+      expect(Number(stats.body.total)).toBe(0);
+    });
+
+    it('lets admins reach every debt and debtor', async () => {
+      const debt = await get(`/api/debts/${andiDebt.id}`, admin);
+      const debtor = await get(`/api/debtors/${andiDebtor.id}`, admin);
+      const debtors = await get('/api/debtors', admin);
+
+      expect(debt.status).toBe(200);
+      expect(debtor.status).toBe(200);
+      expect(debtors.body.pagination.total).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const AnalysisReviewService = require('../../src/services/analysis-review.service');
+const { DebtorResponse } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+describe('Schema-validated analysis and review queue (SQLite integration)', () => {
+  const reviewService = new AnalysisReviewService();
+  const validAnalysis = {
+    intent: 'acknowledgment',
+    sentiment: 'neutral',
+    urgency: 'low',
+    payment_commitment: 'maybe',
+    suggested_action: 'follow_up',
+    promised_amount: null,
+    promised_date: null,
+    language: 'id',
+    confidence: 0.9,
+    summary: 'Debitur membaca pengingat'
+  };
+  let provider;
+  let whatsappService;
+  let service;
+  let debtor;
+  let debt;
+
+  const analysisOutput = (overrides = {}) => ({ text: JSON.stringify({ ...validAnalysis, ...overrides }) });
+  const latestResponse = () => DebtorResponse.findOne({ order: [['id', 'DESC']] });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    provider = {
+      name: 'fake',
+      model: 'fake-1',
+      generate: jest.fn(async ({ purpose }) => (purpose === 'response_analysis' ? analysisOutput() : { text: 'Baik, terima kasih.' }))
+    };
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, new GeminiService(provider));
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.ANALYSIS_MAX_REPAIRS;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('asks for JSON output and stores the raw output of a valid analysis', async () => {
+    await whatsappService.receive(debtor.phone, 'Oke, sudah saya baca');
+
+    expect(provider.generate.mock.calls[0][0]).toEqual(expect.objectContaining({
+      purpose: 'response_analysis',
+      responseFormat: 'json'
+    }));
+
+    const response = await latestResponse();
+    expect(response.analysisStatus).toBe('valid');
+    expect(response.analysisAttempts).toEqual([{ output: JSON.stringify(validAnalysis), errors: [] }]);
+    expect(response.intent).toBe('acknowledgment');
+    expect(response.reviewStatus).toBeNull();
+  });
+
+  it('repairs output that breaks the schema', async () => {
+    provider.generate
+      .mockResolvedValueOnce({ text: 'Intent: promise to pay' })
+      .mockResolvedValueOnce(analysisOutput({ intent: 'payment_promise', suggested_action: 'wait' }));
+
+    const trace = {};
+    const analysis = await service.geminiService.analyzeDebtorResponse('Besok saya bayar', { trace });
+
+    expect(analysis.intent).toBe('payment_promise');
+    expect(trace.analysisStatus).toBe('repaired');
+    expect(trace.analysisAttempts[0]).toEqual({
+      output: 'Intent: promise to pay',
+      errors: ['Output does not contain a JSON object']
+    });
+
+    const repair = provider.generate.mock.calls[1][0];
+    expect(repair.prompt).toContain('- Output does not contain a JSON object');
+    expect(repair.prompt).toContain('Intent: promise to pay');
+    expect(repair.prompt).toContain('Debtor Message: "Besok saya bayar"');
+    expect(repair.prompt).toContain('- suggested_action: one of follow_up, escalate, negotiate, close_case, wait');
+  });
+
+  it('queues the default analysis when every attempt is invalid', async () => {
+    process.env.ANALYSIS_MAX_REPAIRS = '2';
+    provider.generate.mockImplementation(async () => analysisOutput({ sentiment: 'angry' }));
+
+    await whatsappService.receive(debtor.phone, 'Apa maksudnya ini');
+
+    expect(provider.generate.mock.calls.filter(([request]) => request.purpose === 'response_analysis')).toHaveLength(3);
+
+    const response = await latestResponse();
+    expect(response.analysisStatus).toBe('invalid');
+    expect(response.analysisAttempts).toHaveLength(3);
+    expect(response.analysis).toEqual(expect.objectContaining({ intent: 'unknown', confidence: 0.1 }));
+    expect(response.reviewStatus).toBe('pending');
+    expect(response.reviewReason).toBe('invalid_output');
+  });
+
+  it('queues failed and low-confidence analyses', async () => {
+    provider.generate.mockRejectedValueOnce(new Error('quota exceeded'));
+    await whatsappService.receive(debtor.phone, 'Halo');
+
+    let response = await latestResponse();
+    expect(response.analysisStatus).toBe('failed');
+    expect(response.analysisAttempts).toEqual([{ output: null, errors: ['quota exceeded'] }]);
+    expect(response.reviewReason).toBe('analysis_failed');
+
+    provider.generate.mockResolvedValueOnce(analysisOutput({ confidence: 0.4 }));
+    await whatsappService.receive(debtor.phone, 'Hmm');
+
+    response = await latestResponse();
+    expect(response.analysisStatus).toBe('valid');
+    expect(response.reviewReason).toBe('low_confidence');
+  });
+
+  it('lets a collector correct a queued analysis', async () => {
+    provider.generate.mockResolvedValueOnce(analysisOutput({ confidence: 0.3 }));
+    await whatsappService.receive(debtor.phone, 'Tgl 5 ya');
+
+    const { reviews, total } = await reviewService.listReviews();
+    expect(total).toBe(1);
+    expect(reviews[0].Debt.invoiceNumber).toBe(debt.invoiceNumber);
+
+    const response = reviews[0];
+    await expect(reviewService.review(response, { intent: 'promise' }, 1))
+      .rejects.toThrow('intent must be one of:');
+
+    await reviewService.review(response, {
+      intent: 'payment_promise',
+      payment_commitment: 'yes',
+      promised_date: '2026-03-05',
+      summary: 'ignored'
+    }, 1, 'Debitur berjanji bayar tanggal 5');
+
+    await response.reload();
+    expect(response.reviewStatus).toBe('reviewed');
+    expect(response.reviewedById).toBe(1);
+    expect(response.intent).toBe('payment_promise');
+    expect(response.analysis).toEqual(expect.objectContaining({
+      promised_date: '2026-03-05',
+      summary: validAnalysis.summary
+    }));
+    expect((await reviewService.listReviews()).total).toBe(0);
+    await expect(reviewService.review(response, {}, 1)).rejects.toThrow('Analysis is not awaiting review');
+  });
+
+  it("hides other collectors' debts from the queue", async () => {
+    provider.generate.mockResolvedValueOnce(analysisOutput({ confidence: 0.3 }));
+    await whatsappService.receive(debtor.phone, 'Hmm');
+
+    expect((await reviewService.listReviews({ debtScope: { assignedToId: 99 } })).total).toBe(0);
+  });
+});
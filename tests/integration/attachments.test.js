@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const { OutboundMessage, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Reminder attachments (SQLite integration)', () => {
+  let storageDir;
+  let whatsappService;
+  let service;
+  let debtor;
+
+  beforeAll(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    fs.mkdirSync(path.join(storageDir, 'invoices'));
+    fs.writeFileSync(path.join(storageDir, 'invoices', 'INV-1.pdf'), '%PDF-1.4 test');
+    fs.writeFileSync(path.join(storageDir, 'invoices', 'INV-1.jpg'), 'jpeg');
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    process.env.ATTACHMENT_STORAGE_DIR = storageDir;
+    process.env.PAYMENT_BANK_NAME = 'Bank Central Asia';
+    process.env.PAYMENT_ACCOUNT_NUMBER = '1234567890';
+    process.env.PAYMENT_ACCOUNT_NAME = 'PT Penagih';
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, createFakeGeminiService());
+    debtor = await createDebtor();
+  });
+
+  afterEach(() => {
+    delete process.env.ATTACHMENT_STORAGE_DIR;
+    delete process.env.PAYMENT_BANK_NAME;
+    delete process.env.PAYMENT_ACCOUNT_NUMBER;
+    delete process.env.PAYMENT_ACCOUNT_NAME;
+    delete process.env.REMINDER_ATTACHMENTS;
+  });
+
+  afterAll(async () => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    await closeDatabase();
+  });
+
+  it('sends the invoice and payment instructions as captioned documents after the reminder', async () => {
+    const debt = await createDebt(debtor, {
+      attachments: [{ type: 'invoice', fileName: 'INV-1.pdf', path: 'invoices/INV-1.pdf' }],
+      bankDetails: { virtualAccount: '8808001234567890' }
+    });
+
+    const result = await service.sendDebtReminder(debt.id, 1);
+
+    expect(whatsappService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(whatsappService.sendMedia).toHaveBeenCalledTimes(2);
+    expect(whatsappService.sendMedia).toHaveBeenNthCalledWith(1, debtor.phone, expect.objectContaining({
+      type: 'document',
+      mimeType: 'application/pdf',
+      fileName: 'INV-1.pdf',
+      path: path.join(storageDir, 'invoices', 'INV-1.pdf')
+    }), `Invoice ${debt.invoiceNumber}`);
+
+    const [, instructions, caption] = whatsappService.sendMedia.mock.calls[1];
+    expect(caption).toBe(`Instruksi pembayaran invoice ${debt.invoiceNumber}`);
+    expect(instructions.path.startsWith(path.join(storageDir, 'payment-instructions'))).toBe(true);
+    const pdf = fs.readFileSync(instructions.path, 'latin1');
+    expect(pdf).toContain('Nomor virtual account: 8808001234567890');
+    expect(pdf).toContain('Nomor rekening: 1234567890');
+    expect(pdf).toContain('Bank: Bank Central Asia');
+
+    expect(result.attachments.map(file => file.kind)).toEqual(['invoice', 'payment_instructions']);
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.attachments).toEqual(result.attachments);
+    const outbound = await OutboundMessage.findByPk(log.attachments[0].outboundMessageId);
+    expect(outbound.status).toBe('sent');
+    expect(outbound.media).toEqual(expect.objectContaining({ kind: 'invoice', type: 'document' }));
+    expect(outbound.message).toBe(`Invoice ${debt.invoiceNumber}`);
+  });
+
+  it('sends an image invoice as an image message', async () => {
+    const debt = await createDebt(debtor, {
+      attachments: [{ type: 'invoice', path: 'invoices/INV-1.jpg' }]
+    });
+    process.env.REMINDER_ATTACHMENTS = 'invoice';
+
+    await service.sendDebtReminder(debt.id, 1);
+
+    expect(whatsappService.sendMedia).toHaveBeenCalledTimes(1);
+    expect(whatsappService.sendMedia).toHaveBeenCalledWith(debtor.phone, expect.objectContaining({
+      type: 'image',
+      mimeType: 'image/jpeg',
+      fileName: 'INV-1.jpg'
+    }), expect.any(String));
+  });
+
+  it('skips invoice files outside the storage directory and instructions without an account', async () => {
+    delete process.env.PAYMENT_ACCOUNT_NUMBER;
+    const debt = await createDebt(debtor, {
+      attachments: [{ type: 'invoice', path: '../../etc/passwd' }]
+    });
+
+    const result = await service.sendDebtReminder(debt.id, 1);
+
+    expect(result.success).toBe(true);
+    expect(whatsappService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(whatsappService.sendMedia).not.toHaveBeenCalled();
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.attachments).toBeNull();
+  });
+
+  it('sends custom reminders without files unless asked', async () => {
+    const debt = await createDebt(debtor);
+
+    await service.sendReminder(debt.id, 'Mohon segera dibayar');
+    expect(whatsappService.sendMedia).not.toHaveBeenCalled();
+
+    const result = await service.sendReminder(debt.id, 'Berikut instruksinya', { attachments: ['payment_instructions'] });
+    expect(whatsappService.sendMedia).toHaveBeenCalledTimes(1);
+    expect(result.attachments).toEqual([expect.objectContaining({ kind: 'payment_instructions' })]);
+  });
+
+  it('queues attachments for retry when the send fails', async () => {
+    const debt = await createDebt(debtor);
+    whatsappService.sendMedia.mockRejectedValueOnce(new Error('upload failed'));
+
+    const result = await service.sendReminder(debt.id, 'Instruksi', { attachments: ['payment_instructions'] });
+
+    const outbound = await OutboundMessage.findByPk(result.attachments[0].outboundMessageId);
+    expect(outbound.status).toBe('queued');
+    expect(outbound.attempts).toBe(1);
+    expect(outbound.lastError).toBe('upload failed');
+  });
+});
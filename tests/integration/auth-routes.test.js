@@ -0,0 +1,171 @@
+const express = require('express');
+const request = require('supertest');
+const { router: authRoutes } = require('../../src/routes/auth.routes');
+const { User } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser } = require('../helpers/database');
+const { authHeader } = require('../helpers/api');
+
+describe('Auth routes (SQLite integration)', () => {
+  // Mounted without authenticateToken, like src/routes/index.js does; the routes
+  // that need a user apply it themselves
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  let admin;
+  let collector;
+
+  // Login is limited to 5 attempts per 15 minutes, so only the login tests log in
+  const login = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    admin = await User.findByPk(1);
+    collector = await createUser({ username: 'siti', password: 'rahasia123' });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('login', () => {
+    it('checks the password against the hash, records the login and issues a working token', async () => {
+      const wrong = await login('siti', 'salah123');
+      expect(wrong.status).toBe(401);
+      expect(wrong.body).toEqual({ error: 'Invalid credentials' });
+      await collector.reload();
+      expect(collector.lastLogin).toBeNull();
+
+      const res = await login('siti', 'rahasia123');
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toEqual(expect.objectContaining({ id: collector.id, username: 'siti', role: 'collector' }));
+      expect(res.body.user.password).toBeUndefined();
+      await collector.reload();
+      expect(collector.lastLogin).toBeInstanceOf(Date);
+
+      const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${res.body.token}`);
+      expect(profile.status).toBe(200);
+      expect(profile.body.username).toBe('siti');
+    });
+
+    it('rejects inactive users and incomplete requests', async () => {
+      await collector.update({ isActive: false });
+
+      const inactive = await login('siti', 'rahasia123');
+      const incomplete = await login('siti', '');
+
+      expect(inactive.status).toBe(401);
+      expect(inactive.body).toEqual({ error: 'Invalid credentials' });
+      expect(incomplete.status).toBe(400);
+    });
+  });
+
+  describe('profile', () => {
+    it('returns the current user without the password hash', async () => {
+      const res = await request(app).get('/api/auth/profile').set('Authorization', authHeader(collector));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({
+        id: collector.id,
+        username: 'siti',
+        email: 'siti@geminiagent.test',
+        role: 'collector',
+        isActive: true
+      }));
+      expect(res.body.password).toBeUndefined();
+    });
+
+    it('changes the password only with the current one', async () => {
+      const put = (body) => request(app).put('/api/auth/profile').set('Authorization', authHeader(collector)).send(body);
+
+      expect((await put({ newPassword: 'baru12345' })).status).toBe(400);
+      expect((await put({ currentPassword: 'salah123', newPassword: 'baru12345' })).status).toBe(400);
+      expect((await put({ email: 'admin@geminiagent.test' })).body).toEqual({ error: 'Email already in use' });
+
+      const res = await put({ fullName: 'Siti Aminah', currentPassword: 'rahasia123', newPassword: 'baru12345' });
+
+      expect(res.status).toBe(200);
+      await collector.reload();
+      expect(collector.fullName).toBe('Siti Aminah');
+      expect(await collector.validatePassword('baru12345')).toBe(true);
+    });
+
+    it('requires a token', async () => {
+      expect((await request(app).get('/api/auth/profile')).status).toBe(401);
+      expect((await request(app).get('/api/auth/profile').set('Authorization', 'Bearer invalid')).status).toBe(403);
+    });
+  });
+
+  describe('user management', () => {
+    const asAdmin = (method, path) => request(app)[method](path).set('Authorization', authHeader(admin));
+
+    it('is limited to admins', async () => {
+      const res = await request(app).get('/api/auth/users').set('Authorization', authHeader(collector));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('lists users with filters and without password hashes', async () => {
+      await createUser({ username: 'viewer1', role: 'viewer' });
+
+      const all = await asAdmin('get', '/api/auth/users');
+      const viewers = await asAdmin('get', '/api/auth/users?role=viewer');
+
+      expect(all.status).toBe(200);
+      expect(all.body.pagination).toEqual({ page: 1, limit: 10, total: 3, totalPages: 1 });
+      expect(all.body.users.every(user => user.password === undefined)).toBe(true);
+      expect(viewers.body.users.map(user => user.username)).toEqual(['viewer1']);
+    });
+
+    it('creates users with a hashed password and validates the input', async () => {
+      const res = await asAdmin('post', '/api/auth/users')
+        .send({ username: 'andi', email: 'andi@geminiagent.test', password: 'andi1234', role: 'viewer' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.user).toEqual(expect.objectContaining({ username: 'andi', fullName: 'andi', role: 'viewer' }));
+      const created = await User.findByPk(res.body.user.id);
+      expect(created.password).not.toBe('andi1234');
+      expect(await created.validatePassword('andi1234')).toBe(true);
+
+      const duplicate = await asAdmin('post', '/api/auth/users')
+        .send({ username: 'andi', email: 'lain@geminiagent.test', password: 'andi1234' });
+      const badRole = await asAdmin('post', '/api/auth/users')
+        .send({ username: 'budi', email: 'budi@geminiagent.test', password: 'budi1234', role: 'owner' });
+      const shortPassword = await asAdmin('post', '/api/auth/users')
+        .send({ username: 'budi', email: 'budi@geminiagent.test', password: '123' });
+
+      expect(duplicate.body).toEqual({ error: 'Username or email already exists' });
+      expect(badRole.status).toBe(400);
+      expect(shortPassword.status).toBe(400);
+    });
+
+    it('updates role, status and password', async () => {
+      const res = await asAdmin('put', `/api/auth/users/${collector.id}`)
+        .send({ role: 'viewer', password: 'ganti1234' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.role).toBe('viewer');
+      await collector.reload();
+      expect(await collector.validatePassword('ganti1234')).toBe(true);
+
+      expect((await asAdmin('put', `/api/auth/users/${collector.id}`).send({ role: 'owner' })).status).toBe(400);
+      expect((await asAdmin('put', '/api/auth/users/999').send({ role: 'viewer' })).status).toBe(404);
+    });
+
+    it('deactivates instead of deleting, and the user\'s token stops working', async () => {
+      const res = await asAdmin('delete', `/api/auth/users/${collector.id}`);
+
+      expect(res.status).toBe(200);
+      await collector.reload();
+      expect(collector.isActive).toBe(false);
+
+      const profile = await request(app).get('/api/auth/profile').set('Authorization', authHeader(collector));
+      expect(profile.status).toBe(401);
+
+      const own = await asAdmin('delete', `/api/auth/users/${admin.id}`);
+      expect(own.body).toEqual({ error: 'Cannot delete your own account' });
+      expect((await asAdmin('delete', '/api/auth/users/999')).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const ComplianceService = require('../../src/services/compliance.service');
+const { ReminderLog, ComplianceViolation } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Compliance check for AI messages (SQLite integration)', () => {
+  let whatsappService;
+  let geminiService;
+  let service;
+  let debtor;
+  let debt;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    geminiService = createFakeGeminiService();
+    service = new DebtCollectionService(whatsappService, geminiService);
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.COMPLIANCE_MAX_REGENERATIONS;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('regenerates a reminder with a wrong amount and logs the rejected text', async () => {
+    geminiService.generateDebtReminderMessage
+      .mockResolvedValueOnce(`Tagihan ${debt.invoiceNumber} sebesar Rp 15.000.000 sudah jatuh tempo.`)
+      .mockResolvedValueOnce(`Tagihan ${debt.invoiceNumber} sebesar Rp 1.500.000 sudah jatuh tempo.`);
+
+    const result = await service.sendDebtReminder(debt.id, 1);
+
+    expect(result.contentSource).toBe('ai');
+    expect(result.message).toContain('Rp 1.500.000');
+    expect(geminiService.generateDebtReminderMessage).toHaveBeenCalledTimes(2);
+
+    const [violation] = await ComplianceViolation.findAll();
+    expect(violation).toMatchObject({
+      debtId: debt.id,
+      messageType: 'reminder',
+      attempt: 1,
+      outcome: 'regenerated',
+      reviewStatus: 'pending'
+    });
+    expect(violation.violations).toEqual([
+      { rule: 'amount_mismatch', detail: 'Rp 15.000.000 does not match the debt' }
+    ]);
+  });
+
+  it('falls back to the template when every attempt breaks the rules', async () => {
+    geminiService.generateDebtReminderMessage.mockResolvedValue('Bayar sekarang atau Anda akan dipenjara.');
+
+    const result = await service.sendDebtReminder(debt.id, 2);
+
+    expect(result.contentSource).toBe('template');
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith(debtor.phone, expect.not.stringContaining('dipenjara'));
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.fallbackReason).toBe('compliance');
+
+    const violations = await ComplianceViolation.findAll({ order: [['attempt', 'ASC']] });
+    expect(violations.map(violation => [violation.attempt, violation.outcome])).toEqual([
+      [1, 'regenerated'],
+      [2, 'template']
+    ]);
+  });
+
+  it('honours the configured number of regenerations', async () => {
+    process.env.COMPLIANCE_MAX_REGENERATIONS = '0';
+    geminiService.generateEscalationMessage.mockResolvedValue('Kami akan menghubungi atasan Anda soal INV-OTHER-9.');
+
+    const result = await service.escalateDebt(debt.id);
+
+    expect(result.contentSource).toBe('template');
+    expect(geminiService.generateEscalationMessage).toHaveBeenCalledTimes(1);
+
+    const [violation] = await ComplianceViolation.findAll();
+    expect(violation.messageType).toBe('escalation');
+    expect(violation.violations.map(item => item.rule)).toEqual(['forbidden_phrase', 'invoice_mismatch']);
+  });
+
+  it('replaces a failing automatic reply with the holding reply', async () => {
+    geminiService.analyzeDebtorResponse.mockResolvedValue({
+      intent: 'question',
+      sentiment: 'neutral',
+      confidence: 0.9,
+      suggested_action: 'follow_up'
+    });
+    geminiService.generateNegotiationResponse.mockResolvedValue('Sisa tagihan Anda Rp 900.000, dasar tidak tahu malu.');
+
+    await whatsappService.receive(debtor.phone, 'Berapa sisa tagihan saya?');
+
+    const reply = whatsappService.sendMessage.mock.calls[0][1];
+    expect(reply).toBe('Terima kasih Budi Santoso, pesan Anda sudah kami terima. Petugas kami akan segera menindaklanjutinya.');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log).toMatchObject({ messageType: 'auto_response', contentSource: 'template', fallbackReason: 'compliance' });
+
+    const [violation] = await ComplianceViolation.findAll();
+    expect(violation).toMatchObject({ messageType: 'auto_response', outcome: 'template' });
+    expect(violation.violations.map(item => item.rule)).toEqual(['forbidden_phrase', 'amount_mismatch']);
+  });
+
+  it('marks a violation as reviewed once', async () => {
+    const complianceService = new ComplianceService();
+    const violation = await complianceService.recordViolation(debt, {
+      messageType: 'reminder',
+      message: 'Anda penipu',
+      violations: [{ rule: 'forbidden_phrase', detail: 'insult: "penipu"' }],
+      outcome: 'template'
+    });
+
+    await complianceService.review(violation, 1, 'Prompt diperketat');
+
+    expect(violation).toMatchObject({ reviewStatus: 'reviewed', reviewedById: 1, reviewNotes: 'Prompt diperketat' });
+    await expect(complianceService.review(violation, 1)).rejects.toThrow('already been reviewed');
+    expect((await complianceService.listViolations({ reviewStatus: 'pending' })).total).toBe(0);
+  });
+});
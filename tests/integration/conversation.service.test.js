@@ -0,0 +1,152 @@
+const ConversationService = require('../../src/services/conversation.service');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const { ReminderLog, DebtorResponse, ConversationSummary } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('ConversationService (SQLite integration)', () => {
+  let geminiService;
+  let debtor;
+  let debt;
+
+  const baseTime = new Date('2024-03-01T08:00:00Z').getTime();
+  const at = (minutes) => new Date(baseTime + minutes * 60 * 1000);
+
+  // Alternates agent and debtor turns one minute apart, starting with our reminder
+  async function createThread(turnCount, overrides = {}) {
+    for (let i = 0; i < turnCount; i++) {
+      if (i % 2 === 0) {
+        await ReminderLog.create({
+          debtId: debt.id,
+          debtorId: debtor.id,
+          level: 1,
+          messageType: 'reminder',
+          message: `Agent ${i}`,
+          sentAt: at(i),
+          ...overrides
+        });
+      } else {
+        await DebtorResponse.create({
+          debtId: debt.id,
+          debtorId: debtor.id,
+          phoneNumber: debtor.phone,
+          message: `Debtor ${i}`,
+          receivedAt: at(i)
+        });
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    geminiService = createFakeGeminiService();
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('returns inbound and outbound turns in order', async () => {
+    await createThread(3);
+    const service = new ConversationService(geminiService, { historyWindow: 10, summaryBatch: 5 });
+
+    const { summary, turns } = await service.getConversation(debtor.id);
+
+    expect(summary).toBeNull();
+    expect(turns.map(turn => [turn.role, turn.text])).toEqual([
+      ['agent', 'Agent 0'],
+      ['debtor', 'Debtor 1'],
+      ['agent', 'Agent 2']
+    ]);
+  });
+
+  it('leaves out messages that failed to send', async () => {
+    await ReminderLog.create({
+      debtId: debt.id,
+      debtorId: debtor.id,
+      message: 'Tidak terkirim',
+      status: 'failed',
+      sentAt: at(0)
+    });
+    const service = new ConversationService(geminiService);
+
+    const { turns } = await service.getConversation(debtor.id);
+
+    expect(turns).toEqual([]);
+  });
+
+  it('keeps the full thread until a whole summary batch falls outside the window', async () => {
+    await createThread(6);
+    const service = new ConversationService(geminiService, { historyWindow: 4, summaryBatch: 3 });
+
+    const { summary, turns } = await service.getConversation(debtor.id);
+
+    expect(summary).toBeNull();
+    expect(turns).toHaveLength(6);
+    expect(geminiService.summarizeConversation).not.toHaveBeenCalled();
+  });
+
+  it('summarizes turns older than the window and stores the summary', async () => {
+    await createThread(7);
+    const service = new ConversationService(geminiService, { historyWindow: 4, summaryBatch: 3 });
+
+    const { summary, turns } = await service.getConversation(debtor.id);
+
+    expect(summary).toBe('Ringkasan 3 pesan');
+    expect(turns.map(turn => turn.text)).toEqual(['Debtor 3', 'Agent 4', 'Debtor 5', 'Agent 6']);
+
+    const [previousSummary, summarizedTurns, language] = geminiService.summarizeConversation.mock.calls[0];
+    expect(previousSummary).toBeNull();
+    expect(language).toBe('id');
+    expect(summarizedTurns.map(turn => turn.text)).toEqual(['Agent 0', 'Debtor 1', 'Agent 2']);
+
+    const stored = await ConversationSummary.findByDebtor(debtor.id);
+    expect(stored.summarizedTurns).toBe(3);
+    expect(new Date(stored.summarizedUntil)).toEqual(at(2));
+
+    // Summarized turns are not loaded again
+    geminiService.summarizeConversation.mockClear();
+    const next = await service.getConversation(debtor.id);
+    expect(next.summary).toBe('Ringkasan 3 pesan');
+    expect(next.turns).toHaveLength(4);
+    expect(geminiService.summarizeConversation).not.toHaveBeenCalled();
+  });
+
+  it('asks for the summary in the debtor\'s language', async () => {
+    await createThread(7);
+    const service = new ConversationService(geminiService, { historyWindow: 4, summaryBatch: 3 });
+
+    await service.getConversation(debtor.id, 'en');
+
+    expect(geminiService.summarizeConversation.mock.calls[0][2]).toBe('en');
+  });
+
+  it('falls back to the window when summarizing fails', async () => {
+    await createThread(7);
+    geminiService.summarizeConversation.mockRejectedValueOnce(new Error('quota exceeded'));
+    const service = new ConversationService(geminiService, { historyWindow: 4, summaryBatch: 3 });
+
+    const { summary, turns } = await service.getConversation(debtor.id);
+
+    expect(summary).toBeNull();
+    expect(turns).toHaveLength(4);
+    expect(await ConversationSummary.count()).toBe(0);
+  });
+
+  it('passes the earlier thread to negotiation replies without the new message', async () => {
+    const whatsappService = createFakeWhatsAppService();
+    geminiService = createFakeGeminiService({ intent: 'question' });
+    const collectionService = new DebtCollectionService(whatsappService, geminiService);
+
+    await collectionService.sendDebtReminder(debt.id, 1);
+    await whatsappService.receive('6281234567890@s.whatsapp.net', 'Tagihan ini untuk apa?');
+
+    const [, , message, conversation] = geminiService.generateNegotiationResponse.mock.calls[0];
+    expect(message).toBe('Tagihan ini untuk apa?');
+    expect(conversation.turns.map(turn => [turn.role, turn.text])).toEqual([
+      ['agent', 'Pengingat untuk Budi Santoso']
+    ]);
+  });
+});
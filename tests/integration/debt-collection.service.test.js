@@ -0,0 +1,250 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const { Debt, Debtor, ReminderLog, DebtorResponse, OutboundMessage } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('DebtCollectionService (SQLite integration)', () => {
+  let whatsappService;
+  let geminiService;
+  let service;
+  let debtor;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    geminiService = createFakeGeminiService();
+    service = new DebtCollectionService(whatsappService, geminiService);
+    debtor = await createDebtor();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('Debtor.findByPhone', () => {
+    it.each([
+      '081234567890',
+      '6281234567890',
+      '+62 812-3456-7890',
+      '6281234567890@s.whatsapp.net'
+    ])('matches the stored number for %s', async (phone) => {
+      const found = await Debtor.findByPhone(phone);
+      expect(found).not.toBeNull();
+      expect(found.id).toBe(debtor.id);
+    });
+
+    it('does not match a number that only contains the stored digits', async () => {
+      expect(await Debtor.findByPhone('9081234567890')).toBeNull();
+    });
+  });
+
+  describe('sendDebtReminder', () => {
+    it('sends the generated message and records the reminder', async () => {
+      const debt = await createDebt(debtor);
+
+      const result = await service.sendDebtReminder(debt.id, 2);
+
+      expect(result.success).toBe(true);
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('081234567890', 'Pengingat untuk Budi Santoso');
+
+      const [debtorInfo, debtDetails, level] = geminiService.generateDebtReminderMessage.mock.calls[0];
+      expect(debtorInfo.company).toBe('PT Maju Jaya');
+      expect(debtDetails.amount).toBe(1500000);
+      expect(debtDetails.daysOverdue).toBe(10);
+      expect(level).toBe(2);
+
+      await debt.reload();
+      expect(debt.reminderCount).toBe(1);
+      expect(debt.lastReminderLevel).toBe(2);
+      expect(debt.lastReminderDate).not.toBeNull();
+
+      const logs = await ReminderLog.findByDebt(debt.id);
+      expect(logs).toHaveLength(1);
+      expect(logs[0].debtorId).toBe(debtor.id);
+      expect(logs[0].messageType).toBe('reminder');
+      expect(logs[0].status).toBe('sent');
+      expect(logs[0].whatsappMessageId).toBe(result.messageId);
+    });
+
+    it('skips debts that are already resolved', async () => {
+      const debt = await createDebt(debtor, { status: 'cancelled' });
+
+      const result = await service.sendDebtReminder(debt.id);
+
+      expect(result).toEqual({ success: false, reason: 'Debt already resolved' });
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps a reminder whose send fails queued for a retry', async () => {
+      const debt = await createDebt(debtor);
+      whatsappService.sendMessage.mockRejectedValueOnce(new Error('Connection timed out'));
+
+      const result = await service.sendDebtReminder(debt.id);
+
+      expect(result.success).toBe(true);
+      expect(result.deliveryStatus).toBe('queued');
+      expect(result.messageId).toBeNull();
+
+      const logs = await ReminderLog.findByDebt(debt.id);
+      expect(logs).toHaveLength(1);
+      expect(logs[0].status).toBe('queued');
+
+      const outbound = await OutboundMessage.findByPk(result.outboundMessageId);
+      expect(outbound.attempts).toBe(1);
+      expect(outbound.lastError).toBe('Connection timed out');
+
+      await outbound.update({ nextAttemptAt: new Date() });
+      await service.messageQueue.processQueue();
+
+      await logs[0].reload();
+      expect(logs[0].status).toBe('sent');
+      expect(logs[0].whatsappMessageId).toMatch(/^WAMSG-/);
+    });
+
+    it('rejects unknown debts', async () => {
+      await expect(service.sendDebtReminder(9999)).rejects.toThrow('Debt with ID 9999 not found');
+    });
+  });
+
+  describe('sendReminder', () => {
+    it('uses the debt reminder level when no custom message is given', async () => {
+      const debt = await createDebt(debtor, { reminderCount: 3 });
+
+      await service.sendReminder(debt.id);
+
+      expect(geminiService.generateDebtReminderMessage.mock.calls[0][2]).toBe(3);
+    });
+
+    it('sends a custom message as a manual reminder', async () => {
+      const debt = await createDebt(debtor);
+
+      await service.sendReminder(debt.id, 'Mohon segera melakukan pembayaran');
+
+      expect(geminiService.generateDebtReminderMessage).not.toHaveBeenCalled();
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.messageType).toBe('manual');
+      expect(log.message).toBe('Mohon segera melakukan pembayaran');
+
+      await debt.reload();
+      expect(debt.reminderCount).toBe(1);
+    });
+  });
+
+  describe('handling inbound replies', () => {
+    it('matches the WhatsApp JID to the debtor and replies', async () => {
+      const debt = await createDebt(debtor);
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Baik, sudah saya terima');
+
+      expect(geminiService.analyzeDebtorResponse).toHaveBeenCalledWith('Baik, sudah saya terima', expect.objectContaining({ language: 'id', debtId: debt.id }));
+
+      const responses = await DebtorResponse.findByDebtor(debtor.id);
+      expect(responses).toHaveLength(1);
+      expect(responses[0].debtId).toBe(debt.id);
+      expect(responses[0].intent).toBe('acknowledgment');
+      expect(responses[0].whatsappMessageId).toMatch(/^WAIN-/);
+
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(
+        '6281234567890@s.whatsapp.net',
+        expect.stringContaining('Rp 1.500.000')
+      );
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.messageType).toBe('auto_response');
+    });
+
+    it('totals the outstanding balance across all active debts', async () => {
+      await createDebt(debtor, { amount: 1000000 });
+      await createDebt(debtor, { amount: 500000 });
+      await createDebt(debtor, { amount: 700000, status: 'cancelled' });
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Oke');
+
+      const reply = whatsappService.sendMessage.mock.calls[0][1];
+      expect(reply).toContain('Rp 1.500.000');
+    });
+
+    it('keeps balances in different currencies apart', async () => {
+      await createDebt(debtor, { amount: 1000000 });
+      await createDebt(debtor, { amount: 250, currency: 'USD' });
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Oke');
+
+      const reply = whatsappService.sendMessage.mock.calls[0][1];
+      expect(reply).toContain('Rp 1.000.000 + US$250');
+    });
+
+    it('ignores numbers without active debts', async () => {
+      await whatsappService.receive('6289999999999@s.whatsapp.net', 'Halo');
+
+      expect(geminiService.analyzeDebtorResponse).not.toHaveBeenCalled();
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('currencies', () => {
+    it("reminds about a USD debt in dollars when the AI is unavailable", async () => {
+      await debtor.update({ language: 'en' });
+      const debt = await createDebt(debtor, { amount: 1200.5, currency: 'USD' });
+      geminiService.generateDebtReminderMessage.mockRejectedValue(new Error('offline'));
+
+      await service.sendDebtReminder(debt.id, 1);
+
+      const reminder = whatsappService.sendMessage.mock.calls[0][1];
+      expect(reminder).toContain('for $1,200.50 was due');
+      expect(debt.formattedAmount).toBe('US$1.200,50');
+    });
+  });
+
+  describe('escalateDebt', () => {
+    it('marks the debt escalated and records the status change', async () => {
+      const debt = await createDebt(debtor, { status: 'overdue' });
+
+      await service.escalateDebt(debt.id, 'collection_agency');
+
+      await debt.reload();
+      expect(debt.status).toBe('escalated');
+      expect(debt.escalationType).toBe('collection_agency');
+      expect(debt.escalationDate).not.toBeNull();
+      expect(debt.statusHistory).toEqual([
+        expect.objectContaining({ from: 'overdue', to: 'escalated' })
+      ]);
+
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.level).toBe(99);
+      expect(log.messageType).toBe('escalation');
+    });
+  });
+
+  describe('sendPaymentConfirmation', () => {
+    it('fills the remaining balance from the debt', async () => {
+      const debt = await createDebt(debtor);
+
+      await service.sendPaymentConfirmation(debt.id, { amount: '500000', reference: 'TRX-1' });
+
+      const [, details] = geminiService.generatePaymentConfirmationMessage.mock.calls[0];
+      expect(details.amount).toBe(500000);
+      expect(details.remainingBalance).toBe(1500000);
+      expect(details.reference).toBe('TRX-1');
+    });
+  });
+
+  describe('getDebtStatistics', () => {
+    it('groups debts by status and counts overdue ones', async () => {
+      await createDebt(debtor, { amount: 100000 });
+      await createDebt(debtor, { amount: 200000 });
+      await createDebt(debtor, { amount: 300000, status: 'cancelled' });
+
+      const stats = await service.getDebtStatistics();
+
+      const overdue = stats.byStatus.find(stat => stat.status === 'overdue');
+      expect(overdue).toEqual({
+        status: 'overdue',
+        count: 2,
+        totalAmount: 300000,
+        byCurrency: [{ currency: 'IDR', totalAmount: 300000 }]
+      });
+      expect(stats.overdueCount).toBe(2);
+      expect(await Debt.count()).toBe(3);
+    });
+  });
+});
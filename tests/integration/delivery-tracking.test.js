@@ -0,0 +1,256 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const DeliveryTrackingService = require('../../src/services/delivery-tracking.service');
+const { ReminderLog, OutboundMessage } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Delivery tracking (SQLite integration)', () => {
+  let whatsappService;
+  let service;
+  let debtor;
+  let debt;
+
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  async function backdate(log, createdAt) {
+    log.set('createdAt', createdAt, { raw: true });
+    log.changed('createdAt', true);
+    await log.save({ silent: true, fields: ['createdAt'] });
+  }
+
+  async function createLog(attributes = {}) {
+    return await ReminderLog.create({
+      debtId: debt.id,
+      debtorId: debtor.id,
+      level: 1,
+      messageType: 'reminder',
+      message: 'Pengingat',
+      status: 'sent',
+      deliveryStatus: 'sent',
+      ...attributes
+    });
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, createFakeGeminiService());
+    debtor = await createDebtor({ email: 'budi@majujaya.test' });
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.REMINDER_UNDELIVERED_MINUTES;
+    delete process.env.REMINDER_FALLBACK_CHANNELS;
+    delete process.env.SMS_WEBHOOK_URL;
+    delete process.env.EMAIL_WEBHOOK_URL;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('receipts', () => {
+    it('moves a sent reminder to delivered and read with timestamps', async () => {
+      const result = await service.sendDebtReminder(debt.id, 1);
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.deliveryStatus).toBe('sent');
+
+      const deliveredAt = new Date(Date.now() + 1000);
+      await whatsappService.receipt(result.messageId, 'delivered', deliveredAt);
+      await log.reload();
+      expect(log.deliveryStatus).toBe('delivered');
+      expect(log.deliveredAt).toEqual(deliveredAt);
+
+      const readAt = new Date(Date.now() + 2000);
+      await whatsappService.receipt(result.messageId, 'read', readAt);
+      await log.reload();
+      expect(log.deliveryStatus).toBe('read');
+      expect(log.readAt).toEqual(readAt);
+      expect(log.deliveredAt).toEqual(deliveredAt);
+    });
+
+    it('ignores receipts that arrive out of order or fail after delivery', async () => {
+      const log = await createLog({ whatsappMessageId: 'WAMSG-LATE' });
+
+      await whatsappService.receipt('WAMSG-LATE', 'read');
+      await whatsappService.receipt('WAMSG-LATE', 'delivered');
+      await whatsappService.receipt('WAMSG-LATE', 'failed');
+
+      await log.reload();
+      expect(log.deliveryStatus).toBe('read');
+      expect(log.deliveredAt).not.toBeNull();
+    });
+
+    it('records a failed receipt and ignores unknown message ids', async () => {
+      const log = await createLog({ whatsappMessageId: 'WAMSG-ERR' });
+
+      await whatsappService.receipt('WAMSG-ERR', 'failed');
+      await whatsappService.receipt('WAMSG-UNKNOWN', 'read');
+
+      await log.reload();
+      expect(log.deliveryStatus).toBe('failed');
+    });
+  });
+
+  describe('read rates', () => {
+    it('reports delivery and read rates per reminder level', async () => {
+      await createLog({ level: 1, deliveryStatus: 'read' });
+      await createLog({ level: 1, deliveryStatus: 'delivered' });
+      await createLog({ level: 1, deliveryStatus: 'sent' });
+      await createLog({ level: 1, deliveryStatus: 'failed' });
+      await createLog({ level: 2, deliveryStatus: 'read' });
+      // Not counted: still queued, a reply, and an SMS copy
+      await createLog({ level: 2, status: 'queued', deliveryStatus: null });
+      await createLog({ level: 0, messageType: 'auto_response', deliveryStatus: 'read' });
+      await createLog({ level: 2, channel: 'sms', deliveryStatus: null });
+
+      const rates = await service.deliveryTracking.getReadRates({ startDate: hoursAgo(1) });
+
+      expect(rates.levels).toEqual([
+        { level: 1, sent: 4, delivered: 2, read: 1, failed: 1, deliveryRate: 50, readRate: 25 },
+        { level: 2, sent: 1, delivered: 1, read: 1, failed: 0, deliveryRate: 100, readRate: 100 }
+      ]);
+      expect(rates.total).toEqual(expect.objectContaining({ sent: 5, read: 2, readRate: 40 }));
+    });
+
+    it('limits the report to the debts in scope', async () => {
+      const collector = await createUser({ username: 'siti' });
+      const assigned = await createDebt(debtor, { assignedToId: collector.id });
+      await createLog({ deliveryStatus: 'read' });
+      await createLog({ debtId: assigned.id, deliveryStatus: 'delivered' });
+
+      const rates = await service.deliveryTracking.getReadRates({
+        startDate: hoursAgo(1),
+        scope: { assignedToId: collector.id }
+      });
+
+      expect(rates.total).toEqual(expect.objectContaining({ sent: 1, delivered: 1, read: 0 }));
+    });
+  });
+
+  describe('rerouting undelivered reminders', () => {
+    let sendOnChannel;
+    let tracking;
+
+    beforeEach(() => {
+      process.env.REMINDER_UNDELIVERED_MINUTES = '60';
+      process.env.SMS_WEBHOOK_URL = 'https://sms.example.test/send';
+      process.env.EMAIL_WEBHOOK_URL = 'https://mail.example.test/send';
+      sendOnChannel = jest.fn(async () => {});
+      tracking = new DeliveryTrackingService(sendOnChannel);
+    });
+
+    it('sends reminders undelivered past the limit by SMS once', async () => {
+      const stale = await createLog({ level: 2 });
+      await backdate(stale, hoursAgo(2));
+      await createLog();
+      const delivered = await createLog({ deliveryStatus: 'delivered' });
+      await backdate(delivered, hoursAgo(2));
+
+      const results = await tracking.rerouteUndelivered();
+
+      expect(results).toEqual([expect.objectContaining({ reminderLogId: stale.id, channel: 'sms', status: 'sent' })]);
+      expect(sendOnChannel).toHaveBeenCalledWith('sms', expect.objectContaining({
+        to: debtor.phone,
+        message: 'Pengingat',
+        invoiceNumber: debt.invoiceNumber
+      }), expect.any(Object));
+
+      const copy = await ReminderLog.findByPk(results[0].reroutedLogId);
+      expect(copy.channel).toBe('sms');
+      expect(copy.level).toBe(2);
+      await stale.reload();
+      expect(stale.reroutedAt).not.toBeNull();
+
+      expect(await tracking.rerouteUndelivered()).toEqual([]);
+      await debt.reload();
+      expect(debt.reminderCount).toBe(0);
+    });
+
+    it('uses the debtor\'s preferred channel and records gateway failures', async () => {
+      await debtor.update({ preferred_contact_method: 'email' });
+      sendOnChannel.mockRejectedValueOnce(new Error('email gateway responded with 502'));
+      const failed = await createLog({ status: 'failed', deliveryStatus: 'failed' });
+      await backdate(failed, hoursAgo(2));
+
+      const [result] = await tracking.rerouteUndelivered();
+
+      expect(result).toEqual(expect.objectContaining({ channel: 'email', status: 'failed' }));
+      expect(sendOnChannel).toHaveBeenCalledWith('email', expect.objectContaining({ to: 'budi@majujaya.test' }), expect.any(Object));
+      const copy = await ReminderLog.findByPk(result.reroutedLogId);
+      expect(copy.error).toBe('email gateway responded with 502');
+    });
+
+    it('takes reminders stuck in the WhatsApp queue out of it and reroutes them', async () => {
+      const stuck = await createLog({ status: 'queued', deliveryStatus: null });
+      const text = await OutboundMessage.create({ phoneNumber: debtor.phone, message: 'Pengingat', debtId: debt.id, reminderLogId: stuck.id });
+      const invoice = await OutboundMessage.create({
+        phoneNumber: debtor.phone,
+        message: 'Invoice',
+        media: { type: 'document', mimeType: 'application/pdf', fileName: 'invoice.pdf', path: 'invoice.pdf' },
+        debtId: debt.id
+      });
+      await stuck.update({ attachments: [{ kind: 'invoice', outboundMessageId: invoice.id }] });
+      await backdate(stuck, hoursAgo(2));
+      const recent = await createLog({ status: 'queued', deliveryStatus: null });
+      await OutboundMessage.create({ phoneNumber: debtor.phone, message: 'Pengingat', debtId: debt.id, reminderLogId: recent.id });
+
+      const results = await tracking.rerouteUndelivered();
+
+      expect(results).toEqual([expect.objectContaining({ reminderLogId: stuck.id, channel: 'sms', status: 'sent' })]);
+      await text.reload();
+      await invoice.reload();
+      await stuck.reload();
+      expect(text.status).toBe('cancelled');
+      expect(invoice.status).toBe('cancelled');
+      expect(stuck.status).toBe('failed');
+      expect(stuck.reroutedAt).not.toBeNull();
+      expect((await OutboundMessage.findDue()).map(message => message.reminderLogId)).toEqual([recent.id]);
+    });
+
+    it('leaves a queued reminder alone once WhatsApp is already sending it', async () => {
+      const stuck = await createLog({ status: 'queued', deliveryStatus: null });
+      await OutboundMessage.create({ phoneNumber: debtor.phone, message: 'Pengingat', reminderLogId: stuck.id, status: 'sending' });
+      await backdate(stuck, hoursAgo(2));
+
+      const results = await tracking.rerouteUndelivered();
+
+      expect(results).toEqual([expect.objectContaining({ reminderLogId: stuck.id, status: 'skipped' })]);
+      expect(sendOnChannel).not.toHaveBeenCalled();
+      await stuck.reload();
+      expect(stuck.status).toBe('queued');
+      expect(stuck.reroutedAt).toBeNull();
+    });
+
+    it('tries again once a debtor without a fallback address gets one', async () => {
+      process.env.REMINDER_FALLBACK_CHANNELS = 'email';
+      await debtor.update({ email: null });
+      const stale = await createLog();
+      await backdate(stale, hoursAgo(2));
+
+      const [skipped] = await tracking.rerouteUndelivered();
+      expect(skipped).toEqual(expect.objectContaining({ channel: null, status: 'skipped' }));
+      await stale.reload();
+      expect(stale.reroutedAt).toBeNull();
+
+      await debtor.update({ email: 'budi@majujaya.test' });
+      const [rerouted] = await tracking.rerouteUndelivered();
+      expect(rerouted).toEqual(expect.objectContaining({ reminderLogId: stale.id, channel: 'email', status: 'sent' }));
+    });
+
+    it('does nothing without a configured channel or for resolved debts', async () => {
+      const stale = await createLog();
+      await backdate(stale, hoursAgo(2));
+
+      process.env.REMINDER_FALLBACK_CHANNELS = 'email';
+      delete process.env.EMAIL_WEBHOOK_URL;
+      expect(await tracking.rerouteUndelivered()).toEqual([]);
+
+      process.env.EMAIL_WEBHOOK_URL = 'https://mail.example.test/send';
+      await debt.update({ status: 'paid' });
+      expect(await tracking.rerouteUndelivered()).toEqual([]);
+      expect(sendOnChannel).not.toHaveBeenCalled();
+    });
+  });
+});
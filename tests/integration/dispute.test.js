@@ -0,0 +1,215 @@
+const request = require('supertest');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const DisputeService = require('../../src/services/dispute.service');
+const debtRoutes = require('../../src/routes/debt.routes');
+const { Debt, Dispute, ReminderLog, User } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+const { createApp, authHeader } = require('../helpers/api');
+
+describe('Disputes (SQLite integration)', () => {
+  let whatsappService;
+  let geminiService;
+  let service;
+  let disputeService;
+  let debtor;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    geminiService = createFakeGeminiService({ intent: 'dispute', summary: 'Debtor says the invoice was already paid' });
+    service = new DebtCollectionService(whatsappService, geminiService);
+    disputeService = new DisputeService();
+    debtor = await createDebtor();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('disputes raised over WhatsApp', () => {
+    it('opens a dispute on the quoted invoice and holds its reminders', async () => {
+      const other = await createDebt(debtor);
+      const debt = await createDebt(debtor);
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', `Tagihan ${debt.invoiceNumber} sudah saya bayar`);
+
+      const [dispute] = await Dispute.findByDebt(debt.id);
+      expect(dispute.status).toBe('open');
+      expect(dispute.source).toBe('whatsapp');
+      expect(dispute.reason).toBe('Debtor says the invoice was already paid');
+      expect(dispute.evidence).toEqual([
+        expect.objectContaining({ type: 'message', description: `Tagihan ${debt.invoiceNumber} sudah saya bayar` })
+      ]);
+      expect(dispute.debtorResponseId).not.toBeNull();
+
+      await debt.reload();
+      expect(debt.isDisputed).toBe(true);
+      expect(debt.canSendReminder()).toBe(false);
+
+      const due = await Debt.findDueForReminder();
+      expect(due.map(d => d.id)).toEqual([other.id]);
+
+      expect(whatsappService.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('adds later messages to the open dispute as evidence', async () => {
+      const debt = await createDebt(debtor);
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Saya tidak pernah pesan jasa ini');
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Kontraknya sudah dibatalkan bulan lalu');
+
+      const disputes = await Dispute.findByDebt(debt.id);
+      expect(disputes).toHaveLength(1);
+      expect(disputes[0].evidence.map(item => item.description)).toEqual([
+        'Saya tidak pernah pesan jasa ini',
+        'Kontraknya sudah dibatalkan bulan lalu'
+      ]);
+    });
+  });
+
+  describe('reminders and escalation during a dispute', () => {
+    let disputed;
+    let undisputed;
+
+    beforeEach(async () => {
+      disputed = await createDebt(debtor, { reminderCount: 5 });
+      undisputed = await createDebt(debtor, { reminderCount: 5 });
+      await disputeService.openDispute(disputed, { reason: 'Wrong amount', openedById: 1 });
+    });
+
+    it('skips generated and custom manual reminders', async () => {
+      const generated = await service.sendDebtReminder(disputed.id, 2);
+      const custom = await service.sendReminder(disputed.id, 'Mohon segera dibayar');
+
+      expect(generated).toEqual({ success: false, reason: 'Debt is under dispute' });
+      expect(custom).toEqual({ success: false, reason: 'Debt is under dispute' });
+      expect(await ReminderLog.count({ where: { debtId: disputed.id } })).toBe(0);
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('leaves disputed debts out of bulk reminders', async () => {
+      const results = await service.sendBulkReminders({ debtorId: debtor.id });
+
+      expect(results.map(result => result.debtId)).toEqual([undisputed.id]);
+      expect(await ReminderLog.count({ where: { debtId: disputed.id } })).toBe(0);
+      expect(await ReminderLog.count({ where: { debtId: undisputed.id } })).toBe(1);
+    });
+
+    it('does not escalate disputed debts', async () => {
+      await service.scheduleEscalation(await Debt.findAll({ where: { debtorId: debtor.id } }));
+
+      await disputed.reload();
+      await undisputed.reload();
+      expect(disputed.status).toBe('overdue');
+      expect(undisputed.status).toBe('escalated');
+      expect(await ReminderLog.count({ where: { debtId: disputed.id, messageType: 'escalation' } })).toBe(0);
+    });
+
+    it('refuses a manual escalation notice', async () => {
+      const result = await service.escalateDebt(disputed.id);
+
+      await disputed.reload();
+      expect(result).toEqual({ success: false, reason: 'Debt is under dispute' });
+      expect(disputed.status).toBe('overdue');
+      expect(await ReminderLog.count({ where: { debtId: disputed.id } })).toBe(0);
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps the dispute and reminder state when the debt is edited', async () => {
+      const app = createApp({ '/debts': debtRoutes });
+      const admin = await User.findByPk(1);
+
+      const res = await request(app)
+        .put(`/api/debts/${disputed.id}`)
+        .set('Authorization', authHeader(admin))
+        .send({
+          description: 'Corrected description',
+          isDisputed: false,
+          reminderCount: 0,
+          nextReminderDate: new Date(),
+          remindersPausedUntil: null,
+          payments: [{ amount: 1500000 }],
+          statusHistory: []
+        });
+
+      expect(res.status).toBe(200);
+      await disputed.reload();
+      expect(disputed.description).toBe('Corrected description');
+      expect(disputed.isDisputed).toBe(true);
+      expect(disputed.reminderCount).toBe(5);
+      expect(disputed.payments).toEqual([]);
+    });
+  });
+
+  describe('resolveDispute', () => {
+    let debt;
+    let dispute;
+
+    beforeEach(async () => {
+      debt = await createDebt(debtor);
+      dispute = await disputeService.openDispute(debt, { reason: 'Wrong amount', openedById: 1 });
+      await disputeService.startReview(dispute, 1);
+    });
+
+    it('cancels the debt for a valid dispute', async () => {
+      await disputeService.resolveDispute(dispute, {
+        outcome: 'valid', action: 'cancel', resolution: 'Invoice issued twice', resolvedById: 1
+      });
+
+      expect(dispute.status).toBe('resolved_valid');
+      expect(dispute.resolutionAction).toBe('cancel');
+      expect(dispute.reviewerId).toBe(1);
+
+      await debt.reload();
+      expect(debt.status).toBe('cancelled');
+      expect(debt.isDisputed).toBe(false);
+    });
+
+    it('lowers the amount and resumes reminders when adjusted', async () => {
+      await disputeService.resolveDispute(dispute, {
+        outcome: 'valid', action: 'adjust', adjustedAmount: 1000000, resolvedById: 1
+      });
+
+      expect(parseFloat(dispute.originalAmount)).toBe(1500000);
+      expect(parseFloat(dispute.adjustedAmount)).toBe(1000000);
+
+      await debt.reload();
+      expect(parseFloat(debt.amount)).toBe(1000000);
+      expect(debt.isDisputed).toBe(false);
+      expect(debt.canSendReminder()).toBe(true);
+    });
+
+    it('rejects adjustments that do not lower the amount', async () => {
+      await expect(disputeService.resolveDispute(dispute, {
+        outcome: 'valid', action: 'adjust', adjustedAmount: 2000000
+      })).rejects.toThrow('adjustedAmount must be positive');
+
+      await dispute.reload();
+      expect(dispute.status).toBe('under_review');
+      await debt.reload();
+      expect(parseFloat(debt.amount)).toBe(1500000);
+    });
+
+    it('leaves the debt unchanged and resumes reminders for an invalid dispute', async () => {
+      await disputeService.resolveDispute(dispute, { outcome: 'invalid', resolution: 'Payment not found' });
+
+      expect(dispute.status).toBe('resolved_invalid');
+      expect(dispute.resolutionAction).toBe('none');
+
+      await debt.reload();
+      expect(debt.status).toBe('overdue');
+      expect(debt.isDisputed).toBe(false);
+
+      const due = await Debt.findDueForReminder();
+      expect(due.map(d => d.id)).toContain(debt.id);
+    });
+
+    it('refuses to resolve a dispute twice', async () => {
+      await disputeService.resolveDispute(dispute, { outcome: 'invalid' });
+
+      await expect(disputeService.resolveDispute(dispute, { outcome: 'invalid' }))
+        .rejects.toThrow('Dispute is already resolved_invalid');
+    });
+  });
+});
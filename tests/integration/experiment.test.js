@@ -0,0 +1,220 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const ExperimentService = require('../../src/services/experiment.service');
+const { ReminderLog, DebtorResponse, PromiseToPay } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('Reminder experiments (SQLite integration)', () => {
+  const experimentService = new ExperimentService();
+  const variants = [
+    { name: 'control' },
+    {
+      name: 'short-with-link',
+      config: {
+        toneMap: { 1: 'warm and brief' },
+        maxWords: 80,
+        paymentLink: 'https://pay.example.com/{{invoiceNumber}}'
+      }
+    }
+  ];
+  let provider;
+  let service;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    provider = { name: 'fake', model: 'fake-1', generate: jest.fn(async () => ({ text: 'Pesan AI' })) };
+    service = new DebtCollectionService(createFakeWhatsAppService(), new GeminiService(provider));
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('validates the experiment and its variant configs', async () => {
+    await expect(experimentService.createExperiment({ name: 'Solo', variants: [{ name: 'only' }] }, 1))
+      .rejects.toThrow('An experiment needs at least two variants');
+
+    await expect(experimentService.createExperiment({
+      name: 'Bad',
+      variants: [
+        { name: 'a', config: { maxWords: 5 } },
+        { name: 'b', config: { paymentLink: 'pay here', colour: 'red' } }
+      ]
+    }, 1)).rejects.toThrow(
+      'a: maxWords must be an integer between 20 and 1000; b: unknown config keys: colour; b: paymentLink must be an http(s) URL'
+    );
+  });
+
+  it('runs one experiment at a time and only edits drafts', async () => {
+    const first = await experimentService.createExperiment({ name: 'First', variants }, 1);
+    const second = await experimentService.createExperiment({ name: 'Second', variants }, 1);
+
+    await experimentService.start(first, 1);
+
+    await expect(experimentService.start(second, 1)).rejects.toThrow('is already running');
+    await expect(experimentService.updateExperiment(first, { name: 'Renamed' }, 1))
+      .rejects.toThrow('Only draft experiments can be edited');
+
+    await experimentService.stop(first, 1);
+    await experimentService.start(second, 1);
+    expect(second.status).toBe('running');
+  });
+
+  it('assigns each debtor to the same variant every time, split by weight', async () => {
+    const experiment = await experimentService.createExperiment({
+      name: 'Weighted',
+      variants: [{ name: 'a', weight: 3 }, { name: 'b', weight: 1 }]
+    }, 1);
+
+    const counts = { a: 0, b: 0 };
+    for (let debtorId = 1; debtorId <= 400; debtorId++) {
+      const variant = experimentService.pickVariant(experiment, experiment.variants, debtorId);
+      expect(experimentService.pickVariant(experiment, experiment.variants, debtorId).id).toBe(variant.id);
+      counts[variant.name] += 1;
+    }
+
+    expect(counts.a).toBeGreaterThan(250);
+    expect(counts.b).toBeGreaterThan(50);
+  });
+
+  it("builds the reminder prompt from the debtor's variant and logs the variant", async () => {
+    const experiment = await experimentService.createExperiment({ name: 'Link test', variants }, 1);
+    await experimentService.start(experiment, 1);
+    const linkVariant = experiment.variants.find(variant => variant.name === 'short-with-link');
+    service.experimentService.assignVariant = jest.fn(async () => linkVariant);
+
+    const debtor = await createDebtor();
+    const debt = await createDebt(debtor);
+    await service.sendDebtReminder(debt.id, 1);
+
+    const prompt = provider.generate.mock.calls[0][0].prompt;
+    expect(prompt).toContain('Generate a warm and brief WhatsApp message');
+    expect(prompt).toContain('Keep message under 80 words');
+    expect(prompt).toContain(`Payment Link: https://pay.example.com/${debt.invoiceNumber}`);
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.experimentVariantId).toBe(linkVariant.id);
+  });
+
+  it('leaves the prompt unchanged and logs no variant when nothing runs', async () => {
+    const debtor = await createDebtor();
+    const debt = await createDebt(debtor);
+    await service.sendDebtReminder(debt.id, 1);
+
+    const prompt = provider.generate.mock.calls[0][0].prompt;
+    expect(prompt).toContain('Generate a friendly and polite WhatsApp message');
+    expect(prompt).toContain('Keep message under 300 words');
+    expect(prompt).not.toContain('Payment Link');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.experimentVariantId).toBeNull();
+  });
+
+  it('does not attribute a template fallback to the variant', async () => {
+    const experiment = await experimentService.createExperiment({ name: 'Fallback', variants }, 1);
+    await experimentService.start(experiment, 1);
+    provider.generate.mockRejectedValue(new Error('quota exceeded'));
+
+    const debtor = await createDebtor();
+    const debt = await createDebt(debtor);
+    await service.sendDebtReminder(debt.id, 1);
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.contentSource).toBe('template');
+    expect(log.experimentVariantId).toBeNull();
+  });
+
+  it('attributes outcomes to the first exposure and reports rates with intervals', async () => {
+    const experiment = await experimentService.createExperiment({
+      name: 'Outcomes',
+      attributionDays: 7,
+      paidWithinDays: 3,
+      variants
+    }, 1);
+    const [control, treatment] = experiment.variants;
+
+    const expose = async (phone, variant, sentDaysAgo) => {
+      const debtor = await createDebtor({ phone });
+      const debt = await createDebt(debtor);
+      await ReminderLog.create({
+        debtId: debt.id,
+        debtorId: debtor.id,
+        level: 1,
+        messageType: 'reminder',
+        message: 'Pesan AI',
+        contentSource: 'ai',
+        experimentVariantId: variant.id,
+        sentAt: daysAgo(sentDaysAgo)
+      });
+      return { debtor, debt };
+    };
+
+    // Control: one reply that opts out, one silent debtor
+    const optOut = await expose('081200000001', control, 10);
+    await DebtorResponse.create({
+      debtId: optOut.debt.id,
+      debtorId: optOut.debtor.id,
+      phoneNumber: optOut.debtor.phone,
+      message: 'Tolong berhenti kirim pesan',
+      receivedAt: daysAgo(9)
+    });
+    await expose('081200000002', control, 10);
+
+    // Treatment: a promise then a payment inside the window, and a payment too late to count
+    const payer = await expose('081200000003', treatment, 10);
+    await DebtorResponse.create({
+      debtId: payer.debt.id,
+      debtorId: payer.debtor.id,
+      phoneNumber: payer.debtor.phone,
+      message: 'Besok saya bayar',
+      receivedAt: daysAgo(9)
+    });
+    const promise = await PromiseToPay.create({
+      debtId: payer.debt.id,
+      debtorId: payer.debtor.id,
+      promisedAmount: 1500000,
+      promisedDate: daysAgo(8)
+    });
+    promise.set('createdAt', daysAgo(9), { raw: true });
+    promise.changed('createdAt', true);
+    await promise.save({ silent: true, fields: ['createdAt'] });
+    await payer.debt.addPayment({ amount: 1500000, paymentDate: daysAgo(8), method: 'transfer' });
+
+    const late = await expose('081200000004', treatment, 10);
+    await late.debt.addPayment({ amount: 500000, paymentDate: daysAgo(2), method: 'transfer' });
+
+    // A later reminder to the same debtor is not a new exposure
+    await ReminderLog.create({
+      debtId: late.debt.id,
+      debtorId: late.debtor.id,
+      level: 2,
+      messageType: 'reminder',
+      contentSource: 'ai',
+      experimentVariantId: treatment.id,
+      sentAt: daysAgo(3)
+    });
+
+    const results = await experimentService.getResults(experiment);
+    const [controlResult, treatmentResult] = results.variants;
+
+    expect(controlResult.exposed).toBe(2);
+    expect(controlResult.replyRate.count).toBe(1);
+    expect(controlResult.optOutRate.count).toBe(1);
+    expect(controlResult.paidRate.count).toBe(0);
+
+    expect(treatmentResult.exposed).toBe(2);
+    expect(treatmentResult.replyRate).toMatchObject({ count: 1, rate: 0.5 });
+    expect(treatmentResult.promiseRate.count).toBe(1);
+    expect(treatmentResult.paidRate.count).toBe(1);
+    expect(treatmentResult.optOutRate.count).toBe(0);
+    expect(treatmentResult.paidRate.ci95.lower).toBeLessThan(0.5);
+    expect(treatmentResult.paidRate.ci95.upper).toBeGreaterThan(0.5);
+
+    // Collectors only see the debts assigned to them
+    const scoped = await experimentService.getResults(experiment, { assignedToId: 99 });
+    expect(scoped.variants.map(variant => variant.exposed)).toEqual([0, 0]);
+  });
+});
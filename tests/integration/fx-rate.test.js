@@ -0,0 +1,125 @@
+const FxRateService = require('../../src/services/fx-rate.service');
+const DebtReportService = require('../../src/services/debt-report.service');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const { FxRate } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+describe('FX rates and reporting currency (SQLite integration)', () => {
+  const fxRateService = new FxRateService();
+  const debtReportService = new DebtReportService();
+  let debtor;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    debtor = await createDebtor();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('imports daily rates from CSV and replaces existing days', async () => {
+    await fxRateService.setRate({ date: '2026-01-02', fromCurrency: 'usd', toCurrency: 'idr', rate: 15000 }, 1);
+
+    const result = await fxRateService.importCsv([
+      'date,from,to,rate',
+      '2026-01-02,USD,IDR,15500',
+      '2026-01-02,EUR,IDR,17000.5',
+      ''
+    ].join('\n'), 1);
+
+    expect(result).toEqual({ imported: 2 });
+    const rates = await fxRateService.listRates({ toCurrency: 'IDR' });
+    expect(rates.map(rate => [rate.fromCurrency, parseFloat(rate.rate), rate.source])).toEqual([
+      ['EUR', 17000.5, 'csv'],
+      ['USD', 15500, 'csv']
+    ]);
+  });
+
+  it('rejects the whole CSV with line numbers when a row is invalid', async () => {
+    await expect(fxRateService.importCsv([
+      'date,from,to,rate',
+      '2026-01-02,USD,IDR,15500',
+      '02/01/2026,GBP,IDR,-1'
+    ].join('\n'), 1)).rejects.toThrow(
+      'line 3: date must be YYYY-MM-DD; fromCurrency must be one of: IDR, USD, EUR; rate must be a positive number'
+    );
+    await expect(fxRateService.importCsv('day,rate\n2026-01-02,1', 1))
+      .rejects.toThrow('(missing date, from, to)');
+
+    expect(await FxRate.count()).toBe(0);
+  });
+
+  it('converts debt statistics at the issue date and keeps the per-currency totals', async () => {
+    await fxRateService.importCsv('date,from,to,rate\n2026-01-01,USD,IDR,15000\n2026-03-01,USD,IDR,16000', 1);
+    await createDebt(debtor, { amount: 1000000, issueDate: '2026-02-10' });
+    await createDebt(debtor, { amount: 100, currency: 'USD', issueDate: '2026-02-10' });
+    await createDebt(debtor, { amount: 200, currency: 'USD', issueDate: '2026-03-05' });
+
+    const stats = await debtReportService.getDebtStatistics();
+
+    expect(stats.currency).toBe('IDR');
+    const overdue = stats.byStatus.find(stat => stat.status === 'overdue');
+    expect(overdue.count).toBe(3);
+    expect(overdue.totalAmount).toBe(1000000 + 1500000 + 3200000);
+    expect(overdue.byCurrency).toEqual([
+      { currency: 'IDR', totalAmount: 1000000 },
+      { currency: 'USD', totalAmount: 300 }
+    ]);
+    expect(stats.missingRates).toEqual([]);
+
+    const inDollars = await debtReportService.getDebtStatistics({}, { currency: 'USD' });
+    expect(inDollars.currency).toBe('USD');
+    expect(inDollars.overdue.totalAmount).toBeCloseTo(1000000 / 15000 + 300, 2);
+  });
+
+  it('sums overdue balances net of partial payments and converts them at today\'s rate', async () => {
+    await fxRateService.importCsv('date,from,to,rate\n2026-01-01,USD,IDR,15000', 1);
+    const partial = await createDebt(debtor, { amount: 1000000, issueDate: '2026-02-10' });
+    await partial.addPayment({ amount: 400000, paymentDate: new Date() }, 1);
+    await createDebt(debtor, {
+      amount: 100,
+      currency: 'USD',
+      issueDate: '2026-02-10',
+      dueDate: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000)
+    });
+    await createDebt(debtor, { amount: 500000, status: 'paid' });
+
+    const { overdue } = await debtReportService.getDebtStatistics();
+
+    expect(overdue).toEqual({
+      count: 2,
+      totalAmount: 1000000 + 1500000,
+      outstanding: 600000 + 1500000,
+      avgDaysOverdue: 15,
+      byCurrency: [
+        { currency: 'IDR', totalAmount: 1000000, outstanding: 600000 },
+        { currency: 'USD', totalAmount: 100, outstanding: 100 }
+      ]
+    });
+  });
+
+  it('reports amounts it could not convert', async () => {
+    await createDebt(debtor, { amount: 100, currency: 'EUR', issueDate: '2026-02-10' });
+    await createDebt(debtor, { amount: 500000 });
+
+    const efficiency = await debtReportService.getCollectionEfficiency(new Date(Date.now() - 60000), new Date());
+
+    expect(efficiency.totalDebts).toBe(2);
+    expect(efficiency.totalAmount).toBe(500000);
+    expect(efficiency.byCurrency).toEqual([
+      { currency: 'EUR', totalAmount: 100, paidAmount: 0 },
+      { currency: 'IDR', totalAmount: 500000, paidAmount: 0 }
+    ]);
+    expect(efficiency.missingRates).toEqual([{ currency: 'EUR', date: '2026-02-10' }]);
+  });
+
+  it('rejects an unsupported reporting currency', async () => {
+    const service = new DebtCollectionService(createFakeWhatsAppService(), new GeminiService({ name: 'fake' }));
+
+    await expect(service.getDebtStatistics({ currency: 'GBP' }))
+      .rejects.toThrow('Reporting currency must be one of: IDR, USD, EUR');
+  });
+});
@@ -0,0 +1,155 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const { Debtor, ReminderLog, ReplyDraft, DebtorResponse } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Conversation handoff (SQLite integration)', () => {
+  const phone = '6281234567890@s.whatsapp.net';
+  let whatsappService;
+  let geminiService;
+  let service;
+  let debtor;
+  let debt;
+
+  function useAnalysis(analysis) {
+    geminiService = createFakeGeminiService(analysis);
+    service = new DebtCollectionService(whatsappService, geminiService);
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    useAnalysis({});
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('stays silent in human mode but keeps the message for the inbox', async () => {
+    await debtor.update({ conversation_mode: 'human' });
+
+    await whatsappService.receive(phone, 'Saya mau bicara dengan petugas');
+
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    expect(await DebtorResponse.findByDebtor(debtor.id)).toHaveLength(1);
+  });
+
+  it('hands off automatically on low confidence', async () => {
+    useAnalysis({ confidence: 0.3 });
+
+    await whatsappService.receive(phone, 'hmm ???');
+
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    await debtor.reload();
+    expect(debtor.conversation_mode).toBe('human');
+    expect(debtor.handoff_reason).toBe('low_confidence');
+    expect(debtor.handoff_at).not.toBeNull();
+  });
+
+  it('hands off automatically on negative sentiment', async () => {
+    useAnalysis({ sentiment: 'negative' });
+
+    await whatsappService.receive(phone, 'Jangan ganggu saya terus!');
+
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    await debtor.reload();
+    expect(debtor.handoff_reason).toBe('sentiment:negative');
+  });
+
+  it('hands off on configured intents', async () => {
+    process.env.HANDOFF_INTENTS = 'dispute';
+    useAnalysis({ intent: 'dispute' });
+
+    try {
+      await whatsappService.receive(phone, 'Tagihan ini salah');
+    } finally {
+      delete process.env.HANDOFF_INTENTS;
+    }
+
+    await debtor.reload();
+    expect(debtor.conversation_mode).toBe('human');
+    expect(debtor.handoff_reason).toBe('intent:dispute');
+  });
+
+  describe('ai_draft mode', () => {
+    beforeEach(async () => {
+      await debtor.update({ conversation_mode: 'ai_draft' });
+    });
+
+    it('queues the AI reply instead of sending it', async () => {
+      await whatsappService.receive(phone, 'Oke');
+
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+      const [draft] = await ReplyDraft.findPendingByDebtor(debtor.id);
+      expect(draft.debtId).toBe(debt.id);
+      expect(draft.suggestedMessage).toContain('Rp 1.500.000');
+      expect(draft.debtorResponseId).not.toBeNull();
+    });
+
+    it('keeps only the newest pending draft', async () => {
+      await whatsappService.receive(phone, 'Oke');
+      await whatsappService.receive(phone, 'Oke, nanti saya cek');
+
+      const drafts = await ReplyDraft.findAll({ order: [['id', 'ASC']] });
+      expect(drafts.map(draft => draft.status)).toEqual(['discarded', 'pending']);
+    });
+
+    it('sends an approved draft with the collector edits', async () => {
+      await whatsappService.receive(phone, 'Oke');
+      const [draft] = await ReplyDraft.findPendingByDebtor(debtor.id);
+
+      await service.approveReplyDraft(draft, 1, 'Terima kasih, kami tunggu pembayarannya.');
+
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('081234567890', 'Terima kasih, kami tunggu pembayarannya.');
+      expect(draft.status).toBe('sent');
+      expect(draft.reviewedById).toBe(1);
+
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.messageType).toBe('manual');
+      expect(log.sentById).toBe(1);
+
+      await expect(service.approveReplyDraft(draft, 1)).rejects.toThrow('Draft is already sent');
+    });
+
+    it('does not hand off further when already in the configured mode', async () => {
+      process.env.HANDOFF_MODE = 'ai_draft';
+      useAnalysis({ confidence: 0.2 });
+
+      try {
+        await whatsappService.receive(phone, '???');
+      } finally {
+        delete process.env.HANDOFF_MODE;
+      }
+
+      await debtor.reload();
+      expect(debtor.conversation_mode).toBe('ai_draft');
+      expect(await ReplyDraft.findPendingByDebtor(debtor.id)).toHaveLength(1);
+    });
+  });
+
+  describe('claim and release', () => {
+    it('claims a conversation and hands it back to the AI', async () => {
+      await service.handoffService.claim(debtor, 1, 'ai_draft');
+      await debtor.reload();
+      expect(debtor.conversation_mode).toBe('ai_draft');
+      expect(debtor.conversation_claimed_by).toBe(1);
+      expect(debtor.handoff_reason).toBe('claimed');
+
+      await whatsappService.receive(phone, 'Oke');
+      await service.handoffService.release(debtor, 1);
+
+      await debtor.reload();
+      expect(debtor.conversation_mode).toBe('ai');
+      expect(debtor.conversation_claimed_by).toBeNull();
+      expect(await ReplyDraft.findPendingByDebtor(debtor.id)).toHaveLength(0);
+    });
+
+    it('rejects unknown modes', async () => {
+      await expect(service.handoffService.claim(debtor, 1, 'robot')).rejects.toThrow('Mode must be one of');
+      expect((await Debtor.findByPk(debtor.id)).conversation_mode).toBe('ai');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const InboxService = require('../../src/services/inbox.service');
+const { DebtorResponse, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Conversation inbox (SQLite integration)', () => {
+  let whatsappService;
+  let service;
+  let inboxService;
+  let budi;
+  let siti;
+  let budiDebt;
+  let sitiDebt;
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  async function inbound(debt, message, receivedAt, readAt = null) {
+    return await DebtorResponse.create({
+      debtId: debt.id,
+      debtorId: debt.debtorId,
+      phoneNumber: '62800',
+      message,
+      receivedAt,
+      readAt
+    });
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, createFakeGeminiService());
+    inboxService = new InboxService();
+
+    budi = await createDebtor();
+    siti = await createDebtor({ name: 'Siti Aminah', phone: '081298765432', company: null });
+    budiDebt = await createDebt(budi);
+    sitiDebt = await createDebt(siti);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('listConversations', () => {
+    it('sorts by last activity and counts unread inbound messages', async () => {
+      await inbound(budiDebt, 'Halo', minutesAgo(30), minutesAgo(25));
+      await inbound(budiDebt, 'Ada orang?', minutesAgo(20));
+      await inbound(sitiDebt, 'Oke', minutesAgo(40));
+      await ReminderLog.create({
+        debtId: sitiDebt.id, debtorId: siti.id, level: 1, message: 'Pengingat', sentAt: minutesAgo(5)
+      });
+
+      const { conversations, total } = await inboxService.listConversations();
+
+      expect(total).toBe(2);
+      expect(conversations.map(c => c.debtor.name)).toEqual(['Siti Aminah', 'Budi Santoso']);
+      expect(conversations.map(c => c.unreadCount)).toEqual([1, 1]);
+      expect(conversations[0].lastMessage).toEqual(expect.objectContaining({ direction: 'outbound', message: 'Pengingat' }));
+      expect(conversations[1].lastMessage).toEqual(expect.objectContaining({ direction: 'inbound', message: 'Ada orang?' }));
+    });
+
+    it('filters by unread, mode and accessible debtors', async () => {
+      await inbound(budiDebt, 'Halo', minutesAgo(10));
+      await inbound(sitiDebt, 'Oke', minutesAgo(5), minutesAgo(1));
+      await siti.update({ conversation_mode: 'human' });
+
+      const unread = await inboxService.listConversations({ unreadOnly: true });
+      expect(unread.conversations.map(c => c.debtor.id)).toEqual([budi.id]);
+
+      const human = await inboxService.listConversations({ mode: 'human' });
+      expect(human.conversations.map(c => c.debtor.id)).toEqual([siti.id]);
+
+      const scoped = await inboxService.listConversations({ debtorIds: [siti.id] });
+      expect(scoped.conversations.map(c => c.debtor.id)).toEqual([siti.id]);
+    });
+  });
+
+  describe('getAccessibleDebtorIds', () => {
+    it('limits collectors to assigned debts and conversations', async () => {
+      const collector = await createUser({ username: 'collector1' });
+      await budiDebt.update({ assignedToId: collector.id });
+
+      expect(await inboxService.getAccessibleDebtorIds(collector)).toEqual([budi.id]);
+
+      await service.handoffService.assign(siti, collector.id);
+      expect((await inboxService.getAccessibleDebtorIds(collector)).sort()).toEqual([budi.id, siti.id].sort());
+
+      expect(await inboxService.getAccessibleDebtorIds({ id: 1, role: 'admin' })).toBeNull();
+    });
+  });
+
+  describe('replying', () => {
+    it('sends as the collector and marks the thread read', async () => {
+      await inbound(budiDebt, 'Kapan bisa ditelepon?', minutesAgo(3));
+
+      const result = await service.sendConversationReply(budi, 'Sore ini pukul 15.00', 1);
+
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('081234567890', 'Sore ini pukul 15.00');
+      expect(result.debtId).toBe(budiDebt.id);
+
+      const [log] = await ReminderLog.findByDebt(budiDebt.id);
+      expect(log.messageType).toBe('manual');
+      expect(log.sentById).toBe(1);
+      expect(await inboxService.countUnread(budi.id)).toBe(0);
+
+      const { messages } = await inboxService.getThread(budi.id);
+      expect(messages.map(m => m.direction)).toEqual(['outbound', 'inbound']);
+      expect(messages[0].sentById).toBe(1);
+    });
+
+    it('queues a reply that fails to send and still marks the thread read', async () => {
+      await inbound(budiDebt, 'Halo', minutesAgo(3));
+      whatsappService.sendMessage.mockRejectedValueOnce(new Error('Connection timed out'));
+
+      const result = await service.sendConversationReply(budi, 'Halo juga', 1);
+
+      expect(result.deliveryStatus).toBe('queued');
+      const [log] = await ReminderLog.findByDebt(budiDebt.id);
+      expect(log.status).toBe('queued');
+      expect(await inboxService.countUnread(budi.id)).toBe(0);
+    });
+  });
+
+  it('marks a thread read for the whole team', async () => {
+    await inbound(budiDebt, 'Halo', minutesAgo(3));
+    await inbound(budiDebt, 'Halo?', minutesAgo(2));
+
+    expect(await inboxService.markRead(budi.id, 1)).toBe(2);
+
+    const responses = await DebtorResponse.findByDebtor(budi.id);
+    expect(responses.every(response => response.readAt && response.readById === 1)).toBe(true);
+  });
+
+  it('publishes inbound messages for the stream', async () => {
+    const events = [];
+    service.inboxEvents.on('inbound', event => events.push(event));
+    await budiDebt.update({ assignedToId: 1 });
+
+    await whatsappService.receive('6281234567890@s.whatsapp.net', 'Sudah saya transfer');
+
+    expect(events).toEqual([expect.objectContaining({
+      debtorId: budi.id,
+      debtId: budiDebt.id,
+      message: 'Sudah saya transfer',
+      intent: 'acknowledgment',
+      mode: 'ai',
+      assignedToIds: [1]
+    })]);
+  });
+});
@@ -0,0 +1,101 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const { Debtor, MessageTemplate } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Debtor languages (SQLite integration)', () => {
+  const phone = '6281234567890@s.whatsapp.net';
+  let whatsappService;
+  let geminiService;
+  let service;
+  let debtor;
+
+  function useAnalysis(analysis) {
+    geminiService = createFakeGeminiService(analysis);
+    service = new DebtCollectionService(whatsappService, geminiService);
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    useAnalysis({});
+    debtor = await createDebtor();
+    await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.LANGUAGE_AUTO_DETECT;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('switches to English when the debtor replies in English', async () => {
+    await whatsappService.receive(phone, 'Thanks, I will pay the invoice this week');
+
+    await debtor.reload();
+    expect(debtor.language).toBe('en');
+    expect(debtor.language_detected_at).not.toBeNull();
+
+    const reply = whatsappService.sendMessage.mock.calls[0][1];
+    expect(reply).toBe('Thank you Budi Santoso for your reply. We look forward to your payment to settle the outstanding amount of IDR 1,500,000.\n\nIf you need help or more information, please contact us.');
+  });
+
+  it('uses the language reported by the analysis and passes it to generated replies', async () => {
+    useAnalysis({ intent: 'question', language: 'jv' });
+
+    await whatsappService.receive(phone, 'Pinten tagihan kulo saniki mas?');
+
+    await debtor.reload();
+    expect(debtor.language).toBe('jv');
+    expect(geminiService.generateNegotiationResponse.mock.calls[0][0].language).toBe('jv');
+  });
+
+  it('keeps the language when auto-detection is off or the reply is too short', async () => {
+    await whatsappService.receive(phone, 'ok thanks');
+    await debtor.reload();
+    expect(debtor.language).toBe('id');
+
+    process.env.LANGUAGE_AUTO_DETECT = 'false';
+    await whatsappService.receive(phone, 'Thanks, I will pay the invoice this week');
+    await debtor.reload();
+    expect(debtor.language).toBe('id');
+  });
+
+  it('falls back along the language chain for fixed replies', async () => {
+    await debtor.update({ language: 'jv' });
+    await whatsappService.receive(phone, 'nggih');
+    expect(whatsappService.sendMessage.mock.calls[0][1]).toContain('Terima kasih Budi Santoso atas tanggapan Anda');
+
+    await MessageTemplate.create({ messageType: 'acknowledgment', language: 'jv', body: 'Matur nuwun {{name}}, tagihan {{amount}}.' });
+    await whatsappService.receive(phone, 'nggih');
+    expect(whatsappService.sendMessage.mock.calls[1][1]).toBe('Matur nuwun Budi Santoso, tagihan Rp 1.500.000.');
+  });
+
+  it('writes plan proposals in the debtor\'s language', async () => {
+    await debtor.update({ language: 'en' });
+    useAnalysis({ intent: 'payment_plan_request' });
+
+    await whatsappService.receive(phone, 'installments');
+
+    const reply = whatsappService.sendMessage.mock.calls[0][1];
+    expect(reply).toContain('Down payment: IDR 500,000, due by');
+    expect(reply).toContain('Reply "AGREE"');
+  });
+
+  it('names the debtor language in generated prompts', () => {
+    const gemini = new GeminiService({ name: 'fake', model: 'fake-1', generate: jest.fn() });
+    const prompt = gemini.buildNegotiationPrompt(
+      { name: 'Budi', language: 'zh' }, { amount: 1500000, daysOverdue: 3 }, '我明天付款'
+    );
+
+    expect(prompt).toContain('Generate an appropriate response in Mandarin Chinese (Simplified)');
+  });
+
+  it('rejects languages that are not configured', async () => {
+    await expect(Debtor.create({ name: 'Siti', phone: '081299990000', language: 'fr' }))
+      .rejects.toThrow('Validation isIn on language failed');
+  });
+});
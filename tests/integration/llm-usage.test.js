@@ -0,0 +1,165 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const LlmUsageService = require('../../src/services/llm-usage.service');
+const { LlmUsage, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+const BUDGET_VARIABLES = [
+  'LLM_DAILY_TOKEN_BUDGET',
+  'LLM_MONTHLY_TOKEN_BUDGET',
+  'LLM_DAILY_COST_BUDGET',
+  'LLM_MONTHLY_COST_BUDGET',
+  'LLM_INPUT_COST_PER_1K_TOKENS',
+  'LLM_OUTPUT_COST_PER_1K_TOKENS'
+];
+
+describe('LLM usage metering and budgets (SQLite integration)', () => {
+  const usageService = new LlmUsageService();
+  const analysisText = JSON.stringify({
+    intent: 'payment_promise',
+    sentiment: 'positive',
+    urgency: 'medium',
+    payment_commitment: 'yes',
+    suggested_action: 'wait',
+    promised_amount: null,
+    promised_date: null,
+    language: 'id',
+    confidence: 0.9,
+    summary: 'Debitur berjanji membayar besok'
+  });
+  let provider;
+  let whatsappService;
+  let service;
+  let debtor;
+  let debt;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    provider = {
+      name: 'fake',
+      model: 'fake-1',
+      generate: jest.fn(async ({ purpose }) => ({
+        text: purpose === 'response_analysis' ? analysisText : 'Pesan AI',
+        model: 'fake-1',
+        usage: { inputTokens: 800, outputTokens: 200 }
+      }))
+    };
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, new GeminiService(provider));
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    BUDGET_VARIABLES.forEach(name => delete process.env[name]);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('records tokens, latency, model, purpose and debt for each call', async () => {
+    process.env.LLM_INPUT_COST_PER_1K_TOKENS = '0.5';
+    process.env.LLM_OUTPUT_COST_PER_1K_TOKENS = '1.5';
+
+    await service.sendDebtReminder(debt.id, 1);
+
+    const [usage] = await LlmUsage.findAll();
+    expect(usage).toEqual(expect.objectContaining({
+      provider: 'fake',
+      model: 'fake-1',
+      purpose: 'debt_reminder',
+      debtId: debt.id,
+      status: 'success',
+      inputTokens: 800,
+      outputTokens: 200,
+      tokensEstimated: false
+    }));
+    expect(parseFloat(usage.cost)).toBe(0.7);
+    expect(usage.latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('estimates tokens when the provider reports none and records failures', async () => {
+    provider.generate
+      .mockResolvedValueOnce({ text: analysisText })
+      .mockRejectedValueOnce(new Error('quota exceeded'));
+
+    await service.geminiService.analyzeDebtorResponse('Besok saya bayar', { debtId: debt.id });
+    await service.sendDebtReminder(debt.id, 1);
+
+    const [analysis, reminder] = await LlmUsage.findAll({ order: [['id', 'ASC']] });
+    expect(analysis.purpose).toBe('response_analysis');
+    expect(analysis.tokensEstimated).toBe(true);
+    expect(analysis.inputTokens).toBeGreaterThan(0);
+    expect(analysis.outputTokens).toBe(Math.ceil(analysisText.length / 4));
+    expect(reminder.status).toBe('error');
+    expect(reminder.error).toBe('quota exceeded');
+  });
+
+  it('uses the template instead of the model once the daily budget is spent', async () => {
+    process.env.LLM_DAILY_TOKEN_BUDGET = '1000';
+
+    await service.sendDebtReminder(debt.id, 1);
+    const result = await service.sendDebtReminder(debt.id, 2);
+
+    expect(provider.generate).toHaveBeenCalledTimes(1);
+    expect(result.contentSource).toBe('template');
+
+    const logs = await ReminderLog.findByDebt(debt.id);
+    expect(logs.map(log => log.fallbackReason).sort()).toEqual(['budget', null].sort());
+
+    const skipped = await LlmUsage.findOne({ where: { status: 'budget_exceeded' } });
+    expect(skipped).toEqual(expect.objectContaining({
+      purpose: 'debt_reminder',
+      debtId: debt.id,
+      inputTokens: 0,
+      error: 'daily budget exhausted'
+    }));
+  });
+
+  it('answers inbound messages with keyword rules and the holding reply when over budget', async () => {
+    process.env.LLM_MONTHLY_COST_BUDGET = '0.001';
+    process.env.LLM_INPUT_COST_PER_1K_TOKENS = '1';
+    await usageService.recordCall({
+      provider: 'fake', model: 'fake-1', purpose: 'negotiation', status: 'success', usage: { inputTokens: 1, outputTokens: 0 }
+    });
+
+    await service.handleDebtorResponse(debtor.phone, 'Kenapa tagihan saya sebesar ini?');
+
+    expect(provider.generate).not.toHaveBeenCalled();
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.messageType).toBe('auto_response');
+    expect(log.contentSource).toBe('template');
+    expect(log.fallbackReason).toBe('budget');
+    expect(await LlmUsage.count({ where: { status: 'budget_exceeded' } })).toBe(2);
+  });
+
+  it('reports usage per purpose, model, day and debt with the budget status', async () => {
+    process.env.LLM_DAILY_TOKEN_BUDGET = '5000';
+
+    await service.sendDebtReminder(debt.id, 1);
+    await service.geminiService.analyzeDebtorResponse('Besok saya bayar', { debtId: debt.id });
+    await service.sendDebtReminder(debt.id, 2);
+
+    const report = await usageService.getUsageReport({ startDate: new Date(Date.now() - 60000) });
+
+    expect(report.totals).toEqual(expect.objectContaining({
+      calls: 3,
+      failedCalls: 0,
+      skippedCalls: 0,
+      totalTokens: 3000
+    }));
+    expect(report.byPurpose.map(row => [row.purpose, row.calls])).toEqual([
+      ['debt_reminder', 2],
+      ['response_analysis', 1]
+    ]);
+    expect(report.byModel).toEqual([expect.objectContaining({ provider: 'fake', model: 'fake-1', calls: 3 })]);
+    expect(report.daily).toHaveLength(1);
+    expect(report.topDebts).toEqual([
+      expect.objectContaining({ debtId: debt.id, invoiceNumber: debt.invoiceNumber, totalTokens: 3000 })
+    ]);
+    expect(report.budget.daily).toEqual(expect.objectContaining({ tokens: 3000, tokenLimit: 5000, exhausted: false }));
+    expect(report.budget.monthly.tokenLimit).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const MessageTemplateService = require('../../src/services/message-template.service');
+const LlmProvider = require('../../src/services/llm/llm-provider');
+const { ReminderLog, MessageTemplate } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Template fallback for AI messages (SQLite integration)', () => {
+  let whatsappService;
+  let geminiService;
+  let service;
+  let debtor;
+  let debt;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    geminiService = createFakeGeminiService();
+    service = new DebtCollectionService(whatsappService, geminiService);
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_TIMEOUT_MS;
+    delete process.env.LLM_MAX_MESSAGE_LENGTH;
+  });
+
+  it('sends the AI message and records it as AI content', async () => {
+    const result = await service.sendDebtReminder(debt.id, 1);
+
+    expect(result.contentSource).toBe('ai');
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith(debtor.phone, 'Pengingat untuk Budi Santoso');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.contentSource).toBe('ai');
+    expect(log.fallbackReason).toBeNull();
+  });
+
+  it('falls back to the level template when the LLM errors', async () => {
+    geminiService.generateDebtReminderMessage.mockRejectedValue(new Error('quota exceeded'));
+
+    const result = await service.sendDebtReminder(debt.id, 3);
+
+    expect(result.success).toBe(true);
+    expect(result.contentSource).toBe('template');
+    expect(result.message).toContain('Kami meminta perhatian serius Anda');
+    expect(result.message).toContain(`tagihan ${debt.invoiceNumber} sebesar Rp 1.500.000`);
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith(debtor.phone, result.message);
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.status).toBe('sent');
+    expect(log.contentSource).toBe('template');
+    expect(log.fallbackReason).toBe('error');
+    expect(log.message).toBe(result.message);
+  });
+
+  it('falls back on empty and oversized output', async () => {
+    process.env.LLM_MAX_MESSAGE_LENGTH = '50';
+    geminiService.generateDebtReminderMessage
+      .mockResolvedValueOnce('   ')
+      .mockResolvedValueOnce('x'.repeat(51));
+
+    await service.sendDebtReminder(debt.id, 1);
+    await service.sendDebtReminder(debt.id, 1);
+
+    const logs = await ReminderLog.findByDebt(debt.id);
+    expect(logs.map(log => log.fallbackReason)).toEqual(['empty', 'too_long']);
+    expect(logs.every(log => log.contentSource === 'template')).toBe(true);
+  });
+
+  it('falls back when the provider times out', async () => {
+    process.env.LLM_TIMEOUT_MS = '20';
+    class HangingProvider extends LlmProvider {
+      generate() {
+        return new Promise(() => {});
+      }
+    }
+    service = new DebtCollectionService(whatsappService, new GeminiService(new HangingProvider('hanging', 'never')));
+
+    const result = await service.escalateDebt(debt.id, 'legal');
+
+    expect(result.contentSource).toBe('template');
+    expect(result.message).toContain('tahap legal');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.messageType).toBe('escalation');
+    expect(log.fallbackReason).toBe('timeout');
+  });
+
+  it("uses the debtor's language and prefers stored templates", async () => {
+    await debtor.update({ language: 'en' });
+    geminiService.generatePaymentConfirmationMessage.mockRejectedValue(new Error('offline'));
+
+    const defaultResult = await service.sendPaymentConfirmation(debt.id, { amount: 500000, remainingBalance: 1000000 });
+    expect(defaultResult.message).toContain('we have received your payment of IDR 500,000');
+
+    const stored = await MessageTemplate.create({
+      messageType: 'payment_confirmation',
+      language: 'en',
+      body: 'Payment of {{amount}} received, {{name}}.'
+    });
+
+    const storedResult = await service.sendPaymentConfirmation(debt.id, { amount: 500000, remainingBalance: 1000000 });
+    expect(storedResult.message).toBe('Payment of IDR 500,000 received, Budi Santoso.');
+
+    const logs = await ReminderLog.findByDebt(debt.id);
+    expect(logs.map(log => log.messageTemplateId)).toEqual([null, stored.id]);
+  });
+
+  it('records collector-written messages as manual content', async () => {
+    await service.sendReminder(debt.id, 'Mohon hubungi kami hari ini.');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.contentSource).toBe('manual');
+  });
+});
+
+describe('MessageTemplateService', () => {
+  const templateService = new MessageTemplateService();
+
+  beforeAll(async () => {
+    await resetDatabase();
+  });
+
+  it('prefers an exact language over an exact level', async () => {
+    await MessageTemplate.create({ messageType: 'reminder', level: 2, language: 'id', body: 'Level 2 {{name}}' });
+    await MessageTemplate.create({ messageType: 'reminder', level: null, language: 'en', body: 'Any level {{name}}' });
+
+    expect((await templateService.resolveTemplate('reminder', { level: 2, language: 'id' })).body).toBe('Level 2 {{name}}');
+    expect((await templateService.resolveTemplate('reminder', { level: 2, language: 'en' })).body).toBe('Any level {{name}}');
+    // Neither stored template fits an Indonesian level 4 reminder
+    expect((await templateService.resolveTemplate('reminder', { level: 4, language: 'id' })).id).toBeNull();
+  });
+
+  it('rejects unknown variables and levels on non-reminder templates', () => {
+    expect(templateService.validateTemplate({
+      messageType: 'escalation',
+      level: 2,
+      body: 'Hi {{name}}, {{password}}'
+    })).toEqual([
+      'level only applies to reminder templates',
+      'Unknown variables for escalation: password'
+    ]);
+  });
+});
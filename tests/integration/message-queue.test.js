@@ -0,0 +1,188 @@
+const MessageQueueService = require('../../src/services/message-queue.service');
+const { OutboundMessage, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+describe('Outbound message queue (SQLite integration)', () => {
+  let whatsappService;
+  let queue;
+
+  const sentTo = () => whatsappService.sendMessage.mock.calls.map(([phone, message]) => `${phone}:${message}`);
+
+  // Moves the last minute's deliveries out of the rate limit window
+  async function advanceMinute() {
+    await OutboundMessage.update(
+      { sentAt: new Date(Date.now() - 2 * 60 * 1000) },
+      { where: { status: 'sent' } }
+    );
+  }
+
+  async function makeDue(outbound) {
+    await outbound.update({ nextAttemptAt: new Date() });
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    queue = new MessageQueueService(whatsappService);
+  });
+
+  // Back to the unlimited test defaults from setup-env
+  afterEach(() => {
+    delete process.env.MESSAGE_QUEUE_MAX_ATTEMPTS;
+    process.env.MESSAGE_QUEUE_GLOBAL_PER_MINUTE = '0';
+    process.env.MESSAGE_QUEUE_PER_NUMBER_PER_MINUTE = '0';
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('sends right away when connected and records the WhatsApp id', async () => {
+    const outbound = await queue.enqueue({ phoneNumber: '62811', message: 'Halo' });
+
+    expect(outbound.status).toBe('sent');
+    expect(outbound.attempts).toBe(1);
+    expect(outbound.whatsappMessageId).toMatch(/^WAMSG-/);
+    expect(sentTo()).toEqual(['62811:Halo']);
+  });
+
+  it('renders template messages before queueing them', async () => {
+    const outbound = await queue.enqueueTemplate({
+      phoneNumber: '62811',
+      template: 'Halo {{debtorName}}, tagihan {{invoiceNumber}}',
+      variables: { debtorName: 'Budi', invoiceNumber: 'INV-1' },
+      priority: 'bulk'
+    });
+
+    expect(outbound.priority).toBe(9);
+    expect(outbound.message).toBe('Halo Budi, tagihan INV-1');
+    expect(sentTo()).toEqual(['62811:Halo Budi, tagihan INV-1']);
+  });
+
+  it('holds messages while disconnected and delivers them by priority on reconnect', async () => {
+    whatsappService.connected = false;
+
+    await queue.enqueue({ phoneNumber: '62811', message: 'bulk', priority: 'bulk' });
+    await queue.enqueue({ phoneNumber: '62812', message: 'reminder', priority: 'reminder' });
+    await queue.enqueue({ phoneNumber: '62813', message: 'confirmation', priority: 'payment_confirmation' });
+
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    expect((await queue.getStats()).queuedByPriority).toEqual({ high: 1, normal: 1, bulk: 1 });
+
+    await whatsappService.reconnect();
+
+    expect(sentTo()).toEqual(['62813:confirmation', '62812:reminder', '62811:bulk']);
+    expect((await queue.getStats()).depth).toBe(0);
+  });
+
+  it('keeps a message queued without using an attempt when the socket drops mid-send', async () => {
+    whatsappService.sendMessage.mockImplementationOnce(async () => {
+      whatsappService.connected = false;
+      throw new Error('WhatsApp is not connected');
+    });
+
+    const outbound = await queue.enqueue({ phoneNumber: '62811', message: 'Halo' });
+
+    expect(outbound.status).toBe('queued');
+    expect(outbound.attempts).toBe(0);
+
+    await whatsappService.reconnect();
+    await outbound.reload();
+    expect(outbound.status).toBe('sent');
+  });
+
+  it('applies the per-number limit without holding up other numbers', async () => {
+    process.env.MESSAGE_QUEUE_PER_NUMBER_PER_MINUTE = '1';
+
+    await queue.enqueue({ phoneNumber: '62811', message: 'satu' });
+    const second = await queue.enqueue({ phoneNumber: '62811', message: 'dua' });
+    await queue.enqueue({ phoneNumber: '62812', message: 'lain' });
+
+    expect(second.status).toBe('queued');
+    expect(sentTo()).toEqual(['62811:satu', '62812:lain']);
+
+    await advanceMinute();
+    await queue.processQueue();
+    expect(sentTo()).toEqual(['62811:satu', '62812:lain', '62811:dua']);
+  });
+
+  it('stops at the global limit until the window moves on', async () => {
+    process.env.MESSAGE_QUEUE_GLOBAL_PER_MINUTE = '2';
+
+    for (const phoneNumber of ['62811', '62812', '62813']) {
+      await queue.enqueue({ phoneNumber, message: 'Halo' });
+    }
+
+    const stats = await queue.getStats();
+    expect(stats.sentLastMinute).toBe(2);
+    expect(stats.depth).toBe(1);
+    expect(stats.limits.globalPerMinute).toBe(2);
+
+    await advanceMinute();
+    await queue.processQueue();
+    expect(whatsappService.sendMessage).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries with exponential backoff, then dead-letters and fails the log', async () => {
+    process.env.MESSAGE_QUEUE_MAX_ATTEMPTS = '3';
+    whatsappService.sendMessage.mockRejectedValue(new Error('Rate overlimit'));
+
+    const debt = await createDebt(await createDebtor());
+    const log = await ReminderLog.create({
+      debtId: debt.id,
+      debtorId: debt.debtorId,
+      message: 'Pengingat',
+      status: 'queued'
+    });
+
+    const outbound = await queue.enqueue({ phoneNumber: '62811', message: 'Pengingat', debtId: debt.id, reminderLogId: log.id });
+    expect(outbound.attempts).toBe(1);
+    const firstDelay = outbound.nextAttemptAt - Date.now();
+    expect(firstDelay).toBeGreaterThan(25000);
+    expect(firstDelay).toBeLessThanOrEqual(30000);
+
+    // Not due yet, so nothing is sent
+    await queue.processQueue();
+    expect(whatsappService.sendMessage).toHaveBeenCalledTimes(1);
+
+    await makeDue(outbound);
+    await queue.processQueue();
+    await outbound.reload();
+    expect(outbound.attempts).toBe(2);
+    expect(outbound.nextAttemptAt - Date.now()).toBeGreaterThan(55000);
+
+    await makeDue(outbound);
+    await queue.processQueue();
+    await outbound.reload();
+    await log.reload();
+    expect(outbound.status).toBe('dead_letter');
+    expect(outbound.lastError).toBe('Rate overlimit');
+    expect(log.status).toBe('failed');
+    expect(log.error).toBe('Rate overlimit');
+
+    whatsappService.sendMessage.mockResolvedValue({ key: { id: 'WAMSG-RETRY' } });
+    const retried = await queue.retry(outbound);
+    await log.reload();
+    expect(retried.status).toBe('sent');
+    expect(log.status).toBe('sent');
+    expect(log.whatsappMessageId).toBe('WAMSG-RETRY');
+  });
+
+  it('only retries dead-lettered messages', async () => {
+    const outbound = await queue.enqueue({ phoneNumber: '62811', message: 'Halo' });
+    await expect(queue.retry(outbound)).rejects.toThrow('Only dead-lettered messages can be retried');
+  });
+
+  it('requeues messages left sending by a crash on start', async () => {
+    whatsappService.connected = false;
+    const outbound = await queue.enqueue({ phoneNumber: '62811', message: 'Halo' });
+    await outbound.update({ status: 'sending' });
+
+    await queue.start();
+    queue.stop();
+
+    await outbound.reload();
+    expect(outbound.status).toBe('queued');
+  });
+});
@@ -0,0 +1,63 @@
+const moment = require('moment');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const { PromiseToPay, PaymentPlan, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+// Runs the real GeminiService against the offline provider, without any AI fakes
+describe('Collection flow with the local LLM provider (SQLite integration)', () => {
+  const phone = '6281234567890@s.whatsapp.net';
+  let whatsappService;
+  let service;
+  let debt;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, new GeminiService());
+    debt = await createDebt(await createDebtor());
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('uses the local provider in the test environment', () => {
+    expect(service.geminiService.provider.name).toBe('local');
+  });
+
+  it('sends a templated reminder', async () => {
+    const result = await service.sendDebtReminder(debt.id, 1);
+
+    expect(result.success).toBe(true);
+    expect(result.message).toContain(`tagihan ${debt.invoiceNumber} sebesar Rp 1.500.000`);
+  });
+
+  it('records a payment promise from a debtor reply', async () => {
+    await whatsappService.receive(phone, 'Saya akan transfer Rp 500.000 besok');
+
+    const [promise] = await PromiseToPay.findByDebt(debt.id);
+    expect(parseFloat(promise.promisedAmount)).toBe(500000);
+    expect(promise.promisedDate).toBe(moment().add(1, 'day').format('YYYY-MM-DD'));
+    expect(whatsappService.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers and activates a payment plan', async () => {
+    await whatsappService.receive(phone, 'Bisa dicicil?');
+    await whatsappService.receive(phone, 'SETUJU');
+
+    const [plan] = await PaymentPlan.findByDebt(debt.id);
+    expect(plan.status).toBe('active');
+    expect(plan.installmentCount).toBe(3);
+
+    const replies = await ReminderLog.findByDebt(debt.id);
+    expect(replies.map(log => log.messageType)).toEqual(['auto_response', 'auto_response']);
+  });
+
+  it('hands unrecognised messages to a collector', async () => {
+    await whatsappService.receive(phone, 'xyz');
+
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const debtRoutes = require('../../src/routes/debt.routes');
+const { User } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createApp, authHeader } = require('../helpers/api');
+
+describe('Payment plan routes (SQLite integration)', () => {
+  const app = createApp({ '/debts': debtRoutes });
+  let admin;
+  let debtor;
+  let debt;
+
+  const propose = (debtId, terms, user = admin) => request(app)
+    .post(`/api/debts/${debtId}/payment-plans`)
+    .set('Authorization', authHeader(user))
+    .send(terms);
+
+  const patch = (path, user = admin) => request(app)
+    .patch(path)
+    .set('Authorization', authHeader(user));
+
+  beforeEach(async () => {
+    await resetDatabase();
+    admin = await User.findByPk(1);
+    debtor = await createDebtor();
+    debt = await createDebt(debtor, { amount: 1200000 });
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('proposes a plan within the policy and lists it with the limits', async () => {
+    const created = await propose(debt.id, { installmentCount: '3', downPayment: '300000' });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual(expect.objectContaining({
+      debtId: debt.id,
+      status: 'proposed',
+      proposedBy: 'collector',
+      createdById: admin.id,
+      installmentCount: 3
+    }));
+    expect(created.body.installments).toHaveLength(4);
+
+    const list = await request(app)
+      .get(`/api/debts/${debt.id}/payment-plans`)
+      .set('Authorization', authHeader(admin));
+
+    expect(list.status).toBe(200);
+    expect(list.body.policy).toEqual(expect.objectContaining({ maxInstallments: 6, minDownPaymentPercent: 20 }));
+    expect(list.body.plans.map(plan => plan.id)).toEqual([created.body.id]);
+  });
+
+  it('rejects terms outside the policy with the violations', async () => {
+    const res = await propose(debt.id, { installmentCount: 12, downPayment: 1000 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.violations).toEqual([
+      'installmentCount may not exceed 6',
+      'downPayment must be at least 240000 (20% of 1200000)'
+    ]);
+  });
+
+  it('accepts and cancels a plan once', async () => {
+    const { body: plan } = await propose(debt.id, { installmentCount: 2, downPayment: 400000 });
+
+    const accepted = await patch(`/api/debts/${debt.id}/payment-plans/${plan.id}/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.status).toBe('active');
+
+    const acceptedAgain = await patch(`/api/debts/${debt.id}/payment-plans/${plan.id}/accept`);
+    expect(acceptedAgain.status).toBe(400);
+
+    const cancelled = await patch(`/api/debts/${debt.id}/payment-plans/${plan.id}/cancel`);
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.status).toBe('cancelled');
+
+    const cancelledAgain = await patch(`/api/debts/${debt.id}/payment-plans/${plan.id}/cancel`);
+    expect(cancelledAgain.status).toBe(400);
+    expect(cancelledAgain.body.error).toBe('Payment plan is already cancelled');
+  });
+
+  it('only reaches plans through their own, accessible debt', async () => {
+    const { body: plan } = await propose(debt.id, { installmentCount: 2, downPayment: 400000 });
+    const otherDebt = await createDebt(debtor);
+    const collector = await createUser({ username: 'siti' });
+    const viewer = await createUser({ username: 'vera', role: 'viewer' });
+
+    const wrongDebt = await patch(`/api/debts/${otherDebt.id}/payment-plans/${plan.id}/accept`);
+    const unassigned = await patch(`/api/debts/${debt.id}/payment-plans/${plan.id}/cancel`, collector);
+    const unassignedList = await request(app)
+      .get(`/api/debts/${debt.id}/payment-plans`)
+      .set('Authorization', authHeader(collector));
+    const readOnly = await propose(debt.id, { installmentCount: 2, downPayment: 400000 }, viewer);
+
+    expect(wrongDebt.status).toBe(404);
+    expect(unassigned.status).toBe(404);
+    expect(unassignedList.status).toBe(404);
+    expect(readOnly.status).toBe(403);
+  });
+});
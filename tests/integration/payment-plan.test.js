@@ -0,0 +1,205 @@
+const moment = require('moment');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const PaymentPlanService = require('../../src/services/payment-plan.service');
+const { Debt, PaymentPlan } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Payment plans (SQLite integration)', () => {
+  let whatsappService;
+  let geminiService;
+  let service;
+  let planService;
+  let debtor;
+
+  const inDays = (days) => moment().add(days, 'days').format('YYYY-MM-DD');
+
+  function useAnalysis(analysis) {
+    geminiService = createFakeGeminiService(analysis);
+    service = new DebtCollectionService(whatsappService, geminiService);
+  }
+
+  async function createActivePlan(debt, terms = { installmentCount: 2, downPayment: 500000 }) {
+    const plan = await planService.proposePlan(debt, terms);
+    return await planService.acceptPlan(plan);
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    useAnalysis({});
+    planService = new PaymentPlanService();
+    debtor = await createDebtor();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('PaymentPlan.buildSchedule', () => {
+    it('splits the rest into equal installments that add up to the total', () => {
+      const policy = { downPaymentDueDays: 3, installmentIntervalDays: 30 };
+      const schedule = PaymentPlan.buildSchedule(
+        { totalAmount: 1000000, downPayment: 200000, installmentCount: 3 }, policy, new Date('2024-03-01T10:00:00')
+      );
+
+      expect(schedule).toEqual([
+        { sequence: 0, dueDate: '2024-03-04', amount: 200000 },
+        { sequence: 1, dueDate: '2024-04-03', amount: 266666 },
+        { sequence: 2, dueDate: '2024-05-03', amount: 266666 },
+        { sequence: 3, dueDate: '2024-06-02', amount: 266668 }
+      ]);
+    });
+  });
+
+  describe('proposals from debtor replies', () => {
+    it('offers a plan within the policy limits when the debtor asks for installments', async () => {
+      const debt = await createDebt(debtor);
+      useAnalysis({ intent: 'payment_plan_request' });
+      geminiService.proposePaymentPlanTerms.mockResolvedValueOnce({ installmentCount: 12, downPayment: 10000 });
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Bisa dicicil setahun?');
+
+      const [plan] = await PaymentPlan.findByDebt(debt.id);
+      expect(plan.status).toBe('proposed');
+      expect(plan.proposedBy).toBe('ai');
+      expect(plan.installmentCount).toBe(6);
+      expect(parseFloat(plan.downPayment)).toBe(300000);
+      expect(plan.installments).toHaveLength(7);
+
+      const [, debtDetails, , policy] = geminiService.proposePaymentPlanTerms.mock.calls[0];
+      expect(debtDetails.minDownPayment).toBe(300000);
+      expect(policy.maxInstallments).toBe(6);
+
+      const reply = whatsappService.sendMessage.mock.calls[0][1];
+      expect(reply).toContain('Uang muka: Rp 300.000');
+      expect(reply).toContain('Cicilan 6: Rp 200.000');
+      expect(reply).toContain('SETUJU');
+    });
+
+    it('falls back to the default terms when the AI cannot suggest any', async () => {
+      const debt = await createDebt(debtor);
+      useAnalysis({ intent: 'financial_hardship' });
+      geminiService.proposePaymentPlanTerms.mockRejectedValueOnce(new Error('timeout'));
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Usaha saya sedang sepi');
+
+      const [plan] = await PaymentPlan.findByDebt(debt.id);
+      expect(plan.installmentCount).toBe(6);
+      expect(parseFloat(plan.downPayment)).toBe(300000);
+    });
+
+    it('negotiates in free text when a plan is already running', async () => {
+      const debt = await createDebt(debtor);
+      await createActivePlan(debt);
+      useAnalysis({ intent: 'payment_plan_request' });
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Bisa diperpanjang cicilannya?');
+
+      expect(geminiService.generateNegotiationResponse).toHaveBeenCalled();
+      expect(await PaymentPlan.count()).toBe(1);
+    });
+
+    it('activates the proposed plan when the debtor accepts it', async () => {
+      const debt = await createDebt(debtor);
+      await planService.proposePlan(debt, { installmentCount: 2, downPayment: 500000 });
+      useAnalysis({ intent: 'payment_plan_acceptance' });
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'SETUJU');
+
+      const [plan] = await PaymentPlan.findByDebt(debt.id);
+      expect(plan.status).toBe('active');
+      expect(plan.acceptedAt).not.toBeNull();
+
+      await debt.reload();
+      expect(moment(debt.remindersPausedUntil).format('YYYY-MM-DD')).toBe(inDays(3));
+
+      const reply = whatsappService.sendMessage.mock.calls[0][1];
+      expect(reply).toContain('Uang muka: Rp 500.000');
+    });
+  });
+
+  describe('PaymentPlanService', () => {
+    it('rejects collector terms outside the policy', async () => {
+      const debt = await createDebt(debtor);
+
+      await expect(planService.proposePlan(debt, { installmentCount: 10, downPayment: 500000 }))
+        .rejects.toMatchObject({ violations: ['installmentCount may not exceed 6'] });
+    });
+
+    it('keeps only the latest proposal open', async () => {
+      const debt = await createDebt(debtor);
+      const first = await planService.proposePlan(debt, { installmentCount: 2, downPayment: 500000 });
+      await planService.proposePlan(debt, { installmentCount: 3, downPayment: 500000 });
+
+      await first.reload();
+      expect(first.status).toBe('cancelled');
+    });
+
+    it('resumes regular reminders when an active plan is cancelled', async () => {
+      const debt = await createDebt(debtor);
+      const plan = await createActivePlan(debt);
+
+      await planService.cancelPlan(plan);
+
+      await debt.reload();
+      expect(debt.remindersPausedUntil).toBeNull();
+    });
+  });
+
+  describe('payments on a plan', () => {
+    it('allocates payments to installments in order and completes the plan', async () => {
+      const debt = await createDebt(debtor, { reminderCount: 2 });
+      await createActivePlan(debt);
+
+      await debt.addPayment({ amount: 500000, paymentDate: new Date() }, 1);
+
+      let [plan] = await PaymentPlan.findByDebt(debt.id);
+      expect(plan.installments.map(installment => installment.status)).toEqual(['paid', 'pending', 'pending']);
+
+      await debt.reload();
+      expect(debt.reminderCount).toBe(0);
+      expect(moment(debt.remindersPausedUntil).format('YYYY-MM-DD')).toBe(inDays(33));
+
+      await debt.addPayment({ amount: 700000, paymentDate: new Date() }, 1);
+      [plan] = await PaymentPlan.findByDebt(debt.id);
+      expect(plan.installments.map(installment => installment.status)).toEqual(['paid', 'paid', 'partially_paid']);
+
+      await debt.addPayment({ amount: 300000, paymentDate: new Date() }, 1);
+      [plan] = await PaymentPlan.findByDebt(debt.id);
+      expect(plan.status).toBe('completed');
+      await debt.reload();
+      expect(debt.status).toBe('paid');
+    });
+  });
+
+  describe('reminders on a plan', () => {
+    it('asks for the next installment instead of the full balance', async () => {
+      const debt = await createDebt(debtor);
+      await createActivePlan(debt);
+
+      await service.sendDebtReminder(debt.id, 1);
+
+      const [, debtDetails] = geminiService.generateDebtReminderMessage.mock.calls[0];
+      expect(debtDetails.amount).toBe(500000);
+      expect(debtDetails.dueDate).toBe(moment(inDays(3)).format('DD/MM/YYYY'));
+      expect(debtDetails.daysOverdue).toBe(0);
+      expect(debtDetails.installment).toEqual({
+        label: 'the down payment',
+        number: 1,
+        total: 3,
+        totalOutstanding: 1500000
+      });
+    });
+
+    it('keeps debts on an active plan out of escalation', async () => {
+      const onPlan = await createDebt(debtor, { status: 'overdue' });
+      const other = await createDebt(debtor, { status: 'overdue' });
+      await createActivePlan(onPlan);
+
+      const due = await Debt.findDueForEscalation();
+
+      expect(due.map(debt => debt.id)).toEqual([other.id]);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const PaymentProofService = require('../../src/services/payment-proof.service');
+const { PaymentProof, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Payment proofs from WhatsApp media (SQLite integration)', () => {
+  const proofService = new PaymentProofService();
+  let storageDir;
+  let whatsappService;
+  let gemini;
+  let debtor;
+  let debt;
+
+  beforeAll(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-proofs-'));
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    process.env.ATTACHMENT_STORAGE_DIR = storageDir;
+    whatsappService = createFakeWhatsAppService();
+    gemini = createFakeGeminiService();
+    new DebtCollectionService(whatsappService, gemini);
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.ATTACHMENT_STORAGE_DIR;
+    delete process.env.PAYMENT_PROOF_MAX_MB;
+  });
+
+  afterAll(async () => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    await closeDatabase();
+  });
+
+  it('stores a receipt photo as a pending proof and acknowledges it', async () => {
+    await whatsappService.receiveMedia(debtor.phone, {
+      caption: 'Sudah transfer ya',
+      content: Buffer.from('jpeg bytes')
+    });
+
+    const [proof] = await PaymentProof.findAll();
+    expect(proof).toEqual(expect.objectContaining({
+      debtId: debt.id,
+      debtorId: debtor.id,
+      status: 'pending',
+      mediaType: 'image',
+      mimeType: 'image/jpeg',
+      caption: 'Sudah transfer ya',
+      fileSize: 10
+    }));
+    expect(proof.linkedDebtIds).toEqual([debt.id]);
+    expect(proof.whatsappMessageId).toMatch(/^WAIN-/);
+    expect(fs.readFileSync(proofService.getFilePath(proof), 'utf8')).toBe('jpeg bytes');
+
+    // The caption is not analysed as a text reply
+    expect(gemini.analyzeDebtorResponse).not.toHaveBeenCalled();
+    const [ack] = await ReminderLog.findByDebt(debt.id);
+    expect(ack.messageType).toBe('auto_response');
+    expect(ack.message).toContain(`bukti pembayaran untuk tagihan ${debt.invoiceNumber}`);
+    expect(whatsappService.sendMessage).toHaveBeenCalledWith(debtor.phone, ack.message);
+  });
+
+  it('files the proof under the invoice named in the caption and links every open debt', async () => {
+    const second = await createDebt(debtor, { dueDate: new Date() });
+    await createDebt(debtor, { status: 'paid' });
+
+    await whatsappService.receiveMedia(debtor.phone, {
+      type: 'document',
+      mimeType: 'application/pdf',
+      fileName: 'bukti-transfer.pdf',
+      caption: `Pembayaran ${second.invoiceNumber}`
+    });
+
+    const [proof] = await PaymentProof.findAll();
+    expect(proof.debtId).toBe(second.id);
+    expect(proof.linkedDebtIds.sort()).toEqual([debt.id, second.id].sort());
+    expect(proof.filePath.endsWith('.pdf')).toBe(true);
+  });
+
+  it('ignores unsupported files, oversized files and unknown senders', async () => {
+    process.env.PAYMENT_PROOF_MAX_MB = '0.000001';
+
+    const audio = await whatsappService.receiveMedia(debtor.phone, { type: 'document', mimeType: 'audio/ogg' });
+    const large = await whatsappService.receiveMedia(debtor.phone, {});
+    const stranger = await whatsappService.receiveMedia('089999999999', {});
+
+    expect(await PaymentProof.count()).toBe(0);
+    expect(audio.download).not.toHaveBeenCalled();
+    expect(large.download).not.toHaveBeenCalled();
+    expect(stranger.download).not.toHaveBeenCalled();
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('does not reply while a collector handles the conversation', async () => {
+    await debtor.update({ conversation_mode: 'human' });
+
+    await whatsappService.receiveMedia(debtor.phone, {});
+
+    expect(await PaymentProof.count()).toBe(1);
+    expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  describe('verification', () => {
+    let collector;
+    let proof;
+
+    beforeEach(async () => {
+      collector = await createUser({ username: 'siti' });
+      await whatsappService.receiveMedia(debtor.phone, {});
+      proof = await PaymentProof.findOne();
+    });
+
+    it('approves the proof into a verified payment on the debt', async () => {
+      const { payment } = await proofService.approve(proof, {
+        amount: '500000',
+        paymentDate: '2026-10-01',
+        reference: 'TRF-001'
+      }, collector.id, 'Sesuai mutasi rekening');
+
+      await debt.reload();
+      expect(debt.remainingBalance).toBe(1000000);
+      expect(debt.payments).toEqual([expect.objectContaining({
+        amount: 500000,
+        paymentMethod: 'bank_transfer',
+        reference: 'TRF-001',
+        paymentProofId: proof.id,
+        verifiedBy: collector.id
+      })]);
+      expect(payment.verifiedAt).toBeDefined();
+
+      await proof.reload();
+      expect(proof.status).toBe('approved');
+      expect(proof.reviewedById).toBe(collector.id);
+      expect(proof.reviewNotes).toBe('Sesuai mutasi rekening');
+      expect(proof.payment).toEqual(expect.objectContaining({ amount: 500000, reference: 'TRF-001' }));
+
+      await expect(proofService.approve(proof, { amount: 1 }, collector.id)).rejects.toThrow('not awaiting verification');
+    });
+
+    it('books the payment once when two collectors approve at the same time', async () => {
+      const other = await PaymentProof.findByPk(proof.id);
+
+      const results = await Promise.allSettled([
+        proofService.approve(proof, { amount: 500000 }, collector.id),
+        proofService.approve(other, { amount: 500000 }, 1)
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(result => result.status === 'rejected').reason.message).toMatch('not awaiting verification');
+      await debt.reload();
+      expect(debt.payments).toHaveLength(1);
+      expect(debt.remainingBalance).toBe(1000000);
+    });
+
+    it('returns the proof to the queue when the payment cannot be booked', async () => {
+      await proof.update({ linkedDebtIds: [debt.id, 9999] });
+
+      await expect(proofService.approve(proof, { debtId: 9999, amount: 1000 }, collector.id))
+        .rejects.toThrow('Debt not found');
+
+      await proof.reload();
+      expect(proof.status).toBe('pending');
+      expect(proof.reviewedById).toBeNull();
+    });
+
+    it('does not reject a proof that was approved in the meantime', async () => {
+      const stale = await PaymentProof.findByPk(proof.id);
+      await proofService.approve(proof, { amount: 500000 }, collector.id);
+
+      await expect(proofService.reject(stale, 1)).rejects.toThrow('not awaiting verification');
+      await proof.reload();
+      expect(proof.status).toBe('approved');
+    });
+
+    it('books the payment on another linked debt when the collector picks one', async () => {
+      const other = await createDebt(debtor);
+      const unrelated = await createDebt(await createDebtor({ phone: '081111111111' }));
+      await proof.update({ linkedDebtIds: [debt.id, other.id] });
+
+      await expect(proofService.approve(proof, { debtId: unrelated.id, amount: 1000 }, collector.id))
+        .rejects.toThrow('not linked');
+      await expect(proofService.approve(proof, { amount: 0 }, collector.id))
+        .rejects.toThrow('greater than zero');
+
+      await proofService.approve(proof, { debtId: String(other.id), amount: 1500000 }, collector.id);
+
+      await other.reload();
+      expect(other.status).toBe('paid');
+      await debt.reload();
+      expect(debt.payments || []).toEqual([]);
+      await proof.reload();
+      expect(proof.debtId).toBe(other.id);
+    });
+
+    it('rejects a proof without touching the debt', async () => {
+      await proofService.reject(proof, collector.id, 'Bukan bukti transfer');
+
+      await proof.reload();
+      expect(proof.status).toBe('rejected');
+      await debt.reload();
+      expect(debt.payments || []).toEqual([]);
+    });
+
+    it('lists pending proofs within the collector\'s scope', async () => {
+      const assigned = await createDebt(debtor, { assignedToId: collector.id });
+      await PaymentProof.create({
+        debtId: assigned.id,
+        debtorId: debtor.id,
+        linkedDebtIds: [assigned.id],
+        phoneNumber: debtor.phone,
+        mediaType: 'image',
+        mimeType: 'image/png',
+        filePath: 'payment-proofs/1/manual.png'
+      });
+
+      const all = await proofService.listProofs();
+      expect(all.total).toBe(2);
+
+      const scoped = await proofService.listProofs({ debtScope: { assignedToId: collector.id } });
+      expect(scoped.total).toBe(1);
+      expect(scoped.proofs[0].Debt.invoiceNumber).toBe(assigned.invoiceNumber);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const moment = require('moment');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const { Debt, ReminderLog, DebtorResponse, PromiseToPay } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService, createFakeGeminiService } = require('../helpers/fakes');
+
+describe('Payment promises (SQLite integration)', () => {
+  let whatsappService;
+  let geminiService;
+  let service;
+  let debtor;
+
+  const daysFromNow = (days) => moment().add(days, 'days').format('YYYY-MM-DD');
+
+  const promiseAnalysis = (overrides = {}) => ({
+    intent: 'payment_promise',
+    payment_commitment: 'yes',
+    promised_amount: 500000,
+    promised_date: daysFromNow(5),
+    ...overrides
+  });
+
+  function useAnalysis(analysis) {
+    geminiService = createFakeGeminiService(analysis);
+    service = new DebtCollectionService(whatsappService, geminiService);
+  }
+
+  async function createPromise(debt, attributes = {}) {
+    return await PromiseToPay.create({
+      debtId: debt.id,
+      debtorId: debt.debtorId,
+      promisedAmount: 500000,
+      promisedDate: daysFromNow(-3),
+      ...attributes
+    });
+  }
+
+  beforeEach(async () => {
+    await resetDatabase();
+    whatsappService = createFakeWhatsAppService();
+    useAnalysis({});
+    debtor = await createDebtor();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('capturing promises from replies', () => {
+    it('records the promise and holds reminders until after the promised date', async () => {
+      const debt = await createDebt(debtor);
+      useAnalysis(promiseAnalysis());
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Saya bayar 500 ribu hari Jumat');
+
+      const [promise] = await PromiseToPay.findByDebt(debt.id);
+      const [response] = await DebtorResponse.findByDebt(debt.id);
+      expect(parseFloat(promise.promisedAmount)).toBe(500000);
+      expect(promise.promisedDate).toBe(daysFromNow(5));
+      expect(promise.status).toBe('pending');
+      expect(promise.debtorResponseId).toBe(response.id);
+
+      await debt.reload();
+      const reviewDate = moment(daysFromNow(7)).startOf('day');
+      expect(moment(debt.remindersPausedUntil).isSame(reviewDate)).toBe(true);
+      expect(moment(debt.nextReminderDate).isSame(reviewDate)).toBe(true);
+
+      const reply = whatsappService.sendMessage.mock.calls[0][1];
+      expect(reply).toContain('Rp 500.000');
+      expect(reply).toContain(moment(daysFromNow(5)).format('DD/MM/YYYY'));
+    });
+
+    it('defaults the amount to the outstanding balance', async () => {
+      const debt = await createDebt(debtor);
+      useAnalysis(promiseAnalysis({ promised_amount: null }));
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Minggu depan saya lunasi');
+
+      const [promise] = await PromiseToPay.findByDebt(debt.id);
+      expect(parseFloat(promise.promisedAmount)).toBe(1500000);
+    });
+
+    it('asks for a date instead of recording a promise without one', async () => {
+      await createDebt(debtor);
+      useAnalysis(promiseAnalysis({ promised_date: null }));
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Nanti saya bayar');
+
+      expect(await PromiseToPay.count()).toBe(0);
+      expect(whatsappService.sendMessage.mock.calls[0][1]).toContain('tanggal pembayaran');
+    });
+
+    it('supersedes an earlier open promise on the same debt', async () => {
+      const debt = await createDebt(debtor);
+      const earlier = await createPromise(debt, { promisedDate: daysFromNow(2) });
+      useAnalysis(promiseAnalysis({ promised_date: daysFromNow(10) }));
+
+      await whatsappService.receive('6281234567890@s.whatsapp.net', 'Maaf, saya mundur ke tanggal berikutnya');
+
+      await earlier.reload();
+      expect(earlier.status).toBe('superseded');
+      expect(await PromiseToPay.count({ where: { status: 'pending' } })).toBe(1);
+    });
+  });
+
+  describe('reminders while a promise is open', () => {
+    it('skips debts with a pending promise', async () => {
+      const promised = await createDebt(debtor);
+      const other = await createDebt(debtor);
+      await createPromise(promised, { promisedDate: daysFromNow(3) });
+
+      const due = await Debt.findDueForReminder();
+
+      expect(due.map(debt => debt.id)).toEqual([other.id]);
+    });
+  });
+
+  describe('reviewPaymentPromise', () => {
+    it('marks the promise kept when the promised amount was paid', async () => {
+      const debt = await createDebt(debtor);
+      const promise = await createPromise(debt);
+      await debt.addPayment({ amount: 500000, paymentDate: new Date() }, 1);
+
+      const reviewed = await service.reviewPaymentPromise(promise.id);
+
+      expect(reviewed.status).toBe('kept');
+      expect(parseFloat(reviewed.amountPaid)).toBe(500000);
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('marks the promise broken and sends a follow-up', async () => {
+      const debt = await createDebt(debtor);
+      const promise = await createPromise(debt);
+      await debt.addPayment({ amount: 200000, paymentDate: new Date() }, 1);
+
+      const reviewed = await service.reviewPaymentPromise(promise.id);
+
+      expect(reviewed.status).toBe('broken');
+      expect(reviewed.followUpSentAt).not.toBeNull();
+
+      const [, , promiseDetails] = geminiService.generateBrokenPromiseMessage.mock.calls[0];
+      expect(promiseDetails).toEqual({
+        promisedAmount: 500000,
+        promisedDate: moment(daysFromNow(-3)).format('DD/MM/YYYY'),
+        amountPaid: 200000
+      });
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(
+        '081234567890', 'Janji pembayaran Budi Santoso belum terpenuhi'
+      );
+
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.messageType).toBe('promise_follow_up');
+
+      await debt.reload();
+      expect(debt.reminderCount).toBe(1);
+    });
+
+    it('marks the promise broken once the follow-up is queued, even while disconnected', async () => {
+      const debt = await createDebt(debtor);
+      const promise = await createPromise(debt);
+      whatsappService.connected = false;
+
+      await service.reviewPaymentPromise(promise.id);
+
+      await promise.reload();
+      expect(promise.status).toBe('broken');
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+
+      const [log] = await ReminderLog.findByDebt(debt.id);
+      expect(log.messageType).toBe('promise_follow_up');
+      expect(log.status).toBe('queued');
+    });
+  });
+
+  describe('PromiseToPay.findDueForReview', () => {
+    it('waits for the grace period after the promised date', async () => {
+      const debt = await createDebt(debtor);
+      const overdue = await createPromise(debt, { promisedDate: daysFromNow(-2) });
+      await createPromise(debt, { promisedDate: daysFromNow(-1) });
+      await createPromise(debt, { promisedDate: daysFromNow(-5), status: 'kept' });
+
+      const due = await PromiseToPay.findDueForReview();
+
+      expect(due.map(promise => promise.id)).toEqual([overdue.id]);
+    });
+  });
+
+  describe('PromiseToPay.getPromiseStats', () => {
+    it('computes the kept rate, optionally scoped to assigned debts', async () => {
+      const collector = await createUser({ username: 'collector1' });
+      const assigned = await createDebt(debtor, { assignedToId: collector.id });
+      const unassigned = await createDebt(debtor);
+
+      await createPromise(assigned, { status: 'kept' });
+      await createPromise(assigned, { status: 'broken' });
+      await createPromise(unassigned, { status: 'kept' });
+      await createPromise(unassigned, { status: 'kept' });
+
+      const startDate = moment().subtract(30, 'days').toDate();
+
+      const all = await PromiseToPay.getPromiseStats(startDate);
+      expect(all.byStatus.kept).toBe(3);
+      expect(all.keptRate).toBe(75);
+      expect(all.keptAmount).toBe(1500000);
+
+      const scoped = await PromiseToPay.getPromiseStats(startDate, new Date(), { assignedToId: collector.id });
+      expect(scoped.total).toBe(2);
+      expect(scoped.keptRate).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const PromptService = require('../../src/services/prompt.service');
+const { PromptTemplate, ReminderLog } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+
+describe('Prompt templates (SQLite integration)', () => {
+  const promptService = new PromptService();
+  const reminderBody = 'Tulis pengingat {{tone}} dalam {{languageName}} untuk {{name}} sebesar {{amount}}.';
+  let provider;
+  let service;
+  let debtor;
+  let debt;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    provider = { name: 'fake', model: 'fake-1', generate: jest.fn(async () => ({ text: 'Pesan AI' })) };
+    service = new DebtCollectionService(createFakeWhatsAppService(), new GeminiService(provider));
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('numbers versions per key and language', async () => {
+    const first = await promptService.createDraft({ key: 'debt_reminder', body: reminderBody }, 1);
+    const second = await promptService.createDraft({ key: 'debt_reminder', body: reminderBody }, 1);
+    const english = await promptService.createDraft({ key: 'debt_reminder', language: 'en', body: reminderBody }, 1);
+
+    expect([first.version, second.version, english.version]).toEqual([1, 2, 1]);
+    expect(first.status).toBe('draft');
+  });
+
+  it('validates prompt variables', () => {
+    expect(promptService.validatePrompt({
+      key: 'response_analysis',
+      body: 'Analyze {{message}} from {{name}}'
+    })).toEqual([
+      'Unknown variables for response_analysis: message, name',
+      'Missing required variables for response_analysis: debtorMessage'
+    ]);
+    expect(promptService.validatePrompt({ key: 'escalation', language: 'fr', body: '{{name}} {{amount}}' }))
+      .toEqual(['language must be one of: id, en, jv, su, zh']);
+  });
+
+  it('keeps published versions immutable and archives the previous one on publish', async () => {
+    const first = await promptService.createDraft({ key: 'debt_reminder', body: reminderBody }, 1);
+    await promptService.publish(first, 1);
+
+    await expect(promptService.updateDraft(first, { body: reminderBody }, 1))
+      .rejects.toThrow('Only drafts can be edited');
+
+    const second = await promptService.createDraft({ key: 'debt_reminder', body: `${reminderBody} v2` }, 1);
+    await promptService.publish(second, 1);
+
+    await first.reload();
+    expect(first.status).toBe('archived');
+    expect((await promptService.resolvePrompt('debt_reminder', 'id')).version).toBe(2);
+
+    // Republishing an archived version rolls back to it
+    await promptService.publish(first, 1);
+    expect((await promptService.resolvePrompt('debt_reminder', 'id')).version).toBe(1);
+  });
+
+  it('generates with the built-in prompt and records version 0', async () => {
+    await service.sendDebtReminder(debt.id, 2);
+
+    const request = provider.generate.mock.calls[0][0];
+    expect(request.prompt).toContain('Generate a professional but firm WhatsApp message in Indonesian language');
+    expect(request.prompt).toContain('- Amount: Rp 1.500.000');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.promptTemplateId).toBeNull();
+    expect(log.promptVersion).toBe(0);
+  });
+
+  it("uses the published prompt for the debtor's language and records its version", async () => {
+    await debtor.update({ language: 'en' });
+    const indonesian = await promptService.createDraft({ key: 'debt_reminder', body: reminderBody }, 1);
+    await promptService.publish(indonesian, 1);
+    const english = await promptService.createDraft({ key: 'debt_reminder', language: 'en', body: 'Remind {{name}} about {{amount}} in {{languageName}}.' }, 1);
+    await promptService.publish(english, 1);
+
+    await service.sendDebtReminder(debt.id, 1);
+
+    expect(provider.generate.mock.calls[0][0].prompt).toBe('Remind Budi Santoso about IDR 1,500,000 in English.');
+
+    const [log] = await ReminderLog.findByDebt(debt.id);
+    expect(log.promptTemplateId).toBe(english.id);
+    expect(log.promptVersion).toBe(1);
+  });
+
+  it('uses a published analysis prompt for inbound messages', async () => {
+    const prompt = await promptService.createDraft({ key: 'response_analysis', body: 'Classify: {{debtorMessage}}' }, 1);
+    await promptService.publish(prompt, 1);
+
+    await service.geminiService.analyzeDebtorResponse('Besok saya bayar');
+
+    expect(provider.generate.mock.calls[0][0].prompt).toBe('Classify: Besok saya bayar');
+  });
+
+  it("previews a prompt with a real debt's data without calling the LLM", async () => {
+    const prompt = await promptService.createDraft({ key: 'debt_reminder', body: reminderBody }, 1);
+
+    const preview = await service.previewPrompt(prompt, debt.id, { reminderLevel: 5 });
+
+    expect(preview.prompt).toBe('Tulis pengingat final warning tone dalam Indonesian untuk Budi Santoso sebesar Rp 1.500.000.');
+    expect(preview.variables.invoiceNumber).toBe(debt.invoiceNumber);
+    expect(provider.generate).not.toHaveBeenCalled();
+    expect(await PromptTemplate.count()).toBe(1);
+  });
+});
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+const request = require('supertest');
+const paymentProofRoutes = require('../../src/routes/payment-proof.routes');
+const DebtCollectionService = require('../../src/services/debt-collection.service');
+const GeminiService = require('../../src/services/gemini.service');
+const LlmUsageService = require('../../src/services/llm-usage.service');
+const { User, PaymentProof } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+const { createFakeWhatsAppService } = require('../helpers/fakes');
+const { createApp, authHeader } = require('../helpers/api');
+
+describe('Receipt extraction for payment proofs (SQLite integration)', () => {
+  let storageDir;
+  let receipt;
+  let provider;
+  let whatsappService;
+  let service;
+  let debtor;
+  let debt;
+
+  const receiptOutput = (overrides = {}) => ({
+    text: JSON.stringify({
+      amount: 1500000,
+      currency: 'IDR',
+      date: moment().subtract(1, 'day').format('YYYY-MM-DD'),
+      sender_name: 'BUDI SANTOS',
+      bank: 'BCA',
+      reference: 'TRF0001',
+      invoice_number: null,
+      confidence: 0.95,
+      ...overrides
+    })
+  });
+
+  const sendReceipt = async (media = {}) => {
+    await whatsappService.receiveMedia(debtor.phone, { content: Buffer.from('receipt image'), ...media });
+    return await PaymentProof.findOne({ order: [['id', 'DESC']] });
+  };
+
+  beforeAll(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    process.env.ATTACHMENT_STORAGE_DIR = storageDir;
+    receipt = receiptOutput();
+    provider = {
+      name: 'fake',
+      model: 'fake-vision-1',
+      generate: jest.fn(async ({ purpose }) => (purpose === 'receipt_extraction' ? receipt : { text: 'OK' }))
+    };
+    whatsappService = createFakeWhatsAppService();
+    service = new DebtCollectionService(whatsappService, new GeminiService(provider));
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterEach(() => {
+    delete process.env.ATTACHMENT_STORAGE_DIR;
+    delete process.env.RECEIPT_EXTRACTION;
+    delete process.env.LLM_DAILY_TOKEN_BUDGET;
+  });
+
+  afterAll(async () => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    await closeDatabase();
+  });
+
+  it('sends the image to the model and pre-fills the payment for a matching receipt', async () => {
+    const proof = await sendReceipt({ caption: 'Sudah transfer' });
+
+    expect(provider.generate).toHaveBeenCalledWith(expect.objectContaining({
+      purpose: 'receipt_extraction',
+      responseFormat: 'json',
+      attachments: [{ mimeType: 'image/jpeg', data: Buffer.from('receipt image').toString('base64') }],
+      context: expect.objectContaining({ caption: 'Sudah transfer' })
+    }));
+
+    expect(proof.extractionStatus).toBe('extracted');
+    expect(proof.extraction).toEqual(expect.objectContaining({ amount: 1500000, senderName: 'BUDI SANTOS', bank: 'BCA' }));
+    expect(proof.suggestedPayment).toEqual({
+      debtId: debt.id,
+      amount: 1500000,
+      paymentDate: moment().subtract(1, 'day').format('YYYY-MM-DD'),
+      paymentMethod: 'bank_transfer',
+      reference: 'TRF0001',
+      matchedBy: 'amount'
+    });
+    expect(proof.flags).toEqual([]);
+  });
+
+  it('matches the invoice in the transfer note and flags a partial payment', async () => {
+    const other = await createDebt(debtor, { amount: 800000 });
+    receipt = receiptOutput({ amount: '500.000', invoice_number: `Pembayaran ${other.invoiceNumber}` });
+
+    const proof = await sendReceipt();
+
+    expect(proof.debtId).toBe(other.id);
+    expect(proof.suggestedPayment).toEqual(expect.objectContaining({ debtId: other.id, amount: 500000, matchedBy: 'invoice' }));
+    expect(proof.flags).toEqual(['amount_below_balance']);
+  });
+
+  it('tells apart sequential invoice numbers but tolerates one misread character', async () => {
+    const second = await createDebt(debtor, { invoiceNumber: 'INV-2026-0012' });
+    await createDebt(debtor, { invoiceNumber: 'INV-2026-0001' });
+
+    receipt = receiptOutput({ invoice_number: 'INV2026O012' });
+    let proof = await sendReceipt();
+    expect(proof.suggestedPayment.debtId).toBe(second.id);
+    expect(proof.suggestedPayment.matchedBy).toBe('invoice');
+
+    // One character away from both INV-2026-0001 and INV-2026-0012: no match
+    receipt = receiptOutput({ invoice_number: 'INV-2026-0011', amount: 100 });
+    proof = await sendReceipt();
+    expect(proof.suggestedPayment.matchedBy).toBe('default');
+    expect(proof.flags).toContain('invoice_mismatch');
+  });
+
+  it('matches the longest invoice number named in the caption', async () => {
+    await createDebt(debtor, { invoiceNumber: 'INV-1', amount: 800000 });
+    const twelfth = await createDebt(debtor, { invoiceNumber: 'INV-12', amount: 800000 });
+    receipt = receiptOutput({ amount: 100 });
+
+    const proof = await sendReceipt({ caption: 'Sudah transfer untuk inv 12' });
+
+    expect(proof.suggestedPayment).toEqual(expect.objectContaining({ debtId: twelfth.id, matchedBy: 'caption' }));
+  });
+
+  it('flags receipts that do not add up', async () => {
+    await debt.addPayment({ amount: 100000, paymentDate: new Date(), reference: 'TRF0001' }, 1);
+    receipt = receiptOutput({
+      amount: 2000000,
+      currency: 'USD',
+      date: moment().add(3, 'days').format('YYYY-MM-DD'),
+      sender_name: 'PT Sinar Abadi',
+      invoice_number: 'INV-LAIN-99',
+      confidence: 0.4
+    });
+
+    const proof = await sendReceipt();
+
+    expect(proof.flags.sort()).toEqual([
+      'amount_above_balance',
+      'currency_mismatch',
+      'date_in_future',
+      'duplicate_reference',
+      'invoice_mismatch',
+      'low_confidence',
+      'sender_mismatch'
+    ]);
+  });
+
+  it('approves the pre-filled payment as read, or with the collector\'s corrections', async () => {
+    const collector = await createUser({ username: 'siti' });
+    const proof = await sendReceipt();
+
+    await service.paymentProofService.approve(proof, {}, collector.id);
+
+    await debt.reload();
+    expect(debt.status).toBe('paid');
+    expect(debt.payments).toEqual([expect.objectContaining({
+      amount: 1500000,
+      reference: 'TRF0001',
+      paymentDate: moment().subtract(1, 'day').format('YYYY-MM-DD'),
+      verifiedBy: collector.id
+    })]);
+
+    // The first debt is settled, so the next receipt goes to a newly opened one
+    await createDebt(debtor, { amount: 5000 });
+    receipt = receiptOutput({ amount: 1000, reference: 'TRF0002' });
+    const second = await sendReceipt();
+    expect(second.id).not.toBe(proof.id);
+    const { payment } = await service.paymentProofService.approve(second, { amount: 1200 }, collector.id);
+    expect(payment).toEqual(expect.objectContaining({ amount: 1200, reference: 'TRF0002' }));
+  });
+
+  it('records a failed read and leaves documents to the collector', async () => {
+    provider.generate.mockRejectedValueOnce(new Error('model overloaded'));
+    const failed = await sendReceipt();
+    expect(failed.extractionStatus).toBe('failed');
+    expect(failed.extraction).toEqual({ error: 'model overloaded' });
+    expect(failed.flags).toEqual(['extraction_failed']);
+
+    provider.generate.mockClear();
+    const slip = await sendReceipt({ type: 'document', mimeType: 'application/pdf' });
+    expect(provider.generate).not.toHaveBeenCalled();
+    expect(slip.extractionStatus).toBeNull();
+  });
+
+  it('flags proofs whose linked debts no longer exist instead of failing', async () => {
+    process.env.RECEIPT_EXTRACTION = 'false';
+    const proof = await sendReceipt();
+    await proof.update({ linkedDebtIds: [debt.id + 100] });
+
+    const app = createApp({ '/payment-proofs': paymentProofRoutes });
+    app.locals.debtCollectionService = service;
+    const res = await request(app)
+      .post(`/api/payment-proofs/${proof.id}/extract`)
+      .set('Authorization', authHeader(await User.findByPk(1)));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({
+      extractionStatus: 'failed',
+      extraction: { error: 'None of the linked debts exist anymore' },
+      suggestedPayment: null,
+      flags: ['debts_missing']
+    }));
+    expect(provider.generate).not.toHaveBeenCalledWith(expect.objectContaining({ purpose: 'receipt_extraction' }));
+  });
+
+  it('reads only the caption when the AI budget is spent, and can be switched off', async () => {
+    process.env.LLM_DAILY_TOKEN_BUDGET = '1';
+    await new LlmUsageService().recordCall({
+      provider: 'fake', model: 'fake-vision-1', purpose: 'negotiation', status: 'success', usage: { inputTokens: 1, outputTokens: 0 }
+    });
+
+    const proof = await sendReceipt({ caption: 'Sudah transfer Rp 1.500.000' });
+
+    expect(provider.generate).not.toHaveBeenCalled();
+    expect(proof.extraction).toEqual(expect.objectContaining({ amount: 1500000, senderName: null, confidence: 0.3 }));
+    expect(proof.flags).toEqual(['low_confidence']);
+
+    process.env.RECEIPT_EXTRACTION = 'false';
+    const unread = await sendReceipt();
+    expect(unread.extractionStatus).toBeNull();
+  });
+});
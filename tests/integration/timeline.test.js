@@ -0,0 +1,138 @@
+const request = require('supertest');
+const TimelineService = require('../../src/services/timeline.service');
+const debtRoutes = require('../../src/routes/debt.routes');
+const debtorRoutes = require('../../src/routes/debtor.routes');
+const { User, ReminderLog, DebtorResponse } = require('../../src/models');
+const { resetDatabase, closeDatabase, createDebtor, createDebt } = require('../helpers/database');
+const { createApp, authHeader } = require('../helpers/api');
+
+const daysAgo = (days, hours = 0) => new Date(Date.now() - (days * 24 + hours) * 60 * 60 * 1000);
+
+describe('Communication timeline (SQLite integration)', () => {
+  const app = createApp({ '/debts': debtRoutes, '/debtors': debtorRoutes });
+  const timelineService = new TimelineService();
+  let admin;
+  let debtor;
+  let debt;
+
+  const sendReminder = (attributes) => ReminderLog.create({
+    debtId: debt.id,
+    debtorId: debtor.id,
+    level: 1,
+    messageType: 'reminder',
+    message: 'Pengingat tagihan',
+    ...attributes
+  });
+
+  const receiveReply = (attributes) => DebtorResponse.create({
+    debtId: debt.id,
+    debtorId: debtor.id,
+    phoneNumber: debtor.phone,
+    message: 'Baik, akan saya bayar',
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await resetDatabase();
+    admin = await User.findByPk(1);
+    debtor = await createDebtor();
+    debt = await createDebt(debtor);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('merges messages, analyses, payments and status changes in time order', async () => {
+    await receiveReply({
+      message: 'Minggu depan saya transfer',
+      receivedAt: daysAgo(4),
+      intent: 'payment_promise',
+      analysis: { intent: 'payment_promise', confidence: 0.9 }
+    });
+    await sendReminder({ sentAt: daysAgo(5) });
+    await sendReminder({ level: 2, sentAt: daysAgo(2) });
+    await debt.addPayment({ amount: 500000, paymentDate: daysAgo(3), paymentMethod: 'bank_transfer', reference: 'TRF-1' }, admin.id);
+
+    const res = await request(app)
+      .get(`/api/debts/${debt.id}/timeline`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.debtId).toBe(debt.id);
+    expect(res.body.timeline.map(event => event.type)).toEqual([
+      'outbound', 'inbound', 'analysis', 'payment', 'outbound', 'status_change'
+    ]);
+
+    const [firstReminder, reply, analysis, payment, secondReminder, statusChange] = res.body.timeline;
+    expect(firstReminder).toEqual(expect.objectContaining({ direction: 'outbound', level: 1 }));
+    expect(secondReminder.level).toBe(2);
+    expect(reply).toEqual(expect.objectContaining({ direction: 'inbound', message: 'Minggu depan saya transfer', intent: 'payment_promise' }));
+    expect(analysis).toEqual(expect.objectContaining({ id: reply.id, analysis: { intent: 'payment_promise', confidence: 0.9 } }));
+    expect(payment).toEqual(expect.objectContaining({ amount: 500000, reference: 'TRF-1', verifiedBy: admin.id }));
+    expect(statusChange).toEqual(expect.objectContaining({ from: 'overdue', to: 'partially_paid' }));
+  });
+
+  it('combines all of a debtor\'s debts on the debtor timeline', async () => {
+    const other = await createDebt(debtor);
+    await sendReminder({ sentAt: daysAgo(3) });
+    await ReminderLog.create({ debtId: other.id, debtorId: debtor.id, message: 'Tagihan kedua', sentAt: daysAgo(1) });
+    await receiveReply({ debtId: other.id, receivedAt: daysAgo(2) });
+
+    const otherDebtor = await createDebtor({ phone: '089900000000' });
+    const otherDebt = await createDebt(otherDebtor);
+    await ReminderLog.create({ debtId: otherDebt.id, debtorId: otherDebtor.id, message: 'Bukan untuk Budi', sentAt: daysAgo(2) });
+
+    const res = await request(app)
+      .get(`/api/debtors/${debtor.id}/timeline`)
+      .set('Authorization', authHeader(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.timeline.map(event => [event.type, event.debtId])).toEqual([
+      ['outbound', debt.id],
+      ['inbound', other.id],
+      ['outbound', other.id]
+    ]);
+  });
+
+  it('returns 404 for unknown debts and debtors', async () => {
+    const debtRes = await request(app).get('/api/debts/999/timeline').set('Authorization', authHeader(admin));
+    const debtorRes = await request(app).get('/api/debtors/999/timeline').set('Authorization', authHeader(admin));
+
+    expect(debtRes.status).toBe(404);
+    expect(debtorRes.status).toBe(404);
+  });
+
+  it('pages through a debtor\'s messages newest first across both directions', async () => {
+    // Alternate outbound and inbound messages, one hour apart
+    for (let index = 0; index < 5; index++) {
+      await sendReminder({ message: `out-${index}`, sentAt: daysAgo(1, 10 - index * 2) });
+      await receiveReply({ message: `in-${index}`, receivedAt: daysAgo(1, 9 - index * 2) });
+    }
+
+    const first = await timelineService.getDebtorMessages(debtor.id, { page: 1, limit: 4 });
+    const second = await timelineService.getDebtorMessages(debtor.id, { page: 2, limit: 4 });
+    const last = await timelineService.getDebtorMessages(debtor.id, { page: 3, limit: 4 });
+
+    expect(first.total).toBe(10);
+    expect(first.messages.map(message => message.message)).toEqual(['in-4', 'out-4', 'in-3', 'out-3']);
+    expect(second.messages.map(message => message.message)).toEqual(['in-2', 'out-2', 'in-1', 'out-1']);
+    expect(last.messages.map(message => message.message)).toEqual(['in-0', 'out-0']);
+    expect(first.messages[0].direction).toBe('inbound');
+    expect(first.messages[1].direction).toBe('outbound');
+  });
+
+  it('pages correctly when one direction dominates', async () => {
+    for (let index = 0; index < 6; index++) {
+      await sendReminder({ message: `out-${index}`, sentAt: daysAgo(0, 12 - index) });
+    }
+    await receiveReply({ message: 'in-old', receivedAt: daysAgo(2) });
+
+    const second = await timelineService.getDebtorMessages(debtor.id, { page: 2, limit: 3 });
+    const third = await timelineService.getDebtorMessages(debtor.id, { page: 3, limit: 3 });
+
+    expect(second.total).toBe(7);
+    expect(second.messages.map(message => message.message)).toEqual(['out-2', 'out-1', 'out-0']);
+    expect(third.messages.map(message => message.message)).toEqual(['in-old']);
+  });
+});
@@ -0,0 +1,57 @@
+const { User } = require('../../src/models');
+const { resetDatabase, closeDatabase, createUser, createDebtor, createDebt } = require('../helpers/database');
+
+describe('User model (SQLite integration)', () => {
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('hashes the password on create and validates it', async () => {
+    const user = await createUser({ username: 'siti', password: 'rahasia123' });
+
+    expect(user.password).not.toBe('rahasia123');
+    expect(await user.validatePassword('rahasia123')).toBe(true);
+    expect(await user.validatePassword('salah')).toBe(false);
+  });
+
+  it('rehashes only when the password changes', async () => {
+    const user = await createUser({ username: 'siti' });
+    const originalHash = user.password;
+
+    await user.update({ fullName: 'Siti Aminah' });
+    expect(user.password).toBe(originalHash);
+
+    await user.update({ password: 'baru12345' });
+    expect(user.password).not.toBe(originalHash);
+    expect(await user.validatePassword('baru12345')).toBe(true);
+  });
+
+  it('records the last login time', async () => {
+    const user = await createUser({ username: 'siti' });
+
+    await user.recordLogin();
+
+    const reloaded = await User.findByPk(user.id);
+    expect(reloaded.lastLogin).toBeInstanceOf(Date);
+  });
+
+  it('never serializes the password hash', async () => {
+    const user = await createUser({ username: 'siti' });
+    expect(user.toJSON()).not.toHaveProperty('password');
+  });
+
+  it('keeps debt references valid after deactivation', async () => {
+    const collector = await createUser({ username: 'siti' });
+    const debt = await createDebt(await createDebtor(), { assignedToId: collector.id });
+
+    await collector.update({ isActive: false });
+
+    expect(await User.findActiveByUsername('siti')).toBeNull();
+    const reloaded = await debt.reload({ include: ['assignedTo'] });
+    expect(reloaded.assignedTo.username).toBe('siti');
+  });
+});
@@ -0,0 +1,9 @@
+// Run the suite against an in-memory SQLite database instead of MySQL
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// Outbound rate limits are off unless a test sets its own
+process.env.MESSAGE_QUEUE_GLOBAL_PER_MINUTE = '0';
+process.env.MESSAGE_QUEUE_PER_NUMBER_PER_MINUTE = '0';
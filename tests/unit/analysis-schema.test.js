@@ -0,0 +1,84 @@
+const { validateAnalysis, parseAnalysis, getAnalysisPolicy } = require('../../src/config/analysis-schema');
+
+describe('analysis schema', () => {
+  const analysis = {
+    intent: 'payment_promise',
+    sentiment: 'positive',
+    urgency: 'medium',
+    payment_commitment: 'yes',
+    suggested_action: 'wait',
+    promised_amount: 500000,
+    promised_date: '2026-03-02',
+    language: 'id',
+    confidence: 0.9,
+    summary: 'Debitur berjanji membayar'
+  };
+
+  afterEach(() => {
+    delete process.env.ANALYSIS_MAX_REPAIRS;
+    delete process.env.ANALYSIS_REVIEW_CONFIDENCE;
+  });
+
+  it('accepts a complete analysis and drops unknown fields', () => {
+    expect(validateAnalysis({ ...analysis, mood: 'happy' })).toEqual({ analysis, errors: [] });
+  });
+
+  it('normalizes enum casing, numeric strings and empty optional fields', () => {
+    const { analysis: result } = validateAnalysis({
+      ...analysis,
+      intent: ' Payment_Promise ',
+      promised_amount: '500000',
+      promised_date: '',
+      language: null,
+      confidence: '0.9'
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      intent: 'payment_promise',
+      promised_amount: 500000,
+      promised_date: null,
+      language: null,
+      confidence: 0.9
+    }));
+  });
+
+  it('lists every field that breaks the schema', () => {
+    const { analysis: result, errors } = validateAnalysis({
+      ...analysis,
+      intent: 'promise',
+      urgency: undefined,
+      promised_date: 'besok',
+      confidence: 95
+    });
+
+    expect(result).toBeNull();
+    expect(errors).toEqual([
+      expect.stringMatching(/^intent must be one of: payment_promise, /),
+      'urgency must be one of: high, medium, low',
+      'promised_date must be a date as YYYY-MM-DD or null',
+      'confidence must be a number from 0 to 1'
+    ]);
+  });
+
+  it('parses bare, fenced and wrapped JSON', () => {
+    const json = JSON.stringify(analysis);
+
+    expect(parseAnalysis(json).analysis).toEqual(analysis);
+    expect(parseAnalysis('```json\n' + json + '\n```').analysis).toEqual(analysis);
+    expect(parseAnalysis(`Here is the analysis: ${json}`).analysis).toEqual(analysis);
+  });
+
+  it('reports output that is not JSON', () => {
+    expect(parseAnalysis('Saya tidak yakin').errors).toEqual(['Output does not contain a JSON object']);
+    expect(parseAnalysis('{"intent": payment}').errors[0]).toMatch(/^Output is not valid JSON/);
+    expect(parseAnalysis('[]').errors).toEqual(['Output does not contain a JSON object']);
+  });
+
+  it('reads the repair and review limits from the environment', () => {
+    expect(getAnalysisPolicy()).toEqual({ maxRepairs: 1, reviewConfidence: 0.6 });
+
+    process.env.ANALYSIS_MAX_REPAIRS = '2';
+    process.env.ANALYSIS_REVIEW_CONFIDENCE = '0.75';
+    expect(getAnalysisPolicy()).toEqual({ maxRepairs: 2, reviewConfidence: 0.75 });
+  });
+});
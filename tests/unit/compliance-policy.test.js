@@ -0,0 +1,62 @@
+const {
+  getCompliancePolicy,
+  parseAmount,
+  findAmounts,
+  findViolations
+} = require('../../src/config/compliance-policy');
+
+describe('compliance policy', () => {
+  const facts = { amounts: [1500000, 500000], invoiceNumbers: ['INV-2024-001'] };
+
+  afterEach(() => {
+    delete process.env.COMPLIANCE_FORBIDDEN_PHRASES;
+    delete process.env.COMPLIANCE_MIN_MESSAGE_LENGTH;
+    delete process.env.LLM_MAX_MESSAGE_LENGTH;
+  });
+
+  it('reads amounts in Indonesian and English notation', () => {
+    expect(parseAmount('1.500.000')).toBe(1500000);
+    expect(parseAmount('1.500.000,00')).toBe(1500000);
+    expect(parseAmount('1,500,000.50')).toBe(1500000.5);
+    expect(findAmounts('Sisa Rp1.500.000, cicilan IDR 500.000 atau 250.000 rupiah').map(amount => amount.value))
+      .toEqual([1500000, 500000, 250000]);
+  });
+
+  it('passes a message that only mentions the debt', () => {
+    const message = 'Yth. Budi, tagihan INV-2024-001 sebesar Rp 1.500.000 sudah jatuh tempo. Cicilan berikutnya Rp 500.000.';
+
+    expect(findViolations(message, facts)).toEqual([]);
+  });
+
+  it('flags amounts and invoice numbers that are not on the debt', () => {
+    const message = 'Tagihan INV-2024-999 sebesar Rp 2.500.000 untuk INV-2024-001.';
+
+    expect(findViolations(message, facts)).toEqual([
+      { rule: 'amount_mismatch', detail: 'Rp 2.500.000 does not match the debt' },
+      { rule: 'invoice_mismatch', detail: 'INV-2024-999 is not an invoice of this debtor' }
+    ]);
+  });
+
+  it('blocks forbidden phrases as whole words, case-insensitively', () => {
+    const violations = findViolations('Kami akan memberi tahu Keluarga Anda dan Anda bisa DIPENJARA.', facts);
+
+    expect(violations.map(violation => violation.detail)).toEqual([
+      'legal_claim: "dipenjara"',
+      'third_party: "keluarga anda"'
+    ]);
+    expect(findViolations('Pembayaran tidak dipenjarakan... melainkan dicatat.', facts)).toEqual([]);
+  });
+
+  it('adds configured phrases and length limits', () => {
+    process.env.COMPLIANCE_FORBIDDEN_PHRASES = 'denda harian, blacklist bank';
+    process.env.COMPLIANCE_MIN_MESSAGE_LENGTH = '20';
+    process.env.LLM_MAX_MESSAGE_LENGTH = '60';
+    const policy = getCompliancePolicy();
+
+    expect(findViolations('Ada denda harian', facts, policy).map(violation => violation.rule))
+      .toEqual(['min_length', 'forbidden_phrase']);
+    expect(findViolations('x'.repeat(61), facts, policy)).toEqual([
+      { rule: 'max_length', detail: '61 characters, limit 60' }
+    ]);
+  });
+});
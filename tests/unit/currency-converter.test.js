@@ -0,0 +1,44 @@
+const CurrencyConverter = require('../../src/utils/currency-converter');
+
+describe('CurrencyConverter', () => {
+  const rates = [
+    { date: '2026-01-01', fromCurrency: 'USD', toCurrency: 'IDR', rate: '15000.0000000000' },
+    { date: '2026-02-01', fromCurrency: 'USD', toCurrency: 'IDR', rate: '16000.0000000000' },
+    { date: '2026-01-01', fromCurrency: 'EUR', toCurrency: 'IDR', rate: '17600.0000000000' }
+  ];
+
+  it('uses the latest rate on or before the date', () => {
+    const converter = new CurrencyConverter('IDR', rates);
+
+    expect(converter.convert(10, 'USD', '2026-01-31')).toBe(150000);
+    expect(converter.convert(10, 'USD', '2026-02-01')).toBe(160000);
+    expect(converter.convert('1000.00', 'IDR', '2020-01-01')).toBe(1000);
+  });
+
+  it('inverts stored pairs and crosses other pairs through Rupiah', () => {
+    const converter = new CurrencyConverter('USD', rates);
+
+    expect(converter.convert(32000, 'IDR', '2026-02-15')).toBe(2);
+    expect(converter.convert(10, 'EUR', '2026-01-15')).toBeCloseTo(11.7333, 4);
+  });
+
+  it('leaves amounts without a rate out of totals and reports them', () => {
+    const converter = new CurrencyConverter('IDR', rates);
+
+    const summary = converter.summarize({
+      billed: [
+        { amount: 100, currency: 'USD', date: '2026-01-10' },
+        { amount: 100, currency: 'USD', date: '2025-12-31' },
+        { amount: 500000, currency: 'IDR', date: '2025-12-31' }
+      ],
+      paid: [{ amount: 50, currency: 'USD', date: '2026-02-10' }]
+    });
+
+    expect(summary.totals).toEqual({ billed: 2000000, paid: 800000 });
+    expect(summary.byCurrency).toEqual([
+      { currency: 'USD', billed: 200, paid: 50 },
+      { currency: 'IDR', billed: 500000, paid: 0 }
+    ]);
+    expect(converter.missingRates).toEqual([{ currency: 'USD', date: '2025-12-31' }]);
+  });
+});
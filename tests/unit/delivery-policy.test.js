@@ -0,0 +1,34 @@
+const { getDeliveryPolicy } = require('../../src/config/delivery');
+
+describe('delivery policy', () => {
+  afterEach(() => {
+    delete process.env.REMINDER_UNDELIVERED_MINUTES;
+    delete process.env.REMINDER_FALLBACK_CHANNELS;
+    delete process.env.SMS_WEBHOOK_URL;
+  });
+
+  it('reroutes after a day by SMS, then email, by default', () => {
+    const policy = getDeliveryPolicy();
+
+    expect(policy.undeliveredMinutes).toBe(1440);
+    expect(policy.fallbackChannels).toEqual(['sms', 'email']);
+    expect(policy.webhooks).toEqual({ sms: null, email: null });
+  });
+
+  it('keeps only known channels, in the configured order', () => {
+    process.env.REMINDER_FALLBACK_CHANNELS = ' Email, fax, sms, email ';
+    process.env.SMS_WEBHOOK_URL = 'https://sms.example.test/send';
+
+    const policy = getDeliveryPolicy();
+
+    expect(policy.fallbackChannels).toEqual(['email', 'sms']);
+    expect(policy.webhooks.sms).toBe('https://sms.example.test/send');
+  });
+
+  it('can switch rerouting off', () => {
+    process.env.REMINDER_FALLBACK_CHANNELS = '';
+    process.env.REMINDER_UNDELIVERED_MINUTES = '0';
+
+    expect(getDeliveryPolicy()).toEqual(expect.objectContaining({ undeliveredMinutes: 0, fallbackChannels: [] }));
+  });
+});
@@ -0,0 +1,31 @@
+const { readNumber, readList } = require('../../src/utils/env');
+
+describe('env', () => {
+  afterEach(() => {
+    delete process.env.TEST_ENV_VALUE;
+  });
+
+  it('reads numbers and keeps an explicit 0', () => {
+    expect(readNumber('TEST_ENV_VALUE', 5)).toBe(5);
+
+    process.env.TEST_ENV_VALUE = '0';
+    expect(readNumber('TEST_ENV_VALUE', 5)).toBe(0);
+
+    process.env.TEST_ENV_VALUE = '0.75';
+    expect(readNumber('TEST_ENV_VALUE', 5)).toBe(0.75);
+
+    process.env.TEST_ENV_VALUE = 'many';
+    expect(readNumber('TEST_ENV_VALUE', 5)).toBe(5);
+  });
+
+  it('reads comma-separated lists and treats an empty variable as an empty list', () => {
+    expect(readList('TEST_ENV_VALUE')).toEqual([]);
+    expect(readList('TEST_ENV_VALUE', 'sms,email')).toEqual(['sms', 'email']);
+
+    process.env.TEST_ENV_VALUE = ' negative , ,angry ';
+    expect(readList('TEST_ENV_VALUE', 'sms')).toEqual(['negative', 'angry']);
+
+    process.env.TEST_ENV_VALUE = '';
+    expect(readList('TEST_ENV_VALUE', 'sms')).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+const GeminiService = require('../../src/services/gemini.service');
+
+describe('GeminiService conversation history', () => {
+  let service;
+
+  const debtorInfo = { name: 'Budi Santoso', company: 'PT Maju Jaya' };
+  const debtDetails = { amount: 1500000, daysOverdue: 10, invoiceNumber: 'INV-1' };
+  let provider;
+
+  beforeEach(() => {
+    provider = { name: 'fake', model: 'fake-1', generate: jest.fn(async () => ({ text: 'Halo' })) };
+    service = new GeminiService(provider);
+  });
+
+  describe('buildChatHistory', () => {
+    it('maps turns to alternating Gemini roles', () => {
+      const { history, pendingMessages } = service.buildChatHistory({
+        turns: [
+          { role: 'debtor', text: 'Halo' },
+          { role: 'agent', text: 'Selamat siang' }
+        ]
+      });
+
+      expect(history).toEqual([
+        { role: 'user', parts: [{ text: 'Halo' }] },
+        { role: 'model', parts: [{ text: 'Selamat siang' }] }
+      ]);
+      expect(pendingMessages).toEqual([]);
+    });
+
+    it('merges consecutive turns and opens with a user turn', () => {
+      const { history } = service.buildChatHistory({
+        turns: [
+          { role: 'agent', text: 'Pengingat 1' },
+          { role: 'agent', text: 'Pengingat 2' },
+          { role: 'debtor', text: 'Minggu depan saya bayar' },
+          { role: 'agent', text: 'Baik, kami catat' }
+        ]
+      });
+
+      expect(history.map(content => content.role)).toEqual(['user', 'model', 'user', 'model']);
+      expect(history[1].parts).toEqual([{ text: 'Pengingat 1' }, { text: 'Pengingat 2' }]);
+    });
+
+    it('opens the history in the debtor\'s language, along the template fallback chain', () => {
+      const turns = [{ role: 'agent', text: 'Reminder' }, { role: 'debtor', text: 'OK' }, { role: 'agent', text: 'Thanks' }];
+
+      expect(service.buildChatHistory({ turns }).history[0].parts)
+        .toEqual([{ text: '(Percakapan dimulai dengan pesan pengingat dari kami.)' }]);
+      expect(service.buildChatHistory({ turns }, 'en').history[0].parts)
+        .toEqual([{ text: '(The conversation starts with our reminder message.)' }]);
+      expect(service.buildChatHistory({ turns }, 'zh').history[0].parts)
+        .toEqual([{ text: '(The conversation starts with our reminder message.)' }]);
+      expect(service.buildChatHistory({ turns }, 'jv').history[0].parts)
+        .toEqual([{ text: '(Percakapan dimulai dengan pesan pengingat dari kami.)' }]);
+    });
+
+    it('returns trailing debtor messages separately', () => {
+      const { history, pendingMessages } = service.buildChatHistory({
+        turns: [
+          { role: 'agent', text: 'Pengingat' },
+          { role: 'debtor', text: 'Saya sedang sakit' },
+          { role: 'debtor', text: 'Bisa dicicil?' }
+        ]
+      });
+
+      expect(history[history.length - 1].role).toBe('model');
+      expect(pendingMessages).toEqual(['Saya sedang sakit', 'Bisa dicicil?']);
+    });
+
+    it('handles a missing conversation', () => {
+      expect(service.buildChatHistory(null)).toEqual({ history: [], pendingMessages: [] });
+    });
+  });
+
+  describe('generateNegotiationResponse', () => {
+    it('passes the chat history to the provider', async () => {
+      provider.generate.mockResolvedValueOnce({ text: ' Baik, cicilan bisa kami proses. ' });
+
+      const reply = await service.generateNegotiationResponse(debtorInfo, debtDetails, 'Jadi bagaimana?', {
+        summary: 'Debitur meminta cicilan 3 bulan',
+        turns: [
+          { role: 'agent', text: 'Pengingat' },
+          { role: 'debtor', text: 'Bisa dicicil?' },
+          { role: 'agent', text: 'Kami cek dulu' }
+        ]
+      });
+
+      expect(reply).toBe('Baik, cicilan bisa kami proses.');
+
+      const request = provider.generate.mock.calls[0][0];
+      expect(request.purpose).toBe('negotiation');
+      expect(request.history).toHaveLength(4);
+      expect(request.context.debtorMessage).toBe('Jadi bagaimana?');
+      expect(request.prompt).toContain('Debitur meminta cicilan 3 bulan');
+      expect(request.prompt).toContain('Debtor\'s Message: "Jadi bagaimana?"');
+    });
+
+    it('sends no history when there is none', async () => {
+      await service.generateNegotiationResponse(debtorInfo, debtDetails, 'Halo');
+
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+      expect(provider.generate.mock.calls[0][0].history).toEqual([]);
+    });
+
+    it('opens the history in the debtor\'s language', async () => {
+      await service.generateNegotiationResponse({ ...debtorInfo, language: 'en' }, debtDetails, 'So what now?', {
+        turns: [{ role: 'agent', text: 'Reminder' }, { role: 'debtor', text: 'So what now?' }]
+      });
+
+      expect(provider.generate.mock.calls[0][0].history[0].parts)
+        .toEqual([{ text: '(The conversation starts with our reminder message.)' }]);
+    });
+  });
+
+  describe('summarizeConversation', () => {
+    const turns = [{ role: 'agent', text: 'Reminder' }, { role: 'debtor', text: 'I will pay next week' }];
+
+    it('writes the summary in the debtor\'s language', async () => {
+      await service.summarizeConversation(null, turns, 'en');
+
+      const request = provider.generate.mock.calls[0][0];
+      expect(request.purpose).toBe('conversation_summary');
+      expect(request.prompt).toContain('Write in English, at most 150 words');
+      expect(request.prompt).toContain('Debtor: I will pay next week');
+    });
+
+    it('defaults to Indonesian', async () => {
+      await service.summarizeConversation(null, turns);
+
+      expect(provider.generate.mock.calls[0][0].prompt).toContain('Write in Indonesian, at most 150 words');
+    });
+  });
+});
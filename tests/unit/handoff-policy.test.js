@@ -0,0 +1,37 @@
+const { getHandoffPolicy, getHandoffReason } = require('../../src/config/handoff-policy');
+
+describe('handoff policy', () => {
+  const policy = {
+    minConfidence: 0.6,
+    sentiments: ['negative'],
+    intents: ['dispute'],
+    mode: 'human'
+  };
+  const analysis = { intent: 'question', sentiment: 'neutral', confidence: 0.9 };
+
+  afterEach(() => {
+    delete process.env.HANDOFF_SENTIMENTS;
+    delete process.env.HANDOFF_MODE;
+  });
+
+  it('lets the AI answer confident, neutral replies', () => {
+    expect(getHandoffReason(analysis, policy)).toBeNull();
+  });
+
+  it('hands off low-confidence or unscored analyses', () => {
+    expect(getHandoffReason({ ...analysis, confidence: 0.4 }, policy)).toBe('low_confidence');
+    expect(getHandoffReason({ ...analysis, confidence: undefined }, policy)).toBe('low_confidence');
+  });
+
+  it('hands off on configured sentiments and intents', () => {
+    expect(getHandoffReason({ ...analysis, sentiment: 'negative' }, policy)).toBe('sentiment:negative');
+    expect(getHandoffReason({ ...analysis, intent: 'dispute' }, policy)).toBe('intent:dispute');
+  });
+
+  it('reads lists from the environment and allows disabling a trigger', () => {
+    process.env.HANDOFF_SENTIMENTS = '';
+    process.env.HANDOFF_MODE = 'ai_draft';
+
+    expect(getHandoffPolicy()).toEqual(expect.objectContaining({ sentiments: [], mode: 'ai_draft' }));
+  });
+});
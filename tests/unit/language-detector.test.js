@@ -0,0 +1,30 @@
+const { detectLanguage, resolveReplyLanguage } = require('../../src/utils/language-detector');
+const { SUPPORTED_LANGUAGES, getLanguageChain } = require('../../src/config/languages');
+
+describe('language detection', () => {
+  it('recognises the supported languages from common words', () => {
+    expect(detectLanguage('I will pay the invoice next week')).toBe('en');
+    expect(detectLanguage('Besok saya bayar ya pak')).toBe('id');
+    expect(detectLanguage('Matur nuwun, sesuk kulo mbayar')).toBe('jv');
+    expect(detectLanguage('Hatur nuhun, enjing abdi mayar')).toBe('su');
+    expect(detectLanguage('我明天付款')).toBe('zh');
+  });
+
+  it('does not guess from short or ambiguous replies', () => {
+    expect(detectLanguage('ok')).toBeNull();
+    expect(detectLanguage('Siap pak, noted')).toBeNull();
+    expect(detectLanguage('')).toBeNull();
+  });
+
+  it('prefers a supported language reported by the analysis', () => {
+    expect(resolveReplyLanguage('Sesuk tak transfer mas', 'jv', SUPPORTED_LANGUAGES)).toBe('jv');
+    expect(resolveReplyLanguage('Je vais payer demain', 'fr', SUPPORTED_LANGUAGES)).toBeNull();
+    expect(resolveReplyLanguage('ok', 'en', SUPPORTED_LANGUAGES)).toBeNull();
+  });
+
+  it('falls back along the language chain to the default language', () => {
+    expect(getLanguageChain('jv')).toEqual(['jv', 'id']);
+    expect(getLanguageChain('zh')).toEqual(['zh', 'en', 'id']);
+    expect(getLanguageChain('id')).toEqual(['id']);
+  });
+});
@@ -0,0 +1,161 @@
+const moment = require('moment');
+const { createLlmProvider } = require('../../src/services/llm');
+const GeminiProvider = require('../../src/services/llm/gemini.provider');
+const LocalProvider = require('../../src/services/llm/local.provider');
+const { getLlmConfig } = require('../../src/config/llm');
+
+describe('LLM providers', () => {
+  afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+  });
+
+  describe('getLlmConfig', () => {
+    it('defaults to the offline provider in the test environment', () => {
+      expect(getLlmConfig()).toEqual(expect.objectContaining({ provider: 'local', model: 'local-rules' }));
+    });
+
+    it('reads the provider and model from the environment', () => {
+      process.env.LLM_PROVIDER = 'Gemini';
+      process.env.LLM_MODEL = 'gemini-1.5-flash';
+
+      expect(getLlmConfig()).toEqual(expect.objectContaining({ provider: 'gemini', model: 'gemini-1.5-flash' }));
+    });
+
+    it('rejects unknown providers', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      expect(() => getLlmConfig()).toThrow('Unknown LLM_PROVIDER "openai"');
+    });
+  });
+
+  describe('createLlmProvider', () => {
+    it('builds the configured provider', () => {
+      expect(createLlmProvider({ provider: 'local', model: 'local-rules' })).toBeInstanceOf(LocalProvider);
+
+      const gemini = createLlmProvider({ provider: 'gemini', model: 'gemini-pro', apiKey: 'test-key' });
+      expect(gemini).toBeInstanceOf(GeminiProvider);
+      expect(gemini.model).toBe('gemini-pro');
+    });
+
+    it('requires an API key for Gemini', () => {
+      expect(() => createLlmProvider({ provider: 'gemini', model: 'gemini-pro' })).toThrow('GEMINI_API_KEY is not configured');
+    });
+  });
+
+  describe('GeminiProvider', () => {
+    const textResult = (text) => ({ response: Promise.resolve({ text: () => text }) });
+    let provider;
+
+    beforeEach(() => {
+      provider = new GeminiProvider({ apiKey: 'test-key', model: 'gemini-pro' });
+    });
+
+    it('continues a chat when there is history', async () => {
+      const sendMessage = jest.fn(async () => textResult('Baik'));
+      provider.client = { startChat: jest.fn(() => ({ sendMessage })), generateContent: jest.fn() };
+      const history = [{ role: 'user', parts: [{ text: 'Halo' }] }, { role: 'model', parts: [{ text: 'Halo juga' }] }];
+
+      const result = await provider.generate({ prompt: 'Balas', history });
+
+      expect(result).toEqual({ text: 'Baik', provider: 'gemini', model: 'gemini-pro', usage: null });
+      expect(provider.client.startChat).toHaveBeenCalledWith({ history });
+      expect(sendMessage).toHaveBeenCalledWith('Balas');
+      expect(provider.client.generateContent).not.toHaveBeenCalled();
+    });
+
+    it('uses a single prompt without history', async () => {
+      provider.client = { startChat: jest.fn(), generateContent: jest.fn(async () => textResult('Halo')) };
+
+      await provider.generate({ prompt: 'Halo' });
+
+      expect(provider.client.startChat).not.toHaveBeenCalled();
+      expect(provider.client.generateContent).toHaveBeenCalledWith('Halo');
+    });
+
+    it('uses JSON output mode on models that support it', async () => {
+      const generateContent = jest.fn(async () => textResult('{}'));
+      provider.client = { generateContent };
+
+      await provider.generate({ prompt: 'Analisis', responseFormat: 'json' });
+      expect(generateContent).toHaveBeenLastCalledWith('Analisis');
+
+      const flash = new GeminiProvider({ apiKey: 'test-key', model: 'gemini-1.5-flash' });
+      flash.client = { generateContent };
+      await flash.generate({ prompt: 'Analisis', responseFormat: 'json' });
+
+      expect(generateContent).toHaveBeenLastCalledWith({
+        contents: [{ role: 'user', parts: [{ text: 'Analisis' }] }],
+        generationConfig: { responseMimeType: 'application/json' }
+      });
+    });
+
+    it('reports the token counts Gemini returns', async () => {
+      const response = { text: () => 'Halo', usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 35 } };
+      provider.client = { generateContent: jest.fn(async () => ({ response: Promise.resolve(response) })) };
+
+      const result = await provider.generate({ prompt: 'Halo' });
+
+      expect(result.usage).toEqual({ inputTokens: 120, outputTokens: 35 });
+    });
+  });
+
+  describe('LocalProvider', () => {
+    const provider = new LocalProvider();
+    const analyze = async (debtorMessage) => JSON.parse(
+      (await provider.generate({ purpose: 'response_analysis', context: { debtorMessage } })).text
+    );
+
+    it.each([
+      ['Saya akan bayar besok', 'payment_promise'],
+      ['Tagihan ini sudah saya bayar bulan lalu', 'dispute'],
+      ['Bisa dicicil 3 kali?', 'payment_plan_request'],
+      ['Saya sedang kesulitan, baru kena PHK', 'financial_hardship'],
+      ['SETUJU', 'payment_plan_acceptance'],
+      ['Berapa total tagihannya?', 'question'],
+      ['Oke, terima kasih', 'acknowledgment']
+    ])('classifies "%s" as %s', async (message, intent) => {
+      expect((await analyze(message)).intent).toBe(intent);
+    });
+
+    it('extracts the promised amount and resolves relative dates', async () => {
+      const analysis = await analyze('Saya akan transfer Rp 500.000 besok');
+
+      expect(analysis.promised_amount).toBe(500000);
+      expect(analysis.promised_date).toBe(moment().add(1, 'day').format('YYYY-MM-DD'));
+      expect(analysis.payment_commitment).toBe('yes');
+    });
+
+    it('reads shorthand amounts', () => {
+      expect(provider.extractAmount('bayar 1,5 juta')).toBe(1500000);
+      expect(provider.extractAmount('bayar 750rb')).toBe(750000);
+    });
+
+    it('gives unrecognised messages a low confidence', async () => {
+      const analysis = await analyze('xyz');
+      expect(analysis).toEqual(expect.objectContaining({ intent: 'unknown', confidence: 0.3 }));
+    });
+
+    it('flags hostile messages as negative', async () => {
+      expect((await analyze('Jangan hubungi saya lagi, saya lapor polisi')).sentiment).toBe('negative');
+    });
+
+    it('fills reminder templates from the request context', async () => {
+      const { text } = await provider.generate({
+        purpose: 'debt_reminder',
+        context: {
+          debtorInfo: { name: 'Budi Santoso', company: 'PT Maju Jaya' },
+          debtDetails: { amount: 1500000, dueDate: '01/03/2024', daysOverdue: 10, invoiceNumber: 'INV-1' },
+          reminderLevel: 5
+        }
+      });
+
+      expect(text).toContain('Yth. Budi Santoso (PT Maju Jaya)');
+      expect(text).toContain('tagihan INV-1 sebesar Rp 1.500.000');
+      expect(text).toContain('peringatan terakhir');
+    });
+
+    it('rejects purposes it has no rule for', async () => {
+      await expect(provider.generate({ purpose: 'poetry' })).rejects.toThrow('no rule for purpose "poetry"');
+    });
+  });
+});
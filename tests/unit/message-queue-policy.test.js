@@ -0,0 +1,35 @@
+const {
+  MESSAGE_PRIORITIES,
+  getQueuePolicy,
+  getMessagePriority,
+  getRetryDelay
+} = require('../../src/config/message-queue');
+
+describe('message queue policy', () => {
+  afterEach(() => {
+    delete process.env.MESSAGE_QUEUE_MAX_ATTEMPTS;
+    delete process.env.MESSAGE_QUEUE_RETRY_BASE_MS;
+    delete process.env.MESSAGE_QUEUE_RETRY_MAX_MS;
+  });
+
+  it('puts payment confirmations and replies ahead of reminders and bulk sends', () => {
+    expect(getMessagePriority('payment_confirmation')).toBe(MESSAGE_PRIORITIES.high);
+    expect(getMessagePriority('auto_response')).toBe(MESSAGE_PRIORITIES.high);
+    expect(getMessagePriority('reminder')).toBe(MESSAGE_PRIORITIES.normal);
+    expect(getMessagePriority('bulk')).toBe(MESSAGE_PRIORITIES.bulk);
+    expect(getMessagePriority('something_else')).toBe(MESSAGE_PRIORITIES.normal);
+    expect(MESSAGE_PRIORITIES.high).toBeLessThan(MESSAGE_PRIORITIES.bulk);
+  });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    process.env.MESSAGE_QUEUE_RETRY_BASE_MS = '1000';
+    process.env.MESSAGE_QUEUE_RETRY_MAX_MS = '5000';
+
+    expect([1, 2, 3, 4].map(attempts => getRetryDelay(attempts))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  it('always allows at least one attempt', () => {
+    process.env.MESSAGE_QUEUE_MAX_ATTEMPTS = '0';
+    expect(getQueuePolicy().maxAttempts).toBe(1);
+  });
+});
@@ -0,0 +1,34 @@
+const MoneyService = require('../../src/services/money.service');
+
+describe('MoneyService', () => {
+  const money = new MoneyService();
+
+  it("writes amounts in their own currency and the debtor's locale", () => {
+    expect(money.format(1500000)).toBe('Rp 1.500.000');
+    expect(money.format(1500000, 'IDR', 'en')).toBe('IDR 1,500,000');
+    expect(money.format(250.5, 'USD', 'en')).toBe('$250.50');
+    expect(money.format('1250.00', 'EUR', 'id')).toBe('€1.250');
+    expect(money.format(null, 'USD', 'en')).toBe('$0');
+  });
+
+  it('totals each currency separately', () => {
+    const totals = money.sumByCurrency([
+      { amount: '1000000.00', currency: 'IDR' },
+      { amount: '200.25', currency: 'USD' },
+      { amount: 500000 },
+      { amount: '100', currency: 'USD' }
+    ]);
+
+    expect(totals).toEqual([
+      { currency: 'IDR', amount: 1500000 },
+      { currency: 'USD', amount: 300.25 }
+    ]);
+    expect(money.formatTotals(totals)).toBe('Rp 1.500.000 + US$300,25');
+    expect(money.formatTotals([], 'en')).toBe('IDR 0');
+  });
+
+  it('formats a single debt or the per-currency totals of several', () => {
+    expect(money.formatDetails({ amount: 99, currency: 'USD' }, 'en')).toBe('$99');
+    expect(money.formatDetails({ amount: 99, totals: [{ currency: 'EUR', amount: 99 }] }, 'en')).toBe('€99');
+  });
+});
@@ -0,0 +1,41 @@
+const { validatePlanTerms, clampPlanTerms, getMinDownPayment } = require('../../src/config/payment-plan-policy');
+
+describe('payment plan policy', () => {
+  const policy = {
+    maxInstallments: 6,
+    minDownPaymentPercent: 20,
+    installmentIntervalDays: 30,
+    downPaymentDueDays: 3
+  };
+
+  it('computes the minimum down payment from the percentage', () => {
+    expect(getMinDownPayment(1500000, policy)).toBe(300000);
+  });
+
+  it('accepts terms inside the limits', () => {
+    expect(validatePlanTerms({ installmentCount: 6, downPayment: 300000 }, 1500000, policy)).toEqual([]);
+  });
+
+  it('reports every violated limit', () => {
+    const violations = validatePlanTerms({ installmentCount: 12, downPayment: 100000 }, 1500000, policy);
+
+    expect(violations).toEqual([
+      'installmentCount may not exceed 6',
+      'downPayment must be at least 300000 (20% of 1500000)'
+    ]);
+  });
+
+  it('rejects a down payment that covers the whole amount', () => {
+    expect(validatePlanTerms({ installmentCount: 2, downPayment: 1500000 }, 1500000, policy))
+      .toEqual(['downPayment must be less than the amount covered by the plan']);
+  });
+
+  it('pulls suggested terms inside the limits', () => {
+    expect(clampPlanTerms({ installmentCount: 12, downPayment: 100000 }, 1500000, policy))
+      .toEqual({ installmentCount: 6, downPayment: 300000 });
+    expect(clampPlanTerms({ installmentCount: 3, downPayment: 450000 }, 1500000, policy))
+      .toEqual({ installmentCount: 3, downPayment: 450000 });
+    expect(clampPlanTerms({}, 1500000, policy))
+      .toEqual({ installmentCount: 6, downPayment: 300000 });
+  });
+});
@@ -0,0 +1,33 @@
+const { renderTextPdf } = require('../../src/utils/pdf');
+
+describe('renderTextPdf', () => {
+  it('writes a one-page PDF with a valid cross-reference table', () => {
+    const pdf = renderTextPdf([{ text: 'Instruksi Pembayaran', size: 16, bold: true }, '', 'Nomor rekening: 123']).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).toContain('(Instruksi Pembayaran) Tj');
+    expect(pdf).toContain('/F2 16 Tf');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+    const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    expect(offsets).toHaveLength(6);
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  it('escapes PDF string syntax and replaces characters the font cannot show', () => {
+    const pdf = renderTextPdf(['PT (Maju) \\ Jaya 付款']).toString('latin1');
+
+    expect(pdf).toContain('(PT \\(Maju\\) \\\\ Jaya ??) Tj');
+  });
+
+  it('wraps long lines', () => {
+    const pdf = renderTextPdf(['kata '.repeat(60).trim()]).toString('latin1');
+
+    expect(pdf.match(/ Tj/g).length).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,33 @@
+const { hasPermission, getDebtScope, canAccessDebt } = require('../../src/config/permissions');
+
+describe('permissions', () => {
+  const admin = { id: 1, role: 'admin' };
+  const collector = { id: 2, role: 'collector' };
+  const viewer = { id: 3, role: 'viewer' };
+
+  it('grants write access to staff and read access to everyone', () => {
+    expect(hasPermission('collector', 'debts:update')).toBe(true);
+    expect(hasPermission('viewer', 'debts:update')).toBe(false);
+    expect(hasPermission('viewer', 'debts:read')).toBe(true);
+  });
+
+  it('reserves destructive actions for admins', () => {
+    expect(hasPermission('admin', 'debts:delete')).toBe(true);
+    expect(hasPermission('collector', 'debts:delete')).toBe(false);
+    expect(hasPermission('collector', 'debts:assign')).toBe(false);
+  });
+
+  it('rejects unknown permissions', () => {
+    expect(() => hasPermission('admin', 'debts:explode')).toThrow('Unknown permission: debts:explode');
+  });
+
+  it('scopes collectors to their assigned debts', () => {
+    expect(getDebtScope(collector)).toEqual({ assignedToId: 2 });
+    expect(getDebtScope(admin)).toEqual({});
+    expect(getDebtScope(viewer)).toEqual({});
+
+    expect(canAccessDebt(collector, { assignedToId: 2 })).toBe(true);
+    expect(canAccessDebt(collector, { assignedToId: 5 })).toBe(false);
+    expect(canAccessDebt(admin, { assignedToId: 5 })).toBe(true);
+  });
+});
@@ -0,0 +1,43 @@
+const { parseReceiptAmount, parseReceiptDetails } = require('../../src/config/payment-proofs');
+
+describe('receipt details', () => {
+  it('reads amounts in Indonesian and English notation', () => {
+    expect(parseReceiptAmount(1500000)).toBe(1500000);
+    expect(parseReceiptAmount('Rp 1.500.000')).toBe(1500000);
+    expect(parseReceiptAmount('1.500.000,50')).toBe(1500000.5);
+    expect(parseReceiptAmount('1,500,000.50')).toBe(1500000.5);
+    expect(parseReceiptAmount('250000')).toBe(250000);
+    expect(parseReceiptAmount('-')).toBeNull();
+    expect(parseReceiptAmount(0)).toBeNull();
+    expect(parseReceiptAmount(null)).toBeNull();
+  });
+
+  it('normalizes the model output and drops unreadable fields', () => {
+    const details = parseReceiptDetails('```json\n' + JSON.stringify({
+      amount: '1.500.000',
+      currency: 'idr',
+      date: '31/01/2026',
+      sender_name: ' BUDI SANTOSO ',
+      bank: 'BCA',
+      reference: '',
+      invoice_number: null,
+      confidence: 1.4
+    }) + '\n```');
+
+    expect(details).toEqual({
+      amount: 1500000,
+      currency: 'IDR',
+      date: null,
+      senderName: 'BUDI SANTOSO',
+      bank: 'BCA',
+      reference: null,
+      invoiceNumber: null,
+      confidence: 1
+    });
+  });
+
+  it('returns null without a JSON object', () => {
+    expect(parseReceiptDetails('I cannot read this image')).toBeNull();
+    expect(parseReceiptDetails('{ amount: ')).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+const { wilsonInterval, describeProportion } = require('../../src/utils/statistics');
+
+describe('statistics', () => {
+  it('computes the Wilson score interval', () => {
+    const interval = wilsonInterval(5, 10);
+
+    expect(interval.lower).toBeCloseTo(0.2366, 4);
+    expect(interval.upper).toBeCloseTo(0.7634, 4);
+  });
+
+  it('keeps the interval inside [0, 1] at the extremes', () => {
+    expect(wilsonInterval(0, 4).lower).toBe(0);
+    expect(wilsonInterval(4, 4).upper).toBe(1);
+    expect(wilsonInterval(0, 4).upper).toBeGreaterThan(0);
+  });
+
+  it('has no rate or interval without trials', () => {
+    expect(wilsonInterval(0, 0)).toBeNull();
+    expect(describeProportion(0, 0)).toEqual({ count: 0, rate: null, ci95: null });
+  });
+
+  it('rounds the reported proportion', () => {
+    expect(describeProportion(1, 3)).toEqual({
+      count: 1,
+      rate: 0.3333,
+      ci95: { lower: 0.0615, upper: 0.7923 }
+    });
+  });
+});